@@ -18,7 +18,14 @@ module.exports = {
         'DAY_NAMES': 'readonly',
         'DAY_NAMES_FULL': 'readonly',
         'STORAGE_KEYS': 'readonly',
+        'BACKUP_CONFIG': 'readonly',
+        'SYNC_CONFIG': 'readonly',
+        'GRADE_CONFIG': 'readonly',
+        'DEGREE_PLAN_TEMPLATE': 'readonly',
+        'DEFAULT_EXAM_MIN_GAP_DAYS': 'readonly',
+        'ASSESSMENT_TYPES': 'readonly',
         'DAY_NAMES_SHORT': 'readonly',
+        'SCHEDULE_SLOT_TYPES': 'readonly',
         'COLOR_THEMES': 'readonly',
         'DEFAULT_THEME_SETTINGS': 'readonly',
         'GOLDEN_ANGLE': 'readonly',
@@ -33,6 +40,7 @@ module.exports = {
         'MAX_LENGTHS': 'readonly',
         'HTML_ENTITIES': 'readonly',
         'EXPORT_DATA_VERSION': 'readonly',
+        'STORAGE_DATA_VERSION': 'readonly',
         
         // Validation from validation.js
         'VALIDATION_LIMITS': 'readonly',
@@ -47,14 +55,19 @@ module.exports = {
         'validateNumber': 'readonly',
         'validateCoursePoints': 'readonly',
         'validateGrade': 'readonly',
+        'validateCourseGrade': 'readonly',
         'validateCalendarHour': 'readonly',
         'validateDate': 'readonly',
         'validateTime': 'readonly',
         'validateImportedData': 'readonly',
         'validateScheduleItem': 'readonly',
+        'validateAssessment': 'readonly',
         'sanitizeString': 'readonly',
         'sanitizeFilename': 'readonly',
         
+        // Storage backend from storage.js
+        'AppStorage': 'readonly',
+        
         // Toast from toast.js
         'ToastManager': 'readonly',
         'showConfirmDialog': 'readonly',
@@ -81,8 +94,218 @@ module.exports = {
         'saveData': 'readonly',
         'compactForStorage': 'readonly',
         'hydrateFromStorage': 'readonly',
+        'migrateStoragePayload': 'readonly',
         'migrateData': 'readonly',
         
+        // Undo/redo from history.js
+        'HistoryManager': 'readonly',
+        'undoLastChange': 'readonly',
+        'redoLastChange': 'readonly',
+        'withUndoAction': 'readonly',
+        
+        // Backups from backups.js
+        'BackupManager': 'readonly',
+        
+        // Sync merging from sync-merge.js
+        'SyncMerge': 'readonly',
+        'showSyncConflictDialog': 'readonly',
+        
+        // Multi-tab coordination from tab-sync.js
+        'TabSync': 'readonly',
+        
+        // Sync providers from sync-providers.js
+        'SyncProviders': 'readonly',
+        'createFirebaseSyncProvider': 'readonly',
+        'createRestSyncProvider': 'readonly',
+        
+        // Cloud encryption from cloud-crypto.js
+        'CloudCrypto': 'readonly',
+        
+        // Sync queue from sync-queue.js
+        'SyncQueue': 'readonly',
+        'renderSyncQueue': 'readonly',
+        'openSyncQueueModal': 'readonly',
+        
+        // Grades from grades.js
+        'parseCourseGrade': 'readonly',
+        'formatCourseGrade': 'readonly',
+        'summarizeGrades': 'readonly',
+        'buildGradesReport': 'readonly',
+        'openGradesDashboard': 'readonly',
+        'setupGradesDashboard': 'readonly',
+        'isEarningGrade': 'readonly',
+        'parseCoursePoints': 'readonly',
+        'formatPoints': 'readonly',
+        
+        // Degree tracker from degree.js
+        'parseNumberRules': 'readonly',
+        'matchesNumberRule': 'readonly',
+        'resolveCourseBucket': 'readonly',
+        'buildDegreeProgress': 'readonly',
+        'populateDegreeBucketSelect': 'readonly',
+        'openDegreeTracker': 'readonly',
+        'setupDegreeTracker': 'readonly',
+        
+        // Grading scheme from grading.js
+        'computeComponentScore': 'readonly',
+        'computeSchemeGrade': 'readonly',
+        'solveRequiredScore': 'readonly',
+        'applySchemeGrade': 'readonly',
+        'unlinkHomeworkFromComponents': 'readonly',
+        'renderGradingTab': 'readonly',
+        'updateCourseGradeField': 'readonly',
+        'setupGradingTab': 'readonly',
+        
+        // Assessments from assessments.js
+        'getAssessmentLabel': 'readonly',
+        'isFinalExam': 'readonly',
+        'createAssessment': 'readonly',
+        'sortAssessments': 'readonly',
+        'assessmentsFromImport': 'readonly',
+        'mergeAssessments': 'readonly',
+        'validateAssessmentList': 'readonly',
+        'renderAssessmentList': 'readonly',
+        'setupAssessmentEditor': 'readonly',
+        
+        // Exam planner from exam-planner.js
+        'MS_PER_DAY': 'readonly',
+        'toDayNumber': 'readonly',
+        'fromDayNumber': 'readonly',
+        'getTodayDateString': 'readonly',
+        'getPlannedExamId': 'readonly',
+        'collectSemesterExams': 'readonly',
+        'findExamConflicts': 'readonly',
+        'allocateStudyDays': 'readonly',
+        'openExamPlanner': 'readonly',
+        'setupExamPlanner': 'readonly',
+        
+        // Semester dates from semester-dates.js
+        'createHoliday': 'readonly',
+        'toLocalDateString': 'readonly',
+        'getSemesterWeek': 'readonly',
+        'findHoliday': 'readonly',
+        'isClassDay': 'readonly',
+        'describeSemesterWeek': 'readonly',
+        'validateSemesterDates': 'readonly',
+        'matchSapSemesterDates': 'readonly',
+        'formatSapSemesterName': 'readonly',
+        'applySapSemesterDates': 'readonly',
+        'populateSemesterDates': 'readonly',
+        'setupSemesterDatesEditor': 'readonly',
+        
+        // Attendance from attendance.js
+        'getSessionId': 'readonly',
+        'listCourseSessions': 'readonly',
+        'findSessionRecording': 'readonly',
+        'matchSessionRecording': 'readonly',
+        'setSessionStatus': 'readonly',
+        'setSessionRecording': 'readonly',
+        'getMissedRecordingIds': 'readonly',
+        'getAttendanceStats': 'readonly',
+        'renderAttendanceTab': 'readonly',
+        'setupAttendanceTab': 'readonly',
+        
+        // Catalog schedules from catalog.js
+        'fetchSapSemesters': 'readonly',
+        'fetchCatalogEntries': 'readonly',
+        'addCatalogEntries': 'readonly',
+        'fetchCatalogFile': 'readonly',
+        'loadCachedCatalog': 'readonly',
+        'getCatalogCacheInfo': 'readonly',
+        'formatCatalogAge': 'readonly',
+        'renderCatalogCacheStatus': 'readonly',
+        'getCatalogCourseInfo': 'readonly',
+        'searchCatalog': 'readonly',
+        'CATALOG_MATCH_METHODS': 'readonly',
+        'isSameCourseNumber': 'readonly',
+        'matchCatalogCourse': 'readonly',
+        'findCatalogMatch': 'readonly',
+        'parseCatalogSchedule': 'readonly',
+        'getCatalogGroups': 'readonly',
+        
+        // Timetable clashes from timetable.js
+        'toMinutes': 'readonly',
+        'slotsOverlap': 'readonly',
+        'collectSemesterSlots': 'readonly',
+        'findScheduleConflicts': 'readonly',
+        'layoutScheduleColumns': 'readonly',
+        'findAlternativeGroups': 'readonly',
+        'suggestConflictFixes': 'readonly',
+        'switchScheduleGroup': 'readonly',
+        'formatSlotLabel': 'readonly',
+        'formatSlotTimes': 'readonly',
+        'renderScheduleConflicts': 'readonly',
+        'setupScheduleConflicts': 'readonly',
+        
+        // Semester planner from semester-planner.js
+        'getPlanCourseSchedule': 'readonly',
+        'addPlanCourse': 'readonly',
+        'planGroupClashes': 'readonly',
+        'describePlanPrerequisites': 'readonly',
+        'summarizePlan': 'readonly',
+        'buildSemesterFromPlan': 'readonly',
+        'openSemesterPlanner': 'readonly',
+        'setupSemesterPlanner': 'readonly',
+        
+        // Prerequisites from prerequisites.js
+        'normalizeCourseNumber': 'readonly',
+        'parsePrerequisites': 'readonly',
+        'parseLinkedCourses': 'readonly',
+        'findMissingPrerequisites': 'readonly',
+        'buildPrerequisiteGraph': 'readonly',
+        'collectCompletedCourses': 'readonly',
+        'checkPrerequisites': 'readonly',
+        'describePrerequisiteCheck': 'readonly',
+        'findEligibleCourses': 'readonly',
+        'warnMissingPrerequisites': 'readonly',
+        'setupEligibleCourses': 'readonly',
+        
+        // ICS parsing from import-export.js
+        'findExistingCourse': 'readonly',
+        'createImportedCourse': 'readonly',
+        'fetchWithCorsProxy': 'readonly',
+        'parseICSEventBlock': 'readonly',
+        'ICS_ASSESSMENT_PATTERNS': 'readonly',
+        'parseScheduleSummary': 'readonly',
+        'formatTimeFromDate': 'readonly',
+        'isDuplicateSchedule': 'readonly',
+        'parseICSDate': 'readonly',
+        
+        // Calendar import wizard from ics-import.js
+        'parseICSDuration': 'readonly',
+        'expandICSRecurrence': 'readonly',
+        'parseICSEvents': 'readonly',
+        'ICS_IMPORT_KINDS': 'readonly',
+        'guessICSEventKind': 'readonly',
+        'buildICSImportGroups': 'readonly',
+        'matchICSPattern': 'readonly',
+        'resolveICSImportGroups': 'readonly',
+        'buildICSImportCourses': 'readonly',
+        'applyICSImport': 'readonly',
+        'openICSImport': 'readonly',
+        'setupICSImport': 'readonly',
+        
+        // Catalog back-fill review from catalog-review.js
+        'diffCatalogCourse': 'readonly',
+        'applyCatalogChanges': 'readonly',
+        'applyCatalogData': 'readonly',
+        'buildCatalogReview': 'readonly',
+        'getSelectedCatalogChanges': 'readonly',
+        'applyCatalogReview': 'readonly',
+        'openCatalogReview': 'readonly',
+        'setupCatalogReview': 'readonly',
+        
+        // Calendar export from ics-export.js
+        'escapeICSText': 'readonly',
+        'foldICSLine': 'readonly',
+        'buildSemesterCalendar': 'readonly',
+        'openCalendarExport': 'readonly',
+        'setupCalendarExport': 'readonly',
+        
+        // Search palette from search.js
+        'setupSearchPalette': 'readonly',
+        'openSearchPalette': 'readonly',
+        
         // Utils from utils.js
         'escapeHtml': 'readonly',
         'generateUUID': 'readonly',
@@ -91,6 +314,9 @@ module.exports = {
         'debounce': 'readonly',
         'getContrastColor': 'readonly',
         'truncateText': 'readonly',
+        'getCurrentWeekRange': 'readonly',
+        'extractYear': 'readonly',
+        'getSeasonValue': 'readonly',
         
         // Course logic
         'getCourse': 'readonly',
@@ -106,6 +332,7 @@ module.exports = {
         'renderCalendar': 'readonly',
         'renderHomework': 'readonly',
         'closeModal': 'readonly',
+        'refreshOpenCourseModal': 'readonly',
         'editingCourseId': 'writable',
         
         // Firebase (optional)
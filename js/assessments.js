@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Course assessments: exams (Moed A/B/C), midterms, quizzes,
+ * projects and other graded events with a date, optional times, room,
+ * weight and notes. Includes the assessment editor in the course modal.
+ */
+
+'use strict';
+
+// ============================================================================
+// ASSESSMENT HELPERS
+// ============================================================================
+
+/**
+ * Gets the display label of an assessment.
+ * @param {Object} assessment - Assessment
+ * @returns {string} Label, e.g. 'Moed A' or 'Midterm'
+ */
+function getAssessmentLabel(assessment) {
+    return ASSESSMENT_TYPES[assessment?.type]?.label || 'Assessment';
+}
+
+/**
+ * Checks whether an assessment is a final exam (one moed of several).
+ * @param {Object} assessment - Assessment
+ * @returns {boolean} True for Moed A/B/C
+ */
+function isFinalExam(assessment) {
+    return !!ASSESSMENT_TYPES[assessment?.type]?.final;
+}
+
+/**
+ * Creates an assessment with empty optional fields.
+ * @param {Object} [fields] - Initial field values
+ * @returns {Object} Assessment
+ */
+function createAssessment(fields = {}) {
+    return {
+        id: generateId(),
+        type: 'moedA',
+        date: '',
+        startTime: '',
+        endTime: '',
+        location: '',
+        weight: '',
+        notes: '',
+        ...fields
+    };
+}
+
+/**
+ * Sorts assessments by date, then start time.
+ * @param {Array<Object>} assessments - Assessments
+ * @returns {Array<Object>} New sorted array
+ */
+function sortAssessments(assessments) {
+    return [...(assessments || [])].sort((a, b) =>
+        (a.date || '').localeCompare(b.date || '') || (a.startTime || '').localeCompare(b.startTime || ''));
+}
+
+/**
+ * Builds assessments from imported course data: an `assessments` list (ICS
+ * import) or Cheesefork's `moedA`/`moedB`/`moedC` dates.
+ * @param {Object} importedCourse - Imported course data
+ * @returns {Array<Object>} Assessments
+ */
+function assessmentsFromImport(importedCourse) {
+    if (Array.isArray(importedCourse.assessments)) {
+        return importedCourse.assessments.map(a => createAssessment(a));
+    }
+    return ['moedA', 'moedB', 'moedC']
+        .filter(type => importedCourse[type])
+        .map(type => createAssessment({ type, date: importedCourse[type] }));
+}
+
+/**
+ * Adds imported assessments that a course does not have yet. A final exam is
+ * only added if the course has no exam of that moed; other assessments are
+ * added unless the same type is already on that date. Keeps the list sorted.
+ * @param {Object} course - Course to update
+ * @param {Array<Object>} incoming - Assessments to add
+ * @returns {number} Number of assessments added
+ */
+function mergeAssessments(course, incoming) {
+    if (!course.assessments) course.assessments = [];
+    let added = 0;
+
+    incoming.forEach(assessment => {
+        const exists = course.assessments.some(a => a.type === assessment.type &&
+            (isFinalExam(assessment) || a.date === assessment.date));
+        if (exists) return;
+        course.assessments.push(assessment);
+        added++;
+    });
+
+    if (added > 0) course.assessments = sortAssessments(course.assessments);
+    return added;
+}
+
+/**
+ * Validates the assessments edited in the course modal. Blank rows are dropped.
+ * @param {Array<Object>} assessments - Edited assessments
+ * @returns {{valid: boolean, value: Array<Object>, error: string|null, index: number}} Result
+ */
+function validateAssessmentList(assessments) {
+    const value = [];
+    const rows = assessments || [];
+
+    for (let index = 0; index < rows.length; index++) {
+        const item = rows[index];
+        const blank = ['date', 'startTime', 'endTime', 'location', 'weight', 'notes'].every(field => !item[field]);
+        if (blank) continue;
+
+        const result = validateAssessment(item);
+        if (!result.valid) {
+            return { valid: false, value: [], error: `${getAssessmentLabel(item)}: ${result.error}`, index };
+        }
+        value.push(result.value);
+    }
+
+    return { valid: true, value: sortAssessments(value), error: null, index: -1 };
+}
+
+// ============================================================================
+// ASSESSMENT EDITOR (course modal)
+// ============================================================================
+
+/**
+ * Renders the assessment rows in the course modal from window.tempAssessments.
+ */
+function renderAssessmentList() {
+    const container = $('assessment-list');
+    if (!container) return;
+
+    const typeOptions = (selected) => Object.entries(ASSESSMENT_TYPES).map(([type, { label }]) =>
+        `<option value="${type}" ${type === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+
+    container.innerHTML = window.tempAssessments.map((item, index) => `
+        <div class="assessment-row" data-index="${index}" data-assessment-id="${escapeHtml(item.id)}">
+            <div class="assessment-row-main">
+                <select data-field="type" aria-label="Type">${typeOptions(item.type)}</select>
+                <input type="date" data-field="date" value="${escapeHtml(item.date)}" aria-label="Date">
+                <input type="time" data-field="startTime" value="${escapeHtml(item.startTime)}" aria-label="Start time">
+                <input type="time" data-field="endTime" value="${escapeHtml(item.endTime)}" aria-label="End time">
+                <button class="assessment-remove-btn" data-action="remove" title="Remove">&times;</button>
+            </div>
+            <div class="assessment-row-details">
+                <input type="text" data-field="location" value="${escapeHtml(item.location)}" placeholder="Room">
+                <input type="number" data-field="weight" value="${escapeHtml(String(item.weight ?? ''))}" placeholder="Weight %" min="0" max="100">
+                <input type="text" data-field="notes" value="${escapeHtml(item.notes)}" placeholder="Notes">
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Adds an empty assessment row, defaulting to the first moed the course lacks.
+ */
+function addAssessmentRow() {
+    const types = new Set(window.tempAssessments.map(a => a.type));
+    const type = ['moedA', 'moedB'].find(t => !types.has(t)) || 'midterm';
+    window.tempAssessments.push(createAssessment({ type }));
+    renderAssessmentList();
+
+    const rows = $('assessment-list').querySelectorAll('.assessment-row');
+    rows[rows.length - 1]?.querySelector('[data-field="date"]')?.focus();
+}
+
+/**
+ * Sets up the assessment editor events.
+ */
+function setupAssessmentEditor() {
+    $('add-assessment-btn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        addAssessmentRow();
+    });
+
+    const list = $('assessment-list');
+    if (!list) return;
+
+    list.addEventListener('input', (e) => {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.assessment-row');
+        if (!field || !row) return;
+        window.tempAssessments[Number(row.dataset.index)][field] = e.target.value;
+    });
+
+    list.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        e.preventDefault();
+        const row = e.target.closest('.assessment-row');
+        window.tempAssessments.splice(Number(row.dataset.index), 1);
+        renderAssessmentList();
+    });
+}
+
+window.getAssessmentLabel = getAssessmentLabel;
+window.isFinalExam = isFinalExam;
+window.createAssessment = createAssessment;
+window.sortAssessments = sortAssessments;
+window.assessmentsFromImport = assessmentsFromImport;
+window.mergeAssessments = mergeAssessments;
+window.validateAssessmentList = validateAssessmentList;
+window.renderAssessmentList = renderAssessmentList;
+window.setupAssessmentEditor = setupAssessmentEditor;
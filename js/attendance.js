@@ -0,0 +1,396 @@
+/**
+ * @fileoverview Attendance of a course's class sessions: every occurrence of
+ * a weekly schedule slot within the semester dates can be marked attended,
+ * missed or cancelled, and linked to its recording in the Lectures or
+ * Tutorials tab. A missed session whose recording is still unwatched counts
+ * as "to watch".
+ *
+ * Sessions are not stored; they are derived from the schedule, the semester
+ * dates and holidays (see semester-dates.js). Only marked sessions are kept
+ * in `course.attendance`, keyed by date and start time ('2025-04-01T10:30').
+ */
+
+'use strict';
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Attendance statuses with their button labels.
+ * @const {Object<string, string>}
+ */
+const ATTENDANCE_STATUSES = Object.freeze({
+    attended: 'Attended',
+    missed: 'Missed',
+    cancelled: 'Cancelled'
+});
+
+/**
+ * Recording tabs a session can link to.
+ * @const {ReadonlyArray<string>}
+ */
+const ATTENDANCE_RECORDING_TABS = Object.freeze(['lectures', 'tutorials']);
+
+/**
+ * Builds the ID of a session from its date and start time.
+ * @param {string} date - Date in yyyy-MM-dd format
+ * @param {string} start - Start time in HH:MM format
+ * @returns {string} Session ID
+ */
+function getSessionId(date, start) {
+    return `${date}T${start}`;
+}
+
+/**
+ * Lists the sessions of a course from the semester start, skipping holidays.
+ * @param {Object} semester - Semester the course belongs to
+ * @param {Object} course - Course
+ * @param {string} [untilDate] - Last date to list (yyyy-MM-dd), defaults to the semester end
+ * @returns {Array<{id: string, date: string, start: string, end: string, week: number,
+ *     status: string, recordingId: string}>} Sessions in chronological order, with
+ *     their attendance ('' status when unmarked), or [] if the semester has no dates
+ */
+function listCourseSessions(semester, course, untilDate) {
+    const first = toDayNumber(semester?.startDate);
+    const semesterEnd = toDayNumber(semester?.endDate);
+    if (first === null || semesterEnd === null || !course.schedule?.length) return [];
+
+    const until = toDayNumber(untilDate);
+    const last = until === null ? semesterEnd : Math.min(until, semesterEnd);
+    const records = new Map((course.attendance || []).map(record => [record.id, record]));
+    const slots = [...course.schedule].sort((a, b) => a.start.localeCompare(b.start));
+    const sessions = [];
+
+    for (let day = first; day <= last; day++) {
+        const date = fromDayNumber(day);
+        const weekday = new Date(day * MS_PER_DAY).getUTCDay();
+        if (!slots.some(slot => slot.day === weekday) || !isClassDay(semester, date)) continue;
+
+        const week = getSemesterWeek(semester, date).week;
+        slots.filter(slot => slot.day === weekday).forEach(slot => {
+            const id = getSessionId(date, slot.start);
+            const record = records.get(id);
+            sessions.push({
+                id,
+                date,
+                start: slot.start,
+                end: slot.end,
+                week,
+                status: record?.status || '',
+                recordingId: record?.recordingId || ''
+            });
+        });
+    }
+
+    return sessions;
+}
+
+/**
+ * Finds a recording in the Lectures and Tutorials tabs.
+ * @param {Object} course - Course
+ * @param {string} recordingId - Recording ID
+ * @returns {{tabId: string, index: number, item: Object}|null} Recording and
+ *     its position, or null if it no longer exists
+ */
+function findSessionRecording(course, recordingId) {
+    if (!recordingId) return null;
+
+    for (const tabId of ATTENDANCE_RECORDING_TABS) {
+        const items = getRecordingTab(course, tabId)?.items || [];
+        const index = items.findIndex(item => item.id === recordingId);
+        if (index !== -1) return { tabId, index, item: items[index] };
+    }
+    return null;
+}
+
+/**
+ * Checks whether a recording name mentions a date, as dd.mm, dd/mm or
+ * dd-mm (with an optional year) or as yyyy-MM-dd.
+ * @param {string} name - Recording name
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {boolean} True if the date appears in the name
+ */
+function nameMentionsDate(name, dateStr) {
+    if (name.includes(dateStr)) return true;
+
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const text = name.replace(/\d{4}-\d{2}-\d{2}/g, ' ');
+    for (const match of text.matchAll(/(?:^|\D)(\d{1,2})[./-](\d{1,2})(?:[./-](\d{4}|\d{2}))?(?!\d)/g)) {
+        if (Number(match[1]) !== day || Number(match[2]) !== month) continue;
+        if (!match[3] || Number(match[3]) % 100 === year % 100) return true;
+    }
+    return false;
+}
+
+/**
+ * Finds the recording of a session by the date in its name. Recordings
+ * already linked to another session are skipped.
+ * @param {Object} course - Course
+ * @param {{id: string, date: string}} session - Session
+ * @returns {Object|null} Matching recording, or null
+ */
+function matchSessionRecording(course, session) {
+    const linked = new Set((course.attendance || [])
+        .filter(record => record.id !== session.id && record.recordingId)
+        .map(record => record.recordingId));
+
+    for (const tabId of ATTENDANCE_RECORDING_TABS) {
+        const match = (getRecordingTab(course, tabId)?.items || [])
+            .find(item => !linked.has(item.id) && nameMentionsDate(item.name || '', session.date));
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Sets the attendance of a session. Setting the current status again clears
+ * it. Marking a session missed links its recording when one matches.
+ * @param {Object} course - Course (mutated)
+ * @param {{id: string, date: string}} session - Session
+ * @param {string} status - 'attended', 'missed' or 'cancelled'
+ * @returns {Object|null} Attendance record, or null if cleared
+ */
+function setSessionStatus(course, session, status) {
+    if (!course.attendance) course.attendance = [];
+    const index = course.attendance.findIndex(record => record.id === session.id);
+    const record = course.attendance[index];
+
+    if (record?.status === status || !ATTENDANCE_STATUSES[status]) {
+        if (index !== -1) course.attendance.splice(index, 1);
+        return null;
+    }
+
+    const updated = { id: session.id, status, recordingId: record?.recordingId || '' };
+    if (status === 'missed' && !findSessionRecording(course, updated.recordingId)) {
+        updated.recordingId = matchSessionRecording(course, session)?.id || '';
+    }
+
+    if (index === -1) course.attendance.push(updated);
+    else course.attendance[index] = updated;
+    course.attendance.sort((a, b) => a.id.localeCompare(b.id));
+    return updated;
+}
+
+/**
+ * Links a recording to a marked session.
+ * @param {Object} course - Course (mutated)
+ * @param {string} sessionId - Session ID
+ * @param {string} recordingId - Recording ID, or '' to unlink
+ */
+function setSessionRecording(course, sessionId, recordingId) {
+    const record = (course.attendance || []).find(r => r.id === sessionId);
+    if (record) record.recordingId = recordingId;
+}
+
+/**
+ * Gets the IDs of the recordings linked to missed sessions.
+ * @param {Object} course - Course
+ * @returns {Set<string>} Recording IDs
+ */
+function getMissedRecordingIds(course) {
+    return new Set((course.attendance || [])
+        .filter(record => record.status === 'missed' && record.recordingId)
+        .map(record => record.recordingId));
+}
+
+/**
+ * Computes the attendance of a course up to a date.
+ * @param {Object} semester - Semester the course belongs to
+ * @param {Object} course - Course
+ * @param {string} [today] - Date in yyyy-MM-dd format, defaults to today
+ * @returns {{attended: number, missed: number, cancelled: number, unmarked: number,
+ *     rate: number|null, toWatch: number}} Session counts so far, the share of
+ *     held sessions attended (null before any is marked), and the missed
+ *     sessions whose linked recording is unwatched
+ */
+function getAttendanceStats(semester, course, today = getTodayDateString()) {
+    const stats = { attended: 0, missed: 0, cancelled: 0, unmarked: 0, rate: null, toWatch: 0 };
+
+    listCourseSessions(semester, course, today).forEach(session => {
+        if (!session.status) {
+            stats.unmarked++;
+            return;
+        }
+        stats[session.status]++;
+        if (session.status === 'missed' && findSessionRecording(course, session.recordingId)?.item.watched === false) {
+            stats.toWatch++;
+        }
+    });
+
+    const held = stats.attended + stats.missed;
+    if (held > 0) stats.rate = stats.attended / held;
+    return stats;
+}
+
+// ============================================================================
+// ATTENDANCE TAB UI
+// ============================================================================
+
+/**
+ * Gets the last day of the current week (Saturday).
+ * @returns {string} Date in yyyy-MM-dd format
+ */
+function getEndOfCurrentWeek() {
+    const today = toDayNumber(getTodayDateString());
+    return fromDayNumber(today + 6 - new Date(today * MS_PER_DAY).getUTCDay());
+}
+
+/**
+ * Builds the recording picker of a missed session.
+ * @param {Object} course - Course
+ * @param {Object} session - Session
+ * @returns {string} HTML
+ */
+function buildSessionRecordingHtml(course, session) {
+    const linked = findSessionRecording(course, session.recordingId);
+    const groups = ATTENDANCE_RECORDING_TABS.map(tabId => getRecordingTab(course, tabId))
+        .filter(tab => tab?.items.length > 0)
+        .map(tab => `
+            <optgroup label="${escapeHtml(tab.name)}">
+                ${tab.items.map(item => `
+                    <option value="${escapeHtml(item.id)}" ${item.id === linked?.item.id ? 'selected' : ''}>
+                        ${escapeHtml(item.name || 'Untitled Recording')}${item.watched ? ' ✓' : ''}
+                    </option>
+                `).join('')}
+            </optgroup>
+        `).join('');
+
+    return `
+        <div class="attendance-recording">
+            <select data-field="recording" aria-label="Recording">
+                <option value="">No recording linked</option>
+                ${groups}
+            </select>
+            <button class="btn-secondary attendance-watch-btn" data-action="watch" ${linked ? '' : 'disabled'}>
+                ${linked?.item.watched ? 'Watched' : 'Watch'}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Renders the attendance tab of the course modal.
+ * @param {Object} course - Course
+ */
+function renderAttendanceTab(course) {
+    const summaryEl = $('attendance-summary');
+    const listEl = $('attendance-list');
+    if (!summaryEl || !listEl) return;
+
+    const semester = getCurrentSemester();
+    listEl.innerHTML = '';
+
+    if (!semester?.startDate) {
+        summaryEl.innerHTML = '<div class="attendance-empty">Set the semester dates in Settings → Calendar to track attendance.</div>';
+        return;
+    }
+    if (!course.schedule?.length) {
+        summaryEl.innerHTML = '<div class="attendance-empty">Add the course\'s weekly schedule in the Details tab to track attendance.</div>';
+        return;
+    }
+
+    const today = getTodayDateString();
+    const sessions = listCourseSessions(semester, course, getEndOfCurrentWeek()).reverse();
+    if (sessions.length === 0) {
+        summaryEl.innerHTML = '<div class="attendance-empty">Sessions appear here once the semester starts.</div>';
+        return;
+    }
+
+    const stats = getAttendanceStats(semester, course, today);
+    const extras = [
+        stats.cancelled > 0 ? `${stats.cancelled} cancelled` : '',
+        stats.toWatch > 0 ? `<strong>${stats.toWatch} to watch</strong>` : '',
+        stats.unmarked > 0 ? `${stats.unmarked} unmarked` : ''
+    ].filter(Boolean);
+    summaryEl.innerHTML = `
+        <div class="attendance-summary-row">
+            <span>Attended: <strong>${stats.attended}/${stats.attended + stats.missed}</strong>${stats.rate !== null ? ` <span class="attendance-muted">(${Math.round(stats.rate * 100)}%)</span>` : ''}</span>
+            ${extras.length > 0 ? `<span class="attendance-muted">${extras.join(' · ')}</span>` : ''}
+        </div>
+    `;
+
+    listEl.innerHTML = sessions.map(session => {
+        const date = new Date(`${session.date}T00:00:00`);
+        const label = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        const buttons = Object.entries(ATTENDANCE_STATUSES).map(([status, text]) => `
+            <button class="attendance-status-btn ${session.status === status ? 'active' : ''}" data-status="${status}"
+                aria-pressed="${session.status === status}">${text}</button>
+        `).join('');
+
+        return `
+            <div class="attendance-row ${session.status ? `status-${session.status}` : ''} ${session.date > today ? 'upcoming' : ''}"
+                data-session-id="${escapeHtml(session.id)}">
+                <div class="attendance-when">
+                    <span class="attendance-date">${escapeHtml(label)}</span>
+                    <span class="attendance-muted">${escapeHtml(session.start)}–${escapeHtml(session.end)} · Week ${session.week}</span>
+                </div>
+                <div class="attendance-status-btns">${buttons}</div>
+                ${session.status === 'missed' ? buildSessionRecordingHtml(course, session) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Saves an attendance change and refreshes everything showing it.
+ * @param {Object} course - Course
+ */
+function refreshAttendance(course) {
+    saveData();
+    renderAttendanceTab(course);
+    renderRecordingsList(course);
+    renderCourses();
+}
+
+/**
+ * Sets up the attendance tab events.
+ */
+function setupAttendanceTab() {
+    const list = $('attendance-list');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.attendance-row');
+        const course = getCourse(editingCourseId);
+        if (!row || !course) return;
+
+        const sessionId = row.dataset.sessionId;
+        const statusBtn = e.target.closest('[data-status]');
+        if (statusBtn) {
+            const session = listCourseSessions(getCurrentSemester(), course).find(s => s.id === sessionId);
+            if (!session) return;
+            setSessionStatus(course, session, statusBtn.dataset.status);
+            refreshAttendance(course);
+            return;
+        }
+
+        if (e.target.closest('[data-action="watch"]')) {
+            const record = (course.attendance || []).find(r => r.id === sessionId);
+            const recording = findSessionRecording(course, record?.recordingId);
+            if (!recording) return;
+            switchCourseModalTab('recordings');
+            highlightRecordingItem(course, recording.tabId, recording.index);
+        }
+    });
+
+    list.addEventListener('change', (e) => {
+        if (e.target.dataset.field !== 'recording') return;
+        const course = getCourse(editingCourseId);
+        if (!course) return;
+
+        setSessionRecording(course, e.target.closest('.attendance-row').dataset.sessionId, e.target.value);
+        refreshAttendance(course);
+    });
+}
+
+window.getSessionId = getSessionId;
+window.listCourseSessions = listCourseSessions;
+window.findSessionRecording = findSessionRecording;
+window.matchSessionRecording = matchSessionRecording;
+window.setSessionStatus = setSessionStatus;
+window.setSessionRecording = setSessionRecording;
+window.getMissedRecordingIds = getMissedRecordingIds;
+window.getAttendanceStats = getAttendanceStats;
+window.renderAttendanceTab = renderAttendanceTab;
+window.setupAttendanceTab = setupAttendanceTab;
@@ -0,0 +1,457 @@
+/**
+ * @fileoverview Automatic local snapshot backups of profile data.
+ *
+ * Before a profile payload is overwritten (saveData, cloud merge/remote
+ * update, restore) the stored copy is kept as a timestamped snapshot.
+ * Retention: the newest BACKUP_CONFIG.MAX_RECENT snapshots plus the newest
+ * snapshot of each of the last BACKUP_CONFIG.DAILY_DAYS days.
+ * The settings "Backups" tab lists snapshots and can preview or restore them.
+ */
+
+'use strict';
+
+const BackupManager = (() => {
+    const LOG = '[Backups]';
+
+    /**
+     * Fallback retention when only localStorage (~5MB) is available: a single
+     * snapshot, since every one is a full copy of the profile.
+     */
+    const LOCAL_STORAGE_RETENTION = Object.freeze({ maxRecent: 1, dailyDays: 0 });
+
+    /**
+     * Newest snapshot taken by this tab, per profile. Lets frequent saves be
+     * coalesced without reading the stored backup list.
+     * @type {Map<string, {ts: number, reason: string}>}
+     */
+    const latestSnapshots = new Map();
+
+    // ========================================================================
+    // STORAGE
+    // ========================================================================
+
+    /**
+     * @param {string} profileId - Profile ID
+     * @returns {string} Storage key holding the profile's backups
+     */
+    function getBackupKey(profileId) {
+        return STORAGE_KEYS.BACKUP_PREFIX + profileId;
+    }
+
+    /**
+     * Reads the stored backups of a profile.
+     * @param {string} profileId - Profile ID
+     * @returns {Array<{id: string, ts: number, reason: string, payload: Object}>} Backups
+     */
+    function readBackups(profileId) {
+        try {
+            const raw = AppStorage.getItem(getBackupKey(profileId));
+            const parsed = raw ? JSON.parse(raw) : [];
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (err) {
+            console.warn(LOG, 'Failed reading backups:', err);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {{maxRecent: number, dailyDays: number}} Retention for the active backend
+     */
+    function getRetention() {
+        if (AppStorage.getBackendName() === 'localStorage') return LOCAL_STORAGE_RETENTION;
+        return { maxRecent: BACKUP_CONFIG.MAX_RECENT, dailyDays: BACKUP_CONFIG.DAILY_DAYS };
+    }
+
+    // ========================================================================
+    // PURE HELPERS
+    // ========================================================================
+
+    /**
+     * Serializes a payload without its lastModified timestamp, so snapshots
+     * that differ only in save time compare equal.
+     * @param {Object} payload - Stored payload
+     * @returns {string} Comparable string
+     */
+    function contentKey(payload) {
+        const { t: _t, lastModified: _lastModified, ...rest } = payload || {};
+        return JSON.stringify(rest);
+    }
+
+    /**
+     * Applies the retention rules.
+     * @param {Array<{ts: number}>} backups - Backups in any order
+     * @param {Object} retention - {maxRecent, dailyDays}
+     * @param {number} [now=Date.now()] - Current time (ms)
+     * @returns {Array} Backups to keep, newest first
+     */
+    function pruneBackups(backups, retention, now = Date.now()) {
+        const sorted = [...backups].sort((a, b) => b.ts - a.ts);
+        const kept = sorted.slice(0, retention.maxRecent);
+
+        const dayKey = ts => new Date(ts).toDateString();
+        const keptDays = new Set(kept.map(b => dayKey(b.ts)));
+        const oldestDaily = now - retention.dailyDays * 24 * 60 * 60 * 1000;
+
+        for (const backup of sorted.slice(retention.maxRecent)) {
+            const day = dayKey(backup.ts);
+            if (backup.ts >= oldestDaily && !keptDays.has(day)) {
+                kept.push(backup);
+                keptDays.add(day);
+            }
+        }
+
+        return kept;
+    }
+
+    /**
+     * Counts the contents of a stored payload.
+     * @param {Object} payload - Stored payload (any version)
+     * @returns {{semesters: number, courses: number, recordings: number, homework: number}} Counts
+     */
+    function summarizePayload(payload) {
+        const data = hydrateFromStorage(payload);
+        const summary = { semesters: data.semesters.length, courses: 0, recordings: 0, homework: 0 };
+        data.semesters.forEach(semester => {
+            summary.courses += semester.courses.length;
+            semester.courses.forEach(course => {
+                summary.homework += course.homework.length;
+                course.recordings.tabs.forEach(tab => {
+                    summary.recordings += tab.items.length;
+                });
+            });
+        });
+        return summary;
+    }
+
+    /**
+     * Describes how a course differs between two versions.
+     * @param {Object} from - Course before
+     * @param {Object} to - Course after
+     * @returns {string[]} Human-readable changes (empty if identical)
+     */
+    function describeCourseChanges(from, to) {
+        const changes = [];
+        const countItems = course => course.recordings.tabs.reduce((sum, tab) => sum + tab.items.length, 0);
+        const countWatched = course => course.recordings.tabs.reduce(
+            (sum, tab) => sum + tab.items.filter(item => item.watched).length, 0);
+        const countDone = course => course.homework.filter(hw => hw.completed).length;
+
+        if (countItems(from) !== countItems(to)) {
+            changes.push(`recordings ${countItems(from)} → ${countItems(to)}`);
+        } else if (JSON.stringify(from.recordings) !== JSON.stringify(to.recordings)) {
+            changes.push(countWatched(from) !== countWatched(to)
+                ? `watched ${countWatched(from)} → ${countWatched(to)}`
+                : 'recordings edited');
+        }
+
+        if (from.homework.length !== to.homework.length) {
+            changes.push(`homework ${from.homework.length} → ${to.homework.length}`);
+        } else if (JSON.stringify(from.homework) !== JSON.stringify(to.homework)) {
+            changes.push(countDone(from) !== countDone(to)
+                ? `completed ${countDone(from)} → ${countDone(to)}`
+                : 'homework edited');
+        }
+
+        const { recordings: _fr, homework: _fh, ...fromDetails } = from;
+        const { recordings: _tr, homework: _th, ...toDetails } = to;
+        if (JSON.stringify(fromDetails) !== JSON.stringify(toDetails)) {
+            changes.push('details edited');
+        }
+
+        return changes;
+    }
+
+    /**
+     * Compares two stored payloads at semester and course level.
+     * @param {Object} fromPayload - Payload before (e.g. current data)
+     * @param {Object} toPayload - Payload after (e.g. backup to restore)
+     * @returns {{semestersAdded: string[], semestersRemoved: string[], coursesAdded: string[],
+     *           coursesRemoved: string[], coursesChanged: Array<{name: string, changes: string[]}>}} Diff
+     */
+    function diffPayloads(fromPayload, toPayload) {
+        const from = hydrateFromStorage(fromPayload);
+        const to = hydrateFromStorage(toPayload);
+        const diff = { semestersAdded: [], semestersRemoved: [], coursesAdded: [], coursesRemoved: [], coursesChanged: [] };
+
+        const indexCourses = data => {
+            const map = new Map();
+            data.semesters.forEach(semester => {
+                semester.courses.forEach(course => map.set(course.id, { course, semester }));
+            });
+            return map;
+        };
+
+        const fromSemesters = new Map(from.semesters.map(s => [s.id, s]));
+        const toSemesters = new Map(to.semesters.map(s => [s.id, s]));
+        to.semesters.forEach(s => { if (!fromSemesters.has(s.id)) diff.semestersAdded.push(s.name); });
+        from.semesters.forEach(s => { if (!toSemesters.has(s.id)) diff.semestersRemoved.push(s.name); });
+
+        const fromCourses = indexCourses(from);
+        const toCourses = indexCourses(to);
+        const label = ({ course, semester }) => `${course.name} (${semester.name})`;
+
+        toCourses.forEach((entry, id) => {
+            const previous = fromCourses.get(id);
+            if (!previous) {
+                diff.coursesAdded.push(label(entry));
+                return;
+            }
+            const changes = describeCourseChanges(previous.course, entry.course);
+            if (changes.length > 0) diff.coursesChanged.push({ name: label(entry), changes });
+        });
+        fromCourses.forEach((entry, id) => {
+            if (!toCourses.has(id)) diff.coursesRemoved.push(label(entry));
+        });
+
+        return diff;
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Snapshots the currently stored payload of a profile before it is overwritten.
+     * Skipped if nothing is stored, if the content equals the newest backup,
+     * or (for 'save') if the newest backup is a 'save' within COALESCE_MS.
+     * Never throws: a failed backup must not block the save itself.
+     * @param {string} profileId - Profile ID
+     * @param {string} reason - 'save', 'cloud', 'restore' or 'manual'
+     * @param {Object} [options={}] - {force: boolean} skip the coalescing window
+     * @returns {Object|null} Created backup, or null if skipped
+     */
+    function snapshot(profileId, reason, options = {}) {
+        try {
+            const now = Date.now();
+            const isCoalesced = latest => !options.force && reason === 'save' && latest?.reason === 'save' &&
+                now - latest.ts < BACKUP_CONFIG.COALESCE_MS;
+            if (isCoalesced(latestSnapshots.get(profileId))) return null;
+
+            const raw = AppStorage.getItem(STORAGE_KEYS.DATA_PREFIX + profileId);
+            if (!raw) return null;
+
+            const payload = JSON.parse(raw);
+            const backups = readBackups(profileId).sort((a, b) => b.ts - a.ts);
+            const latest = backups[0];
+
+            if (latest && contentKey(latest.payload) === contentKey(payload)) return null;
+            if (isCoalesced(latest)) return null;
+
+            const backup = { id: generateId(), ts: now, reason, payload };
+            const kept = pruneBackups([backup, ...backups], getRetention(), now);
+            AppStorage.setItem(getBackupKey(profileId), JSON.stringify(kept));
+            latestSnapshots.set(profileId, { ts: now, reason });
+            return backup;
+        } catch (err) {
+            console.warn(LOG, 'Snapshot failed:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Lists backups of a profile with size and content counts, newest first.
+     * @param {string} profileId - Profile ID
+     * @returns {Array<{id: string, ts: number, reason: string, size: number, summary: Object}>} Backups
+     */
+    function list(profileId) {
+        return readBackups(profileId)
+            .sort((a, b) => b.ts - a.ts)
+            .map(backup => ({
+                id: backup.id,
+                ts: backup.ts,
+                reason: backup.reason,
+                size: new Blob([JSON.stringify(backup.payload)]).size,
+                summary: summarizePayload(backup.payload)
+            }));
+    }
+
+    /**
+     * Gets a single backup.
+     * @param {string} profileId - Profile ID
+     * @param {string} backupId - Backup ID
+     * @returns {Object|null} Backup with payload
+     */
+    function get(profileId, backupId) {
+        return readBackups(profileId).find(b => b.id === backupId) || null;
+    }
+
+    /**
+     * Deletes all backups of a profile (used when the profile is deleted).
+     * @param {string} profileId - Profile ID
+     */
+    function removeAll(profileId) {
+        latestSnapshots.delete(profileId);
+        AppStorage.removeItem(getBackupKey(profileId));
+    }
+
+    return Object.freeze({
+        snapshot,
+        list,
+        get,
+        removeAll,
+        pruneBackups,
+        summarizePayload,
+        diffPayloads
+    });
+})();
+
+// ============================================================================
+// BACKUPS SETTINGS TAB
+// ============================================================================
+
+/** @const {Object<string, string>} Labels for backup reasons */
+const BACKUP_REASON_LABELS = Object.freeze({
+    save: 'Before save',
+    cloud: 'Before cloud sync',
+    restore: 'Before restore',
+    manual: 'Manual'
+});
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatBackupSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Formats a backup timestamp for display.
+ * @param {number} ts - Timestamp (ms)
+ * @returns {string} Formatted date and time
+ */
+function formatBackupTime(ts) {
+    return new Date(ts).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Renders the backups list of the active profile in the settings modal.
+ */
+function renderBackupsList() {
+    const container = $('backups-list');
+    if (!container) return;
+
+    const preview = $('backup-preview');
+    if (preview) preview.innerHTML = '';
+
+    const backups = BackupManager.list(activeProfileId);
+    if (backups.length === 0) {
+        container.innerHTML = '<div class="backups-empty">No backups yet. Backups are created automatically when your data changes.</div>';
+        return;
+    }
+
+    container.innerHTML = backups.map(backup => {
+        const { semesters, courses } = backup.summary;
+        const meta = [
+            BACKUP_REASON_LABELS[backup.reason] || backup.reason,
+            `${semesters} semester${semesters === 1 ? '' : 's'}`,
+            `${courses} course${courses === 1 ? '' : 's'}`,
+            formatBackupSize(backup.size)
+        ].join(' · ');
+
+        return `
+            <div class="backup-item">
+                <div class="backup-item-info">
+                    <div class="backup-item-title">${escapeHtml(formatBackupTime(backup.ts))}</div>
+                    <div class="backup-item-meta">${escapeHtml(meta)}</div>
+                </div>
+                <div class="backup-item-actions">
+                    <button class="btn-secondary" onclick="previewBackup('${backup.id}')">Preview</button>
+                    <button class="btn-primary" onclick="restoreBackup('${backup.id}')">Restore</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Shows what restoring a backup would change compared to the current data.
+ * @param {string} backupId - Backup ID
+ */
+function previewBackup(backupId) {
+    const preview = $('backup-preview');
+    const backup = BackupManager.get(activeProfileId, backupId);
+    if (!preview || !backup) return;
+
+    const diff = BackupManager.diffPayloads(compactForStorage(appData), backup.payload);
+    const section = (title, items) => items.length === 0 ? '' : `
+        <div class="backup-diff-section">
+            <div class="backup-diff-title">${title}</div>
+            <ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+        </div>
+    `;
+
+    const body = [
+        section('Semesters restored', diff.semestersAdded),
+        section('Semesters removed', diff.semestersRemoved),
+        section('Courses restored', diff.coursesAdded),
+        section('Courses removed', diff.coursesRemoved),
+        section('Courses changed', diff.coursesChanged.map(c => `${c.name}: ${c.changes.join(', ')}`))
+    ].join('');
+
+    preview.innerHTML = `
+        <div class="backup-diff-header">Restoring the backup from ${escapeHtml(formatBackupTime(backup.ts))} would change:</div>
+        ${body || '<div class="backups-empty">No differences in semesters or courses (settings may differ).</div>'}
+    `;
+}
+
+/**
+ * Restores a backup into the active profile after confirmation.
+ * The current data is backed up first, and the restore can be undone.
+ * @param {string} backupId - Backup ID
+ */
+async function restoreBackup(backupId) {
+    const backup = BackupManager.get(activeProfileId, backupId);
+    if (!backup) return;
+
+    const confirmed = await showConfirmDialog(
+        `Restore the backup from ${formatBackupTime(backup.ts)}?`,
+        {
+            title: 'Restore Backup',
+            description: 'Your current data will be replaced. It is backed up first, so you can switch back later.',
+            confirmText: 'Restore',
+            dangerous: true
+        }
+    );
+
+    if (!confirmed) return;
+
+    BackupManager.snapshot(activeProfileId, 'restore', { force: true });
+
+    appData = hydrateFromStorage(backup.payload);
+    if (!appData.semesters.some(s => s.id === currentSemesterId)) {
+        initializeCurrentSemester();
+    }
+
+    saveData();
+    renderAll();
+    renderBackupsList();
+    ToastManager.success('Backup restored', withUndoAction());
+}
+
+/**
+ * Creates a backup of the current data on demand.
+ */
+function createManualBackup() {
+    const backup = BackupManager.snapshot(activeProfileId, 'manual', { force: true });
+    renderBackupsList();
+    if (backup) {
+        ToastManager.success('Backup created');
+    } else {
+        ToastManager.info('Latest backup already matches your data');
+    }
+}
+
+window.BackupManager = BackupManager;
+window.renderBackupsList = renderBackupsList;
+window.previewBackup = previewBackup;
+window.restoreBackup = restoreBackup;
+window.createManualBackup = createManualBackup;
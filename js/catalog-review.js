@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Catalog back-fill with review. Fetching Technion data no
+ * longer changes courses directly: each local course matched in the catalog
+ * gets a row with the catalog course, how it was matched, and a diff of the
+ * fields the catalog would change. Rows and single fields can be rejected,
+ * and existing values are only overwritten when the student opts in; by
+ * default only empty fields are filled. Name matches start rejected, since
+ * a name contained in another course's name is easily the wrong course.
+ */
+
+'use strict';
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Course fields filled from the catalog, with their catalog field. Exam
+ * fields are the date of the course's assessment of that moed.
+ * @const {ReadonlyArray<{field: string, label: string, source: string, exam?: boolean}>}
+ */
+const CATALOG_REVIEW_FIELDS = Object.freeze([
+    { field: 'number', label: 'Course number', source: 'מספר מקצוע' },
+    { field: 'points', label: 'Points', source: 'נקודות' },
+    { field: 'lecturer', label: 'Lecturer', source: 'אחראים' },
+    { field: 'faculty', label: 'Faculty', source: 'פקולטה' },
+    { field: 'syllabus', label: 'Syllabus', source: 'סילבוס' },
+    { field: 'moedA', label: ASSESSMENT_TYPES.moedA.label, source: 'מועד א', exam: true },
+    { field: 'moedB', label: ASSESSMENT_TYPES.moedB.label, source: 'מועד ב', exam: true },
+    { field: 'moedC', label: ASSESSMENT_TYPES.moedC.label, source: 'מועד ג', exam: true }
+]);
+
+/**
+ * Lists the fields a catalog entry would change on a course.
+ * @param {Object} course - Local course
+ * @param {Object} entry - Catalog entry
+ * @returns {Array<{field: string, label: string, exam: boolean, current: string, incoming: string}>}
+ *     Changes; an empty `current` means the field is filled rather than overwritten
+ */
+function diffCatalogCourse(course, entry) {
+    const gen = entry?.general || {};
+
+    return CATALOG_REVIEW_FIELDS.flatMap(({ field, label, source, exam = false }) => {
+        const raw = gen[source];
+        if (raw === undefined || raw === null || raw === '') return [];
+
+        const incoming = exam ? convertDateFormat(String(raw)) : String(raw);
+        const current = exam
+            ? (course.assessments || []).find(a => a.type === field)?.date || ''
+            : String(course[field] ?? '');
+        // A number written differently (e.g. without its leading zero) is not a change
+        if (field === 'number' && isSameCourseNumber(current, incoming)) return [];
+        return current === incoming ? [] : [{ field, label, exam, current, incoming }];
+    });
+}
+
+/**
+ * Applies catalog changes to a course.
+ * @param {Object} course - Course (mutated)
+ * @param {Array<Object>} changes - Changes from diffCatalogCourse
+ * @returns {number} Number of changes applied
+ */
+function applyCatalogChanges(course, changes) {
+    changes.forEach(change => {
+        if (!change.exam) {
+            course[change.field] = change.incoming;
+            return;
+        }
+        if (!course.assessments) course.assessments = [];
+        const existing = course.assessments.find(a => a.type === change.field);
+        if (existing) existing.date = change.incoming;
+        else course.assessments.push(createAssessment({ type: change.field, date: change.incoming }));
+    });
+
+    if (changes.some(change => change.exam)) course.assessments = sortAssessments(course.assessments);
+    return changes.length;
+}
+
+/**
+ * Fills a course's empty fields from its catalog entry, without review
+ * (for courses created from the catalog).
+ * @param {Object} course - Local course
+ * @param {Object} match - Catalog entry
+ * @returns {boolean} True if changes were made
+ */
+function applyCatalogData(course, match) {
+    return applyCatalogChanges(course, diffCatalogCourse(course, match).filter(change => !change.current)) > 0;
+}
+
+// ============================================================================
+// REVIEW
+// ============================================================================
+
+/**
+ * Builds the review rows for every local course the catalog would change.
+ * @param {Array<Object>} semesters - Local semesters
+ * @param {Object<string, Object>} catalog - Catalog entries by course number
+ * @returns {Array<Object>} Rows with the course, the catalog course, how it was
+ *     matched, and its changes, each with an `accepted` flag
+ */
+function buildCatalogReview(semesters, catalog) {
+    return semesters.flatMap(semester => semester.courses.flatMap(course => {
+        const match = matchCatalogCourse(course, catalog);
+        const changes = match ? diffCatalogCourse(course, match.entry) : [];
+        if (changes.length === 0) return [];
+
+        return [{
+            semesterId: semester.id,
+            semesterName: semester.name,
+            courseId: course.id,
+            courseName: course.name,
+            catalogCourse: getCatalogCourseInfo(match.entry),
+            method: match.method,
+            accepted: match.method !== 'name',
+            changes: changes.map(change => ({ ...change, accepted: true }))
+        }];
+    }));
+}
+
+/**
+ * Lists the changes of a row that will be applied.
+ * @param {Object} row - Review row
+ * @param {boolean} overwrite - Whether existing values may be overwritten
+ * @returns {Array<Object>} Accepted changes
+ */
+function getSelectedCatalogChanges(row, overwrite) {
+    if (!row.accepted) return [];
+    return row.changes.filter(change => change.accepted && (overwrite || !change.current));
+}
+
+/**
+ * Applies the accepted rows and fields of a review.
+ * @param {Array<Object>} semesters - Local semesters
+ * @param {{rows: Array<Object>, overwrite: boolean}} review - Review
+ * @returns {number} Number of courses changed
+ */
+function applyCatalogReview(semesters, review) {
+    let updatedCount = 0;
+
+    review.rows.forEach(row => {
+        const changes = getSelectedCatalogChanges(row, review.overwrite);
+        const course = semesters.find(s => s.id === row.semesterId)?.courses.find(c => c.id === row.courseId);
+        if (course && changes.length > 0 && applyCatalogChanges(course, changes) > 0) updatedCount++;
+    });
+
+    return updatedCount;
+}
+
+// ============================================================================
+// REVIEW MODAL
+// ============================================================================
+
+/**
+ * Renders the review rows and the number of selected changes.
+ */
+function renderCatalogReview() {
+    const list = $('catalog-review-list');
+    if (!list) return;
+
+    const review = window.tempCatalogReview;
+    list.innerHTML = review.rows.map((row, rowIndex) => {
+        const fields = row.changes.map((change, changeIndex) => {
+            const locked = Boolean(change.current) && !review.overwrite;
+            return `
+                <label class="catalog-review-field ${locked ? 'locked' : ''}" title="${escapeHtml(change.current ? `${change.current} → ${change.incoming}` : change.incoming)}">
+                    <input type="checkbox" data-row="${rowIndex}" data-change="${changeIndex}"
+                        ${change.accepted && !locked ? 'checked' : ''} ${locked || !row.accepted ? 'disabled' : ''}>
+                    <span class="catalog-review-field-label">${escapeHtml(change.label)}</span>
+                    <span class="catalog-review-field-values">
+                        ${change.current ? `<del>${escapeHtml(change.current)}</del> → ` : ''}<ins>${escapeHtml(change.incoming)}</ins>
+                    </span>
+                </label>
+            `;
+        }).join('');
+
+        return `
+            <div class="catalog-review-row ${row.accepted ? '' : 'rejected'}">
+                <label class="catalog-review-course">
+                    <input type="checkbox" data-row="${rowIndex}" ${row.accepted ? 'checked' : ''}>
+                    <span class="catalog-review-course-name">
+                        <strong>${escapeHtml(row.courseName)}</strong>
+                        <span class="catalog-review-semester">${escapeHtml(row.semesterName)}</span>
+                    </span>
+                    <span class="catalog-review-match">
+                        ${escapeHtml(`${row.catalogCourse.number} ${row.catalogCourse.name}`)}
+                        <span class="catalog-review-method method-${row.method}">${escapeHtml(CATALOG_MATCH_METHODS[row.method])}</span>
+                    </span>
+                </label>
+                <div class="catalog-review-fields">${fields}</div>
+            </div>
+        `;
+    }).join('');
+
+    const selected = review.rows.map(row => getSelectedCatalogChanges(row, review.overwrite).length);
+    const courseCount = selected.filter(count => count > 0).length;
+    const fieldCount = selected.reduce((sum, count) => sum + count, 0);
+    $('catalog-review-summary').textContent =
+        `${fieldCount} change${fieldCount === 1 ? '' : 's'} to ${courseCount} of ${review.rows.length} course${review.rows.length === 1 ? '' : 's'} selected`;
+    $('catalog-review-apply-btn').disabled = fieldCount === 0;
+}
+
+/**
+ * Opens the review of catalog changes.
+ * @param {Array<Object>} rows - Rows from buildCatalogReview
+ */
+function openCatalogReview(rows) {
+    window.tempCatalogReview = { rows, overwrite: false };
+    $('catalog-review-overwrite').checked = false;
+    renderCatalogReview();
+    openModal('catalog-review-modal');
+}
+
+/**
+ * Applies the selected changes and closes the review.
+ */
+function applySelectedCatalogChanges() {
+    const updatedCount = applyCatalogReview(appData.semesters, window.tempCatalogReview);
+    closeModal('catalog-review-modal');
+    if (updatedCount === 0) return;
+
+    saveData();
+    renderAll();
+    ToastManager.success(`Updated ${updatedCount} course${updatedCount === 1 ? '' : 's'} from the catalog`, withUndoAction());
+}
+
+/**
+ * Sets up the catalog review events.
+ */
+function setupCatalogReview() {
+    $('catalog-review-overwrite')?.addEventListener('change', (e) => {
+        window.tempCatalogReview.overwrite = e.target.checked;
+        renderCatalogReview();
+    });
+
+    $('catalog-review-list')?.addEventListener('change', (e) => {
+        const row = window.tempCatalogReview.rows[Number(e.target.dataset.row)];
+        if (!row) return;
+        if (e.target.dataset.change !== undefined) row.changes[Number(e.target.dataset.change)].accepted = e.target.checked;
+        else row.accepted = e.target.checked;
+        renderCatalogReview();
+    });
+
+    $('catalog-review-apply-btn')?.addEventListener('click', applySelectedCatalogChanges);
+}
+
+window.diffCatalogCourse = diffCatalogCourse;
+window.applyCatalogChanges = applyCatalogChanges;
+window.applyCatalogData = applyCatalogData;
+window.buildCatalogReview = buildCatalogReview;
+window.getSelectedCatalogChanges = getSelectedCatalogChanges;
+window.applyCatalogReview = applyCatalogReview;
+window.openCatalogReview = openCatalogReview;
+window.setupCatalogReview = setupCatalogReview;
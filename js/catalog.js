@@ -0,0 +1,474 @@
+/**
+ * @fileoverview Technion SAP catalog entries (`courses_{year}_{semester}.json`,
+ * fetched by fetchTechnionData and the semester planner), searching them, and
+ * their weekly schedule of lecture, tutorial and lab groups.
+ *
+ * Fetched files are cached in the AppStorage 'catalog' record store, one
+ * record per file (so one per semester), read only when needed, and
+ * revalidated with their ETag and Last-Modified date once they are a day old
+ * or on a manual refresh. Offline, the cache is used. With the localStorage
+ * backend nothing is cached, as the files would crowd out profile data.
+ *
+ * Catalog schedule rows look like `{'קבוצה': 10, 'מס.': 12, 'סוג': 'תרגול',
+ * 'יום': 'שני', 'שעה': '10:30 - 12:30', 'בניין': 'טאוב', 'חדר': 2,
+ * 'מרצה/מתרגל': '...'}`. The event number (`מס.`) is the group a student
+ * registers to, and matches the group number of imported schedule slots.
+ */
+
+'use strict';
+
+// ============================================================================
+// CATALOG ENTRIES
+// ============================================================================
+
+/**
+ * Most catalog search results listed at once.
+ * @const {number}
+ */
+const CATALOG_SEARCH_LIMIT = 20;
+
+/**
+ * Fetches the SAP semester list (`last_semesters.json`: `{year, semester,
+ * start, end}` entries), from the cache when fresh or offline.
+ * @param {{refresh?: boolean}} [options] - Revalidate even a fresh cache
+ * @returns {Promise<Array<Object>>} SAP semesters
+ */
+async function fetchSapSemesters(options = {}) {
+    const semesters = await fetchCatalogFile(CATALOG_SEMESTERS_FILE, options);
+    if (!Array.isArray(semesters) || semesters.length === 0) throw new Error('No semester data found.');
+    return semesters;
+}
+
+/**
+ * Fetches the catalog entries of one SAP semester, from the cache when
+ * fresh or offline.
+ * @param {{year: number, semester: number}} sapSemester - SAP semester
+ * @param {{refresh?: boolean}} [options] - Revalidate even a fresh cache
+ * @returns {Promise<Array<Object>>} Catalog entries with a course number
+ */
+async function fetchCatalogEntries(sapSemester, options = {}) {
+    return readCatalogEntries(await fetchCatalogFile(getCatalogFileName(sapSemester), options));
+}
+
+/**
+ * Keeps the catalog entries that have a course number.
+ * @param {*} data - Contents of a course file
+ * @returns {Array<Object>} Catalog entries
+ */
+function readCatalogEntries(data) {
+    return (Array.isArray(data) ? data : []).filter(entry => entry?.general?.['מספר מקצוע']);
+}
+
+/**
+ * Adds catalog entries to a catalog keyed by course number. Entries of a
+ * later semester replace those of an earlier one.
+ * @param {Object<string, Object>} catalog - Catalog (mutated)
+ * @param {Array<Object>} entries - Catalog entries
+ */
+function addCatalogEntries(catalog, entries) {
+    entries.forEach(entry => {
+        catalog[getCatalogCourseInfo(entry).number] = entry;
+    });
+}
+
+/**
+ * Reads the number, name and points of a catalog entry.
+ * @param {Object} entry - Catalog entry
+ * @returns {{number: string, name: string, points: string}} Course info
+ */
+function getCatalogCourseInfo(entry) {
+    const gen = entry?.general || {};
+    return {
+        number: String(gen['מספר מקצוע'] ?? ''),
+        name: String(gen['שם מקצוע'] ?? '').trim(),
+        points: String(gen['נקודות'] ?? '')
+    };
+}
+
+/**
+ * Searches catalog entries by course number (digits, leading zeros optional)
+ * or by part of the name. Matches at the start come first.
+ * @param {Array<Object>} entries - Catalog entries
+ * @param {string} query - Search text
+ * @param {number} [limit=CATALOG_SEARCH_LIMIT] - Most results
+ * @returns {Array<Object>} Matching entries
+ */
+function searchCatalog(entries, query, limit = CATALOG_SEARCH_LIMIT) {
+    const text = String(query || '').trim().toLowerCase();
+    if (!text) return [];
+
+    const isNumber = /^[\d\s-]+$/.test(text);
+    const digits = text.replace(/\D/g, '').replace(/^0+/, '');
+    if (isNumber && !digits) return [];
+
+    return (entries || [])
+        .map(entry => {
+            const { number, name } = getCatalogCourseInfo(entry);
+            const haystack = isNumber ? number.replace(/^0+/, '') : name.toLowerCase();
+            const needle = isNumber ? digits : text;
+            const index = haystack.indexOf(needle);
+            return { entry, rank: index === 0 ? 0 : 1, found: index !== -1 };
+        })
+        .filter(result => result.found)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit)
+        .map(result => result.entry);
+}
+
+/**
+ * How a local course was matched to a catalog entry, by label.
+ * @const {Object<string, string>}
+ */
+const CATALOG_MATCH_METHODS = Object.freeze({
+    number: 'Exact number',
+    partial: 'Partial number',
+    name: 'Name'
+});
+
+/**
+ * Checks whether a local course number refers to a catalog number: the same
+ * digits, or (for five digits or more) digits the catalog number contains,
+ * such as an old 6-digit number or one missing its leading zero.
+ * @param {string} localNumber - Local course number
+ * @param {string} catalogNumber - Catalog course number
+ * @returns {boolean} Whether both are the same course
+ */
+function isSameCourseNumber(localNumber, catalogNumber) {
+    const local = String(localNumber || '').replace(/\D/g, '');
+    const catalog = String(catalogNumber || '').replace(/\D/g, '');
+    if (!local || !catalog) return false;
+    return local === catalog || (local.length >= 5 && catalog.includes(local));
+}
+
+/**
+ * Finds a local course in the catalog: by its exact number, then by a
+ * catalog number containing it, then by a catalog name containing its name.
+ * @param {Object} course - Local course
+ * @param {Object<string, Object>} catalog - Catalog entries by course number
+ * @returns {{entry: Object, method: string}|null} Entry and how it was
+ *     matched (a CATALOG_MATCH_METHODS key), or null
+ */
+function matchCatalogCourse(course, catalog) {
+    const localNum = (course.number || '').replace(/\D/g, '');
+
+    // Try exact match with local number
+    if (localNum && catalog[localNum]) {
+        return { entry: catalog[localNum], method: 'number' };
+    }
+
+    // Try finding a catalog key that contains the local number
+    const catalogKey = Object.keys(catalog).find(k => isSameCourseNumber(localNum, k));
+    if (catalogKey) return { entry: catalog[catalogKey], method: 'partial' };
+
+    // Fallback: try to match by name
+    if (course.name) {
+        const localName = course.name.toLowerCase().trim();
+        const catalogKey = Object.keys(catalog).find(k => {
+            const catName = catalog[k].general['שם מקצוע'];
+            return catName && catName.toLowerCase().includes(localName);
+        });
+        if (catalogKey) return { entry: catalog[catalogKey], method: 'name' };
+    }
+
+    return null;
+}
+
+/**
+ * Finds a matching course in the catalog.
+ * @param {Object} course - Local course
+ * @param {Object<string, Object>} catalog - Catalog entries by course number
+ * @returns {Object|null} Matching catalog entry
+ */
+function findCatalogMatch(course, catalog) {
+    return matchCatalogCourse(course, catalog)?.entry || null;
+}
+
+// ============================================================================
+// CATALOG CACHE
+// ============================================================================
+
+/**
+ * Name of the SAP semester list file.
+ * @const {string}
+ */
+const CATALOG_SEMESTERS_FILE = 'last_semesters';
+
+/**
+ * Age after which a cached file is revalidated on its next use. A manual
+ * refresh revalidates right away; offline, the cache is used at any age.
+ * @const {number}
+ */
+const CATALOG_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * AppStorage record store holding the cached files.
+ * @const {string}
+ */
+const CATALOG_STORE = 'catalog';
+
+/**
+ * Gets the file name of a SAP semester's courses.
+ * @param {{year: number, semester: number}} sapSemester - SAP semester
+ * @returns {string} E.g. 'courses_2025_201'
+ */
+function getCatalogFileName(sapSemester) {
+    return `courses_${sapSemester.year}_${sapSemester.semester}`;
+}
+
+/**
+ * Reads a cached catalog file.
+ * @param {string} name - File name without extension
+ * @returns {Promise<{data: *, etag: string, lastModified: string, fetchedAt: string, checkedAt: string}|null>}
+ *     Cached file, or null if not cached
+ */
+async function readCatalogCache(name) {
+    try {
+        return await AppStorage.getRecord(CATALOG_STORE, name);
+    } catch (err) {
+        console.warn('Unreadable catalog cache:', name, err);
+        return null;
+    }
+}
+
+/**
+ * Caches a catalog file. A full storage only costs the cache, so the error
+ * is logged rather than shown.
+ * @param {string} name - File name without extension
+ * @param {Object} record - Cached file (see readCatalogCache)
+ * @returns {Promise<void>}
+ */
+async function writeCatalogCache(name, record) {
+    try {
+        await AppStorage.putRecord(CATALOG_STORE, name, record);
+    } catch (err) {
+        console.warn('Could not cache catalog file:', name, err);
+    }
+}
+
+/**
+ * Fetches a file of the Technion SAP data through the cache. A cached file
+ * is used as is while fresh, and otherwise revalidated with its ETag and
+ * Last-Modified date. Offline or when the server fails, the cached file is
+ * used at any age.
+ * @param {string} name - File name without extension
+ * @param {{refresh?: boolean}} [options] - Revalidate even a fresh cache
+ * @returns {Promise<*>} File contents
+ */
+async function fetchCatalogFile(name, { refresh = false } = {}) {
+    const cached = await readCatalogCache(name);
+    const age = cached ? Date.now() - Date.parse(cached.checkedAt) : Infinity;
+    if (cached && ((!refresh && age < CATALOG_CACHE_MAX_AGE_MS) || !isOnline())) return cached.data;
+
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+        response = await fetch(`${TECHNION_SAP_BASE_URL}${name}.json`, { headers });
+    } catch (err) {
+        if (!cached) throw err;
+        console.warn(`Using cached ${name}.json:`, err);
+        return cached.data;
+    }
+
+    const now = new Date().toISOString();
+    if (response.status === 304 && cached) {
+        await writeCatalogCache(name, { ...cached, checkedAt: now });
+        return cached.data;
+    }
+    if (!response.ok) {
+        if (cached) return cached.data;
+        throw new Error(`Failed to fetch ${name}.json (${response.status}).`);
+    }
+
+    const data = await response.json();
+    await writeCatalogCache(name, {
+        data,
+        etag: response.headers.get('ETag') || '',
+        lastModified: response.headers.get('Last-Modified') || '',
+        fetchedAt: now,
+        checkedAt: now
+    });
+    return data;
+}
+
+/**
+ * Reads the cached semester list and the cached files of its semesters.
+ * @returns {Promise<{list: Object, files: Array<Object>}|null>} Cached files,
+ *     or null if nothing is cached
+ */
+async function readCachedCatalogFiles() {
+    const list = await readCatalogCache(CATALOG_SEMESTERS_FILE);
+    if (!list) return null;
+
+    const files = await Promise.all((Array.isArray(list.data) ? list.data : [])
+        .map(sapSemester => readCatalogCache(getCatalogFileName(sapSemester))));
+    return { list, files: files.filter(Boolean) };
+}
+
+/**
+ * Builds the catalog from the cache alone, so catalog features work
+ * offline and before the next fetch.
+ * @returns {Promise<Object<string, Object>>} Catalog entries by course number
+ */
+async function loadCachedCatalog() {
+    const catalog = {};
+    (await readCachedCatalogFiles())?.files.forEach(file => addCatalogEntries(catalog, readCatalogEntries(file.data)));
+    return catalog;
+}
+
+/**
+ * Describes the cached catalog: the semesters and courses it holds and when
+ * its oldest file was last checked.
+ * @returns {Promise<{semesters: number, courses: number, checkedAt: string}|null>} Summary,
+ *     or null if nothing is cached
+ */
+async function getCatalogCacheInfo() {
+    const cached = await readCachedCatalogFiles();
+    if (!cached) return null;
+
+    const catalog = {};
+    cached.files.forEach(file => addCatalogEntries(catalog, readCatalogEntries(file.data)));
+    return {
+        semesters: cached.files.length,
+        courses: Object.keys(catalog).length,
+        checkedAt: [cached.list, ...cached.files].map(file => file.checkedAt).sort()[0]
+    };
+}
+
+/**
+ * Formats how long ago a time was, e.g. '3 hours ago'.
+ * @param {string} isoTime - ISO time
+ * @param {number} [now=Date.now()] - Current time in epoch millis
+ * @returns {string} Age
+ */
+function formatCatalogAge(isoTime, now = Date.now()) {
+    const minutes = Math.floor((now - Date.parse(isoTime)) / 60000);
+    const [value, unit] = minutes < 60 ? [minutes, 'minute']
+        : minutes < 48 * 60 ? [Math.floor(minutes / 60), 'hour']
+            : [Math.floor(minutes / (24 * 60)), 'day'];
+    if (value < 1) return 'just now';
+    return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Shows the cache age in the settings modal.
+ * @returns {Promise<void>}
+ */
+async function renderCatalogCacheStatus() {
+    const status = $('technion-cache-status');
+    if (!status) return;
+
+    if (!AppStorage.hasRecords()) {
+        status.textContent = 'The catalog is not cached in this browser.';
+        return;
+    }
+    const info = await getCatalogCacheInfo();
+    status.textContent = info
+        ? `Cached: ${info.courses} courses from ${info.semesters} semester${info.semesters === 1 ? '' : 's'}, checked ${formatCatalogAge(info.checkedAt)}.`
+        : 'No catalog cached yet.';
+}
+
+// ============================================================================
+// CATALOG SCHEDULE
+// ============================================================================
+
+/**
+ * SAP day names by weekday number.
+ * @const {Object<string, number>}
+ */
+const SAP_DAY_NUMBERS = Object.freeze({
+    'ראשון': 0, 'שני': 1, 'שלישי': 2, 'רביעי': 3, 'חמישי': 4, 'שישי': 5
+});
+
+/**
+ * SAP event kinds by schedule slot type (see SCHEDULE_SLOT_TYPES).
+ * @const {Object<string, string>}
+ */
+const SAP_SLOT_TYPES = Object.freeze({
+    'הרצאה': 'lecture',
+    'תרגול': 'tutorial',
+    'מעבדה': 'lab'
+});
+
+/**
+ * Converts one catalog schedule row to a schedule slot.
+ * @param {Object} row - Catalog schedule row
+ * @returns {Object|null} Schedule slot, or null if the day or time is unreadable
+ */
+function parseCatalogSlot(row) {
+    const day = SAP_DAY_NUMBERS[String(row['יום'] || '').trim()];
+    const time = String(row['שעה'] || '').match(/(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/);
+    if (day === undefined || !time) return null;
+
+    const room = [row['בניין'], row['חדר']].filter(part => part !== undefined && part !== '').join(' ');
+    return {
+        day,
+        start: `${time[1].padStart(2, '0')}:${time[2]}`,
+        end: `${time[3].padStart(2, '0')}:${time[4]}`,
+        type: SAP_SLOT_TYPES[String(row['סוג'] || '').trim()] || '',
+        room,
+        group: String(row['מס.'] ?? row['קבוצה'] ?? ''),
+        instructor: String(row['מרצה/מתרגל'] || '').trim()
+    };
+}
+
+/**
+ * Reads the weekly schedule of a catalog entry. Rows repeated for each
+ * registration group are listed once.
+ * @param {Object|null} entry - Catalog entry
+ * @returns {Array<Object>} Schedule slots
+ */
+function parseCatalogSchedule(entry) {
+    const slots = [];
+    const seen = new Set();
+
+    (entry?.schedule || []).forEach(row => {
+        const slot = parseCatalogSlot(row);
+        if (!slot) return;
+        const key = [slot.type, slot.group, slot.day, slot.start, slot.end].join('|');
+        if (seen.has(key)) return;
+        seen.add(key);
+        slots.push(slot);
+    });
+
+    return slots;
+}
+
+/**
+ * Lists the groups of one kind (e.g. every tutorial group) of a catalog entry.
+ * @param {Object|null} entry - Catalog entry
+ * @param {string} type - Slot type
+ * @returns {Array<{group: string, slots: Array<Object>}>} Groups by number
+ */
+function getCatalogGroups(entry, type) {
+    const groups = new Map();
+    parseCatalogSchedule(entry)
+        .filter(slot => slot.type === type)
+        .forEach(slot => {
+            if (!groups.has(slot.group)) groups.set(slot.group, []);
+            groups.get(slot.group).push(slot);
+        });
+
+    return [...groups.entries()]
+        .map(([group, slots]) => ({ group, slots }))
+        .sort((a, b) => Number(a.group) - Number(b.group) || a.group.localeCompare(b.group));
+}
+
+window.fetchSapSemesters = fetchSapSemesters;
+window.fetchCatalogEntries = fetchCatalogEntries;
+window.addCatalogEntries = addCatalogEntries;
+window.fetchCatalogFile = fetchCatalogFile;
+window.loadCachedCatalog = loadCachedCatalog;
+window.getCatalogCacheInfo = getCatalogCacheInfo;
+window.formatCatalogAge = formatCatalogAge;
+window.renderCatalogCacheStatus = renderCatalogCacheStatus;
+window.getCatalogCourseInfo = getCatalogCourseInfo;
+window.searchCatalog = searchCatalog;
+window.CATALOG_MATCH_METHODS = CATALOG_MATCH_METHODS;
+window.isSameCourseNumber = isSameCourseNumber;
+window.matchCatalogCourse = matchCatalogCourse;
+window.findCatalogMatch = findCatalogMatch;
+window.parseCatalogSchedule = parseCatalogSchedule;
+window.getCatalogGroups = getCatalogGroups;
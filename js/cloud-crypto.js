@@ -0,0 +1,248 @@
+/**
+ * @file cloud-crypto.js
+ * @description Optional end-to-end encryption of the cloud payload.
+ *
+ * The key is derived from a user passphrase with PBKDF2 (SHA-256) and the
+ * payload is encrypted with AES-GCM through WebCrypto. An encrypted cloud
+ * record carries no `payload`, only an envelope in `e`:
+ *   {alg: 'AES-GCM', kdf: 'PBKDF2-SHA256', it, salt, iv, ct}
+ * where salt, iv and ct are base64. The salt is fixed per passphrase; the IV
+ * is fresh for every write.
+ *
+ * Each device asks for the passphrase once and keeps the derived key as a
+ * non-extractable CryptoKey in IndexedDB (an AppStorage record), so neither
+ * the passphrase nor the key bytes are ever stored where they can be read
+ * back. Without IndexedDB the key is only kept until the page is closed.
+ */
+
+'use strict';
+
+const CloudCrypto = (() => {
+    /** @type {number} PBKDF2 iterations for new keys */
+    const PBKDF2_ITERATIONS = 310000;
+
+    /** @type {number} Salt length in bytes */
+    const SALT_BYTES = 16;
+
+    /** @type {number} AES-GCM IV length in bytes */
+    const IV_BYTES = 12;
+
+    /** @type {string} AppStorage record store holding the device key */
+    const KEY_STORE = 'deviceKeys';
+
+    /** @type {Object|null} Device key kept in memory when records are not kept */
+    let sessionKey = null;
+
+    // ========================================================================
+    // ENCODING
+    // ========================================================================
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+     * @returns {string} Base64 string
+     */
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    /**
+     * @param {string} base64 - Base64 string
+     * @returns {Uint8Array} Bytes
+     */
+    function fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} Random bytes
+     */
+    function randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    // ========================================================================
+    // KEYS
+    // ========================================================================
+
+    /**
+     * @returns {boolean} Whether this browser supports the required WebCrypto APIs
+     */
+    function isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Derives the AES key for a passphrase.
+     * @param {string} passphrase - User passphrase
+     * @param {string} salt - Base64 salt
+     * @param {number} [iterations=PBKDF2_ITERATIONS] - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Derives a key for a new passphrase with a fresh salt.
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<{key: CryptoKey, salt: string, iterations: number}>} Key info
+     */
+    async function createKey(passphrase) {
+        const salt = toBase64(randomBytes(SALT_BYTES));
+        return { key: await deriveKey(passphrase, salt), salt, iterations: PBKDF2_ITERATIONS };
+    }
+
+    // ========================================================================
+    // ENCRYPTION
+    // ========================================================================
+
+    /**
+     * Encrypts a payload.
+     * @param {Object} payload - Cloud payload
+     * @param {{key: CryptoKey, salt: string, iterations: number}} keyInfo - Key info
+     * @returns {Promise<Object>} Envelope
+     */
+    async function encrypt(payload, keyInfo) {
+        const iv = randomBytes(IV_BYTES);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            keyInfo.key,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        return {
+            alg: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            it: keyInfo.iterations,
+            salt: keyInfo.salt,
+            iv: toBase64(iv),
+            ct: toBase64(ciphertext)
+        };
+    }
+
+    /**
+     * Decrypts an envelope.
+     * @param {Object} envelope - Envelope from encrypt()
+     * @param {CryptoKey} key - AES-GCM key
+     * @returns {Promise<Object>} Cloud payload
+     * @throws {Error} With code 'bad-key' if the key does not match
+     */
+    async function decrypt(envelope, key) {
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+                key,
+                fromBase64(envelope.ct)
+            );
+        } catch {
+            // AES-GCM authentication fails for a wrong key (or tampered data)
+            const error = new Error('Wrong passphrase');
+            error.code = 'bad-key';
+            throw error;
+        }
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // ========================================================================
+    // DEVICE KEY
+    // ========================================================================
+
+    /**
+     * Moves a key saved by older versions (raw bytes in localStorage) into a
+     * non-extractable key record, removing the localStorage copy.
+     * @returns {Promise<Object|null>} Stored key record
+     */
+    async function migrateLegacyKey() {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem(STORAGE_KEYS.CLOUD_KEY));
+        } catch {
+            legacy = null;
+        }
+        if (!legacy?.key) return null;
+
+        const key = await crypto.subtle.importKey(
+            'raw', fromBase64(legacy.key), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']
+        );
+        const stored = await storeKeyRecord({ uid: legacy.uid, key, salt: legacy.salt, it: legacy.it, confirmed: !!legacy.confirmed });
+        localStorage.removeItem(STORAGE_KEYS.CLOUD_KEY);
+        return stored;
+    }
+
+    /**
+     * Stores a key record in IndexedDB, or in memory if records are not kept.
+     * @param {{uid: string, key: CryptoKey, salt: string, it: number, confirmed: boolean}} record - Key record
+     * @returns {Promise<Object>} The record
+     */
+    async function storeKeyRecord(record) {
+        const saved = await AppStorage.putRecord(KEY_STORE, STORAGE_KEYS.CLOUD_KEY, record);
+        sessionKey = saved ? null : record;
+        return record;
+    }
+
+    /**
+     * Loads the key stored on this device for an account.
+     * `confirmed` is set once the key was used with an encrypted cloud record;
+     * until then a plain cloud record doesn't mean encryption was turned off.
+     * @param {string} uid - Account ID
+     * @returns {Promise<{key: CryptoKey, salt: string, iterations: number, confirmed: boolean}|null>} Key info
+     */
+    async function loadDeviceKey(uid) {
+        const stored = sessionKey
+            || await AppStorage.getRecord(KEY_STORE, STORAGE_KEYS.CLOUD_KEY)
+            || await migrateLegacyKey();
+        if (!stored || stored.uid !== uid || !stored.key) return null;
+
+        return { key: stored.key, salt: stored.salt, iterations: stored.it, confirmed: !!stored.confirmed };
+    }
+
+    /**
+     * Stores the key on this device.
+     * @param {string} uid - Account ID
+     * @param {{key: CryptoKey, salt: string, iterations: number}} keyInfo - Key info
+     * @param {boolean} confirmed - Whether the key is in use in the cloud
+     * @returns {Promise<void>}
+     */
+    async function saveDeviceKey(uid, keyInfo, confirmed) {
+        await storeKeyRecord({ uid, key: keyInfo.key, salt: keyInfo.salt, it: keyInfo.iterations, confirmed });
+    }
+
+    /**
+     * Removes the key from this device.
+     * @returns {Promise<void>}
+     */
+    async function forgetDeviceKey() {
+        sessionKey = null;
+        localStorage.removeItem(STORAGE_KEYS.CLOUD_KEY);
+        await AppStorage.deleteRecord(KEY_STORE, STORAGE_KEYS.CLOUD_KEY);
+    }
+
+    return Object.freeze({
+        isSupported,
+        deriveKey,
+        createKey,
+        encrypt,
+        decrypt,
+        loadDeviceKey,
+        saveDeviceKey,
+        forgetDeviceKey
+    });
+})();
+
+window.CloudCrypto = CloudCrypto;
@@ -69,7 +69,32 @@ const STORAGE_KEYS = Object.freeze({
     PROFILES: 'tollab_profiles',
     ACTIVE_PROFILE: 'tollab_active',
     DATA_PREFIX: 'tollab_',
-    SETTINGS: 'tollab_settings'
+    SETTINGS: 'tollab_settings',
+    BACKUP_PREFIX: 'tollab_backups_',
+    SYNC_BASE: 'tollab_sync_base',
+    SYNC_PROVIDER: 'tollab_sync_provider',
+    CLOUD_KEY: 'tollab_cloud_key',
+    SYNC_QUEUE: 'tollab_sync_queue',
+    TAB_SYNC: 'tollab_tab_sync'
+});
+
+/**
+ * Retention rules for automatic local snapshot backups.
+ * @const {Object}
+ */
+const BACKUP_CONFIG = Object.freeze({
+    MAX_RECENT: 20,     // Always keep the newest N snapshots
+    DAILY_DAYS: 7,      // Plus the newest snapshot of each of the last N days
+    COALESCE_MS: 60000  // Saves within this window of the last save snapshot are skipped
+});
+
+/**
+ * Cloud sync settings.
+ * @const {Object}
+ */
+const SYNC_CONFIG = Object.freeze({
+    REST_POLL_INTERVAL_MS: 30000, // How often the REST/WebDAV provider checks for remote changes
+    QUEUE_MAX_ENTRIES: 100        // Pending-change records kept for display while offline
 });
 
 /**
@@ -78,6 +103,68 @@ const STORAGE_KEYS = Object.freeze({
  */
 const DAY_NAMES_SHORT = Object.freeze(['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']);
 
+/**
+ * Kinds of weekly schedule slots. A slot without a type is shown plainly.
+ * @const {Object<string, {label: string, short: string}>}
+ */
+const SCHEDULE_SLOT_TYPES = Object.freeze({
+    lecture: Object.freeze({ label: 'Lecture', short: 'Lec' }),
+    tutorial: Object.freeze({ label: 'Tutorial', short: 'Tut' }),
+    lab: Object.freeze({ label: 'Lab', short: 'Lab' })
+});
+
+// ============================================================================
+// GRADES, DEGREE PLAN & EXAMS
+// ============================================================================
+
+/**
+ * Grade rules used by the grades dashboard (Technion conventions).
+ * Non-numeric grades are matched case-insensitively; they earn points (or
+ * not) but never count towards the average.
+ * @const {Object}
+ */
+const GRADE_CONFIG = Object.freeze({
+    PASSING_GRADE: 55,
+    PASS: Object.freeze(['pass', 'passed', 'עובר']),
+    FAIL: Object.freeze(['fail', 'failed', 'לא עובר', 'נכשל']),
+    EXEMPT: Object.freeze(['exempt', 'פטור'])
+});
+
+/**
+ * Buckets offered when starting a degree plan. Targets are left for the
+ * student to fill in from their faculty's curriculum.
+ * @const {ReadonlyArray<{name: string, rules: string[]}>}
+ */
+const DEGREE_PLAN_TEMPLATE = Object.freeze([
+    { name: 'Mandatory', rules: [] },
+    { name: 'Faculty Electives', rules: [] },
+    { name: 'Free Electives', rules: [] },
+    { name: 'Sports', rules: ['394*'] },
+    { name: 'Enrichment', rules: ['324*'] }
+]);
+
+/**
+ * Assessment types a course can have. Final exams (`final: true`) are
+ * alternatives: the student attends one of them, picked in the exam planner.
+ * @const {Object<string, {label: string, final: boolean}>}
+ */
+const ASSESSMENT_TYPES = Object.freeze({
+    moedA: Object.freeze({ label: 'Moed A', final: true }),
+    moedB: Object.freeze({ label: 'Moed B', final: true }),
+    moedC: Object.freeze({ label: 'Moed C', final: true }),
+    midterm: Object.freeze({ label: 'Midterm', final: false }),
+    quiz: Object.freeze({ label: 'Quiz', final: false }),
+    project: Object.freeze({ label: 'Project / Presentation', final: false }),
+    other: Object.freeze({ label: 'Other', final: false })
+});
+
+/**
+ * Default minimum number of days between two planned exams before the exam
+ * planner flags them as too close.
+ * @const {number}
+ */
+const DEFAULT_EXAM_MIN_GAP_DAYS = 3;
+
 // ============================================================================
 // THEME SETTINGS
 // ============================================================================
@@ -226,3 +313,10 @@ const HTML_ENTITIES = Object.freeze({
  * @const {number}
  */
 const EXPORT_DATA_VERSION = 1;
+
+/**
+ * Current version of the compact storage format written by compactForStorage.
+ * Bump together with a new entry in STORAGE_MIGRATIONS (state.js).
+ * @const {number}
+ */
+const STORAGE_DATA_VERSION = 10;
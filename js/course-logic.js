@@ -20,20 +20,45 @@ function saveCourse() {
         return;
     }
 
+    const pointsInput = $('course-points');
+    const pointsValidation = validateCoursePoints(pointsInput.value);
+    if (!pointsValidation.valid) {
+        ToastManager.error(`Points: ${pointsValidation.error}`);
+        pointsInput.focus();
+        return;
+    }
+
+    const gradeInput = $('course-grade');
+    const gradeValidation = validateCourseGrade(gradeInput.value);
+    if (!gradeValidation.valid) {
+        ToastManager.error(gradeValidation.error);
+        gradeInput.focus();
+        return;
+    }
+
+    const assessmentsValidation = validateAssessmentList(window.tempAssessments);
+    if (!assessmentsValidation.valid) {
+        ToastManager.error(assessmentsValidation.error);
+        $('assessment-list').querySelectorAll('.assessment-row')[assessmentsValidation.index]
+            ?.querySelector('[data-field="date"]')?.focus();
+        return;
+    }
+
     const semester = getCurrentSemester();
     if (!semester) {
         ToastManager.error('No semester selected');
         return;
     }
 
-    const courseData = buildCourseData(nameValidation.value);
+    const courseData = buildCourseData(nameValidation.value, gradeValidation.value, assessmentsValidation.value);
 
     if (editingCourseId) {
         updateExistingCourse(semester, courseData);
         ToastManager.success('Course updated');
     } else {
-        createNewCourse(semester, courseData);
+        const course = createNewCourse(semester, courseData);
         ToastManager.success(`Course "${nameValidation.value}" created`);
+        warnMissingPrerequisites(semester, course);
     }
 
     saveData();
@@ -44,9 +69,11 @@ function saveCourse() {
 /**
  * Builds course data object from modal inputs.
  * @param {string} name - Course name
+ * @param {string} grade - Validated final grade
+ * @param {Array<Object>} assessments - Validated assessments
  * @returns {Object} Course data object
  */
-function buildCourseData(name) {
+function buildCourseData(name, grade, assessments) {
     const colorTheme = appData.settings.colorTheme || 'colorful';
     const hue = $('course-color-hue').value;
     const color = colorTheme === 'mono' ? 'hsl(0, 0%, 50%)' : `hsl(${hue}, 45%, 50%)`;
@@ -59,13 +86,11 @@ function buildCourseData(name) {
         lecturer: $('course-lecturer').value,
         faculty: $('course-faculty').value,
         location: $('course-location').value,
-        grade: $('course-grade').value,
+        grade,
+        degreeBucket: $('course-degree-bucket').value,
         syllabus: $('course-syllabus').value,
         notes: $('course-notes').value,
-        exams: { 
-            moedA: $('course-exam-a').value, 
-            moedB: $('course-exam-b').value 
-        },
+        assessments,
         schedule: window.tempSchedule
     };
 }
@@ -81,6 +106,11 @@ function updateExistingCourse(semester, courseData) {
     
     Object.assign(course, courseData);
     
+    // The planned exam is chosen in the exam planner; drop it if it was removed
+    if (course.plannedExam && !course.assessments.some(a => a.id === course.plannedExam)) {
+        course.plannedExam = '';
+    }
+    
     // Ensure required structures exist
     if (!course.homework) course.homework = [];
     if (!course.recordings) {
@@ -92,14 +122,18 @@ function updateExistingCourse(semester, courseData) {
  * Creates a new course in the semester.
  * @param {Object} semester - Current semester
  * @param {Object} courseData - Course data
+ * @returns {Object} New course
  */
 function createNewCourse(semester, courseData) {
-    semester.courses.push({
+    const course = {
         id: generateId(),
         ...courseData,
         recordings: createDefaultRecordings(),
-        homework: []
-    });
+        homework: [],
+        attendance: []
+    };
+    semester.courses.push(course);
+    return course;
 }
 
 /**
@@ -131,7 +165,7 @@ async function deleteCourse() {
         `Delete "${courseName}"?`,
         {
             title: 'Delete Course',
-            description: 'This will permanently delete this course and all its recordings, homework, and schedule. This action cannot be undone.',
+            description: 'This will delete this course and all its recordings, homework, and schedule.',
             confirmText: 'Delete',
             dangerous: true
         }
@@ -144,7 +178,7 @@ async function deleteCourse() {
     saveData();
     renderAll();
     closeModal('course-modal');
-    ToastManager.success(`Course "${courseName}" deleted`);
+    ToastManager.success(`Course "${courseName}" deleted`, withUndoAction());
 }
 
 /**
@@ -0,0 +1,507 @@
+/**
+ * @fileoverview Degree requirements tracker: a per-profile degree plan made of
+ * credit-point buckets (mandatory, electives, sports...) with target points.
+ *
+ * Every course in every semester is counted in one bucket: the one picked on
+ * the course by hand, otherwise the first bucket whose course-number rules
+ * match. Rules are written against the digits of the course number:
+ *  - "234114"        exact number
+ *  - "394*"          number prefix
+ *  - "234300-234399" inclusive range
+ * Old 6-digit numbers and the 8-digit ones the catalog uses (394800 and
+ * 03940800) are the same course, and leading zeros are optional.
+ *
+ * A course taken more than once counts once, using its best attempt
+ * (completed, else in progress).
+ */
+
+'use strict';
+
+// ============================================================================
+// NUMBER RULES
+// ============================================================================
+
+/**
+ * Parses course-number rules typed by the user.
+ * @param {string} text - Rules separated by commas or spaces
+ * @returns {{rules: string[], invalid: string[]}} Valid rules and rejected tokens
+ */
+function parseNumberRules(text) {
+    const rules = [];
+    const invalid = [];
+
+    String(text || '').split(/[\s,]+/).filter(Boolean).forEach(token => {
+        const range = token.match(/^(\d+)-(\d+)$/);
+        if (/^\d+\*?$/.test(token) || (range && Number(range[1]) <= Number(range[2]))) {
+            if (!rules.includes(token)) rules.push(token);
+        } else {
+            invalid.push(token);
+        }
+    });
+
+    return { rules, invalid };
+}
+
+/**
+ * Brings a course number to its 6-digit form: an 8-digit number 0XXX0YYY
+ * (or 7 digits, missing the leading zero) becomes XXXYYY, and shorter
+ * numbers get back their leading zeros.
+ * @param {string} number - Course number
+ * @returns {string} Digits, or '' for none
+ */
+function canonicalDegreeNumber(number) {
+    let digits = String(number || '').replace(/\D/g, '');
+    if (digits.length === 7) digits = `0${digits}`;
+    const current = digits.match(/^0(\d{3})0(\d{3})$/);
+    if (current) return current[1] + current[2];
+    return digits && digits.length < 6 ? digits.padStart(6, '0') : digits;
+}
+
+/**
+ * Brings a rule prefix to the 6-digit form, so "03940" and "394" match the
+ * same courses.
+ * @param {string} prefix - Digits before the "*"
+ * @returns {string} Prefix
+ */
+function canonicalDegreePrefix(prefix) {
+    const current = prefix.match(/^0(\d{3})0(\d*)$/);
+    return current ? current[1] + current[2] : prefix;
+}
+
+/**
+ * Checks whether a course number matches a rule.
+ * @param {string} number - Course number
+ * @param {string} rule - Rule (exact, "prefix*" or "from-to")
+ * @returns {boolean} True if the number matches
+ */
+function matchesNumberRule(number, rule) {
+    const digits = canonicalDegreeNumber(number);
+    if (!digits) return false;
+
+    if (rule.endsWith('*')) return digits.startsWith(canonicalDegreePrefix(rule.slice(0, -1)));
+
+    const range = rule.match(/^(\d+)-(\d+)$/);
+    if (range) {
+        const from = canonicalDegreeNumber(range[1]);
+        const to = canonicalDegreeNumber(range[2]);
+        const value = Number(digits);
+        return digits.length === from.length && from.length === to.length &&
+            value >= Number(from) && value <= Number(to);
+    }
+
+    return digits === canonicalDegreeNumber(rule);
+}
+
+/**
+ * Finds the bucket a course counts towards.
+ * @param {Object} course - Course
+ * @param {Array<Object>} buckets - Degree plan buckets
+ * @returns {Object|null} Bucket, or null if unassigned
+ */
+function resolveCourseBucket(course, buckets) {
+    if (course.degreeBucket) {
+        const manual = buckets.find(b => b.id === course.degreeBucket);
+        if (manual) return manual;
+    }
+    return buckets.find(b => (b.rules || []).some(rule => matchesNumberRule(course.number, rule))) || null;
+}
+
+// ============================================================================
+// PROGRESS
+// ============================================================================
+
+/**
+ * Gets a course's degree status from its grade.
+ * @param {Object} course - Course
+ * @returns {'completed'|'in-progress'|'failed'} Status
+ */
+function getDegreeCourseStatus(course) {
+    const grade = parseCourseGrade(course.grade);
+    if (isEarningGrade(grade)) return 'completed';
+    if (grade.type === 'none' || grade.type === 'unknown') return 'in-progress';
+    return 'failed';
+}
+
+/**
+ * Collects every course once, keeping the best attempt of repeated courses.
+ * @param {Array<Object>} semesters - Semesters, newest first
+ * @returns {Array<{course: Object, semester: Object, status: string}>} Course entries
+ */
+function collectDegreeCourses(semesters) {
+    const rank = { completed: 0, 'in-progress': 1, failed: 2 };
+    const byNumber = new Map();
+    const entries = [];
+
+    semesters.forEach(semester => {
+        (semester.courses || []).forEach(course => {
+            const entry = { course, semester, status: getDegreeCourseStatus(course) };
+            const number = canonicalDegreeNumber(course.number);
+            if (!number) {
+                entries.push(entry);
+                return;
+            }
+
+            const existing = byNumber.get(number);
+            if (!existing) {
+                byNumber.set(number, entry);
+                entries.push(entry);
+            } else if (rank[entry.status] < rank[existing.status]) {
+                entries[entries.indexOf(existing)] = entry;
+                byNumber.set(number, entry);
+            }
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Creates an empty progress tally.
+ * @param {number} target - Target points
+ * @returns {Object} Tally
+ */
+function createDegreeTally(target) {
+    return { target, completed: 0, inProgress: 0, remaining: target, courses: [] };
+}
+
+/**
+ * Adds a course entry to a tally.
+ * @param {Object} tally - Tally to update
+ * @param {Object} entry - Course entry from collectDegreeCourses
+ */
+function addToDegreeTally(tally, entry) {
+    const points = parseCoursePoints(entry.course.points);
+    if (entry.status === 'completed') tally.completed += points;
+    if (entry.status === 'in-progress') tally.inProgress += points;
+    tally.remaining = Math.max(0, tally.target - tally.completed - tally.inProgress);
+    tally.courses.push({ ...entry, points });
+}
+
+/**
+ * Builds the degree progress report.
+ * Remaining points are what is left after completed and in-progress courses.
+ * @param {Object} data - Application data (appData)
+ * @returns {{buckets: Array<Object>, unassigned: Object, total: Object}} Report
+ */
+function buildDegreeProgress(data) {
+    const buckets = data.degreePlan?.buckets || [];
+    const semesters = [...(data.semesters || [])].sort(compareSemesters);
+
+    const tallies = new Map(buckets.map(bucket => [
+        bucket.id,
+        { id: bucket.id, name: bucket.name, ...createDegreeTally(Number(bucket.target) || 0) }
+    ]));
+    const unassigned = createDegreeTally(0);
+    const total = createDegreeTally([...tallies.values()].reduce((sum, t) => sum + t.target, 0));
+
+    collectDegreeCourses(semesters).forEach(entry => {
+        const bucket = resolveCourseBucket(entry.course, buckets);
+        addToDegreeTally(bucket ? tallies.get(bucket.id) : unassigned, entry);
+        if (bucket) addToDegreeTally(total, entry);
+    });
+
+    return { buckets: [...tallies.values()], unassigned, total };
+}
+
+// ============================================================================
+// DEGREE PLAN EDITING
+// ============================================================================
+
+/**
+ * Gets the degree plan of the active profile, creating it if missing.
+ * @returns {{buckets: Array<Object>}} Degree plan
+ */
+function getDegreePlan() {
+    if (!appData.degreePlan) appData.degreePlan = { buckets: [] };
+    return appData.degreePlan;
+}
+
+/**
+ * Adds a bucket to the degree plan.
+ * @param {string} [name='New Bucket'] - Bucket name
+ * @param {string[]} [rules=[]] - Course-number rules
+ */
+function addDegreeBucket(name = 'New Bucket', rules = []) {
+    getDegreePlan().buckets.push({ id: generateId(), name, target: 0, rules: [...rules] });
+}
+
+/**
+ * Fills an empty degree plan with the standard buckets.
+ */
+function applyDegreePlanTemplate() {
+    DEGREE_PLAN_TEMPLATE.forEach(bucket => addDegreeBucket(bucket.name, bucket.rules));
+    saveData();
+    renderDegreeTracker();
+}
+
+/**
+ * Updates a bucket field from the plan editor.
+ * @param {HTMLInputElement} input - Edited field (data-bucket-id, data-field)
+ */
+function updateDegreeBucket(input) {
+    const bucket = getDegreePlan().buckets.find(b => b.id === input.dataset.bucketId);
+    if (!bucket) return;
+
+    const field = input.dataset.field;
+    if (field === 'name') {
+        const validation = validateString(input.value, { required: true, maxLength: 50 });
+        if (!validation.valid) {
+            ToastManager.error(`Bucket name: ${validation.error}`);
+            input.value = bucket.name;
+            return;
+        }
+        bucket.name = validation.value;
+    } else if (field === 'target') {
+        const validation = validateNumber(input.value, { min: 0, max: 400 });
+        if (!validation.valid) {
+            ToastManager.error(`Target points: ${validation.error}`);
+            input.value = bucket.target || '';
+            return;
+        }
+        bucket.target = validation.value || 0;
+    } else if (field === 'rules') {
+        const { rules, invalid } = parseNumberRules(input.value);
+        if (invalid.length > 0) {
+            ToastManager.error(`Invalid course-number rule: ${invalid.join(', ')}`, {
+                description: 'Use an exact number, a prefix like 394* or a range like 234300-234399.'
+            });
+            return;
+        }
+        bucket.rules = rules;
+    }
+
+    saveData();
+    renderDegreeTracker();
+}
+
+/**
+ * Deletes a bucket. Courses assigned to it by hand fall back to the rules.
+ * @param {string} bucketId - Bucket ID
+ */
+async function deleteDegreeBucket(bucketId) {
+    const plan = getDegreePlan();
+    const bucket = plan.buckets.find(b => b.id === bucketId);
+    if (!bucket) return;
+
+    const confirmed = await showConfirmDialog(
+        `Delete "${bucket.name}"?`,
+        {
+            title: 'Delete Bucket',
+            description: 'Courses assigned to this bucket by hand will be counted by the number rules again.',
+            confirmText: 'Delete',
+            dangerous: true
+        }
+    );
+    if (!confirmed) return;
+
+    plan.buckets = plan.buckets.filter(b => b.id !== bucketId);
+    appData.semesters.forEach(semester => {
+        semester.courses.forEach(course => {
+            if (course.degreeBucket === bucketId) course.degreeBucket = '';
+        });
+    });
+
+    saveData();
+    renderDegreeTracker();
+}
+
+/**
+ * Assigns a course to a bucket by hand ('' = automatic).
+ * @param {string} courseId - Course ID
+ * @param {string} bucketId - Bucket ID, or '' to use the number rules
+ */
+function assignCourseBucket(courseId, bucketId) {
+    const course = appData.semesters.flatMap(s => s.courses).find(c => c.id === courseId);
+    if (!course) return;
+
+    course.degreeBucket = bucketId;
+    saveData();
+    renderDegreeTracker();
+}
+
+// ============================================================================
+// DEGREE TRACKER UI
+// ============================================================================
+
+/**
+ * Fills a bucket <select> with the degree plan's buckets.
+ * @param {HTMLSelectElement} select - Select element
+ * @param {string} selectedId - Selected bucket ID ('' = automatic)
+ */
+function populateDegreeBucketSelect(select, selectedId) {
+    const buckets = appData.degreePlan?.buckets || [];
+    select.innerHTML = '<option value="">Automatic (by course number)</option>' +
+        buckets.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)}</option>`).join('');
+    select.value = buckets.some(b => b.id === selectedId) ? selectedId : '';
+}
+
+/**
+ * Opens the degree tracker.
+ */
+function openDegreeTracker() {
+    renderDegreeTracker();
+    openModal('degree-modal');
+}
+
+/**
+ * Renders a stacked progress bar for a tally.
+ * @param {Object} tally - Progress tally
+ * @returns {string} HTML
+ */
+function renderDegreeBar(tally) {
+    const scale = Math.max(tally.target, tally.completed + tally.inProgress) || 1;
+    const percent = value => `${Math.min(100, (value / scale) * 100)}%`;
+    return `
+        <div class="degree-bar">
+            <div class="degree-bar-completed" style="width: ${percent(tally.completed)}"></div>
+            <div class="degree-bar-in-progress" style="width: ${percent(tally.inProgress)}"></div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the point counts of a tally.
+ * @param {Object} tally - Progress tally
+ * @returns {string} HTML
+ */
+function renderDegreeCounts(tally) {
+    return `
+        <span class="degree-count completed">${formatPoints(tally.completed)} completed</span>
+        <span class="degree-count in-progress">${formatPoints(tally.inProgress)} in progress</span>
+        <span class="degree-count">${formatPoints(tally.remaining)} remaining</span>
+    `;
+}
+
+/**
+ * Renders the course list of a tally.
+ * @param {Object} tally - Progress tally
+ * @param {boolean} [assignable=false] - Show bucket pickers
+ * @returns {string} HTML
+ */
+function renderDegreeCourses(tally, assignable = false) {
+    if (tally.courses.length === 0) return '';
+
+    const statusLabels = { completed: 'Completed', 'in-progress': 'In progress', failed: 'Not passed' };
+    const rows = tally.courses.map(({ course, semester, status, points }) => `
+        <div class="degree-course ${status}">
+            <span class="degree-course-name">${escapeHtml(course.name)}${course.number ? ` <span class="degree-course-number">${escapeHtml(course.number)}</span>` : ''}</span>
+            <span class="degree-course-meta">${escapeHtml(semester.name)} · ${points ? `${formatPoints(points)} pts` : 'No points'} · ${statusLabels[status]}</span>
+            ${assignable ? `<select class="degree-course-bucket" data-course-id="${escapeHtml(course.id)}" aria-label="Bucket for ${escapeHtml(course.name)}"></select>` : ''}
+        </div>
+    `).join('');
+
+    return `
+        <details class="degree-courses">
+            <summary>${tally.courses.length} course${tally.courses.length === 1 ? '' : 's'}</summary>
+            ${rows}
+        </details>
+    `;
+}
+
+/**
+ * Renders the progress overview and the plan editor.
+ */
+function renderDegreeTracker() {
+    const overviewEl = $('degree-overview');
+    const editorEl = $('degree-plan-editor');
+    if (!overviewEl || !editorEl) return;
+
+    const plan = getDegreePlan();
+    const progress = buildDegreeProgress(appData);
+
+    if (plan.buckets.length === 0) {
+        overviewEl.innerHTML = `
+            <div class="degree-empty">
+                Set up your degree plan: add a bucket for each requirement (mandatory courses, electives, sports...)
+                with the points your faculty requires.
+                <button id="degree-template-btn" class="btn-primary">Start with Standard Buckets</button>
+            </div>
+        `;
+    } else {
+        overviewEl.innerHTML = `
+            <div class="degree-bucket degree-total">
+                <div class="degree-bucket-header">
+                    <span>Total</span>
+                    <span>${formatPoints(progress.total.completed)} / ${formatPoints(progress.total.target)} pts</span>
+                </div>
+                ${renderDegreeBar(progress.total)}
+                <div class="degree-counts">${renderDegreeCounts(progress.total)}</div>
+            </div>
+            ${progress.buckets.map(tally => `
+                <div class="degree-bucket">
+                    <div class="degree-bucket-header">
+                        <span>${escapeHtml(tally.name)}</span>
+                        <span>${formatPoints(tally.completed)} / ${formatPoints(tally.target)} pts</span>
+                    </div>
+                    ${renderDegreeBar(tally)}
+                    <div class="degree-counts">${renderDegreeCounts(tally)}</div>
+                    ${renderDegreeCourses(tally)}
+                </div>
+            `).join('')}
+            ${progress.unassigned.courses.length > 0 ? `
+                <div class="degree-bucket degree-unassigned">
+                    <div class="degree-bucket-header">
+                        <span>Not in any bucket</span>
+                        <span>${formatPoints(progress.unassigned.completed + progress.unassigned.inProgress)} pts</span>
+                    </div>
+                    ${renderDegreeCourses(progress.unassigned, true)}
+                </div>
+            ` : ''}
+        `;
+        overviewEl.querySelectorAll('.degree-course-bucket').forEach(select => populateDegreeBucketSelect(select, ''));
+    }
+
+    editorEl.innerHTML = plan.buckets.map(bucket => `
+        <div class="degree-plan-row">
+            <input type="text" data-bucket-id="${escapeHtml(bucket.id)}" data-field="name"
+                value="${escapeHtml(bucket.name)}" aria-label="Bucket name">
+            <input type="number" data-bucket-id="${escapeHtml(bucket.id)}" data-field="target"
+                value="${bucket.target || ''}" min="0" step="0.5" placeholder="Points" aria-label="Target points">
+            <input type="text" data-bucket-id="${escapeHtml(bucket.id)}" data-field="rules"
+                value="${escapeHtml((bucket.rules || []).join(', '))}" placeholder="e.g., 234*, 394800-394899" aria-label="Course-number rules">
+            <button class="icon-btn degree-bucket-delete" data-bucket-id="${escapeHtml(bucket.id)}" title="Delete Bucket">&times;</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Sets up the degree tracker events.
+ */
+function setupDegreeTracker() {
+    $('degree-btn')?.addEventListener('click', openDegreeTracker);
+
+    $('degree-add-bucket-btn')?.addEventListener('click', () => {
+        addDegreeBucket();
+        saveData();
+        renderDegreeTracker();
+        const inputs = document.querySelectorAll('#degree-plan-editor input[data-field="name"]');
+        inputs[inputs.length - 1]?.select();
+    });
+
+    $('degree-overview')?.addEventListener('click', (e) => {
+        if (e.target.id === 'degree-template-btn') applyDegreePlanTemplate();
+    });
+
+    $('degree-overview')?.addEventListener('change', (e) => {
+        if (e.target.classList.contains('degree-course-bucket')) {
+            assignCourseBucket(e.target.dataset.courseId, e.target.value);
+        }
+    });
+
+    $('degree-plan-editor')?.addEventListener('change', (e) => {
+        if (e.target.dataset.field) updateDegreeBucket(e.target);
+    });
+
+    $('degree-plan-editor')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.degree-bucket-delete');
+        if (button) deleteDegreeBucket(button.dataset.bucketId);
+    });
+}
+
+window.parseNumberRules = parseNumberRules;
+window.matchesNumberRule = matchesNumberRule;
+window.resolveCourseBucket = resolveCourseBucket;
+window.buildDegreeProgress = buildDegreeProgress;
+window.populateDegreeBucketSelect = populateDegreeBucketSelect;
+window.openDegreeTracker = openDegreeTracker;
+window.setupDegreeTracker = setupDegreeTracker;
@@ -20,6 +20,21 @@ function setupEventListeners() {
     setupProfileEvents();
     setupColorThemeEvents();
     setupMobileDayToggle();
+    setupHistoryShortcuts();
+    setupSearchPalette();
+    setupGradesDashboard();
+    setupDegreeTracker();
+    setupGradingTab();
+    setupAssessmentEditor();
+    setupExamPlanner();
+    setupSemesterDatesEditor();
+    setupAttendanceTab();
+    setupScheduleConflicts();
+    setupSemesterPlanner();
+    setupEligibleCourses();
+    setupCatalogReview();
+    setupICSImport();
+    setupCalendarExport();
 }
 
 // ============================================================================
@@ -85,7 +100,10 @@ async function saveSemester() {
         id: generateId(),
         name: validation.value,
         courses: [],
-        calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS }
+        calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS },
+        startDate: '',
+        endDate: '',
+        holidays: []
     };
     appData.semesters.push(newSem);
     currentSemesterId = newSem.id;
@@ -109,7 +127,7 @@ async function deleteSemester() {
         `Delete "${semester.name}"?`,
         {
             title: 'Delete Semester',
-            description: `This will permanently delete this semester and all ${semester.courses?.length || 0} courses in it. This action cannot be undone.`,
+            description: `This will delete this semester and all ${semester.courses?.length || 0} courses in it.`,
             confirmText: 'Delete',
             dangerous: true
         }
@@ -126,7 +144,7 @@ async function deleteSemester() {
     
     saveData();
     renderAll();
-    ToastManager.success(`Semester "${semester.name}" deleted`);
+    ToastManager.success(`Semester "${semester.name}" deleted`, withUndoAction());
 }
 
 // ============================================================================
@@ -187,14 +205,18 @@ function addScheduleItem() {
     window.tempSchedule.push({
         day: parseInt(day),
         start,
-        end
+        end,
+        type: $('new-schedule-type').value,
+        room: $('new-schedule-room').value.trim(),
+        group: $('new-schedule-group').value.trim(),
+        instructor: $('new-schedule-instructor').value.trim()
     });
     
     renderScheduleList();
     
-    // Reset inputs
-    $('new-schedule-start').value = '';
-    $('new-schedule-end').value = '';
+    // Reset inputs (type stays, slots are usually added in runs of one kind)
+    ['new-schedule-start', 'new-schedule-end', 'new-schedule-room', 'new-schedule-group', 'new-schedule-instructor']
+        .forEach(id => { $(id).value = ''; });
 }
 
 // ============================================================================
@@ -427,12 +449,16 @@ function setupSettingsEvents() {
     $('sync-ics-btn').addEventListener('click', syncICSData);
 
     // Technion Data Fetch
-    $('fetch-technion-data-btn').addEventListener('click', fetchTechnionData);
+    $('fetch-technion-data-btn').addEventListener('click', () => fetchTechnionData());
+    $('refresh-technion-catalog-btn').addEventListener('click', () => fetchTechnionData({ refresh: true }));
+
+    // Backups
+    $('create-backup-btn').addEventListener('click', createManualBackup);
 }
 
 /**
  * Switches to a specific tab in the settings modal.
- * @param {string} tabName - Tab name ('profile', 'appearance', 'calendar', 'sync')
+ * @param {string} tabName - Tab name ('profile', 'appearance', 'calendar', 'sync', 'backups')
  */
 function switchSettingsTab(tabName) {
     // Update tab buttons
@@ -444,6 +470,11 @@ function switchSettingsTab(tabName) {
     document.querySelectorAll('.settings-tab-panel').forEach(panel => {
         panel.classList.toggle('active', panel.id === `settings-tab-${tabName}`);
     });
+    
+    // Backups are listed on demand since they change with every save
+    if (tabName === 'backups') {
+        renderBackupsList();
+    }
 }
 
 /**
@@ -478,6 +509,7 @@ function openSettingsModal() {
     document.querySelectorAll('#cal-days-container input').forEach(cb => {
         cb.checked = calendarSettings.visibleDays.includes(parseInt(cb.value));
     });
+    populateSemesterDates(semester);
 
     // Populate Color Theme Settings
     const colorThemeSelect = $('color-theme-select');
@@ -494,6 +526,7 @@ function openSettingsModal() {
     }
     
     resetBtn.style.display = appData.settings.colorTheme === 'mono' ? 'none' : 'block';
+    renderCatalogCacheStatus();
     openModal('settings-modal');
 }
 
@@ -806,20 +839,20 @@ function updateCalendarSettings() {
  * @param {string} courseId - Course ID
  * @param {string} eventType - 'homework' or 'exam'
  * @param {number} [homeworkIndex] - Index of homework item (for homework events)
- * @param {string} [examType] - 'moedA' or 'moedB' (for exam events)
+ * @param {string} [assessmentId] - Assessment ID (for exam events)
  */
-function handleCalendarEventClick(courseId, eventType, homeworkIndex, examType) {
+function handleCalendarEventClick(courseId, eventType, homeworkIndex, assessmentId) {
     if (eventType === 'homework' && homeworkIndex !== undefined) {
         // Open homework tab with specific item highlighted
         openCourseModal(courseId, 'homework', {
             type: 'homework',
             index: homeworkIndex
         });
-    } else if (eventType === 'exam' && examType) {
-        // Open details tab with exam field highlighted
+    } else if (eventType === 'exam' && assessmentId) {
+        // Open details tab with the assessment highlighted
         openCourseModal(courseId, 'details', {
             type: 'exam',
-            examType: examType
+            assessmentId
         });
     } else {
         // Fallback to just opening the course
@@ -830,6 +863,32 @@ function handleCalendarEventClick(courseId, eventType, homeworkIndex, examType)
 // Export for use in other modules
 window.handleCalendarEventClick = handleCalendarEventClick;
 
+// ============================================================================
+// UNDO / REDO SHORTCUTS
+// ============================================================================
+
+/**
+ * Sets up Ctrl+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo).
+ * Text fields keep their native undo behavior.
+ */
+function setupHistoryShortcuts() {
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoLastChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoLastChange();
+        }
+    });
+}
+
 // ============================================================================
 // RECORDINGS ACTIONS TOGGLE (MOBILE)
 // ============================================================================
@@ -903,7 +962,7 @@ function setupMobileDayToggle() {
         
         // Sync settings change to cloud (Firebase)
         if (typeof autoSyncToFirebase === 'function') {
-            autoSyncToFirebase();
+            autoSyncToFirebase('Settings changed');
         }
     });
     
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Exam period planner: a timeline of the semester's exams and
+ * other assessments with countdowns, the gap between the ones the student
+ * plans to attend, clash warnings, and suggested study days per course.
+ *
+ * Final exams (Moed A/B/C) are alternatives: each course has one planned
+ * final (`plannedExam`, an assessment id), by default its earliest moed.
+ * Midterms, quizzes and projects are always planned. Gaps and clashes are
+ * only computed between planned assessments.
+ */
+
+'use strict';
+
+// ============================================================================
+// DATE HELPERS
+// ============================================================================
+
+/** @type {number} Milliseconds in a day */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a yyyy-MM-dd date to a day count (timezone and DST safe).
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {number|null} Days since the epoch, or null if invalid
+ */
+function toDayNumber(dateStr) {
+    const match = String(dateStr || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    return Math.round(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / MS_PER_DAY);
+}
+
+/**
+ * Converts a day count back to a yyyy-MM-dd date.
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {string} Date in yyyy-MM-dd format
+ */
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Gets today's local date.
+ * @returns {string} Date in yyyy-MM-dd format
+ */
+function getTodayDateString() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Gets the final exam a student plans to attend for a course.
+ * @param {Object} course - Course
+ * @returns {string|null} Assessment ID, or null if the course has no dated final exam
+ */
+function getPlannedExamId(course) {
+    const finals = sortAssessments(course.assessments)
+        .filter(a => isFinalExam(a) && toDayNumber(a.date) !== null);
+    if (finals.some(a => a.id === course.plannedExam)) return course.plannedExam;
+    return finals[0]?.id || null;
+}
+
+/**
+ * Lists every dated assessment of a semester in date order.
+ * @param {Object} semester - Semester
+ * @returns {Array<{courseId: string, courseName: string, color: string, assessmentId: string,
+ *     label: string, final: boolean, date: string, day: number, startTime: string,
+ *     location: string, planned: boolean}>} Exams
+ */
+function collectSemesterExams(semester) {
+    const exams = [];
+
+    (semester?.courses || []).forEach(course => {
+        const plannedId = getPlannedExamId(course);
+        (course.assessments || []).forEach(assessment => {
+            const day = toDayNumber(assessment.date);
+            if (day === null) return;
+            const final = isFinalExam(assessment);
+            exams.push({
+                courseId: course.id,
+                courseName: course.name,
+                color: course.color,
+                assessmentId: assessment.id,
+                label: getAssessmentLabel(assessment),
+                final,
+                date: assessment.date,
+                day,
+                startTime: assessment.startTime || '',
+                location: assessment.location || '',
+                planned: !final || assessment.id === plannedId
+            });
+        });
+    });
+
+    return exams.sort((a, b) => a.day - b.day || a.startTime.localeCompare(b.startTime) ||
+        a.courseName.localeCompare(b.courseName));
+}
+
+/**
+ * Annotates planned exams with the gap since the previous planned exam.
+ * @param {Array<Object>} exams - Exams from collectSemesterExams
+ * @param {number} minGapDays - Gaps shorter than this are flagged
+ * @returns {Array<Object>} Planned exams with `gapDays` (null for the first)
+ *     and `conflict` ('same-day', 'too-close' or null)
+ */
+function findExamConflicts(exams, minGapDays) {
+    const planned = exams.filter(exam => exam.planned);
+
+    return planned.map((exam, index) => {
+        const previous = planned[index - 1];
+        const gapDays = previous ? exam.day - previous.day : null;
+        let conflict = null;
+        if (gapDays === 0) conflict = 'same-day';
+        else if (gapDays !== null && gapDays < minGapDays) conflict = 'too-close';
+        return { ...exam, gapDays, conflict };
+    });
+}
+
+/**
+ * Suggests study days for the planned exams. The free days from the start
+ * date up to the last exam are shared out in proportion to course points
+ * (3 if unknown), and each day goes to the nearest exam that has not had its
+ * share yet. Exam days are not study days.
+ * @param {Array<Object>} exams - Exams from collectSemesterExams
+ * @param {Array<Object>} courses - Semester courses (for points)
+ * @param {string} startDate - First study day (yyyy-MM-dd)
+ * @returns {{days: Array<{date: string, courseId: string, assessmentId: string}>,
+ *     totals: Object<string, number>}} Plan, with day totals per course
+ */
+function allocateStudyDays(exams, courses, startDate) {
+    const start = toDayNumber(startDate);
+    const upcoming = exams.filter(exam => exam.planned && start !== null && exam.day > start);
+    const totals = {};
+    const days = [];
+    if (upcoming.length === 0) return { days, totals };
+
+    const examDays = new Set(upcoming.map(exam => exam.day));
+    const lastDay = upcoming[upcoming.length - 1].day;
+    let freeDays = 0;
+    for (let day = start; day < lastDay; day++) {
+        if (!examDays.has(day)) freeDays++;
+    }
+
+    const weights = upcoming.map(exam => {
+        const points = Number(courses.find(c => c.id === exam.courseId)?.points);
+        return Number.isFinite(points) && points > 0 ? points : 3;
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const plan = upcoming.map((exam, index) => ({ exam, share: (weights[index] / totalWeight) * freeDays, used: 0 }));
+    upcoming.forEach(exam => { totals[exam.courseId] = 0; });
+
+    for (let day = start; day < lastDay; day++) {
+        if (examDays.has(day)) continue;
+
+        // Only exams that are still ahead can use this day
+        const candidates = plan.filter(({ exam }) => exam.day > day);
+        const pick = candidates.find(c => c.used < c.share) ||
+            candidates.reduce((best, c) => (c.share - c.used > best.share - best.used ? c : best));
+
+        pick.used++;
+        totals[pick.exam.courseId]++;
+        days.push({ date: fromDayNumber(day), courseId: pick.exam.courseId, assessmentId: pick.exam.assessmentId });
+    }
+
+    return { days, totals };
+}
+
+// ============================================================================
+// EXAM PLANNER UI
+// ============================================================================
+
+/** @type {Intl.DateTimeFormat} Date format for the timeline */
+const examDateFormatter = new Intl.DateTimeFormat('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Formats an exam date for display.
+ * @param {number} dayNumber - Day count
+ * @returns {string} Display text
+ */
+function formatExamDay(dayNumber) {
+    return examDateFormatter.format(new Date(dayNumber * MS_PER_DAY));
+}
+
+/**
+ * Describes how far away an exam is.
+ * @param {number} days - Days from today
+ * @returns {string} Countdown text
+ */
+function formatExamCountdown(days) {
+    if (days < 0) return 'Done';
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Tomorrow';
+    return `In ${days} days`;
+}
+
+/**
+ * Opens the exam planner for the current semester.
+ */
+function openExamPlanner() {
+    const semester = getCurrentSemester();
+    if (!semester) {
+        ToastManager.error('No semester selected');
+        return;
+    }
+
+    $('exam-study-start').value = getTodayDateString();
+    $('exam-min-gap').value = appData.settings.examMinGapDays ?? DEFAULT_EXAM_MIN_GAP_DAYS;
+    renderExamPlanner();
+    openModal('exams-modal');
+}
+
+/**
+ * Renders the exam timeline and the study plan.
+ */
+function renderExamPlanner() {
+    const timelineEl = $('exam-timeline');
+    const planEl = $('exam-study-plan');
+    const semester = getCurrentSemester();
+    if (!timelineEl || !planEl || !semester) return;
+
+    const exams = collectSemesterExams(semester);
+    if (exams.length === 0) {
+        timelineEl.innerHTML = '<div class="exam-empty">No exam dates in this semester yet. Add them in each course\'s details or import them from the Technion calendar.</div>';
+        planEl.innerHTML = '';
+        return;
+    }
+
+    const minGap = appData.settings.examMinGapDays ?? DEFAULT_EXAM_MIN_GAP_DAYS;
+    const planned = new Map(findExamConflicts(exams, minGap).map(exam => [exam.assessmentId, exam]));
+    const today = toDayNumber(getTodayDateString());
+
+    timelineEl.innerHTML = exams.map(exam => {
+        const info = planned.get(exam.assessmentId);
+        let gapHtml = '';
+        if (info?.conflict === 'same-day') {
+            gapHtml = '<span class="exam-gap conflict">Same day as the previous exam</span>';
+        } else if (info?.conflict === 'too-close') {
+            gapHtml = `<span class="exam-gap conflict">Only ${info.gapDays} day${info.gapDays === 1 ? '' : 's'} after the previous exam</span>`;
+        } else if (info?.gapDays !== null && info?.gapDays !== undefined) {
+            gapHtml = `<span class="exam-gap">${info.gapDays} days after the previous exam</span>`;
+        }
+        const details = [exam.label, exam.startTime, exam.location].filter(Boolean).join(' · ');
+
+        return `
+            <div class="exam-row ${exam.planned ? 'planned' : ''} ${info?.conflict ? 'conflict' : ''} ${exam.day < today ? 'past' : ''}">
+                <div class="exam-date">
+                    <span>${formatExamDay(exam.day)}</span>
+                    <span class="exam-countdown">${formatExamCountdown(exam.day - today)}</span>
+                </div>
+                <div class="exam-info">
+                    <button class="exam-course" data-course-id="${escapeHtml(exam.courseId)}" data-assessment-id="${escapeHtml(exam.assessmentId)}">
+                        <span class="exam-color" style="background-color: ${escapeHtml(exam.color)}"></span>
+                        ${escapeHtml(exam.courseName)}
+                    </button>
+                    <span class="exam-details">${escapeHtml(details)}</span>
+                    ${gapHtml}
+                </div>
+                ${exam.final ? `
+                    <label class="exam-plan-toggle" title="Plan to attend this moed">
+                        <input type="radio" name="exam-plan-${escapeHtml(exam.courseId)}" data-course-id="${escapeHtml(exam.courseId)}"
+                            value="${escapeHtml(exam.assessmentId)}" ${exam.planned ? 'checked' : ''}>
+                        Attending
+                    </label>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    renderStudyPlan(exams, semester);
+}
+
+/**
+ * Renders the suggested study days.
+ * @param {Array<Object>} exams - Exams from collectSemesterExams
+ * @param {Object} semester - Current semester
+ */
+function renderStudyPlan(exams, semester) {
+    const planEl = $('exam-study-plan');
+    const { days, totals } = allocateStudyDays(exams, semester.courses, $('exam-study-start').value);
+
+    if (days.length === 0) {
+        planEl.innerHTML = '<div class="exam-empty">No study days left before the planned exams.</div>';
+        return;
+    }
+
+    const nameOf = courseId => semester.courses.find(c => c.id === courseId)?.name || '';
+    const seen = new Set();
+    const summary = exams
+        .filter(exam => exam.planned && totals[exam.courseId] !== undefined && !seen.has(exam.courseId) && seen.add(exam.courseId))
+        .map(exam => `
+            <div class="study-plan-course">
+                <span class="exam-color" style="background-color: ${escapeHtml(exam.color)}"></span>
+                <span class="study-plan-name">${escapeHtml(exam.courseName)}</span>
+                <span class="study-plan-days">${totals[exam.courseId]} day${totals[exam.courseId] === 1 ? '' : 's'}</span>
+            </div>
+        `).join('');
+
+    const schedule = days.map(day => `
+        <div class="study-plan-day">
+            <span>${formatExamDay(toDayNumber(day.date))}</span>
+            <span>${escapeHtml(nameOf(day.courseId))}</span>
+        </div>
+    `).join('');
+
+    planEl.innerHTML = `
+        ${summary}
+        <details class="study-plan-schedule">
+            <summary>Day-by-day schedule</summary>
+            ${schedule}
+        </details>
+    `;
+}
+
+/**
+ * Sets the final exam a course's student plans to attend.
+ * @param {string} courseId - Course ID
+ * @param {string} assessmentId - Assessment ID of the planned moed
+ */
+function setPlannedExam(courseId, assessmentId) {
+    const course = getCourse(courseId);
+    if (!course) return;
+
+    course.plannedExam = assessmentId;
+    saveData();
+    renderExamPlanner();
+}
+
+/**
+ * Sets up the exam planner events.
+ */
+function setupExamPlanner() {
+    $('exams-btn')?.addEventListener('click', openExamPlanner);
+
+    $('exam-timeline')?.addEventListener('change', (e) => {
+        if (e.target.type === 'radio') setPlannedExam(e.target.dataset.courseId, e.target.value);
+    });
+
+    $('exam-timeline')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.exam-course');
+        if (!button) return;
+        closeModal('exams-modal');
+        openCourseModal(button.dataset.courseId, 'details', { type: 'exam', assessmentId: button.dataset.assessmentId });
+    });
+
+    $('exam-study-start')?.addEventListener('change', renderExamPlanner);
+
+    $('exam-min-gap')?.addEventListener('change', (e) => {
+        const validation = validateNumber(e.target.value, { required: true, min: 0, max: 30, integer: true });
+        if (!validation.valid) {
+            ToastManager.error(`Minimum gap: ${validation.error}`);
+            e.target.value = appData.settings.examMinGapDays ?? DEFAULT_EXAM_MIN_GAP_DAYS;
+            return;
+        }
+        appData.settings.examMinGapDays = validation.value;
+        saveData();
+        renderExamPlanner();
+    });
+}
+
+window.MS_PER_DAY = MS_PER_DAY;
+window.toDayNumber = toDayNumber;
+window.fromDayNumber = fromDayNumber;
+window.getTodayDateString = getTodayDateString;
+window.getPlannedExamId = getPlannedExamId;
+window.collectSemesterExams = collectSemesterExams;
+window.findExamConflicts = findExamConflicts;
+window.allocateStudyDays = allocateStudyDays;
+window.openExamPlanner = openExamPlanner;
+window.setupExamPlanner = setupExamPlanner;
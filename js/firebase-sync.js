@@ -1,35 +1,60 @@
 /**
  * @file firebase-sync.js
- * @description Firebase Auth (Google) + Realtime Database sync for all profiles.
+ * @description Cloud sync for all profiles. Storage and sign-in are delegated
+ * to the selected provider (see sync-providers.js): Firebase by default, or a
+ * self-hosted WebDAV/REST server.
  *
  * Cloud model:
- *  - One per-user node containing a single payload with ALL profiles.
- *  - Merges local + cloud on login.
+ *  - One per-user record containing a single payload with ALL profiles.
+ *  - Three-way merges local + cloud (see sync-merge.js) on login, on every
+ *    auto-sync and on remote updates, using the last synced payload as the
+ *    common ancestor. True conflicts are resolved by the user.
  *  - Auto-syncs on local changes while authenticated.
+ *  - Optionally end-to-end encrypts the payload (see cloud-crypto.js).
+ *  - Records changes in a persistent queue (see sync-queue.js) and retries
+ *    failed pushes with backoff; the header shows the sync state.
  */
 
 'use strict';
 
 (() => {
-    const LOG = '[FirebaseSync]';
+    const LOG = '[CloudSync]';
     const CLOUD_PAYLOAD_VERSION = 2;
 
-    const DB_PATH_FOR_USER = (uid) => `tollab/users/${uid}/data`;
-
     const UI = Object.freeze({
         statusTextId: 'cloud-status-text',
         connectBtnId: 'connect-cloud-btn',
-        disconnectBtnId: 'disconnect-cloud-btn'
+        disconnectBtnId: 'disconnect-cloud-btn',
+        providerSelectId: 'sync-provider-select',
+        restFormId: 'rest-sync-form',
+        restUrlId: 'rest-sync-url',
+        restUserId: 'rest-sync-username',
+        restPasswordId: 'rest-sync-password',
+        encryptionSectionId: 'cloud-encryption-section',
+        encryptionStatusId: 'cloud-encryption-status',
+        encryptionBtnId: 'cloud-encryption-btn',
+        queueBtnId: 'sync-queue-btn',
+        queueRetryBtnId: 'sync-queue-retry-btn'
     });
 
     let initialized = false;
     let dbUnsubscribe = null;
+    let authUnsubscribe = null;
+
+    /** @type {SyncProvider|null} Active provider */
+    let provider = null;
 
     let currentUser = null;
 
     let clientId = null;
     let lastLocalWriteId = null;
     let isApplyingRemote = false;
+    let isResolvingConflicts = false;
+    let isLocked = false;
+    let isSyncing = false;
+    /** @type {Promise|null} Sync in progress; the next one waits for it */
+    let activeSync = null;
+    let unlocking = null;
     let pendingSyncTimer = null;
 
     function ensureClientId() {
@@ -49,7 +74,13 @@
         return document.getElementById(id);
     }
 
-    function setStatus(text) {
+    /**
+     * Shows the sync status in settings and in the header indicator.
+     * @param {string} text - Status text
+     * @param {string} [state='synced'] - disconnected, synced, pending, syncing,
+     *     offline, failed, conflict or locked (styles the header indicator)
+     */
+    function setStatus(text, state = 'synced') {
         const el = getEl(UI.statusTextId);
         if (el) {
             el.textContent = text;
@@ -59,6 +90,25 @@
         const headerText = document.getElementById('cloud-header-text');
         if (headerText) {
             headerText.textContent = text;
+            headerText.dataset.syncState = state;
+        }
+    }
+
+    /**
+     * Shows the queue state: synced, pending, offline or failed.
+     */
+    function showQueueStatus() {
+        if (!currentUser || isSyncing || isLocked) return;
+
+        const { pending, failed } = SyncQueue.counts();
+        if (failed > 0) {
+            setStatus(`Sync failed (${pending + failed} pending)`, 'failed');
+        } else if (!navigator.onLine) {
+            setStatus(pending > 0 ? `Offline (${pending} pending)` : 'Offline', 'offline');
+        } else if (pending > 0) {
+            setStatus(`Pending (${pending})`, 'pending');
+        } else {
+            setStatus(formatSyncedStatus(currentUser));
         }
     }
 
@@ -80,17 +130,59 @@
     function updateUIForAuthState(user) {
         const connectBtn = getEl(UI.connectBtnId);
         const disconnectBtn = getEl(UI.disconnectBtnId);
+        const select = getEl(UI.providerSelectId);
+        const restForm = getEl(UI.restFormId);
+
+        if (connectBtn && provider) {
+            connectBtn.querySelector('.connect-cloud-label').textContent = provider.connectLabel;
+        }
+        if (select) select.disabled = !!user;
+        show(restForm, !user && provider?.id === 'rest');
+
+        updateEncryptionUI();
 
         if (!user) {
-            setStatus('Not connected');
+            setStatus('Not connected', 'disconnected');
             show(connectBtn, true);
             show(disconnectBtn, false);
+            show(getEl(UI.queueBtnId), false);
             return;
         }
 
-        setStatus(formatSyncedStatus(user));
+        showQueueStatus();
         show(connectBtn, false);
         show(disconnectBtn, true);
+        show(getEl(UI.queueBtnId), true);
+    }
+
+    /**
+     * Shows the encryption state of the signed-in account.
+     */
+    async function updateEncryptionUI() {
+        const section = getEl(UI.encryptionSectionId);
+        const status = getEl(UI.encryptionStatusId);
+        const btn = getEl(UI.encryptionBtnId);
+        show(section, !!currentUser);
+        if (!currentUser || !status || !btn) return;
+
+        if (!CloudCrypto.isSupported()) {
+            status.textContent = 'Not supported by this browser';
+            btn.disabled = true;
+            return;
+        }
+
+        const keyInfo = await CloudCrypto.loadDeviceKey(currentUser.uid);
+        btn.disabled = false;
+        if (isLocked) {
+            status.textContent = 'Locked: enter the passphrase to sync';
+            btn.textContent = 'Unlock';
+        } else if (keyInfo) {
+            status.textContent = 'On: cloud data is encrypted';
+            btn.textContent = 'Turn off';
+        } else {
+            status.textContent = 'Off: cloud data is stored as plain JSON';
+            btn.textContent = 'Turn on';
+        }
     }
 
     function safeJsonParse(str) {
@@ -127,19 +219,16 @@
 
         const items = profilesList.map((p) => {
             const key = STORAGE_KEYS.DATA_PREFIX + p.id;
-            const raw = localStorage.getItem(key);
+            const raw = AppStorage.getItem(key);
             const parsed = raw ? safeJsonParse(raw) : null;
             
-            // Get hydrated data for lastModified, then compact for storage
-            const hydrated = parsed ? (typeof hydrateFromStorage === 'function' ? hydrateFromStorage(parsed) : parsed) : null;
-            const compactData = hydrated && typeof compactForStorage === 'function' 
-                ? compactForStorage(hydrated) 
-                : parsed;
+            // Upgrade to the current storage version; keeps per-entity stamps for merging
+            const compactData = parsed ? migrateStoragePayload(parsed) : null;
 
             return {
                 i: p.id,
                 n: p.name,
-                t: hydrated?.lastModified || null,
+                t: compactData?.t || null,
                 d: compactData
             };
         });
@@ -186,34 +275,53 @@
         };
     }
 
-    function compareIso(a, b) {
-        if (!a && !b) return 0;
-        if (!a) return -1;
-        if (!b) return 1;
-        const at = Date.parse(a);
-        const bt = Date.parse(b);
-        if (Number.isNaN(at) && Number.isNaN(bt)) return 0;
-        if (Number.isNaN(at)) return -1;
-        if (Number.isNaN(bt)) return 1;
-        return at - bt;
-    }
-
-    function mergeLocalAndCloud(localPayload, cloudPayload) {
+    /**
+     * Three-way merges the local and cloud payloads against the last synced one.
+     * Profiles are matched by id; the data of profiles present on both sides is
+     * merged by SyncMerge. A profile missing on one side is treated as deleted
+     * there if the other side did not change it since the last sync.
+     * @param {Object} localPayload - Local cloud-format payload
+     * @param {Object|null} cloudPayload - Cloud payload
+     * @param {Object|null} basePayload - Last synced payload (common ancestor)
+     * @param {Object<string, string>} [choices={}] - Conflict resolutions by conflict id
+     * @returns {{payload: Object, conflicts: Array}} Merged payload and unresolved conflicts
+     */
+    function mergeLocalAndCloud(localPayload, cloudPayload, basePayload, choices = {}) {
         const local = normalizeCloudPayload(localPayload);
         const cloud = normalizeCloudPayload(cloudPayload);
+        const baseById = new Map(
+            (basePayload ? normalizeCloudPayload(basePayload).p : [])
+                .filter(p => p && p.i)
+                .map(p => [p.i, p])
+        );
 
         const takenNames = new Set();
         const byId = new Map();
+        const conflicts = [];
+        const cloudIds = new Set(cloud.p.filter(p => p && p.i).map(p => p.i));
+
+        const unchangedSinceBase = (profile) => {
+            const base = baseById.get(profile.i);
+            return !!base && SyncMerge.contentOf(migrateStoragePayload(base.d || {})) ===
+                SyncMerge.contentOf(migrateStoragePayload(profile.d || {}));
+        };
 
         for (const lp of local.p) {
             if (!lp || !lp.i) continue;
             // Skip empty profiles during merge
             if (isEmptyProfile(lp)) continue;
+            // Deleted on another device and untouched here since the last sync
+            if (!cloudIds.has(lp.i) && unchangedSinceBase(lp)) {
+                console.debug(LOG, 'Profile deleted remotely, dropping:', lp.i);
+                continue;
+            }
             const name = (lp.n || 'Profile').trim();
             takenNames.add(name);
             byId.set(lp.i, { ...lp, n: name });
         }
 
+        const localIds = new Set(local.p.filter(p => p && p.i).map(p => p.i));
+
         for (const cpRaw of cloud.p) {
             if (!cpRaw || !cpRaw.i) continue;
             // Skip empty profiles during merge
@@ -224,10 +332,18 @@
             cp.n = (cp.n || 'Profile').trim();
 
             if (existing) {
-                const localNewer = compareIso(existing.t, cp.t) >= 0;
-                const chosen = localNewer ? existing : cp;
+                const base = baseById.get(cp.i) || null;
+                const prefix = `${cp.i}:`;
+                const profileChoices = {};
+                Object.keys(choices).forEach(id => {
+                    if (id.startsWith(prefix)) profileChoices[id.slice(prefix.length)] = choices[id];
+                });
+
+                const result = SyncMerge.mergeProfileData(base?.d || null, existing.d, cp.d, profileChoices);
+                result.conflicts.forEach(c => conflicts.push({ ...c, id: prefix + c.id }));
 
-                const desired = (chosen.n || 'Profile').trim();
+                // Names: a rename on either side wins over an unchanged name
+                const desired = base && existing.n === (base.n || '').trim() ? cp.n : existing.n;
                 let finalName = desired;
 
                 if (finalName !== existing.n && takenNames.has(finalName)) {
@@ -236,15 +352,24 @@
                 }
 
                 byId.set(cp.i, {
-                    ...chosen,
+                    i: cp.i,
                     n: finalName,
-                    d: chosen.d || existing.d || cp.d
+                    t: result.data.t,
+                    d: result.data
                 });
 
                 takenNames.add(finalName);
                 continue;
             }
 
+            // Deleted on this device and untouched in the cloud since the last sync.
+            // A local profile skipped as empty (e.g. a fresh device's default) is
+            // not a deletion: the cloud data replaces it.
+            if (!localIds.has(cp.i) && baseById.has(cp.i) && unchangedSinceBase(cp)) {
+                console.debug(LOG, 'Profile deleted locally, not restoring from cloud:', cp.i);
+                continue;
+            }
+
             // New profile from cloud
             const uniqueName = makeNameUnique(cp.n, takenNames);
             if (uniqueName !== cp.n) {
@@ -265,10 +390,13 @@
         }
 
         return {
-            v: CLOUD_PAYLOAD_VERSION,
-            u: new Date().toISOString(),
-            a: mergedActive,
-            p: mergedProfiles
+            payload: {
+                v: CLOUD_PAYLOAD_VERSION,
+                u: new Date().toISOString(),
+                a: mergedActive,
+                p: mergedProfiles
+            },
+            conflicts
         };
     }
 
@@ -303,7 +431,7 @@
         return false;
     }
 
-    function writeMergedToLocalStorage(mergedPayload) {
+    function writeMergedToStorage(mergedPayload) {
         const merged = normalizeCloudPayload(mergedPayload);
 
         const profileList = merged.p.map(p => ({ id: p.i, name: p.n }));
@@ -318,8 +446,14 @@
             const data = p.d;
             if (!data || typeof data !== 'object') continue;
 
-            // Store compact data directly
-            localStorage.setItem(STORAGE_KEYS.DATA_PREFIX + p.i, JSON.stringify(data));
+            // Store compact data directly, keeping a backup of what it replaces
+            const key = STORAGE_KEYS.DATA_PREFIX + p.i;
+            const serialized = JSON.stringify(data);
+            if (AppStorage.getItem(key) === serialized) continue;
+            BackupManager.snapshot(p.i, 'cloud', { force: true });
+            AppStorage.setItem(key, serialized);
+            // Other tabs cache profile data in memory; tell them to re-read it
+            TabSync.notifySaved(p.i, data);
         }
     }
 
@@ -332,7 +466,8 @@
             parts.push(`active=${p.a || ''}`);
             const sorted = [...p.p].filter(x => x && x.i).sort((a, b) => String(a.i).localeCompare(String(b.i)));
             for (const prof of sorted) {
-                parts.push(`${prof.i}|${prof.n || ''}|${prof.t || ''}`);
+                const content = prof.d ? SyncMerge.contentOf(migrateStoragePayload(prof.d)) : '';
+                parts.push(`${prof.i}|${prof.n || ''}|${content}`);
             }
             return parts.join('\n');
         } catch {
@@ -340,50 +475,184 @@
         }
     }
 
-    async function loadCloudPayload(uid) {
-        const path = DB_PATH_FOR_USER(uid);
-        console.debug(LOG, 'Loading cloud payload from', path);
+    /**
+     * Loads the payload of the last successful sync, used as the common
+     * ancestor for three-way merges. Ignored if it belongs to another account.
+     * @param {string} uid - Account ID from the sync provider
+     * @returns {Object|null} Last synced payload
+     */
+    function loadSyncBase(uid) {
+        const stored = safeJsonParse(AppStorage.getItem(STORAGE_KEYS.SYNC_BASE) || '');
+        return stored && stored.uid === uid ? stored.payload : null;
+    }
+
+    /**
+     * Stores the payload both sides agreed on after a sync.
+     * @param {string} uid - Account ID from the sync provider
+     * @param {Object} payload - Synced payload
+     */
+    function saveSyncBase(uid, payload) {
+        AppStorage.setItem(STORAGE_KEYS.SYNC_BASE, JSON.stringify({ uid, payload }));
+    }
+
+    /**
+     * Reloads app state from storage after synced data was written.
+     */
+    function reloadFromStorage() {
+        if (typeof loadData === 'function') loadData();
+        if (typeof initTheme === 'function') initTheme();
+        if (typeof renderProfileUI === 'function') renderProfileUI();
+    }
+
+    /**
+     * Asks for the passphrase until it decrypts the envelope, then keeps the
+     * key on this device.
+     * @param {SyncUser} user - Account
+     * @param {Object} envelope - Encrypted payload envelope
+     * @returns {Promise<Object>} Decrypted payload
+     * @throws {Error} With code 'locked' if the user cancels
+     */
+    async function unlockEnvelope(user, envelope) {
+        let message = 'Your cloud data is encrypted. Enter the sync passphrase to use it on this device.';
+
+        for (;;) {
+            const passphrase = await showPromptDialog(message, '', {
+                title: 'Unlock Cloud Data',
+                confirmText: 'Unlock',
+                inputType: 'password',
+                required: true,
+                validationMessage: 'Enter the passphrase'
+            });
+            if (!passphrase) {
+                const error = new Error('Cloud data is locked');
+                error.code = 'locked';
+                throw error;
+            }
 
-        const snap = await firebase.database().ref(path).once('value');
-        if (!snap.exists()) {
+            setStatus('Unlocking…', 'syncing');
+            const keyInfo = {
+                key: await CloudCrypto.deriveKey(passphrase, envelope.salt, envelope.it),
+                salt: envelope.salt,
+                iterations: envelope.it
+            };
+            try {
+                const payload = await CloudCrypto.decrypt(envelope, keyInfo.key);
+                await CloudCrypto.saveDeviceKey(user.uid, keyInfo, true);
+                return payload;
+            } catch (err) {
+                if (err.code !== 'bad-key') throw err;
+                console.debug(LOG, 'Wrong passphrase entered');
+                message = 'Wrong passphrase. The cloud data could not be decrypted; check the passphrase and try again.';
+            }
+        }
+    }
+
+    /**
+     * Gets the payload from a cloud record, decrypting it if needed.
+     * @param {SyncUser} user - Account
+     * @param {Object|null} record - Cloud record
+     * @returns {Promise<Object|null>} Payload
+     */
+    async function openRecord(user, record) {
+        if (!record) return null;
+        const keyInfo = await CloudCrypto.loadDeviceKey(user.uid);
+
+        if (!record.e) {
+            if (keyInfo?.confirmed) {
+                console.debug(LOG, 'Encryption was turned off on another device. Forgetting key.');
+                await CloudCrypto.forgetDeviceKey();
+                updateEncryptionUI();
+            }
+            return record.payload ? record.payload : record;
+        }
+
+        if (keyInfo && keyInfo.salt === record.e.salt) {
+            try {
+                const payload = await CloudCrypto.decrypt(record.e, keyInfo.key);
+                if (!keyInfo.confirmed) await CloudCrypto.saveDeviceKey(user.uid, keyInfo, true);
+                return payload;
+            } catch (err) {
+                if (err.code !== 'bad-key') throw err;
+            }
+        }
+
+        // No key on this device yet, or the passphrase was changed elsewhere.
+        // Concurrent reads wait for the same prompt.
+        if (unlocking) {
+            await unlocking;
+            return openRecord(user, record);
+        }
+        unlocking = unlockEnvelope(user, record.e);
+        try {
+            const payload = await unlocking;
+            isLocked = false;
+            return payload;
+        } finally {
+            unlocking = null;
+            updateEncryptionUI();
+        }
+    }
+
+    async function loadCloudPayload(user) {
+        console.debug(LOG, 'Loading cloud payload from', provider.id);
+
+        const val = await provider.load(user);
+        if (!val) {
             console.debug(LOG, 'No cloud payload exists yet');
             return null;
         }
 
-        const val = snap.val();
-        return val && val.payload ? val.payload : val;
+        return openRecord(user, val);
     }
 
-    async function saveCloudPayload(uid, payload) {
-        const path = DB_PATH_FOR_USER(uid);
+    async function saveCloudPayload(user, payload, options = {}) {
         lastLocalWriteId = `${Date.now()}_${Math.random().toString(16).slice(2)}`;
+        const keyInfo = options.plain ? null : await CloudCrypto.loadDeviceKey(user.uid);
 
         const record = {
             v: CLOUD_PAYLOAD_VERSION,
             u: new Date().toISOString(),
             w: lastLocalWriteId,
-            c: clientId,
-            payload
+            c: clientId
         };
+        if (keyInfo) {
+            record.e = await CloudCrypto.encrypt(payload, keyInfo);
+        } else {
+            record.payload = payload;
+        }
+
+        console.debug(LOG, 'Saving cloud payload to', provider.id, 'writeId=', lastLocalWriteId, keyInfo ? '(encrypted)' : '');
+        await provider.save(user, record);
 
-        console.debug(LOG, 'Saving cloud payload to', path, 'writeId=', lastLocalWriteId);
-        await firebase.database().ref(path).set(record);
+        if (keyInfo && !keyInfo.confirmed) {
+            await CloudCrypto.saveDeviceKey(user.uid, keyInfo, true);
+        }
     }
 
-    function startCloudListener(uid) {
-        stopCloudListener();
+    /**
+     * Reports that sync is paused until the passphrase is entered.
+     */
+    function reportLocked() {
+        if (isLocked) return;
+        isLocked = true;
+        setStatus('Locked (passphrase needed)', 'locked');
+        updateEncryptionUI();
+        ToastManager.warning('Cloud sync paused', {
+            description: 'Enter the sync passphrase to continue syncing on this device.',
+            action: () => unlockCloud(),
+            actionLabel: 'Unlock'
+        });
+    }
 
-        const path = DB_PATH_FOR_USER(uid);
-        console.debug(LOG, 'Starting realtime listener on', path);
+    function startCloudListener(user) {
+        stopCloudListener();
 
-        const ref = firebase.database().ref(path);
+        const uid = user.uid;
+        console.debug(LOG, 'Starting listener on', provider.id);
 
-        const handler = (snap) => {
-            if (!snap.exists()) return;
-            const val = snap.val();
-            const writeId = val?.writeId || null;
-            const origin = val?.originClientId || null;
-            const payload = val?.payload ? val.payload : val;
+        const handler = async (val) => {
+            const writeId = val?.w || null;
+            const origin = val?.c || null;
 
             if (origin && origin === clientId) {
                 console.debug(LOG, 'Ignoring echo update from same clientId', origin);
@@ -394,32 +663,62 @@
                 return;
             }
 
-            console.debug(LOG, 'Remote update received (writeId=', writeId, '). Applying to local…');
+            if (isResolvingConflicts) {
+                console.debug(LOG, 'Ignoring remote update while conflicts are being resolved');
+                return;
+            }
+
+            if (isLocked) {
+                console.debug(LOG, 'Ignoring remote update while locked');
+                return;
+            }
+
+            let payload;
+            try {
+                payload = await openRecord(user, val);
+            } catch (err) {
+                if (err.code === 'locked') {
+                    reportLocked();
+                } else {
+                    console.error(LOG, 'Failed reading remote update:', err);
+                    setStatus('Not synced (error)', 'failed');
+                }
+                return;
+            }
+
+            console.debug(LOG, 'Remote update received (writeId=', writeId, '). Merging into local…');
             isApplyingRemote = true;
             try {
-                writeMergedToLocalStorage(payload);
+                const local = buildLocalPayload();
+                const { payload: merged, conflicts } = mergeLocalAndCloud(local, payload, loadSyncBase(uid));
 
-                if (typeof loadData === 'function') {
-                    loadData();
+                if (conflicts.length > 0) {
+                    // Let the full sync flow ask the user
+                    setTimeout(() => runExclusiveSync(() => mergeThenPush()), 0);
+                    return;
                 }
-                if (typeof initTheme === 'function') {
-                    initTheme();
+
+                if (localPayloadHash(local) !== localPayloadHash(merged)) {
+                    writeMergedToStorage(merged);
+                    reloadFromStorage();
                 }
-                if (typeof renderProfileUI === 'function') {
-                    renderProfileUI();
+                saveSyncBase(uid, payload);
+
+                if (localPayloadHash(merged) !== localPayloadHash(payload)) {
+                    // Local changes not yet in the cloud
+                    setTimeout(() => debounceAutoSync(), 0);
                 }
 
-                setStatus(formatSyncedStatus(currentUser));
+                showQueueStatus();
             } catch (err) {
                 console.error(LOG, 'Failed applying remote update:', err);
-                setStatus('Not synced (error)');
+                setStatus('Not synced (error)', 'failed');
             } finally {
                 isApplyingRemote = false;
             }
         };
 
-        ref.on('value', handler);
-        dbUnsubscribe = () => ref.off('value', handler);
+        dbUnsubscribe = provider.subscribe(user, handler);
     }
 
     function stopCloudListener() {
@@ -429,40 +728,240 @@
         dbUnsubscribe = null;
     }
 
-    async function mergeThenPush() {
+    /**
+     * Merges local and cloud data and pushes the result.
+     * @param {Object} [options={}] - Options
+     * @param {number} [options.attempt=0] - Retry count after concurrent cloud writes
+     * @param {boolean} [options.plain=false] - Push unencrypted and forget the key
+     * @param {boolean} [options.rethrow=false] - Rethrow errors (for retrying) instead of only reporting them
+     * @returns {Promise<boolean>} True if the sync completed
+     */
+    async function mergeThenPush({ attempt = 0, plain = false, rethrow = false } = {}) {
         if (!currentUser) {
             console.debug(LOG, 'mergeThenPush() skipped: not signed in');
-            return;
+            return false;
         }
 
-        try {
-            setStatus('Syncing…');
+        if (isResolvingConflicts) {
+            console.debug(LOG, 'mergeThenPush() skipped: conflicts are being resolved');
+            return false;
+        }
+        const user = currentUser;
+        const uid = user.uid;
+        // Everything queued so far is included in this sync
+        const queued = SyncQueue.list().map(e => e.id);
 
-            const local = buildLocalPayload();
-            const cloud = await loadCloudPayload(currentUser.uid);
-            const merged = mergeLocalAndCloud(local, cloud);
+        isSyncing = true;
+        try {
+            setStatus('Syncing…', 'syncing');
+
+            let local = buildLocalPayload();
+            const cloud = await loadCloudPayload(user);
+            const base = loadSyncBase(uid);
+            let { payload: merged, conflicts } = mergeLocalAndCloud(local, cloud, base);
+
+            if (conflicts.length > 0) {
+                console.debug(LOG, 'Merge found', conflicts.length, 'conflict(s). Asking user…');
+                setStatus('Resolve sync conflicts', 'conflict');
+
+                isResolvingConflicts = true;
+                let choices;
+                try {
+                    choices = await showSyncConflictDialog(conflicts);
+                } finally {
+                    isResolvingConflicts = false;
+                }
 
-            // If merge changed local, write it.
-            const localHash = localPayloadHash(local);
-            const mergedHash = localPayloadHash(merged);
+                if (!choices) {
+                    setStatus('Not synced (conflicts)', 'conflict');
+                    return false;
+                }
 
-            if (localHash !== mergedHash) {
-                console.debug(LOG, 'Merged payload differs from local. Writing merged to localStorage.');
-                writeMergedToLocalStorage(merged);
+                // Local data may have changed while the dialog was open
+                local = buildLocalPayload();
+                ({ payload: merged } = mergeLocalAndCloud(local, cloud, base, choices));
+            }
 
-                if (typeof loadData === 'function') loadData();
-                if (typeof initTheme === 'function') initTheme();
-                if (typeof renderProfileUI === 'function') renderProfileUI();
+            // If merge changed local, write it.
+            if (localPayloadHash(local) !== localPayloadHash(merged)) {
+                console.debug(LOG, 'Merged payload differs from local. Writing merged to local storage.');
+                isApplyingRemote = true;
+                try {
+                    writeMergedToStorage(merged);
+                    reloadFromStorage();
+                } finally {
+                    isApplyingRemote = false;
+                }
             } else {
                 console.debug(LOG, 'Merged payload equals local. No local write needed.');
             }
 
-            await saveCloudPayload(currentUser.uid, merged);
+            await saveCloudPayload(user, merged, { plain });
+            saveSyncBase(uid, merged);
+            if (plain) await CloudCrypto.forgetDeviceKey();
+            SyncQueue.complete(queued);
 
-            setStatus(formatSyncedStatus(currentUser));
+            isSyncing = false;
+            showQueueStatus();
+            updateEncryptionUI();
+            return true;
         } catch (err) {
+            isSyncing = false;
+            if (err?.code === 'conflict' && attempt < 2) {
+                // Another device wrote in the meantime: merge with its data
+                console.debug(LOG, 'Cloud changed during sync, merging again');
+                return mergeThenPush({ attempt: attempt + 1, plain, rethrow });
+            }
+            if (err?.code === 'locked') {
+                reportLocked();
+                return false;
+            }
             console.error(LOG, 'mergeThenPush failed:', err);
-            setStatus('Not synced (error)');
+            setStatus('Not synced (error)', 'failed');
+            if (rethrow) throw err;
+            return false;
+        } finally {
+            isSyncing = false;
+        }
+    }
+
+    /**
+     * Runs a sync once the one in progress, if any, has finished, so two
+     * merges never start from the same base or complete each other's queue.
+     * @param {Function} task - Starts the sync and returns its promise
+     * @returns {Promise<*>} Result of the task
+     */
+    async function runExclusiveSync(task) {
+        while (activeSync) {
+            await activeSync.catch(() => {});
+        }
+        activeSync = task();
+        try {
+            return await activeSync;
+        } finally {
+            activeSync = null;
+        }
+    }
+
+    /**
+     * Syncs everything in the queue, after any sync in progress.
+     */
+    function processQueue() {
+        return runExclusiveSync(syncQueuedChanges);
+    }
+
+    /**
+     * Syncs everything in the queue, retrying with backoff. If all attempts
+     * fail, the queued changes are marked failed and the user is told.
+     */
+    async function syncQueuedChanges() {
+        if (!currentUser || isLocked || isResolvingConflicts) return;
+        if (!navigator.onLine) {
+            console.debug(LOG, 'Offline: keeping changes queued');
+            showQueueStatus();
+            return;
+        }
+
+        const ids = SyncQueue.list().map(e => e.id);
+        SyncQueue.markAttempt(ids);
+
+        try {
+            await withRetry(() => mergeThenPush({ rethrow: true }), {
+                context: 'CloudSync',
+                shouldRetry: err => navigator.onLine && isRetryableError(err),
+                onRetry: ({ attempt, maxRetries }) => {
+                    SyncQueue.markAttempt(ids);
+                    setStatus(`Retrying (${attempt}/${maxRetries})…`, 'syncing');
+                }
+            });
+        } catch (err) {
+            SyncQueue.fail(ids, getUserFriendlyError(err));
+            showQueueStatus();
+            ToastManager.error('Cloud sync failed', {
+                description: 'Your changes are saved on this device and will be synced later.',
+                action: openSyncQueueModal,
+                actionLabel: 'Details'
+            });
+        }
+    }
+
+    /**
+     * Records a local change in the sync queue.
+     * @param {string} reason - What changed
+     */
+    function queueChange(reason) {
+        if (!currentUser) return;
+        const profiles = safeJsonParse(localStorage.getItem(STORAGE_KEYS.PROFILES)) || [];
+        const activeId = localStorage.getItem(STORAGE_KEYS.ACTIVE_PROFILE);
+        SyncQueue.enqueue({
+            reason,
+            profileId: activeId,
+            profileName: profiles.find(p => p.id === activeId)?.name || ''
+        });
+    }
+
+    /**
+     * Retries a sync that was paused for the passphrase.
+     */
+    async function unlockCloud() {
+        isLocked = false;
+        if (await runExclusiveSync(() => mergeThenPush()) && currentUser) {
+            startCloudListener(currentUser);
+        }
+    }
+
+    /**
+     * Turns end-to-end encryption on (asking for a new passphrase) or off.
+     */
+    async function toggleEncryption() {
+        if (!currentUser) return;
+        if (isLocked) {
+            await unlockCloud();
+            return;
+        }
+
+        const user = currentUser;
+        if (await CloudCrypto.loadDeviceKey(user.uid)) {
+            const confirmed = await showConfirmDialog('Turn off end-to-end encryption?', {
+                title: 'Cloud Encryption',
+                description: 'Your data will be stored in the cloud as plain JSON again, and your other devices will stop encrypting too.',
+                confirmText: 'Turn Off',
+                dangerous: true
+            });
+            if (!confirmed) return;
+
+            if (await runExclusiveSync(() => mergeThenPush({ plain: true }))) {
+                ToastManager.success('Encryption turned off');
+            }
+            return;
+        }
+
+        const passphrase = await showPromptDialog('Choose a passphrase. It encrypts your data before it leaves this device; without it, the cloud copy cannot be read, so keep it somewhere safe.', '', {
+            title: 'Encrypt Cloud Data',
+            confirmText: 'Next',
+            inputType: 'password',
+            required: true,
+            validationMessage: 'Use at least 8 characters',
+            validate: value => value.length >= 8 || 'Use at least 8 characters'
+        });
+        if (!passphrase) return;
+
+        const repeated = await showPromptDialog('Enter the passphrase again.', '', {
+            title: 'Encrypt Cloud Data',
+            confirmText: 'Turn On',
+            inputType: 'password',
+            required: true,
+            validationMessage: 'Passphrases do not match',
+            validate: value => value === passphrase || 'Passphrases do not match'
+        });
+        if (!repeated) return;
+
+        setStatus('Encrypting…', 'syncing');
+        await CloudCrypto.saveDeviceKey(user.uid, await CloudCrypto.createKey(passphrase), false);
+        if (await runExclusiveSync(() => mergeThenPush())) {
+            ToastManager.success('Cloud data encrypted', {
+                description: 'Your other devices will ask for the passphrase once.'
+            });
         }
     }
 
@@ -472,6 +971,14 @@
             console.debug(LOG, 'Skip autosync: currently applying remote payload');
             return;
         }
+        if (isResolvingConflicts) {
+            console.debug(LOG, 'Skip autosync: conflicts are being resolved');
+            return;
+        }
+        if (isLocked) {
+            console.debug(LOG, 'Skip autosync: cloud data is locked');
+            return;
+        }
 
         if (pendingSyncTimer) {
             clearTimeout(pendingSyncTimer);
@@ -479,99 +986,135 @@
 
         pendingSyncTimer = setTimeout(async () => {
             pendingSyncTimer = null;
-            await pushLocalToCloud();
+            await processQueue();
         }, 750);
     }
 
     async function pushLocalToCloud() {
         if (!currentUser) return;
-        const uid = currentUser.uid;
-
-        try {
-            setStatus('Syncing…');
-            const payload = buildLocalPayload();
-            await saveCloudPayload(uid, payload);
-            setStatus(formatSyncedStatus(currentUser));
-        } catch (err) {
-            console.error(LOG, 'pushLocalToCloud failed:', err);
-            setStatus('Not synced (error)');
+        if (isLocked) {
+            // Never replace encrypted cloud data that this device can't read
+            console.debug(LOG, 'Skip push: cloud data is locked');
+            return;
         }
-    }
-
-    async function signIn() {
-        if (!firebase?.auth) {
-            console.error(LOG, 'Firebase SDK not loaded (auth missing).');
+        if (!navigator.onLine) {
+            showQueueStatus();
             return;
         }
 
-        console.debug(LOG, 'Starting Google sign-in popup…');
-        const provider = new firebase.auth.GoogleAuthProvider();
-        provider.setCustomParameters({ prompt: 'select_account' });
+        await runExclusiveSync(async () => {
+            const queued = SyncQueue.list().map(e => e.id);
+            // Merge rather than overwrite: other devices may have pushed edits
+            // this one has not seen, and a stale write is rejected and retried
+            try {
+                await mergeThenPush({ rethrow: true });
+            } catch (err) {
+                // Keep the change queued; the next sync merges it in
+                SyncQueue.fail(queued, getUserFriendlyError(err));
+                showQueueStatus();
+            }
+        });
+    }
 
-        await firebase.auth().signInWithPopup(provider);
+    async function signIn() {
+        console.debug(LOG, 'Signing in with', provider.id);
+        const options = provider.id === 'rest' ? {
+            url: getEl(UI.restUrlId)?.value.trim() || '',
+            username: getEl(UI.restUserId)?.value.trim() || '',
+            password: getEl(UI.restPasswordId)?.value || ''
+        } : undefined;
+
+        await provider.signIn(options);
     }
 
     async function signOut() {
-        if (!firebase?.auth) return;
+        if (!provider) return;
         console.debug(LOG, 'Signing out…');
-        await firebase.auth().signOut();
+        isLocked = false;
+        await CloudCrypto.forgetDeviceKey();
+        SyncQueue.clear();
+        await provider.signOut();
     }
 
     function attachUIHandlers() {
         const connectBtn = getEl(UI.connectBtnId);
         const disconnectBtn = getEl(UI.disconnectBtnId);
+        const select = getEl(UI.providerSelectId);
 
         const connect = async () => {
+            if (!provider) return;
             try {
                 await signIn();
             } catch (err) {
                 console.error(LOG, 'Sign-in failed:', err);
-                setStatus('Sign-in failed (see console)');
+                setStatus(provider.id === 'rest' ? `Connection failed: ${err.message}` : 'Sign-in failed (see console)', 'failed');
             }
         };
 
         if (connectBtn) connectBtn.addEventListener('click', connect);
         if (disconnectBtn) disconnectBtn.addEventListener('click', () => signOut());
-    }
-
-    function initializeFirebaseSync() {
-        if (initialized) return;
-        initialized = true;
 
-        console.debug(LOG, 'initializeFirebaseSync()');
-
-        clientId = ensureClientId();
-        console.debug(LOG, 'clientId=', clientId);
+        const headerText = getEl('cloud-header-text');
+        if (headerText) headerText.addEventListener('click', () => openSyncQueueModal());
+        getEl(UI.queueBtnId)?.addEventListener('click', () => openSyncQueueModal());
+        getEl(UI.queueRetryBtnId)?.addEventListener('click', () => processQueue());
+
+        const encryptionBtn = getEl(UI.encryptionBtnId);
+        if (encryptionBtn) {
+            encryptionBtn.addEventListener('click', () => {
+                toggleEncryption().catch(err => {
+                    console.error(LOG, 'Changing encryption failed:', err);
+                    ToastManager.error('Could not change cloud encryption', { description: err.message });
+                });
+            });
+        }
 
-        if (typeof FIREBASE_CONFIG === 'undefined') {
-            console.error(LOG, 'FIREBASE_CONFIG not loaded. Create js/firebase-config.js from js/firebase-config.example.js');
-            setStatus('Missing Firebase config');
-            return;
+        if (select) {
+            select.innerHTML = SyncProviders.list()
+                .map(p => `<option value="${p.id}">${escapeHtml(p.label)}</option>`)
+                .join('');
+            select.value = SyncProviders.getSelectedId();
+            select.addEventListener('change', () => {
+                SyncProviders.select(select.value);
+                activateProvider(select.value);
+            });
         }
 
-        if (typeof firebase === 'undefined') {
-            console.error(LOG, 'Firebase SDK not loaded.');
-            setStatus('Missing Firebase SDK');
-            return;
+        const rest = SyncProviders.getSettings().rest;
+        if (rest && getEl(UI.restUrlId)) {
+            getEl(UI.restUrlId).value = rest.url || '';
+            getEl(UI.restUserId).value = rest.username || '';
         }
+    }
+
+    /**
+     * Switches to a provider and starts following its auth state.
+     * @param {string} id - Provider id
+     */
+    function activateProvider(id) {
+        if (typeof authUnsubscribe === 'function') authUnsubscribe();
+        authUnsubscribe = null;
+        stopCloudListener();
+        currentUser = null;
+        isLocked = false;
+
+        provider = SyncProviders.get(id);
+        console.debug(LOG, 'Using provider', provider.id);
+        updateUIForAuthState(null);
 
         try {
-            firebase.initializeApp(FIREBASE_CONFIG);
-            console.debug(LOG, 'Firebase initialized');
+            provider.init();
         } catch (err) {
-            // Ignore duplicate init
-            console.debug(LOG, 'Firebase init error (maybe already initialized):', err);
+            console.error(LOG, 'Provider unavailable:', err);
+            setStatus(err.message, 'failed');
+            return;
         }
 
-        attachUIHandlers();
+        const activeProvider = provider;
+        authUnsubscribe = provider.onAuthStateChanged(async (user) => {
+            // Ignore late callbacks from a provider that was switched away from
+            if (provider !== activeProvider) return;
 
-        window.addEventListener('resize', () => {
-            if (currentUser) {
-                setStatus(formatSyncedStatus(currentUser));
-            }
-        });
-
-        firebase.auth().onAuthStateChanged(async (user) => {
             currentUser = user || null;
             console.debug(LOG, 'onAuthStateChanged:', currentUser ? currentUser.uid : null);
 
@@ -582,23 +1125,47 @@
                 return;
             }
 
-            await mergeThenPush();
-            startCloudListener(currentUser.uid);
+            await processQueue();
+            if (currentUser === user) startCloudListener(user);
         });
     }
 
+    function initializeFirebaseSync() {
+        if (initialized) return;
+        initialized = true;
+
+        console.debug(LOG, 'initializeFirebaseSync()');
+
+        clientId = ensureClientId();
+        console.debug(LOG, 'clientId=', clientId);
+
+        attachUIHandlers();
+
+        window.addEventListener('resize', () => showQueueStatus());
+
+        // Changes made while offline stay queued until the connection is back
+        window.addEventListener('offline', () => showQueueStatus());
+        window.addEventListener('online', () => processQueue());
+        SyncQueue.subscribe(() => showQueueStatus());
+
+        activateProvider(SyncProviders.getSelectedId());
+    }
+
     // Expose public API
     window.initializeFirebaseSync = initializeFirebaseSync;
+    window.mergeLocalAndCloud = mergeLocalAndCloud;
 
     // Called by state/profile changes
-    window.autoSyncToFirebase = async () => {
-        console.debug(LOG, 'autoSyncToFirebase() called');
+    window.autoSyncToFirebase = async (reason = 'Data changed') => {
+        console.debug(LOG, 'autoSyncToFirebase() called:', reason);
+        queueChange(reason);
         debounceAutoSync();
     };
 
     // Used for actions that must persist immediately (e.g., deleting a profile)
-    window.forceSyncToFirebase = async () => {
-        console.debug(LOG, 'forceSyncToFirebase() called');
+    window.forceSyncToFirebase = async (reason = 'Data changed') => {
+        console.debug(LOG, 'forceSyncToFirebase() called:', reason);
+        queueChange(reason);
         await pushLocalToCloud();
     };
 })();
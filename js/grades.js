@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Grades dashboard: points-weighted averages per semester and
+ * cumulatively, with "what-if" hypothetical grades.
+ *
+ * Rules (Technion conventions):
+ *  - The average is weighted by course points and only includes numeric grades.
+ *    Courses without a grade, or with a grade but no points, are left out.
+ *  - Numeric grades of at least GRADE_CONFIG.PASSING_GRADE, "Pass" and
+ *    "Exempt" earn the course points; failing grades don't.
+ *  - When a course (same course number) was taken in several semesters, only
+ *    the latest attempt counts towards the cumulative figures.
+ *
+ * What-if grades are kept in memory only and never saved.
+ */
+
+'use strict';
+
+// ============================================================================
+// CALCULATION
+// ============================================================================
+
+/**
+ * Parses a stored course grade.
+ * @param {string|number} raw - Grade as stored on the course
+ * @returns {{type: 'numeric'|'pass'|'fail'|'exempt'|'none'|'unknown', value: number|null}} Parsed grade
+ */
+function parseCourseGrade(raw) {
+    const text = String(raw ?? '').trim();
+    if (!text) return { type: 'none', value: null };
+
+    const keyword = text.toLowerCase();
+    if (GRADE_CONFIG.PASS.includes(keyword)) return { type: 'pass', value: null };
+    if (GRADE_CONFIG.FAIL.includes(keyword)) return { type: 'fail', value: null };
+    if (GRADE_CONFIG.EXEMPT.includes(keyword)) return { type: 'exempt', value: null };
+
+    const value = Number(text);
+    if (Number.isFinite(value) && value >= 0 && value <= 100) return { type: 'numeric', value };
+    return { type: 'unknown', value: null };
+}
+
+/**
+ * Checks whether a parsed grade earns the course points.
+ * @param {{type: string, value: number|null}} grade - Result of parseCourseGrade
+ * @returns {boolean} True for passing numeric grades, "Pass" and "Exempt"
+ */
+function isEarningGrade(grade) {
+    if (grade.type === 'numeric') return grade.value >= GRADE_CONFIG.PASSING_GRADE;
+    return grade.type === 'pass' || grade.type === 'exempt';
+}
+
+/**
+ * Formats a course grade for display ("85%", "Pass").
+ * @param {string|number} raw - Grade as stored on the course
+ * @returns {string} Display text ('' if there is no grade)
+ */
+function formatCourseGrade(raw) {
+    const grade = parseCourseGrade(raw);
+    if (grade.type === 'none') return '';
+    if (grade.type === 'numeric') return `${grade.value}%`;
+    return String(raw).trim();
+}
+
+/**
+ * Parses course points.
+ * @param {string|number} raw - Points as stored on the course
+ * @returns {number} Points (0 if missing or invalid)
+ */
+function parseCoursePoints(raw) {
+    const points = Number(raw);
+    return Number.isFinite(points) && points > 0 ? points : 0;
+}
+
+/**
+ * Summarizes a list of courses.
+ * @param {Array<Object>} courses - Courses
+ * @param {Object<string, string>} [whatIf={}] - Hypothetical grades by course ID
+ * @returns {{average: number|null, gradedPoints: number, earnedPoints: number,
+ *     totalPoints: number, gradedCount: number, ungradedCount: number, unweightedCount: number}} Summary
+ */
+function summarizeGrades(courses, whatIf = {}) {
+    const summary = {
+        average: null,
+        gradedPoints: 0,
+        earnedPoints: 0,
+        totalPoints: 0,
+        gradedCount: 0,
+        ungradedCount: 0,
+        unweightedCount: 0
+    };
+    let weightedSum = 0;
+
+    courses.forEach(course => {
+        const points = parseCoursePoints(course.points);
+        const grade = parseCourseGrade(whatIf[course.id] ?? course.grade);
+        summary.totalPoints += points;
+
+        if (grade.type === 'none' || grade.type === 'unknown') {
+            summary.ungradedCount++;
+            return;
+        }
+        summary.gradedCount++;
+
+        if (grade.type === 'numeric') {
+            if (points === 0) {
+                summary.unweightedCount++;
+                return;
+            }
+            weightedSum += grade.value * points;
+            summary.gradedPoints += points;
+            if (isEarningGrade(grade)) summary.earnedPoints += points;
+        } else if (isEarningGrade(grade)) {
+            summary.earnedPoints += points;
+        }
+    });
+
+    if (summary.gradedPoints > 0) summary.average = weightedSum / summary.gradedPoints;
+    return summary;
+}
+
+/**
+ * Keeps only the latest attempt of each course number. Courses without a
+ * number are always kept.
+ * @param {Array<Object>} semesters - Semesters, newest first
+ * @param {Object<string, string>} whatIf - Hypothetical grades by course ID
+ * @returns {Array<Object>} Courses that count towards the cumulative figures
+ */
+function latestCourseAttempts(semesters, whatIf) {
+    const seen = new Set();
+    const courses = [];
+
+    semesters.forEach(semester => {
+        (semester.courses || []).forEach(course => {
+            const number = String(course.number || '').trim();
+            if (number) {
+                if (seen.has(number)) return;
+                // Only graded attempts replace earlier ones
+                if (parseCourseGrade(whatIf[course.id] ?? course.grade).type !== 'none') seen.add(number);
+            }
+            courses.push(course);
+        });
+    });
+
+    return courses;
+}
+
+/**
+ * Builds the grades report for all semesters.
+ * @param {Object} data - Application data (appData)
+ * @param {Object<string, string>} [whatIf={}] - Hypothetical grades by course ID
+ * @returns {{semesters: Array<{id: string, name: string, courses: Array, summary: Object}>, cumulative: Object}} Report
+ */
+function buildGradesReport(data, whatIf = {}) {
+    const semesters = [...(data.semesters || [])].sort(compareSemesters);
+
+    return {
+        semesters: semesters.map(semester => ({
+            id: semester.id,
+            name: semester.name,
+            courses: semester.courses || [],
+            summary: summarizeGrades(semester.courses || [], whatIf)
+        })),
+        cumulative: summarizeGrades(latestCourseAttempts(semesters, whatIf), whatIf)
+    };
+}
+
+// ============================================================================
+// DASHBOARD UI
+// ============================================================================
+
+/** @type {Object<string, string>} What-if grades by course ID (not saved) */
+let gradesWhatIf = {};
+
+/**
+ * Formats an average for display.
+ * @param {number|null} average - Average
+ * @returns {string} Display text
+ */
+function formatAverage(average) {
+    return average === null ? '—' : average.toFixed(2);
+}
+
+/**
+ * Formats points for display.
+ * @param {number} points - Points
+ * @returns {string} Display text
+ */
+function formatPoints(points) {
+    return String(Math.round(points * 10) / 10);
+}
+
+/**
+ * Opens the grades dashboard.
+ */
+function openGradesDashboard() {
+    gradesWhatIf = {};
+    renderGradesDashboard();
+    openModal('grades-modal');
+}
+
+/**
+ * Renders the summary cards and the per-semester breakdown.
+ */
+function renderGradesDashboard() {
+    const summaryEl = $('grades-summary');
+    const breakdownEl = $('grades-breakdown');
+    if (!summaryEl || !breakdownEl) return;
+
+    const actual = buildGradesReport(appData);
+    const hasWhatIf = Object.keys(gradesWhatIf).length > 0;
+    const report = hasWhatIf ? buildGradesReport(appData, gradesWhatIf) : actual;
+    const { cumulative } = report;
+
+    const whatIfNote = hasWhatIf
+        ? `<div class="grades-card-note">Actual: ${formatAverage(actual.cumulative.average)}</div>`
+        : '';
+    summaryEl.innerHTML = `
+        <div class="grades-card ${hasWhatIf ? 'what-if' : ''}">
+            <div class="grades-card-label">${hasWhatIf ? 'What-if average' : 'Cumulative average'}</div>
+            <div class="grades-card-value">${formatAverage(cumulative.average)}</div>
+            ${whatIfNote}
+        </div>
+        <div class="grades-card">
+            <div class="grades-card-label">Points earned</div>
+            <div class="grades-card-value">${formatPoints(cumulative.earnedPoints)}</div>
+            <div class="grades-card-note">${formatPoints(cumulative.gradedPoints)} in average</div>
+        </div>
+    `;
+    $('grades-reset-btn').classList.toggle('hidden', !hasWhatIf);
+
+    if (report.semesters.length === 0) {
+        breakdownEl.innerHTML = '<div class="grades-empty">Add a semester and courses to see your grades.</div>';
+        return;
+    }
+
+    const semesterRows = report.semesters.map(semester => `
+        <tr>
+            <td>${escapeHtml(semester.name)}</td>
+            <td>${formatPoints(semester.summary.gradedPoints)}</td>
+            <td>${formatPoints(semester.summary.earnedPoints)}</td>
+            <td class="grades-average">${formatAverage(semester.summary.average)}</td>
+        </tr>
+    `).join('');
+
+    const semesterSections = report.semesters
+        .filter(semester => semester.courses.length > 0)
+        .map(semester => `
+            <div class="grades-semester">
+                <div class="grades-semester-header">
+                    <span>${escapeHtml(semester.name)}</span>
+                    <span class="grades-average">${formatAverage(semester.summary.average)}</span>
+                </div>
+                ${semester.courses.map(course => renderGradesCourseRow(course)).join('')}
+            </div>
+        `).join('');
+
+    const notes = [];
+    if (cumulative.unweightedCount > 0) {
+        notes.push(`${cumulative.unweightedCount} graded course${cumulative.unweightedCount === 1 ? ' has' : 's have'} no points and ${cumulative.unweightedCount === 1 ? 'is' : 'are'} not in the average.`);
+    }
+
+    breakdownEl.innerHTML = `
+        <table class="grades-table">
+            <thead>
+                <tr><th>Semester</th><th>Graded pts</th><th>Earned pts</th><th>Average</th></tr>
+            </thead>
+            <tbody>${semesterRows}</tbody>
+            <tfoot>
+                <tr>
+                    <td>Cumulative</td>
+                    <td>${formatPoints(cumulative.gradedPoints)}</td>
+                    <td>${formatPoints(cumulative.earnedPoints)}</td>
+                    <td class="grades-average">${formatAverage(cumulative.average)}</td>
+                </tr>
+            </tfoot>
+        </table>
+        ${notes.map(note => `<div class="grades-note">${escapeHtml(note)}</div>`).join('')}
+        <div class="grades-what-if-hint">Try a grade in the fields below to see how it changes your average. What-if grades are not saved.</div>
+        ${semesterSections}
+    `;
+}
+
+/**
+ * Renders one course row with its what-if grade field.
+ * @param {Object} course - Course
+ * @returns {string} HTML
+ */
+function renderGradesCourseRow(course) {
+    const whatIf = gradesWhatIf[course.id];
+    const points = parseCoursePoints(course.points);
+
+    return `
+        <div class="grades-course ${whatIf !== undefined ? 'what-if' : ''}">
+            <span class="grades-course-name">${escapeHtml(course.name)}</span>
+            <span class="grades-course-points">${points ? `${formatPoints(points)} pts` : 'No points'}</span>
+            <input type="text" class="grades-course-input" data-course-id="${escapeHtml(course.id)}"
+                value="${escapeHtml(whatIf ?? course.grade ?? '')}" placeholder="—" list="course-grade-options"
+                aria-label="Grade for ${escapeHtml(course.name)}">
+        </div>
+    `;
+}
+
+/**
+ * Applies a what-if grade typed into the dashboard.
+ * @param {HTMLInputElement} input - Grade field
+ */
+function updateGradesWhatIf(input) {
+    const courseId = input.dataset.courseId;
+    const course = appData.semesters.flatMap(s => s.courses).find(c => c.id === courseId);
+    if (!course) return;
+
+    const value = input.value.trim();
+    const validation = validateCourseGrade(value);
+    input.classList.toggle('invalid', !validation.valid);
+    if (!validation.valid) return;
+
+    if (validation.value === String(course.grade ?? '').trim()) {
+        delete gradesWhatIf[courseId];
+    } else {
+        gradesWhatIf[courseId] = validation.value;
+    }
+
+    // Keep focus in the field being edited while everything re-renders
+    const selection = input.selectionStart;
+    renderGradesDashboard();
+    const field = document.querySelector(`.grades-course-input[data-course-id="${CSS.escape(courseId)}"]`);
+    if (field) {
+        field.focus();
+        field.setSelectionRange(selection, selection);
+    }
+}
+
+/**
+ * Sets up the grades dashboard events.
+ */
+function setupGradesDashboard() {
+    $('grades-btn')?.addEventListener('click', openGradesDashboard);
+
+    $('grades-breakdown')?.addEventListener('input', (e) => {
+        if (e.target.classList.contains('grades-course-input')) updateGradesWhatIf(e.target);
+    });
+
+    $('grades-reset-btn')?.addEventListener('click', () => {
+        gradesWhatIf = {};
+        renderGradesDashboard();
+    });
+}
+
+window.parseCourseGrade = parseCourseGrade;
+window.isEarningGrade = isEarningGrade;
+window.formatCourseGrade = formatCourseGrade;
+window.parseCoursePoints = parseCoursePoints;
+window.formatPoints = formatPoints;
+window.summarizeGrades = summarizeGrades;
+window.buildGradesReport = buildGradesReport;
+window.openGradesDashboard = openGradesDashboard;
+window.setupGradesDashboard = setupGradesDashboard;
@@ -0,0 +1,405 @@
+/**
+ * @fileoverview Grading scheme of a course: weighted components (assignments,
+ * midterm, final...) that compute the course grade, and a solver for the
+ * score still needed on the remaining components.
+ *
+ * A component is scored either by hand or from linked homework items, whose
+ * scores are averaged ("best N of M" keeps the N highest). Scores and weights
+ * are percentages; the course grade is the weighted average of the components
+ * and is filled in automatically once every component is complete.
+ */
+
+'use strict';
+
+// ============================================================================
+// CALCULATION
+// ============================================================================
+
+/**
+ * Reads a 0-100 score.
+ * @param {string|number} value - Stored score
+ * @returns {number|null} Score, or null if missing or invalid
+ */
+function parseScore(value) {
+    if (value === '' || value == null) return null;
+    const score = Number(value);
+    return Number.isFinite(score) && score >= 0 && score <= 100 ? score : null;
+}
+
+/**
+ * Computes the score of one component.
+ * @param {Object} component - Grade component
+ * @param {Object} course - Course the component belongs to
+ * @returns {{score: number|null, complete: boolean, countedIds: string[]}} Current score
+ *     (null if nothing is graded yet), whether it is final, and the homework counted
+ */
+function computeComponentScore(component, course) {
+    const linkedIds = component.homeworkIds || [];
+    if (linkedIds.length === 0) {
+        const score = parseScore(component.score);
+        return { score, complete: score !== null, countedIds: [] };
+    }
+
+    const linked = (course.homework || []).filter(hw => linkedIds.includes(hw.id));
+    const scored = linked
+        .map(hw => ({ id: hw.id, score: parseScore(hw.score) }))
+        .filter(entry => entry.score !== null)
+        .sort((a, b) => b.score - a.score);
+
+    const required = component.bestOf > 0 ? Math.min(component.bestOf, linked.length) : linked.length;
+    const counted = scored.slice(0, required);
+    const score = counted.length > 0
+        ? counted.reduce((sum, entry) => sum + entry.score, 0) / counted.length
+        : null;
+
+    return { score, complete: required > 0 && scored.length >= required, countedIds: counted.map(e => e.id) };
+}
+
+/**
+ * Computes the grade of a course from its components.
+ * @param {Object} course - Course
+ * @returns {{components: Array<Object>, totalWeight: number, gradedWeight: number,
+ *     current: number|null, final: number|null}} Components with their scores, the
+ *     weighted average of the graded components so far, and the final grade once
+ *     every component is complete
+ */
+function computeSchemeGrade(course) {
+    const components = (course.gradeComponents || []).map(component => ({
+        ...component,
+        ...computeComponentScore(component, course)
+    }));
+
+    let totalWeight = 0;
+    let gradedWeight = 0;
+    let weightedSum = 0;
+    components.forEach(component => {
+        const weight = Number(component.weight) || 0;
+        totalWeight += weight;
+        if (component.score !== null) {
+            gradedWeight += weight;
+            weightedSum += weight * component.score;
+        }
+    });
+
+    const allComplete = components.length > 0 && components.every(c => c.complete);
+    return {
+        components,
+        totalWeight,
+        gradedWeight,
+        current: gradedWeight > 0 ? weightedSum / gradedWeight : null,
+        final: allComplete && totalWeight > 0 ? weightedSum / totalWeight : null
+    };
+}
+
+/**
+ * Solves for the average needed on the incomplete components to reach a grade.
+ * A partly scored component (e.g. best 3 of 5 with two graded) still counts
+ * as remaining: the answer is the score it needs overall.
+ * @param {Object} course - Course
+ * @param {number} target - Target course grade (0-100)
+ * @returns {{needed: number|null, remaining: Array<Object>}} Needed average
+ *     (null if nothing is left to grade) and the incomplete components, with
+ *     `partial` set on those that already have a score
+ */
+function solveRequiredScore(course, target) {
+    const scheme = computeSchemeGrade(course);
+    const remaining = scheme.components
+        .filter(c => !c.complete && Number(c.weight) > 0)
+        .map(c => ({ ...c, partial: c.score !== null }));
+    const remainingWeight = remaining.reduce((sum, c) => sum + Number(c.weight), 0);
+    if (remainingWeight === 0 || scheme.totalWeight === 0) return { needed: null, remaining };
+
+    const earned = scheme.components
+        .filter(c => c.complete)
+        .reduce((sum, c) => sum + (Number(c.weight) || 0) * c.score, 0);
+
+    return { needed: (target * scheme.totalWeight - earned) / remainingWeight, remaining };
+}
+
+/**
+ * Sets the course grade from its components once every component is
+ * complete. Until then the grade entered by hand is kept.
+ * @param {Object} course - Course (mutated)
+ */
+function applySchemeGrade(course) {
+    if (!course.gradeComponents?.length) return;
+    const { final } = computeSchemeGrade(course);
+    if (final !== null) course.grade = String(Math.round(final));
+}
+
+/**
+ * Removes a deleted homework item from the components linking it.
+ * @param {Object} course - Course (mutated)
+ * @param {string} homeworkId - Deleted homework ID
+ */
+function unlinkHomeworkFromComponents(course, homeworkId) {
+    (course.gradeComponents || []).forEach(component => {
+        component.homeworkIds = (component.homeworkIds || []).filter(id => id !== homeworkId);
+    });
+    applySchemeGrade(course);
+}
+
+// ============================================================================
+// GRADING TAB UI
+// ============================================================================
+
+/**
+ * Formats a score for display.
+ * @param {number|null} score - Score
+ * @returns {string} Display text
+ */
+function formatScore(score) {
+    return score === null ? '—' : String(Math.round(score * 10) / 10);
+}
+
+/**
+ * Renders the grading tab of the course modal.
+ * @param {Object} course - Course
+ */
+function renderGradingTab(course) {
+    const listEl = $('grading-components');
+    const summaryEl = $('grading-summary');
+    if (!listEl || !summaryEl) return;
+
+    const scheme = computeSchemeGrade(course);
+    const homework = course.homework || [];
+
+    if (scheme.components.length === 0) {
+        summaryEl.innerHTML = '<div class="grading-empty">Add the course\'s grade components (assignments, midterm, final...) with their weights to compute the grade automatically.</div>';
+    } else {
+        const weightWarning = scheme.totalWeight !== 100
+            ? `<div class="grading-warning">Weights add up to ${formatScore(scheme.totalWeight)}%, not 100%.</div>`
+            : '';
+        summaryEl.innerHTML = `
+            <div class="grading-summary-row">
+                <span>Current: <strong>${formatScore(scheme.current)}</strong>${scheme.current !== null ? ` <span class="grading-muted">(${formatScore(scheme.gradedWeight)}% graded)</span>` : ''}</span>
+                <span>Final: <strong>${scheme.final === null ? '—' : Math.round(scheme.final)}</strong></span>
+            </div>
+            ${weightWarning}
+        `;
+    }
+
+    listEl.innerHTML = scheme.components.map(component => {
+        const linked = (component.homeworkIds || []).length > 0;
+        const linkedRows = homework.map(hw => `
+            <label class="grading-homework ${component.countedIds.includes(hw.id) ? 'counted' : ''}">
+                <input type="checkbox" data-component-id="${escapeHtml(component.id)}" data-homework-id="${escapeHtml(hw.id)}" data-field="link"
+                    ${component.homeworkIds?.includes(hw.id) ? 'checked' : ''}>
+                <span class="grading-homework-title">${escapeHtml(hw.title)}</span>
+                ${component.homeworkIds?.includes(hw.id) ? `
+                    <input type="number" class="grading-score-input" data-homework-id="${escapeHtml(hw.id)}" data-field="homework-score"
+                        value="${hw.score ?? ''}" min="0" max="100" step="any" placeholder="Score" aria-label="Score for ${escapeHtml(hw.title)}">
+                ` : ''}
+            </label>
+        `).join('');
+
+        return `
+            <div class="grading-component ${component.complete ? 'complete' : ''}">
+                <div class="grading-component-row">
+                    <input type="text" data-component-id="${escapeHtml(component.id)}" data-field="name"
+                        value="${escapeHtml(component.name)}" aria-label="Component name">
+                    <label class="grading-inline">
+                        <input type="number" data-component-id="${escapeHtml(component.id)}" data-field="weight"
+                            value="${component.weight || ''}" min="0" max="100" step="any" aria-label="Weight">%
+                    </label>
+                    ${linked ? `
+                        <span class="grading-linked-score" title="Average of the counted homework">${formatScore(component.score)}</span>
+                    ` : `
+                        <input type="number" class="grading-score-input" data-component-id="${escapeHtml(component.id)}" data-field="score"
+                            value="${component.score ?? ''}" min="0" max="100" step="any" placeholder="Score" aria-label="Score">
+                    `}
+                    <button class="icon-btn grading-delete" data-component-id="${escapeHtml(component.id)}" title="Delete Component">&times;</button>
+                </div>
+                ${homework.length > 0 ? `
+                    <details class="grading-links" ${linked ? 'open' : ''}>
+                        <summary>${linked ? `${component.homeworkIds.length} linked homework` : 'Link homework'}</summary>
+                        ${linked ? `
+                            <label class="grading-inline grading-best-of">
+                                Count best
+                                <input type="number" data-component-id="${escapeHtml(component.id)}" data-field="bestOf"
+                                    value="${component.bestOf || ''}" min="1" step="1" placeholder="all" aria-label="Best N">
+                                of ${component.homeworkIds.length}
+                            </label>
+                        ` : ''}
+                        ${linkedRows}
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+
+    $('grading-solver').classList.toggle('hidden', scheme.components.length === 0);
+    renderGradingSolver(course);
+}
+
+/**
+ * Renders the "what do I need" answer for the target grade.
+ * @param {Object} course - Course
+ */
+function renderGradingSolver(course) {
+    const resultEl = $('grading-solver-result');
+    const input = $('grading-target');
+    if (!resultEl || !input) return;
+
+    const target = parseScore(input.value);
+    if (target === null) {
+        resultEl.textContent = '';
+        return;
+    }
+
+    const { needed, remaining } = solveRequiredScore(course, target);
+    const names = remaining
+        .map(c => `${c.name || 'Untitled'}${c.partial ? ` (${formatScore(c.score)} so far)` : ''}`)
+        .join(', ');
+    if (needed === null) {
+        resultEl.textContent = 'Every component is already graded.';
+    } else if (needed <= 0) {
+        resultEl.textContent = `You already have ${target}, even with 0 on ${names}.`;
+    } else if (needed > 100) {
+        resultEl.textContent = `Out of reach: you would need ${formatScore(needed)} on ${names}.`;
+    } else {
+        resultEl.textContent = `You need ${formatScore(needed)} on ${remaining.length > 1 ? `average on ${names}` : names}.`;
+    }
+}
+
+/**
+ * Refreshes everything that shows the course grade after a grading change.
+ * @param {Object} course - Course
+ */
+function refreshCourseGrade(course) {
+    applySchemeGrade(course);
+    saveData();
+    renderGradingTab(course);
+    updateCourseGradeField(course);
+    renderCourses();
+}
+
+/**
+ * Shows the course grade in the details tab, read-only when it is computed
+ * from a complete grading scheme.
+ * @param {Object} course - Course, or null for a new course
+ */
+function updateCourseGradeField(course) {
+    const input = $('course-grade');
+    const hint = $('course-grade-hint');
+    if (!input) return;
+
+    const computed = !!course?.gradeComponents?.length && computeSchemeGrade(course).final !== null;
+    if (course) input.value = course.grade || '';
+    input.readOnly = computed;
+    if (hint) hint.classList.toggle('hidden', !computed);
+}
+
+/**
+ * Applies an edit made in the grading tab.
+ * @param {HTMLInputElement} input - Edited field
+ */
+function updateGradingField(input) {
+    const course = getCourse(editingCourseId);
+    if (!course) return;
+
+    const { field, componentId, homeworkId } = input.dataset;
+    const component = (course.gradeComponents || []).find(c => c.id === componentId);
+
+    if (field === 'homework-score') {
+        const hw = course.homework.find(h => h.id === homeworkId);
+        const validation = validateNumber(input.value, { min: 0, max: 100 });
+        if (!hw) return;
+        if (!validation.valid) {
+            ToastManager.error(`Score: ${validation.error}`);
+            input.value = hw.score ?? '';
+            return;
+        }
+        hw.score = validation.value ?? '';
+    } else if (!component) {
+        return;
+    } else if (field === 'name') {
+        component.name = input.value.trim() || component.name;
+    } else if (field === 'link') {
+        const ids = new Set(component.homeworkIds || []);
+        if (input.checked) ids.add(homeworkId);
+        else ids.delete(homeworkId);
+        component.homeworkIds = course.homework.map(h => h.id).filter(id => ids.has(id));
+    } else {
+        const limits = { weight: { min: 0, max: 100 }, score: { min: 0, max: 100 }, bestOf: { min: 1, integer: true } };
+        const validation = validateNumber(input.value, limits[field]);
+        if (!validation.valid) {
+            const labels = { weight: 'Weight', score: 'Score', bestOf: 'Best of' };
+            ToastManager.error(`${labels[field]}: ${validation.error}`);
+            input.value = component[field] || '';
+            return;
+        }
+        component[field] = validation.value ?? (field === 'score' ? '' : 0);
+    }
+
+    refreshCourseGrade(course);
+}
+
+/**
+ * Adds a grade component to the course being edited.
+ */
+function addGradeComponent() {
+    const course = getCourse(editingCourseId);
+    if (!course) return;
+
+    if (!course.gradeComponents) course.gradeComponents = [];
+    const isFirst = course.gradeComponents.length === 0;
+    course.gradeComponents.push({
+        id: generateId(),
+        name: isFirst ? 'Final Exam' : 'New Component',
+        weight: isFirst ? 100 : 0,
+        score: '',
+        bestOf: 0,
+        homeworkIds: []
+    });
+
+    refreshCourseGrade(course);
+    const names = document.querySelectorAll('#grading-components input[data-field="name"]');
+    names[names.length - 1]?.select();
+}
+
+/**
+ * Deletes a grade component.
+ * @param {string} componentId - Component ID
+ */
+function deleteGradeComponent(componentId) {
+    const course = getCourse(editingCourseId);
+    if (!course) return;
+
+    course.gradeComponents = (course.gradeComponents || []).filter(c => c.id !== componentId);
+    refreshCourseGrade(course);
+    ToastManager.success('Component deleted', withUndoAction());
+}
+
+/**
+ * Sets up the grading tab events.
+ */
+function setupGradingTab() {
+    const panel = $('tab-grading');
+    if (!panel) return;
+
+    $('add-grade-component-btn').addEventListener('click', addGradeComponent);
+
+    $('grading-components').addEventListener('change', (e) => {
+        if (e.target.dataset.field) updateGradingField(e.target);
+    });
+
+    $('grading-components').addEventListener('click', (e) => {
+        const button = e.target.closest('.grading-delete');
+        if (button) deleteGradeComponent(button.dataset.componentId);
+    });
+
+    $('grading-target').addEventListener('input', () => {
+        const course = getCourse(editingCourseId);
+        if (course) renderGradingSolver(course);
+    });
+}
+
+window.computeComponentScore = computeComponentScore;
+window.computeSchemeGrade = computeSchemeGrade;
+window.solveRequiredScore = solveRequiredScore;
+window.applySchemeGrade = applySchemeGrade;
+window.unlinkHomeworkFromComponents = unlinkHomeworkFromComponents;
+window.renderGradingTab = renderGradingTab;
+window.updateCourseGradeField = updateCourseGradeField;
+window.setupGradingTab = setupGradingTab;
@@ -8,7 +8,7 @@
  * no_semester: Shows only when no semester is selected
  * no_courses: Shows only when semester exists but has no courses
  * no_schedule: Shows only when courses exist but none have schedule slots
- * no_classes_today: Shows only when schedule exists but no classes today (not late night)
+ * no_classes_today: Shows only when schedule exists but no classes today, e.g. on a holiday (not late night)
  * all_clear: Shows only when all homework done, no exams soon, recordings caught up
  * 
  * late_night: Shows only 11pm-4am (23:00-04:00)
@@ -19,6 +19,7 @@
  * class_soon: Shows only when class starts within next 15 minutes
  * class_next: Shows only when class is scheduled later today (>15min away)
  * class_tomorrow: Shows only when no more classes today but one tomorrow
+ * (class categories never show on holidays or outside the semester dates)
  * 
  * hw_overdue: Shows only when there's an incomplete homework past due date
  * hw_today: Shows only when incomplete homework due today
@@ -32,6 +33,7 @@
  * exam_tomorrow: Shows only day before exam
  * exam_soon: Shows only when exam is within 3 days
  * exam: Shows only when exam is within 14 days (but not today/tomorrow/soon)
+ * (exam categories cover every course assessment: moadim, midterms, quizzes, projects)
  * 
  * recordings_big: Shows only when 10+ unwatched recordings in a course
  * recordings_backlog: Shows only when 1-9 unwatched recordings in a course
@@ -222,33 +224,33 @@ const HEADER_TICKER_TEMPLATES = {
         '{title} is approaching. You still have time. Use it.'
     ],
     exam: [
-        'EXAM ALERT: Moed {examType} in {days} day(s){courseMaybe}.',
-        'Exam {examType} in {days} day(s){courseMaybe}. Good luck.',
-        'Exam {examType} is coming up ({date}){courseMaybe}.',
-        'Countdown: {days} day(s) until exam (Moed {examType}){courseMaybe}.',
-        'Exam incoming: Moed {examType}{courseMaybe}. Time to become unstoppable.',
-        'Moed {examType} in {days} day(s){courseMaybe}. Start with one topic today.',
-        'You vs Moed {examType} in {days} day(s){courseMaybe}. Training arc begins.',
-        'Reminder: exam {examType} on {date}{courseMaybe}. You got this.',
-        'Exam {examType} on {date}{courseMaybe}. Today\'s plan: one PDF, no chaos.',
-        'Exam incoming: {examType} ({date}){courseMaybe}. One page at a time.',
+        'EXAM ALERT: {examLabel} in {days} day(s){courseMaybe}.',
+        '{examLabel} in {days} day(s){courseMaybe}. Good luck.',
+        '{examLabel} is coming up ({date}){courseMaybe}.',
+        'Countdown: {days} day(s) until {examLabel}{courseMaybe}.',
+        'Exam incoming: {examLabel}{courseMaybe}. Time to become unstoppable.',
+        '{examLabel} in {days} day(s){courseMaybe}. Start with one topic today.',
+        'You vs {examLabel} in {days} day(s){courseMaybe}. Training arc begins.',
+        'Reminder: {examLabel} on {date}{courseMaybe}. You got this.',
+        '{examLabel} on {date}{courseMaybe}. Today\'s plan: one PDF, no chaos.',
+        'Exam incoming: {examLabel} ({date}){courseMaybe}. One page at a time.',
         'Exam in {days} day(s){courseMaybe}. Do one tiny topic today. Win tomorrow.',
         'Exam countdown running{courseMaybe}. Don\'t let it spawn-camp you.'
     ],
     exam_today: [
-        'EXAM TODAY (Moed {examType}){courseMaybe}. Minimal panic. Maximum focus.',
-        'Today\'s boss fight: exam {examType}{courseMaybe}. You\'ve got this.',
+        'EXAM TODAY ({examLabel}){courseMaybe}. Minimal panic. Maximum focus.',
+        'Today\'s boss fight: {examLabel}{courseMaybe}. You\'ve got this.',
         'Exam day{courseMaybe}. Eat. Breathe. Destroy the questions politely.'
     ],
     exam_tomorrow: [
-        'Exam tomorrow (Moed {examType}){courseMaybe}. Tonight is for a calm review.',
-        'Tomorrow: exam {examType}{courseMaybe}. Sleep is part of the strategy.',
+        'Exam tomorrow ({examLabel}){courseMaybe}. Tonight is for a calm review.',
+        'Tomorrow: {examLabel}{courseMaybe}. Sleep is part of the strategy.',
         'Exam tomorrow{courseMaybe}. One last pass, then rest.'
     ],
     exam_soon: [
-        'Exam (Moed {examType}) in {days} day(s){courseMaybe}. Boss-fight territory.',
-        'EXAM SOON: Moed {examType} in {days} day(s){courseMaybe}. Start with the easiest topic.',
-        'Your exam is close: Moed {examType} in {days} day(s){courseMaybe}. No panic. Just a plan.',
+        '{examLabel} in {days} day(s){courseMaybe}. Boss-fight territory.',
+        'EXAM SOON: {examLabel} in {days} day(s){courseMaybe}. Start with the easiest topic.',
+        'Your exam is close: {examLabel} in {days} day(s){courseMaybe}. No panic. Just a plan.',
         'Exam soon{courseMaybe}. This is where the training arc becomes real.'
     ],
     recordings_backlog: [
@@ -571,6 +573,9 @@ function renderHeaderTickerCurrent(animate) {
     } else if (item.kind === 'recordings' && item.courseId && typeof openRecordingsModal === 'function') {
         container.onclick = () => openRecordingsModal(item.courseId);
         container.style.cursor = 'pointer';
+    } else if (item.kind === 'exam' && item.courseId && item.assessmentId) {
+        container.onclick = () => openCourseModal(item.courseId, 'details', { type: 'exam', assessmentId: item.assessmentId });
+        container.style.cursor = 'pointer';
     } else if ((item.kind === 'class' || item.kind === 'exam') && item.courseId) {
         container.onclick = () => openCourseModal(item.courseId);
         container.style.cursor = 'pointer';
@@ -666,7 +671,7 @@ function buildHeaderTickerItems() {
         items.push(hwMany);
     }
 
-    // 3) Exams: take the soonest upcoming exam (A/B) - VERY HIGH PRIORITY
+    // 3) Exams: take the soonest upcoming exam or other assessment - VERY HIGH PRIORITY
     const examItems = collectExamTickerItems(semester, todayStart, messageSeed, 1);
     examItems.forEach(exam => {
         exam.priority = 9; // Very high priority for exams
@@ -709,7 +714,7 @@ function buildHeaderTickerItems() {
     // 6) If there are no classes later today and none right now, say so
     // Don't show during late night hours (11pm-6am) as it's not useful then
     const isLateNight = hour >= 23 || hour < 6;
-    if (hasScheduleAtAll && !currentClass && !nextClass && !hasAnyClassToday(semester, now.getDay()) && !isLateNight) {
+    if (hasScheduleAtAll && !currentClass && !nextClass && (!hasAnyClassToday(semester, now.getDay()) || !isClassDay(semester, toLocalDateString(now))) && !isLateNight) {
         items.push({
             key: 'no_classes_today',
             kind: 'info',
@@ -863,6 +868,11 @@ function findCurrentAndNextClass(semester, now) {
     let current = null;
     let next = null;
 
+    // No classes on holidays or outside the semester dates
+    if (!isClassDay(semester, toLocalDateString(now))) {
+        return { currentClass: null, nextClass: null };
+    }
+
     const nowDay = now.getDay();
     const nowMinutes = now.getHours() * 60 + now.getMinutes();
 
@@ -1063,15 +1073,9 @@ function collectUpcomingExamItems(semester, todayStart) {
     const items = [];
 
     for (const course of semester.courses || []) {
-        const exams = course.exams || {};
-        const candidates = [
-            { examType: 'A', dateStr: exams.moedA },
-            { examType: 'B', dateStr: exams.moedB }
-        ];
-
-        for (const c of candidates) {
-            if (!c.dateStr) continue;
-            const examDate = parseYMDToLocalDate(c.dateStr);
+        for (const assessment of course.assessments || []) {
+            if (!assessment.date) continue;
+            const examDate = parseYMDToLocalDate(assessment.date);
             if (!examDate) continue;
 
             const examStart = new Date(examDate);
@@ -1087,7 +1091,7 @@ function collectUpcomingExamItems(semester, todayStart) {
 
             // Set badge based on urgency
             const badge = diffDays === 0 ? 'EXAM!!' : (diffDays === 1 ? 'EXAM!' : (diffDays <= 3 ? 'EXAM!' : 'EXAM'));
-            const prettyDate = dateFormatter.format(examStart);
+            const prettyDate = dateFormatter.format(examStart) + (assessment.startTime ? ` ${assessment.startTime}` : '');
 
             // Set category based on how soon the exam is
             const category = diffDays === 0 ? 'exam_today' 
@@ -1096,18 +1100,19 @@ function collectUpcomingExamItems(semester, todayStart) {
                 : 'exam'));
 
             items.push({
-                key: `exam:${course.id}:${c.examType}:${c.dateStr}`,
+                key: `exam:${course.id}:${assessment.id}:${assessment.date}`,
                 kind: 'exam',
                 badge,
                 templateCategory: category,
                 templateVars: {
                     course: course.name,
                     courseMaybe: buildCourseMaybe(course.name),
-                    examType: c.examType,
+                    examLabel: getAssessmentLabel(assessment),
                     days: String(diffDays),
                     date: prettyDate
                 },
                 courseId: course.id,
+                assessmentId: assessment.id,
                 color: course.color,
                 when: examStart
             });
@@ -1277,6 +1282,7 @@ function collectTomorrowFirstClass(semester, now) {
     const tomorrow = new Date(now);
     tomorrow.setDate(tomorrow.getDate() + 1);
     const tomorrowDay = tomorrow.getDay();
+    if (!isClassDay(semester, toLocalDateString(tomorrow))) return null;
 
     let best = null;
 
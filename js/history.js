@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Undo/redo history for application data.
+ *
+ * Every saveData() call records a snapshot of the compact storage payload.
+ * Undo/redo restores a snapshot into appData, persists it and re-renders.
+ * History is kept in memory per profile, so it survives re-renders and
+ * switching back and forth between profiles, but not a page reload.
+ */
+
+'use strict';
+
+const HistoryManager = (() => {
+    /** @type {number} Maximum number of undo steps kept per profile */
+    const HISTORY_LIMIT = 50;
+
+    /**
+     * Per-profile history state.
+     * An entry is {id: number, snapshot: string, semesterId: string|null}.
+     * @type {Map<string, {past: Array, future: Array, current: Object}>}
+     */
+    const histories = new Map();
+
+    /** @type {number} Counter for unique entry IDs */
+    let entryIdCounter = 0;
+
+    /** @type {boolean} True while a snapshot is being applied (suppresses recording) */
+    let applying = false;
+
+    // ========================================================================
+    // SNAPSHOTS
+    // ========================================================================
+
+    /**
+     * Serializes a compact payload, ignoring the lastModified timestamp so that
+     * saves without real changes don't create history entries.
+     * @param {Object} compact - Payload from compactForStorage
+     * @returns {string} Snapshot string
+     */
+    function toSnapshot(compact) {
+        const { t: _lastModified, ...rest } = compact;
+        return JSON.stringify(rest);
+    }
+
+    /**
+     * Creates a history entry for the current state.
+     * @param {Object} compact - Payload from compactForStorage
+     * @returns {{id: number, snapshot: string, semesterId: string|null}} Entry
+     */
+    function createEntry(compact) {
+        return { id: ++entryIdCounter, snapshot: toSnapshot(compact), semesterId: currentSemesterId };
+    }
+
+    /**
+     * Gets the history of the active profile.
+     * @returns {Object|undefined} History state
+     */
+    function getActiveHistory() {
+        return histories.get(activeProfileId);
+    }
+
+    // ========================================================================
+    // RECORDING
+    // ========================================================================
+
+    /**
+     * Sets the baseline after data was loaded from storage.
+     * Existing history is kept if the loaded data matches it (e.g. switching
+     * back to a profile); otherwise the data changed elsewhere (cloud sync,
+     * another tab) and the old history no longer applies.
+     * @param {string} profileId - Profile ID
+     * @param {Object} compact - Payload from compactForStorage
+     */
+    function reset(profileId, compact) {
+        const entry = createEntry(compact);
+        const existing = histories.get(profileId);
+        if (existing && existing.current.snapshot === entry.snapshot) return;
+
+        histories.set(profileId, { past: [], future: [], current: entry });
+    }
+
+    /**
+     * Records the state after a save. No-op if nothing changed.
+     * @param {string} profileId - Profile ID
+     * @param {Object} compact - Payload from compactForStorage
+     */
+    function record(profileId, compact) {
+        const entry = createEntry(compact);
+        const history = histories.get(profileId);
+
+        if (!history) {
+            histories.set(profileId, { past: [], future: [], current: entry });
+            return;
+        }
+        if (applying || history.current.snapshot === entry.snapshot) return;
+
+        history.past.push(history.current);
+        if (history.past.length > HISTORY_LIMIT) history.past.shift();
+        history.future = [];
+        history.current = entry;
+    }
+
+    // ========================================================================
+    // UNDO / REDO
+    // ========================================================================
+
+    /**
+     * Loads a history entry into appData, persists it and re-renders.
+     * @param {{id: number, snapshot: string, semesterId: string|null}} entry - Entry to apply
+     */
+    function applyEntry(entry) {
+        const payload = { ...JSON.parse(entry.snapshot), t: appData.lastModified };
+        appData = hydrateFromStorage(payload);
+
+        if (entry.semesterId && appData.semesters.some(s => s.id === entry.semesterId)) {
+            currentSemesterId = entry.semesterId;
+        } else if (!appData.semesters.some(s => s.id === currentSemesterId)) {
+            initializeCurrentSemester();
+        }
+
+        applying = true;
+        try {
+            saveData();
+        } finally {
+            applying = false;
+        }
+
+        renderAll();
+        refreshOpenCourseModal();
+    }
+
+    /**
+     * Reverts the last recorded change of the active profile.
+     * @returns {boolean} True if a change was undone
+     */
+    function undo() {
+        const history = getActiveHistory();
+        if (!history || history.past.length === 0) return false;
+
+        const previous = history.past.pop();
+        history.future.push(history.current);
+        history.current = previous;
+        applyEntry(previous);
+        return true;
+    }
+
+    /**
+     * Re-applies the last undone change of the active profile.
+     * @returns {boolean} True if a change was redone
+     */
+    function redo() {
+        const history = getActiveHistory();
+        if (!history || history.future.length === 0) return false;
+
+        const next = history.future.pop();
+        history.past.push(history.current);
+        history.current = next;
+        applyEntry(next);
+        return true;
+    }
+
+    /**
+     * Creates a callback for a toast "Undo" action that reverts the change
+     * just saved. If newer changes were made in the meantime, the callback
+     * does nothing rather than undoing an unrelated change.
+     * @returns {Function} Undo callback
+     */
+    function createUndoAction() {
+        const profileId = activeProfileId;
+        const entryId = getActiveHistory()?.current.id;
+
+        return () => {
+            const history = getActiveHistory();
+            if (activeProfileId !== profileId || !history || history.current.id !== entryId) {
+                ToastManager.info('Newer changes were made', { description: 'Use Ctrl+Z to step back through them.' });
+                return;
+            }
+            undo();
+        };
+    }
+
+    /**
+     * @returns {boolean} Whether the active profile has changes to undo
+     */
+    function canUndo() {
+        return (getActiveHistory()?.past.length || 0) > 0;
+    }
+
+    /**
+     * @returns {boolean} Whether the active profile has changes to redo
+     */
+    function canRedo() {
+        return (getActiveHistory()?.future.length || 0) > 0;
+    }
+
+    return Object.freeze({
+        reset,
+        record,
+        undo,
+        redo,
+        createUndoAction,
+        canUndo,
+        canRedo
+    });
+})();
+
+// ============================================================================
+// USER ACTIONS
+// ============================================================================
+
+/**
+ * Undoes the last change and notifies the user.
+ */
+function undoLastChange() {
+    if (HistoryManager.undo()) {
+        ToastManager.info('Change undone', { action: redoLastChange, actionLabel: 'Redo' });
+    } else {
+        ToastManager.info('Nothing to undo');
+    }
+}
+
+/**
+ * Redoes the last undone change and notifies the user.
+ */
+function redoLastChange() {
+    if (HistoryManager.redo()) {
+        ToastManager.info('Change redone', { action: undoLastChange, actionLabel: 'Undo' });
+    } else {
+        ToastManager.info('Nothing to redo');
+    }
+}
+
+/**
+ * Builds toast options with an "Undo" action for the change just saved.
+ * @param {Object} [options={}] - Additional toast options
+ * @returns {Object} Toast options
+ */
+function withUndoAction(options = {}) {
+    return {
+        ...options,
+        action: HistoryManager.createUndoAction(),
+        actionLabel: 'Undo'
+    };
+}
+
+window.HistoryManager = HistoryManager;
+window.undoLastChange = undoLastChange;
+window.redoLastChange = redoLastChange;
+window.withUndoAction = withUndoAction;
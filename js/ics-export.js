@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Calendar export: builds an RFC 5545 iCalendar (.ics) file of
+ * the current semester with weekly class slots (skipping holidays), homework
+ * due dates and assessments, and the export dialog that downloads it.
+ *
+ * Every event has a UID derived from its course and item ids, so importing
+ * a newer export into Google Calendar or Outlook updates the earlier events
+ * instead of duplicating them. Times are floating (local) times.
+ */
+
+'use strict';
+
+// ============================================================================
+// ICS FORMATTING
+// ============================================================================
+
+/** @type {string} Domain part of exported event UIDs */
+const ICS_UID_DOMAIN = 'tollab';
+
+/** @type {string} Duration of timed assessments without an end time */
+const ICS_DEFAULT_ASSESSMENT_DURATION = 'PT3H';
+
+/** @type {number} Default length of the export range in weeks */
+const ICS_DEFAULT_RANGE_WEEKS = 13;
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11).
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeICSText(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets, continuing each
+ * with a leading space. Never splits a UTF-8 character.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, joined with CRLF
+ */
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a yyyy-MM-dd date as an ICS DATE value.
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {string} Date, e.g. 20250105
+ */
+function formatICSDate(dateStr) {
+    return dateStr.replace(/-/g, '');
+}
+
+/**
+ * Formats a date and HH:MM time as a floating ICS DATE-TIME value.
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @param {string} time - Time in HH:MM format
+ * @returns {string} Date-time, e.g. 20250105T103000
+ */
+function formatICSDateTime(dateStr, time) {
+    return `${formatICSDate(dateStr)}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Formats an instant as a UTC ICS DATE-TIME value.
+ * @param {Date} date - Instant
+ * @returns {string} Date-time, e.g. 20250105T083000Z
+ */
+function formatICSTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds an event UID from a course id and item key.
+ * @param {string} courseId - Course ID
+ * @param {string} key - Item key unique within the course
+ * @returns {string} UID
+ */
+function buildICSUid(courseId, key) {
+    return `${courseId}-${key}@${ICS_UID_DOMAIN}`;
+}
+
+/**
+ * Checks whether a string is an HH:MM time.
+ * @param {string} time - Time string
+ * @returns {boolean} True if valid
+ */
+function isICSTime(time) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '');
+}
+
+// ============================================================================
+// EVENT BUILDERS
+// ============================================================================
+
+/**
+ * Builds the weekly recurring events of a course's class slots. Each slot
+ * starts on its first weekday on or after the range start and repeats until
+ * the range end, except on holidays.
+ * @param {Object} course - Course
+ * @param {{startDate: string, endDate: string, holidays: Array<Object>, stamp: string}} range - Export
+ *     range, semester holidays and DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildClassEvents(course, range) {
+    const startDay = toDayNumber(range.startDate);
+    const endDay = toDayNumber(range.endDate);
+    const holidayDays = (range.holidays || []).flatMap(holiday => {
+        const first = toDayNumber(holiday.startDate);
+        if (first === null) return [];
+        const from = Math.max(first, startDay);
+        const to = Math.min(toDayNumber(holiday.endDate) ?? first, endDay);
+        return Array.from({ length: Math.max(to - from + 1, 0) }, (_, i) => from + i);
+    });
+    const details = [course.lecturer, course.number].filter(Boolean).join('\n');
+    const lines = [];
+
+    (course.schedule || []).forEach(slot => {
+        if (!isICSTime(slot.start) || !isICSTime(slot.end) || slot.end <= slot.start) return;
+
+        const weekday = new Date(startDay * MS_PER_DAY).getUTCDay();
+        const firstDay = startDay + ((slot.day - weekday + 7) % 7);
+        if (firstDay > endDay) return;
+        const firstDate = fromDayNumber(firstDay);
+        const skipped = holidayDays
+            .filter(day => (day - firstDay) % 7 === 0 && day >= firstDay)
+            .map(day => formatICSDateTime(fromDayNumber(day), slot.start));
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${buildICSUid(course.id, `class-${slot.day}-${slot.start.replace(':', '')}`)}`,
+            `DTSTAMP:${range.stamp}`,
+            `DTSTART:${formatICSDateTime(firstDate, slot.start)}`,
+            `DTEND:${formatICSDateTime(firstDate, slot.end)}`,
+            `RRULE:FREQ=WEEKLY;UNTIL=${formatICSDate(range.endDate)}T235959`,
+            `SUMMARY:${escapeICSText(course.name)}`
+        );
+        if (skipped.length > 0) lines.push(`EXDATE:${skipped.join(',')}`);
+        if (course.location) lines.push(`LOCATION:${escapeICSText(course.location)}`);
+        if (details) lines.push(`DESCRIPTION:${escapeICSText(details)}`);
+        lines.push('END:VEVENT');
+    });
+
+    return lines;
+}
+
+/**
+ * Builds all-day events for a course's homework due dates. Completed homework
+ * is kept (marked with a check) so a re-import updates its earlier event.
+ * @param {Object} course - Course
+ * @param {{stamp: string}} range - Export range and DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildHomeworkEvents(course, range) {
+    const lines = [];
+
+    (course.homework || []).forEach(hw => {
+        const dueDay = toDayNumber(hw.dueDate);
+        if (dueDay === null) return;
+
+        const title = `${hw.completed ? '✓ ' : ''}${hw.title} (${course.name})`;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${buildICSUid(course.id, `hw-${hw.id}`)}`,
+            `DTSTAMP:${range.stamp}`,
+            `DTSTART;VALUE=DATE:${formatICSDate(hw.dueDate)}`,
+            `DTEND;VALUE=DATE:${formatICSDate(fromDayNumber(dueDay + 1))}`,
+            `SUMMARY:${escapeICSText(title)}`,
+            'TRANSP:TRANSPARENT'
+        );
+        if (hw.notes) lines.push(`DESCRIPTION:${escapeICSText(hw.notes)}`);
+        lines.push('END:VEVENT');
+    });
+
+    return lines;
+}
+
+/**
+ * Builds events for a course's dated assessments, each with a reminder the
+ * day before. Assessments without a start time become all-day events.
+ * @param {Object} course - Course
+ * @param {{stamp: string}} range - Export range and DTSTAMP
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildAssessmentEvents(course, range) {
+    const lines = [];
+
+    sortAssessments(course.assessments).forEach(assessment => {
+        const day = toDayNumber(assessment.date);
+        if (day === null) return;
+
+        const title = `${getAssessmentLabel(assessment)}: ${course.name}`;
+        const details = [
+            assessment.weight !== '' && assessment.weight !== undefined ? `Weight: ${assessment.weight}%` : '',
+            assessment.notes
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${buildICSUid(course.id, assessment.id)}`,
+            `DTSTAMP:${range.stamp}`
+        );
+        if (isICSTime(assessment.startTime)) {
+            lines.push(`DTSTART:${formatICSDateTime(assessment.date, assessment.startTime)}`);
+            lines.push(isICSTime(assessment.endTime) && assessment.endTime > assessment.startTime
+                ? `DTEND:${formatICSDateTime(assessment.date, assessment.endTime)}`
+                : `DURATION:${ICS_DEFAULT_ASSESSMENT_DURATION}`);
+        } else {
+            lines.push(
+                `DTSTART;VALUE=DATE:${formatICSDate(assessment.date)}`,
+                `DTEND;VALUE=DATE:${formatICSDate(fromDayNumber(day + 1))}`
+            );
+        }
+        lines.push(`SUMMARY:${escapeICSText(title)}`);
+        if (assessment.location) lines.push(`LOCATION:${escapeICSText(assessment.location)}`);
+        if (details) lines.push(`DESCRIPTION:${escapeICSText(details)}`);
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeICSText(title)}`,
+            'TRIGGER:-P1D',
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+
+    return lines;
+}
+
+/**
+ * Builds an iCalendar file of a semester.
+ * @param {Object} semester - Semester
+ * @param {Object} options - Export options
+ * @param {string} options.startDate - First day of classes (yyyy-MM-dd)
+ * @param {string} options.endDate - Last day of classes (yyyy-MM-dd)
+ * @param {boolean} [options.classes=true] - Include weekly class slots
+ * @param {boolean} [options.homework=true] - Include homework due dates
+ * @param {boolean} [options.exams=true] - Include assessments
+ * @param {Date} [options.now] - Export time, used for DTSTAMP
+ * @returns {string} iCalendar content with CRLF line endings
+ */
+function buildSemesterCalendar(semester, options) {
+    const { classes = true, homework = true, exams = true, now = new Date() } = options;
+    const range = {
+        startDate: options.startDate,
+        endDate: options.endDate,
+        holidays: semester.holidays,
+        stamp: formatICSTimestamp(now)
+    };
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Tollab//Semester Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(semester.name)}`
+    ];
+
+    (semester.courses || []).forEach(course => {
+        if (classes) lines.push(...buildClassEvents(course, range));
+        if (homework) lines.push(...buildHomeworkEvents(course, range));
+        if (exams) lines.push(...buildAssessmentEvents(course, range));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// EXPORT DIALOG
+// ============================================================================
+
+/**
+ * Opens the calendar export dialog for the current semester, with the
+ * semester dates as the default range.
+ */
+function openCalendarExport() {
+    const semester = getCurrentSemester();
+    if (!semester) {
+        ToastManager.warning('Add a semester first.');
+        return;
+    }
+
+    const start = semester.startDate || getTodayDateString();
+    $('ics-export-semester').textContent = semester.name;
+    $('ics-export-start').value = start;
+    $('ics-export-end').value = semester.endDate || fromDayNumber(toDayNumber(start) + ICS_DEFAULT_RANGE_WEEKS * 7 - 1);
+    openModal('ics-export-modal');
+}
+
+/**
+ * Validates the export dialog and downloads the .ics file.
+ */
+function downloadSemesterCalendar() {
+    const semester = getCurrentSemester();
+    if (!semester) return;
+
+    const start = validateDate($('ics-export-start').value, { required: true });
+    if (!start.valid) {
+        ToastManager.error(`First day of classes: ${start.error}`);
+        return;
+    }
+    const end = validateDate($('ics-export-end').value, { required: true });
+    if (!end.valid || end.value < start.value) {
+        ToastManager.error(`Last day of classes: ${end.valid ? 'Must be on or after the first day' : end.error}`);
+        return;
+    }
+
+    const options = {
+        startDate: start.value,
+        endDate: end.value,
+        classes: $('ics-export-classes').checked,
+        homework: $('ics-export-homework').checked,
+        exams: $('ics-export-exams').checked
+    };
+    if (!options.classes && !options.homework && !options.exams) {
+        ToastManager.warning('Choose at least one thing to export.');
+        return;
+    }
+
+    const blob = new Blob([buildSemesterCalendar(semester, options)], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${sanitizeFilename(`tollab-${semester.name}`)}.ics`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    closeModal('ics-export-modal');
+    ToastManager.success('Calendar exported');
+}
+
+/**
+ * Sets up the calendar export events.
+ */
+function setupCalendarExport() {
+    $('export-ics-btn')?.addEventListener('click', openCalendarExport);
+    $('ics-export-submit-btn')?.addEventListener('click', downloadSemesterCalendar);
+}
+
+window.escapeICSText = escapeICSText;
+window.foldICSLine = foldICSLine;
+window.buildSemesterCalendar = buildSemesterCalendar;
+window.openCalendarExport = openCalendarExport;
+window.setupCalendarExport = setupCalendarExport;
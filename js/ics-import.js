@@ -0,0 +1,659 @@
+/**
+ * @fileoverview Calendar import wizard for any iCalendar (.ics) file or URL,
+ * such as a Moodle calendar export or another university's timetable, next
+ * to the Cheesefork import in import-export.js.
+ *
+ * Events are grouped by title. Each group is guessed a course and whether it
+ * becomes schedule slots, homework or exams; title patterns map groups to
+ * courses, and single groups can be changed by hand (which wins over the
+ * patterns). Recurring events are expanded from their RRULE, RDATE and
+ * EXDATE, with moved or cancelled occurrences taken from their overrides.
+ */
+
+'use strict';
+
+// ============================================================================
+// RECURRENCE
+// ============================================================================
+
+/** @type {number} Most occurrences read from one recurring event */
+const ICS_MAX_OCCURRENCES = 500;
+
+/** @type {number} Days a recurring event without COUNT or UNTIL is read for */
+const ICS_RECURRENCE_HORIZON_DAYS = 400;
+
+/** @type {number} Most recurrence periods stepped through for one event */
+const ICS_MAX_RECURRENCE_STEPS = 5000;
+
+/**
+ * RRULE weekday codes by day of the week (0 = Sunday).
+ * @const {ReadonlyArray<string>}
+ */
+const ICS_WEEKDAYS = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+/**
+ * Parses an ICS duration (e.g. PT1H30M, P1D).
+ * @param {string} value - Duration value
+ * @returns {number|null} Duration in milliseconds, or null if unreadable
+ */
+function parseICSDuration(value) {
+    const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+
+    const [, sign, ...parts] = match;
+    const [weeks, days, hours, minutes, seconds] = parts.map(part => Number(part) || 0);
+    const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Shifts a date by a number of recurrence periods, keeping its local time.
+ * @param {Date} date - Date
+ * @param {string} freq - RRULE frequency (DAILY, WEEKLY, MONTHLY, YEARLY)
+ * @param {number} amount - Number of periods
+ * @returns {Date|null} Shifted date, or null if that month has no such day
+ */
+function shiftICSDate(date, freq, amount) {
+    const shifted = new Date(date);
+    if (freq === 'DAILY') shifted.setDate(date.getDate() + amount);
+    else if (freq === 'WEEKLY') shifted.setDate(date.getDate() + amount * 7);
+    else if (freq === 'MONTHLY') shifted.setMonth(date.getMonth() + amount);
+    else if (freq === 'YEARLY') shifted.setFullYear(date.getFullYear() + amount);
+
+    // Months without the day (e.g. the 31st) are skipped, as RFC 5545 requires
+    if ((freq === 'MONTHLY' || freq === 'YEARLY') && shifted.getDate() !== date.getDate()) return null;
+    return shifted;
+}
+
+/**
+ * Checks whether a parsed ICS date is a real date.
+ * @param {Date} date - Date from parseICSDate
+ * @returns {boolean} False for malformed values (Invalid Date)
+ */
+function isValidICSDate(date) {
+    return date instanceof Date && !isNaN(date.getTime());
+}
+
+/**
+ * Lists the dates an RRULE generates from a start date. Supports DAILY,
+ * WEEKLY (with BYDAY), MONTHLY and YEARLY rules with INTERVAL, COUNT and
+ * UNTIL; other rules, and invalid start dates, only give the start date.
+ * A malformed UNTIL is ignored in favor of the default horizon.
+ * @param {Date} start - First occurrence
+ * @param {string} rrule - RRULE value
+ * @returns {Array<Date>} Dates in order
+ */
+function expandICSRule(start, rrule) {
+    const rule = Object.fromEntries(rrule.split(';').map(part => part.split('=')));
+    if (!isValidICSDate(start) || !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return [start];
+
+    const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+    const count = Math.min(parseInt(rule.COUNT, 10) || ICS_MAX_OCCURRENCES, ICS_MAX_OCCURRENCES);
+    let end = new Date(start);
+    end.setDate(end.getDate() + ICS_RECURRENCE_HORIZON_DAYS);
+    const until = rule.UNTIL ? parseICSDate(rule.UNTIL) : null;
+    if (isValidICSDate(until)) {
+        end = until;
+        // A date-only UNTIL includes that whole day
+        if (!rule.UNTIL.includes('T')) end.setHours(23, 59, 59, 999);
+    }
+
+    // Weekly rules step from the Sunday of the start date's week
+    const byDay = (rule.BYDAY || '').split(',').map(day => ICS_WEEKDAYS.indexOf(day.slice(-2))).filter(day => day >= 0);
+    const weekdays = (byDay.length > 0 ? byDay : [start.getDay()]).sort((a, b) => a - b);
+    const weekly = rule.FREQ === 'WEEKLY';
+    const base = weekly ? shiftICSDate(start, 'DAILY', -start.getDay()) : start;
+
+    const dates = [];
+    for (let step = 0; dates.length < count && step < ICS_MAX_RECURRENCE_STEPS; step++) {
+        const period = shiftICSDate(base, rule.FREQ, step * interval);
+        if (period === null) continue;
+        if (period > end) break;
+
+        const candidates = weekly ? weekdays.map(day => shiftICSDate(period, 'DAILY', day)) : [period];
+        candidates
+            .filter(date => date >= start && date <= end)
+            .forEach(date => { if (dates.length < count) dates.push(date); });
+    }
+    return dates;
+}
+
+/**
+ * Lists the occurrences of an event: its RRULE and RDATE dates, without
+ * its EXDATE dates. Date-only exclusions remove every occurrence that day,
+ * and malformed dates are left out.
+ * @param {Object} data - Event data from parseICSEventBlock
+ * @returns {Array<Date>} Occurrence start times in order
+ */
+function expandICSRecurrence(data) {
+    const start = parseICSDate(data.DTSTART);
+    const dates = [
+        ...(data.RRULE ? expandICSRule(start, data.RRULE) : [start]),
+        ...(data.RDATE || []).map(value => parseICSDate(value))
+    ].filter(isValidICSDate);
+    const excluded = (data.EXDATE || [])
+        .map(value => ({ date: parseICSDate(value), allDay: !value.includes('T') }))
+        .filter(ex => isValidICSDate(ex.date));
+
+    const isExcluded = date => excluded.some(ex => (ex.allDay
+        ? toLocalDateString(ex.date) === toLocalDateString(date)
+        : ex.date.getTime() === date.getTime()));
+
+    return dates
+        .filter((date, index) => dates.findIndex(d => d.getTime() === date.getTime()) === index)
+        .filter(date => !isExcluded(date))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Parses the events of an ICS file. Overrides of single occurrences
+ * (RECURRENCE-ID) replace that occurrence of their recurring event, and
+ * cancelled events are left out.
+ * @param {string} icsContent - Raw ICS file content
+ * @returns {Array<{uid: string, summary: string, description: string, location: string,
+ *     categories: Array<string>, allDay: boolean, duration: number, occurrences: Array<Date>}>}
+ *     Events with at least one occurrence; `duration` is in milliseconds
+ */
+function parseICSEvents(icsContent) {
+    const blocks = icsContent.split(/BEGIN:VEVENT/i).slice(1).filter(block => /END:VEVENT/i.test(block));
+    const events = blocks.map(parseICSEventBlock).filter(data => data.SUMMARY && data.DTSTART);
+
+    events.filter(data => data['RECURRENCE-ID']).forEach(override => {
+        const master = events.find(data => data.UID === override.UID && !data['RECURRENCE-ID']);
+        if (master) master.EXDATE = [...(master.EXDATE || []), override['RECURRENCE-ID']];
+    });
+
+    return events
+        .filter(data => (data.STATUS || '').toUpperCase() !== 'CANCELLED')
+        .map(data => {
+            const start = parseICSDate(data.DTSTART);
+            const end = data.DTEND ? parseICSDate(data.DTEND) : null;
+            const duration = isValidICSDate(end) ? end - start : parseICSDuration(data.DURATION);
+            return {
+                uid: data.UID || '',
+                summary: data.SUMMARY.trim(),
+                description: (data.DESCRIPTION || '').trim(),
+                location: (data.LOCATION || '').trim(),
+                categories: (data.CATEGORIES || '').split(',').map(category => category.trim()).filter(Boolean),
+                allDay: !data.DTSTART.includes('T'),
+                duration: Math.max(0, duration || 0),
+                occurrences: expandICSRecurrence(data)
+            };
+        })
+        .filter(event => event.occurrences.length > 0);
+}
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * What an imported event group becomes, by label.
+ * @const {Object<string, string>}
+ */
+const ICS_IMPORT_KINDS = Object.freeze({
+    slot: 'Schedule slot',
+    homework: 'Homework',
+    exam: 'Exam / assessment',
+    skip: 'Skip'
+});
+
+/** @type {RegExp} Event titles of homework due dates */
+const ICS_HOMEWORK_PATTERN = /homework|assignment|\bhw\b|\bdue\b|הגשה|להגשה|תרגיל בית|גיליון/i;
+
+/** @type {RegExp} Event titles of exams not covered by ICS_ASSESSMENT_PATTERNS */
+const ICS_EXAM_PATTERN = /\bexam\b|\bfinal\b|מבחן|בחינה/i;
+
+/**
+ * Guesses what an event becomes: assessments by title, homework by title,
+ * and other timed recurring events schedule slots.
+ * @param {Object} event - Event from parseICSEvents
+ * @returns {string} ICS_IMPORT_KINDS key
+ */
+function guessICSEventKind(event) {
+    if (ICS_ASSESSMENT_PATTERNS.some(([pattern]) => pattern.test(event.summary)) || ICS_EXAM_PATTERN.test(event.summary)) {
+        return 'exam';
+    }
+    if (ICS_HOMEWORK_PATTERN.test(event.summary)) return 'homework';
+    return !event.allDay && event.occurrences.length > 1 ? 'slot' : 'skip';
+}
+
+/**
+ * Guesses the course of an event: its first category (Moodle exports the
+ * course there), the course named in an assessment title, or the title.
+ * @param {Object} event - Event from parseICSEvents
+ * @returns {string} Course name
+ */
+function guessICSCourseName(event) {
+    if (event.categories.length > 0) return event.categories[0];
+
+    const assessment = ICS_ASSESSMENT_PATTERNS.map(([pattern]) => event.summary.match(pattern)).find(Boolean);
+    if (assessment) return assessment[assessment.length - 1].trim();
+    return parseScheduleSummary(event.summary).name;
+}
+
+/**
+ * Gets the assessment type named in an event title.
+ * @param {string} summary - Event title
+ * @returns {string} ASSESSMENT_TYPES key, 'other' if none is named
+ */
+function getICSAssessmentType(summary) {
+    for (const [pattern, type] of ICS_ASSESSMENT_PATTERNS) {
+        const match = summary.match(pattern);
+        if (match) return type || `moed${match[1].toUpperCase()}`;
+    }
+    return 'other';
+}
+
+/**
+ * Groups events by title, with the guessed course and kind of each group.
+ * @param {Array<Object>} events - Events from parseICSEvents
+ * @returns {Array<{summary: string, events: Array<Object>, guess: {course: string, kind: string},
+ *     manual: {course?: string, kind?: string}}>} Groups in order of first event
+ */
+function buildICSImportGroups(events) {
+    const groups = new Map();
+    events.forEach(event => {
+        if (!groups.has(event.summary)) {
+            groups.set(event.summary, {
+                summary: event.summary,
+                events: [],
+                guess: { course: guessICSCourseName(event), kind: guessICSEventKind(event) },
+                manual: {}
+            });
+        }
+        groups.get(event.summary).events.push(event);
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * Matches an event title against a pattern: a /regular expression/ or
+ * text the title contains, ignoring case.
+ * @param {string} summary - Event title
+ * @param {string} pattern - Pattern
+ * @returns {Array<string>|null} Regular expression match (the title for
+ *     text patterns), or null
+ */
+function matchICSPattern(summary, pattern) {
+    const regex = pattern.trim().match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        try {
+            return summary.match(new RegExp(regex[1], regex[2]));
+        } catch (e) {
+            return null;
+        }
+    }
+    const text = pattern.trim().toLowerCase();
+    return text && summary.toLowerCase().includes(text) ? [summary] : null;
+}
+
+/**
+ * Resolves the course and kind of each group: set by hand, else from the
+ * first matching rule, else guessed. A rule course may use $1-$9 for the
+ * groups of a regular expression pattern.
+ * @param {Array<Object>} groups - Groups from buildICSImportGroups
+ * @param {Array<{pattern: string, course: string, kind: string}>} rules - Rules in
+ *     order; an empty course or kind keeps the guess
+ * @returns {Array<Object>} Groups with `course` and `kind`
+ */
+function resolveICSImportGroups(groups, rules) {
+    return groups.map(group => {
+        let ruleCourse = '';
+        let ruleKind = '';
+        for (const rule of rules) {
+            const match = matchICSPattern(group.summary, rule.pattern);
+            if (!match) continue;
+            ruleCourse = (rule.course || '').replace(/\$(\d)/g, (_, n) => match[n] || '').trim();
+            ruleKind = rule.kind || '';
+            break;
+        }
+        return {
+            ...group,
+            course: group.manual.course ?? (ruleCourse || group.guess.course),
+            kind: group.manual.kind ?? (ruleKind || group.guess.kind)
+        };
+    });
+}
+
+/**
+ * Adds the occurrences of an event to an imported course.
+ * @param {Object} course - Imported course (mutated)
+ * @param {Object} event - Event from parseICSEvents
+ * @param {string} kind - ICS_IMPORT_KINDS key
+ */
+function addICSEventToCourse(course, event, kind) {
+    if (kind === 'slot') {
+        // One slot per weekday; all-day and zero-length events have no class time
+        if (event.allDay || event.duration <= 0) return;
+        const { type, group } = parseScheduleSummary(event.summary);
+        event.occurrences.forEach(date => {
+            const slot = {
+                day: date.getDay(),
+                start: formatTimeFromDate(date),
+                end: formatTimeFromDate(new Date(date.getTime() + event.duration)),
+                room: event.location,
+                instructor: '',
+                type,
+                group
+            };
+            if (!isDuplicateSchedule(course.schedule, slot)) course.schedule.push(slot);
+        });
+    } else if (kind === 'homework') {
+        event.occurrences.forEach(date => {
+            course.homework.push({ title: event.summary, dueDate: toLocalDateString(date), notes: event.description });
+        });
+    } else if (kind === 'exam') {
+        const type = getICSAssessmentType(event.summary);
+        event.occurrences.forEach(date => {
+            const timed = !event.allDay;
+            course.assessments.push({
+                type,
+                date: toLocalDateString(date),
+                startTime: timed ? formatTimeFromDate(date) : '',
+                endTime: timed && event.duration > 0 ? formatTimeFromDate(new Date(date.getTime() + event.duration)) : '',
+                location: event.location
+            });
+        });
+    }
+}
+
+/**
+ * Builds the imported courses from the resolved groups. Skipped groups and
+ * groups without a course are left out.
+ * @param {Array<Object>} groups - Groups from resolveICSImportGroups
+ * @returns {Array<{name: string, schedule: Array<Object>, homework: Array<Object>,
+ *     assessments: Array<Object>}>} Imported courses
+ */
+function buildICSImportCourses(groups) {
+    const courses = new Map();
+
+    groups.filter(group => group.kind !== 'skip' && group.course.trim()).forEach(group => {
+        const name = group.course.trim();
+        if (!courses.has(name)) courses.set(name, { name, schedule: [], homework: [], assessments: [] });
+        group.events.forEach(event => addICSEventToCourse(courses.get(name), event, group.kind));
+    });
+
+    return Array.from(courses.values());
+}
+
+/**
+ * Creates a homework item from an imported one.
+ * @param {{title: string, dueDate: string, notes: string}} homework - Imported homework
+ * @returns {Object} Homework item
+ */
+function createICSHomework({ title, dueDate, notes }) {
+    return { id: generateId(), title, dueDate, completed: false, score: '', notes, links: [] };
+}
+
+/**
+ * Adds imported courses to a semester. Courses already in the semester get
+ * the slots, assessments and homework they do not have yet.
+ * @param {Object} semester - Target semester (mutated)
+ * @param {Array<Object>} importedCourses - Courses from buildICSImportCourses
+ * @returns {{created: number, updated: number}} Number of new and changed courses
+ */
+function applyICSImport(semester, importedCourses) {
+    const result = { created: 0, updated: 0 };
+    const startingCourseCount = semester.courses.length;
+
+    importedCourses.forEach((imported, importIndex) => {
+        const existing = findExistingCourse(semester, imported);
+
+        if (!existing) {
+            const course = createImportedCourse(imported, startingCourseCount + importIndex, startingCourseCount + importedCourses.length);
+            course.homework = imported.homework.map(createICSHomework);
+            semester.courses.push(course);
+            result.created++;
+            return;
+        }
+
+        const slots = imported.schedule.filter(slot => !isDuplicateSchedule(existing.schedule || [], slot));
+        const homework = imported.homework.filter(hw =>
+            !(existing.homework || []).some(h => h.title === hw.title && h.dueDate === hw.dueDate));
+        existing.schedule = [...(existing.schedule || []), ...slots];
+        existing.homework = [...(existing.homework || []), ...homework.map(createICSHomework)];
+        const addedAssessments = mergeAssessments(existing, imported.assessments.map(a => createAssessment(a)));
+
+        if (slots.length + homework.length + addedAssessments > 0) result.updated++;
+    });
+
+    return result;
+}
+
+// ============================================================================
+// IMPORT WIZARD
+// ============================================================================
+
+/** @type {string} Semester select value for a new semester */
+const ICS_IMPORT_NEW_SEMESTER = 'new';
+
+/**
+ * Shows a status message in the import wizard.
+ * @param {string} message - Message
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function setICSImportStatus(message, isError = false) {
+    const status = $('ics-import-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Describes the dates of an event group, e.g. "13 dates, 2025-03-23 to 2025-06-15 · 10:30".
+ * @param {Object} group - Event group
+ * @returns {string} Description
+ */
+function describeICSImportGroup(group) {
+    const dates = group.events.flatMap(event => event.occurrences).sort((a, b) => a - b);
+    const first = toLocalDateString(dates[0]);
+    const last = toLocalDateString(dates[dates.length - 1]);
+    const range = first === last ? first : `${first} to ${last}`;
+    const time = group.events[0].allDay ? '' : ` · ${formatTimeFromDate(group.events[0].occurrences[0])}`;
+    return `${dates.length} date${dates.length === 1 ? '' : 's'}, ${range}${time}`;
+}
+
+/**
+ * Renders the rules, the event groups and what the import will add.
+ */
+function renderICSImport() {
+    const state = window.tempICSImport;
+    const groups = resolveICSImportGroups(state.groups, state.rules);
+    const kindOptions = selected => Object.entries(ICS_IMPORT_KINDS).map(([kind, label]) =>
+        `<option value="${kind}" ${kind === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+
+    const semester = appData.semesters.find(s => s.id === $('ics-import-semester').value);
+    const courseNames = new Set([...(semester?.courses || []).map(c => c.name), ...state.groups.map(g => g.guess.course)]);
+    $('ics-import-course-names').innerHTML = Array.from(courseNames)
+        .map(name => `<option value="${escapeHtml(name)}"></option>`).join('');
+    $('ics-import-semester-name').classList.toggle('hidden', $('ics-import-semester').value !== ICS_IMPORT_NEW_SEMESTER);
+
+    $('ics-import-rules').innerHTML = state.rules.map((rule, index) => `
+        <div class="ics-import-rule">
+            <code>${escapeHtml(rule.pattern)}</code>
+            <span>→ ${escapeHtml(rule.course || 'guessed course')}${rule.kind ? `, ${escapeHtml(ICS_IMPORT_KINDS[rule.kind])}` : ''}</span>
+            <button class="btn-secondary" data-rule="${index}" aria-label="Remove rule">&times;</button>
+        </div>
+    `).join('');
+
+    $('ics-import-groups').innerHTML = groups.length === 0
+        ? '<div class="ics-import-empty">Load a calendar to see its events.</div>'
+        : groups.map((group, index) => `
+            <div class="ics-import-group ${group.kind === 'skip' ? 'skipped' : ''}">
+                <div class="ics-import-group-info">
+                    <span class="ics-import-group-title">${escapeHtml(group.summary)}</span>
+                    <span class="ics-import-group-dates">${escapeHtml(describeICSImportGroup(group))}</span>
+                </div>
+                <input type="text" list="ics-import-course-names" data-group="${index}" data-field="course"
+                    value="${escapeHtml(group.course)}" placeholder="Course" aria-label="Course">
+                <select data-group="${index}" data-field="kind" aria-label="Import as">${kindOptions(group.kind)}</select>
+            </div>
+        `).join('');
+
+    const courses = buildICSImportCourses(groups);
+    const count = (key) => courses.reduce((sum, course) => sum + course[key].length, 0);
+    $('ics-import-summary').textContent = courses.length === 0 ? '' :
+        `${courses.length} course${courses.length === 1 ? '' : 's'}: ${count('schedule')} slots, ${count('homework')} homework, ${count('assessments')} exams`;
+    $('ics-import-apply-btn').disabled = courses.length === 0;
+}
+
+/**
+ * Opens the import wizard.
+ */
+function openICSImport() {
+    window.tempICSImport = { groups: [], rules: window.tempICSImport.rules };
+
+    const semesterOptions = [...appData.semesters].sort(compareSemesters).map(s =>
+        `<option value="${s.id}" ${s.id === currentSemesterId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`);
+    $('ics-import-semester').innerHTML = [...semesterOptions, `<option value="${ICS_IMPORT_NEW_SEMESTER}">New semester…</option>`].join('');
+    $('ics-import-semester-name').value = '';
+    $('ics-import-file').value = '';
+    $('ics-import-url').value = '';
+    setICSImportStatus('');
+
+    renderICSImport();
+    openModal('ics-import-modal');
+}
+
+/**
+ * Reads the events of a loaded calendar into the wizard.
+ * @param {string} icsContent - Raw ICS file content
+ */
+function loadICSImportContent(icsContent) {
+    const events = parseICSEvents(icsContent);
+    window.tempICSImport.groups = buildICSImportGroups(events);
+    setICSImportStatus(events.length === 0
+        ? 'No events found in the calendar.'
+        : `Found ${events.length} event${events.length === 1 ? '' : 's'} with ${window.tempICSImport.groups.length} different titles.`,
+    events.length === 0);
+    renderICSImport();
+}
+
+/**
+ * Loads the calendar at the URL in the wizard. webcal:// links are fetched over https.
+ */
+async function loadICSImportUrl() {
+    const url = $('ics-import-url').value.trim().replace(/^webcal:\/\//i, 'https://');
+    if (!url) return;
+
+    setICSImportStatus('Fetching calendar...');
+    try {
+        const response = await fetchWithCorsProxy(url);
+        loadICSImportContent(await response.text());
+    } catch (err) {
+        console.error('Calendar import error:', err);
+        setICSImportStatus(`Error: ${getUserFriendlyError(err)}`, true);
+    }
+}
+
+/**
+ * Adds a title pattern rule from the rule inputs.
+ */
+function addICSImportRule() {
+    const pattern = $('ics-import-rule-pattern').value.trim();
+    if (!pattern) return;
+
+    window.tempICSImport.rules.push({
+        pattern,
+        course: $('ics-import-rule-course').value.trim(),
+        kind: $('ics-import-rule-kind').value
+    });
+    $('ics-import-rule-pattern').value = '';
+    $('ics-import-rule-course').value = '';
+    renderICSImport();
+}
+
+/**
+ * Imports the mapped events into the chosen semester.
+ */
+function importMappedICSEvents() {
+    const state = window.tempICSImport;
+    const courses = buildICSImportCourses(resolveICSImportGroups(state.groups, state.rules));
+    if (courses.length === 0) return;
+
+    let semester = appData.semesters.find(s => s.id === $('ics-import-semester').value);
+    if (!semester) {
+        const validation = validateString($('ics-import-semester-name').value, {
+            required: true,
+            maxLength: VALIDATION_LIMITS.SEMESTER_NAME_MAX,
+            minLength: 1
+        });
+        if (!validation.valid) {
+            ToastManager.error(validation.error);
+            return;
+        }
+        semester = appData.semesters.find(s => s.name.toLowerCase() === validation.value.toLowerCase());
+        if (!semester) {
+            semester = {
+                id: generateId(),
+                name: validation.value,
+                courses: [],
+                calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS },
+                startDate: '',
+                endDate: '',
+                holidays: []
+            };
+            appData.semesters.push(semester);
+        }
+    }
+
+    const { created, updated } = applyICSImport(semester, courses);
+    currentSemesterId = semester.id;
+    saveData();
+    renderAll();
+
+    state.groups = [];
+    closeModal('ics-import-modal');
+    ToastManager.success(`Imported into ${semester.name}: ${created} new course${created === 1 ? '' : 's'}, ${updated} updated`, withUndoAction());
+}
+
+/**
+ * Sets up the import wizard events.
+ */
+function setupICSImport() {
+    $('ics-import-open-btn')?.addEventListener('click', openICSImport);
+
+    $('ics-import-file')?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            loadICSImportContent(await file.text());
+        } catch (err) {
+            console.error('Calendar import error:', err);
+            setICSImportStatus(`Error: ${getUserFriendlyError(err)}`, true);
+        }
+    });
+    $('ics-import-url-btn')?.addEventListener('click', loadICSImportUrl);
+    $('ics-import-semester')?.addEventListener('change', renderICSImport);
+
+    $('ics-import-rule-add-btn')?.addEventListener('click', addICSImportRule);
+    $('ics-import-rules')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-rule]');
+        if (!button) return;
+        window.tempICSImport.rules.splice(Number(button.dataset.rule), 1);
+        renderICSImport();
+    });
+
+    $('ics-import-groups')?.addEventListener('change', (e) => {
+        const group = window.tempICSImport.groups[Number(e.target.dataset.group)];
+        if (!group) return;
+        group.manual[e.target.dataset.field] = e.target.value.trim();
+        renderICSImport();
+    });
+
+    $('ics-import-apply-btn')?.addEventListener('click', importMappedICSEvents);
+}
+
+window.parseICSDuration = parseICSDuration;
+window.expandICSRecurrence = expandICSRecurrence;
+window.parseICSEvents = parseICSEvents;
+window.ICS_IMPORT_KINDS = ICS_IMPORT_KINDS;
+window.guessICSEventKind = guessICSEventKind;
+window.buildICSImportGroups = buildICSImportGroups;
+window.matchICSPattern = matchICSPattern;
+window.resolveICSImportGroups = resolveICSImportGroups;
+window.buildICSImportCourses = buildICSImportCourses;
+window.applyICSImport = applyICSImport;
+window.openICSImport = openICSImport;
+window.setupICSImport = setupICSImport;
@@ -28,7 +28,10 @@ function processImportedData(courses, semesterName) {
                 id: generateId(),
                 name: semesterName,
                 courses: [],
-                calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS }
+                calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS },
+                startDate: '',
+                endDate: '',
+                holidays: []
             };
             appData.semesters.push(existingSem);
         }
@@ -45,7 +48,8 @@ function processImportedData(courses, semesterName) {
         const existingCourse = findExistingCourse(semester, importedCourse);
         
         if (existingCourse) {
-            updateExistingCourseExams(existingCourse, importedCourse);
+            mergeAssessments(existingCourse, assessmentsFromImport(importedCourse));
+            mergeScheduleDetails(existingCourse, importedCourse.schedule || []);
         } else {
             const courseIndex = startingCourseCount + importIndex;
             const totalCourses = startingCourseCount + courses.length;
@@ -58,6 +62,22 @@ function processImportedData(courses, semesterName) {
     renderAll();
 }
 
+/**
+ * Fills in the type, room, group and instructor of existing schedule slots
+ * from the imported slots at the same time. Details set by hand are kept.
+ * @param {Object} course - Existing course (mutated)
+ * @param {Array<Object>} importedSchedule - Imported schedule slots
+ */
+function mergeScheduleDetails(course, importedSchedule) {
+    (course.schedule || []).forEach(slot => {
+        const imported = importedSchedule.find(s => isDuplicateSchedule([slot], s));
+        if (!imported) return;
+        ['type', 'room', 'group', 'instructor'].forEach(field => {
+            if (!slot[field] && imported[field]) slot[field] = imported[field];
+        });
+    });
+}
+
 /**
  * Translates Hebrew semester names to English.
  * @param {string} name - Semester name
@@ -91,23 +111,6 @@ function findExistingCourse(semester, importedCourse) {
     );
 }
 
-/**
- * Updates exam dates on existing course if missing.
- * @param {Object} existingCourse - Existing course object
- * @param {Object} importedCourse - Imported course data
- */
-function updateExistingCourseExams(existingCourse, importedCourse) {
-    if (!existingCourse.exams) {
-        existingCourse.exams = { moedA: '', moedB: '' };
-    }
-    if (!existingCourse.exams.moedA && importedCourse.moedA) {
-        existingCourse.exams.moedA = importedCourse.moedA;
-    }
-    if (!existingCourse.exams.moedB && importedCourse.moedB) {
-        existingCourse.exams.moedB = importedCourse.moedB;
-    }
-}
-
 /**
  * Creates a new course object from imported data.
  * @param {Object} importedCourse - Imported course data
@@ -142,11 +145,10 @@ function createImportedCourse(importedCourse, courseIndex, totalCourses) {
             tabs: JSON.parse(JSON.stringify(DEFAULT_RECORDING_TABS))
         },
         homework: [],
+        attendance: [],
         schedule: importedCourse.schedule || [],
-        exams: {
-            moedA: importedCourse.moedA || '',
-            moedB: importedCourse.moedB || ''
-        }
+        assessments: sortAssessments(assessmentsFromImport(importedCourse)),
+        plannedExam: ''
     };
 }
 
@@ -316,51 +318,166 @@ function parseICS(icsContent) {
 }
 
 /**
- * Parses an ICS event block into key-value pairs.
+ * Properties whose values are escaped text (RFC 5545 section 3.3.11).
+ * @const {ReadonlyArray<string>}
+ */
+const ICS_TEXT_PROPERTIES = Object.freeze(['SUMMARY', 'DESCRIPTION', 'LOCATION', 'CATEGORIES', 'COMMENT']);
+
+/**
+ * Properties that may repeat, each holding a comma-separated list of dates.
+ * @const {ReadonlyArray<string>}
+ */
+const ICS_DATE_LIST_PROPERTIES = Object.freeze(['EXDATE', 'RDATE']);
+
+/**
+ * Parses an ICS event block into key-value pairs. Folded lines are joined
+ * and text values unescaped; properties of nested components (alarms) are
+ * skipped. EXDATE and RDATE collect all their dates into arrays.
  * @param {string} eventBlock - Event block text
- * @returns {Object} Parsed event data
+ * @returns {Object} Parsed event data by property name, with the parameters
+ *     of each property (e.g. TZID, VALUE) in `params`
  */
 function parseICSEventBlock(eventBlock) {
-    const lines = eventBlock.split(/\r\n|\n|\r/);
-    const data = {};
-    
+    const lines = eventBlock.replace(/\r\n[ \t]|\n[ \t]|\r[ \t]/g, '').split(/\r\n|\n|\r/);
+    const data = { params: {} };
+    let depth = 0;
+
     for (const line of lines) {
-        const colonIdx = line.indexOf(':');
+        if (/^BEGIN:/i.test(line)) depth++;
+        if (/^END:/i.test(line)) depth--;
+        if (depth !== 0 || /^(BEGIN|END):/i.test(line)) continue;
+
+        // Parameter values may be quoted and contain colons
+        const colonIdx = findICSValueStart(line);
         if (colonIdx === -1) continue;
-        
-        const key = line.substring(0, colonIdx).split(';')[0];
+
+        const [name, ...paramParts] = line.substring(0, colonIdx).split(';');
+        const key = name.toUpperCase();
         const value = line.substring(colonIdx + 1).trim();
-        
-        if (['SUMMARY', 'DESCRIPTION', 'LOCATION', 'DTSTART', 'DTEND'].includes(key)) {
-            data[key] = value;
+
+        if (ICS_DATE_LIST_PROPERTIES.includes(key)) {
+            data[key] = [...(data[key] || []), ...value.split(',').filter(Boolean)];
+        } else {
+            data[key] = ICS_TEXT_PROPERTIES.includes(key) ? unescapeICSText(value) : value;
         }
+        data.params[key] = Object.fromEntries(paramParts.map(part => {
+            const [paramName, paramValue = ''] = part.split('=');
+            return [paramName.toUpperCase(), paramValue.replace(/^"|"$/g, '')];
+        }));
     }
-    
+
     return data;
 }
 
 /**
- * Parses exam event information.
+ * Finds the colon ending a content line's name and parameters.
+ * @param {string} line - Content line
+ * @returns {number} Index of the colon, or -1
+ */
+function findICSValueStart(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) return i;
+    }
+    return -1;
+}
+
+/**
+ * Unescapes a TEXT property value (RFC 5545 section 3.3.11).
+ * @param {string} text - Escaped text
+ * @returns {string} Text
+ */
+function unescapeICSText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Event titles that mark assessments, checked in order. The last group is the
+ * course name; a null type means the moed letter is in the first group.
+ * @const {Array<[RegExp, string|null]>}
+ */
+const ICS_ASSESSMENT_PATTERNS = Object.freeze([
+    [/מועד א['׳]?\s*[-–]?\s*(.+)/, 'moedA'],
+    [/מועד ב['׳]?\s*[-–]?\s*(.+)/, 'moedB'],
+    [/מועד ג['׳]?\s*[-–]?\s*(.+)/, 'moedC'],
+    [/^בוחן אמצע\s*[-–]?\s*(.+)/, 'midterm'],
+    [/^בוחן\s*[-–]?\s*(.+)/, 'quiz'],
+    [/^(?:הגשת|הצגת) פרויקט\s*[-–]?\s*(.+)/, 'project'],
+    [/^moed ([abc])\s*[-–:]\s*(.+)/i, null],
+    [/^midterm\s*[-–:]\s*(.+)/i, 'midterm'],
+    [/^quiz\s*[-–:]\s*(.+)/i, 'quiz']
+]);
+
+/**
+ * Parses exam and other assessment events (Moed A/B/C, midterms, quizzes, projects).
  * @param {Object} data - Event data
- * @returns {{courseName: string, examType: string, date: string}|null}
+ * @returns {{courseName: string, assessment: Object}|null}
  */
 function parseExamEvent(data) {
-    const examAMatch = data.SUMMARY.match(/מועד א['׳]?\s*[-–]?\s*(.+)/);
-    const examBMatch = data.SUMMARY.match(/מועד ב['׳]?\s*[-–]?\s*(.+)/);
+    let courseName = null;
+    let type = null;
     
-    if (!examAMatch && !examBMatch) return null;
+    for (const [pattern, patternType] of ICS_ASSESSMENT_PATTERNS) {
+        const match = data.SUMMARY.match(pattern);
+        if (!match) continue;
+        // English "Moed X" titles carry the moed letter in the first group
+        type = patternType || `moed${match[1].toUpperCase()}`;
+        courseName = match[match.length - 1].trim();
+        break;
+    }
     
-    const courseName = (examAMatch || examBMatch)[1].trim();
-    const examType = examAMatch ? 'moedA' : 'moedB';
+    if (!type) return null;
     
     // Parse date (format: YYYYMMDD -> yyyy-MM-dd)
     const dateMatch = data.DTSTART.match(/^(\d{4})(\d{2})(\d{2})/);
     if (!dateMatch) return null;
     
+    // Timed events carry start/end times; all-day events (VALUE=DATE) do not
+    const hasTime = /T\d{4}/.test(data.DTSTART);
+    
     return {
         courseName,
-        examType,
-        date: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`
+        assessment: {
+            type,
+            date: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`,
+            startTime: hasTime ? formatTimeFromDate(parseICSDate(data.DTSTART)) : '',
+            endTime: hasTime && data.DTEND ? formatTimeFromDate(parseICSDate(data.DTEND)) : '',
+            location: data.LOCATION || ''
+        }
+    };
+}
+
+/**
+ * Slot type keywords in event titles, checked in order.
+ * @const {Array<[RegExp, string]>}
+ */
+const ICS_SLOT_TYPE_PATTERNS = Object.freeze([
+    [/הרצאה|lecture/i, 'lecture'],
+    [/תרגול|תרגיל|tutorial|recitation/i, 'tutorial'],
+    [/מעבדה|\blab\b/i, 'lab']
+]);
+
+/**
+ * Splits a class event title ("תרגול 12 - Course name") into the course name
+ * and the slot type and group number before the separator.
+ * @param {string} summary - Event SUMMARY
+ * @returns {{name: string, type: string, group: string}} Course name, slot type
+ *     ('' if unknown) and group number ('' if none)
+ */
+function parseScheduleSummary(summary) {
+    const separatorIndex = summary.indexOf(' - ');
+    if (separatorIndex === -1) {
+        return { name: summary.trim(), type: '', group: '' };
+    }
+
+    const label = summary.substring(0, separatorIndex);
+    const typeMatch = ICS_SLOT_TYPE_PATTERNS.find(([pattern]) => pattern.test(label));
+    const groupMatch = label.match(/(?:^|\D)(\d{1,3})(?!\d)/);
+    return {
+        name: summary.substring(separatorIndex + 3).trim(),
+        type: typeMatch ? typeMatch[1] : '',
+        group: groupMatch ? groupMatch[1] : ''
     };
 }
 
@@ -370,11 +487,7 @@ function parseExamEvent(data) {
  * @param {Object} data - Event data
  */
 function processScheduleEvent(courseMap, data) {
-    // Extract course name from summary
-    const separatorIndex = data.SUMMARY.indexOf(' - ');
-    const name = separatorIndex !== -1 
-        ? data.SUMMARY.substring(separatorIndex + 3).trim() 
-        : data.SUMMARY.trim();
+    const { name, type, group } = parseScheduleSummary(data.SUMMARY);
     
     if (!courseMap.has(name)) {
         courseMap.set(name, {
@@ -383,8 +496,7 @@ function processScheduleEvent(courseMap, data) {
             lecturers: new Set(),
             locations: new Set(),
             schedule: [],
-            moedA: '',
-            moedB: ''
+            assessments: []
         });
     }
     
@@ -393,8 +505,8 @@ function processScheduleEvent(courseMap, data) {
     if (data.LOCATION) course.locations.add(data.LOCATION);
     
     try {
-        const scheduleEntry = parseScheduleEntry(data);
-        if (scheduleEntry && !isDuplicateSchedule(course.schedule, scheduleEntry)) {
+        const scheduleEntry = { ...parseScheduleEntry(data), type, group };
+        if (!isDuplicateSchedule(course.schedule, scheduleEntry)) {
             course.schedule.push(scheduleEntry);
         }
     } catch (e) {
@@ -405,7 +517,7 @@ function processScheduleEvent(courseMap, data) {
 /**
  * Parses schedule entry from event data.
  * @param {Object} data - Event data
- * @returns {{day: number, start: string, end: string}}
+ * @returns {{day: number, start: string, end: string, room: string, instructor: string}}
  */
 function parseScheduleEntry(data) {
     const startDate = parseICSDate(data.DTSTART);
@@ -414,7 +526,9 @@ function parseScheduleEntry(data) {
     return {
         day: startDate.getDay(),
         start: formatTimeFromDate(startDate),
-        end: formatTimeFromDate(endDate)
+        end: formatTimeFromDate(endDate),
+        room: data.LOCATION || '',
+        instructor: data.DESCRIPTION || ''
     };
 }
 
@@ -442,9 +556,9 @@ function isDuplicateSchedule(schedule, entry) {
 }
 
 /**
- * Applies exam dates to matching courses.
+ * Applies exam and assessment events to matching courses.
  * @param {Map} courseMap - Course map
- * @param {Array} examDates - Exam date entries
+ * @param {Array} examDates - Entries from parseExamEvent
  */
 function applyExamDates(courseMap, examDates) {
     for (const exam of examDates) {
@@ -461,7 +575,7 @@ function applyExamDates(courseMap, examDates) {
         }
         
         if (course) {
-            course[exam.examType] = exam.date;
+            course.assessments.push(exam.assessment);
         }
     }
 }
@@ -478,8 +592,7 @@ function formatCourseMap(courseMap) {
         lecturer: Array.from(c.lecturers).join(', '),
         location: Array.from(c.locations).join(', '),
         schedule: c.schedule,
-        moedA: c.moedA,
-        moedB: c.moedB
+        assessments: c.assessments
     }));
 }
 
@@ -509,13 +622,12 @@ function parseICSDate(dateStr) {
 // TECHNION DATA FETCHER
 // ============================================================================
 
-/** @type {string} Base URL for Technion SAP data */
-const TECHNION_SAP_DATA_URL = 'https://raw.githubusercontent.com/michael-maltsev/technion-sap-info-fetcher/gh-pages/';
-
 /**
- * Fetches Technion course data and updates local courses.
+ * Fetches Technion course data and updates local courses. Files are taken
+ * from the catalog cache while fresh, and from the cache at any age offline.
+ * @param {{refresh?: boolean}} [options] - Revalidate every cached file
  */
-async function fetchTechnionData() {
+async function fetchTechnionData(options = {}) {
     const statusDiv = $('technion-fetch-status');
     if (!statusDiv) return;
     
@@ -523,174 +635,67 @@ async function fetchTechnionData() {
     statusDiv.style.color = 'var(--text-tertiary)';
     
     try {
-        // Fetch last_semesters.json
-        const response = await fetch(TECHNION_SAP_DATA_URL + 'last_semesters.json');
-        if (!response.ok) throw new Error('Failed to fetch semester list.');
+        const semesters = await fetchSapSemesters(options);
         
-        const semesters = await response.json();
-        if (!semesters || semesters.length === 0) {
-            throw new Error('No semester data found.');
+        // Fill in start and end dates of local semesters that have none
+        const datedCount = applySapSemesterDates(appData.semesters, semesters);
+        if (datedCount > 0) {
+            saveData();
+            renderAll();
         }
         
         // Fetch course data for each semester
-        const catalog = await buildCourseCatalog(semesters, statusDiv);
+        const catalog = await buildCourseCatalog(semesters, statusDiv, options);
+        window.technionCatalog = catalog;
         
-        // Update local courses
-        statusDiv.textContent = 'Updating local courses...';
-        const updatedCount = updateCoursesWithCatalog(catalog);
+        // Local courses are only changed once the student has reviewed the catalog's values
+        const review = buildCatalogReview(appData.semesters, catalog);
         
-        statusDiv.innerHTML = `Done! Updated ${updatedCount} courses.<br>Catalog size: ${Object.keys(catalog).length} courses.`;
+        const reviewText = review.length > 0
+            ? `${review.length} course${review.length === 1 ? '' : 's'} to review.`
+            : 'Courses are up to date.';
+        const datedText = datedCount > 0 ? ` Set dates for ${datedCount} semester${datedCount === 1 ? '' : 's'}.` : '';
+        const offlineText = isOnline() ? '' : 'Offline: used the cached catalog.<br>';
+        statusDiv.innerHTML = `${offlineText}Done! ${reviewText}${datedText}<br>Catalog size: ${Object.keys(catalog).length} courses.`;
         statusDiv.style.color = 'var(--success-text)';
         
+        if (review.length > 0) openCatalogReview(review);
+        
+        // Clashing tutorials can now suggest other groups
+        renderCalendar();
+        
     } catch (err) {
         console.error('Technion fetch error:', err);
         statusDiv.textContent = 'Error: ' + err.message;
         statusDiv.style.color = 'var(--error-border)';
     }
+    
+    renderCatalogCacheStatus();
 }
 
 /**
  * Builds course catalog from Technion semesters.
  * @param {Array} semesters - Semester list
  * @param {HTMLElement} statusDiv - Status element
+ * @param {{refresh?: boolean}} [options] - Revalidate every cached file
  * @returns {Promise<Object>} Course catalog
  */
-async function buildCourseCatalog(semesters, statusDiv) {
+async function buildCourseCatalog(semesters, statusDiv, options = {}) {
     const catalog = {};
     
     for (const sem of semesters) {
-        const filename = `courses_${sem.year}_${sem.semester}.json`;
         statusDiv.textContent = `Fetching data for ${sem.year}-${sem.semester}...`;
         
         try {
-            const courseRes = await fetch(TECHNION_SAP_DATA_URL + filename);
-            if (courseRes.ok) {
-                const courses = await courseRes.json();
-                courses.forEach(c => {
-                    if (c.general && c.general['מספר מקצוע']) {
-                        catalog[c.general['מספר מקצוע']] = c;
-                    }
-                });
-            }
+            addCatalogEntries(catalog, await fetchCatalogEntries(sem, options));
         } catch (e) {
-            console.warn(`Failed to fetch ${filename}`, e);
+            console.warn(`Failed to fetch courses of ${sem.year}-${sem.semester}`, e);
         }
     }
     
     return catalog;
 }
 
-/**
- * Updates local courses with Technion catalog data.
- * @param {Object} catalog - Course catalog
- * @returns {number} Number of updated courses
- */
-function updateCoursesWithCatalog(catalog) {
-    let updatedCount = 0;
-    
-    appData.semesters.forEach(semester => {
-        semester.courses.forEach(course => {
-            const match = findCatalogMatch(course, catalog);
-            
-            if (match) {
-                const changed = applyCatalogData(course, match);
-                if (changed) updatedCount++;
-            }
-        });
-    });
-    
-    if (updatedCount > 0) {
-        saveData();
-        renderAll();
-    }
-    
-    return updatedCount;
-}
-
-/**
- * Finds a matching course in the catalog.
- * @param {Object} course - Local course
- * @param {Object} catalog - Course catalog
- * @returns {Object|null} Matching catalog entry
- */
-function findCatalogMatch(course, catalog) {
-    const localNum = (course.number || '').replace(/\D/g, '');
-    
-    // Try exact match with local number
-    if (localNum && catalog[localNum]) {
-        return catalog[localNum];
-    }
-    
-    // Try finding a catalog key that ends with or contains the local number
-    if (localNum && localNum.length >= 5) {
-        const catalogKey = Object.keys(catalog).find(k => 
-            k.endsWith(localNum) || k.includes(localNum)
-        );
-        if (catalogKey) return catalog[catalogKey];
-    }
-    
-    // Fallback: try to match by name
-    if (course.name) {
-        const localName = course.name.toLowerCase().trim();
-        const catalogKey = Object.keys(catalog).find(k => {
-            const catName = catalog[k].general['שם מקצוע'];
-            return catName && catName.toLowerCase().includes(localName);
-        });
-        if (catalogKey) return catalog[catalogKey];
-    }
-    
-    return null;
-}
-
-/**
- * Applies catalog data to a course.
- * @param {Object} course - Local course
- * @param {Object} match - Catalog entry
- * @returns {boolean} True if changes were made
- */
-function applyCatalogData(course, match) {
-    let changed = false;
-    const gen = match.general;
-    
-    // Update fields if missing or empty
-    if (!course.points && gen['נקודות']) {
-        course.points = gen['נקודות'];
-        changed = true;
-    }
-    if (!course.lecturer && gen['אחראים']) {
-        course.lecturer = gen['אחראים'];
-        changed = true;
-    }
-    if (!course.faculty && gen['פקולטה']) {
-        course.faculty = gen['פקולטה'];
-        changed = true;
-    }
-    if (!course.syllabus && gen['סילבוס']) {
-        course.syllabus = gen['סילבוס'];
-        changed = true;
-    }
-    
-    // If matched by name but didn't have a number, save it
-    if (!course.number && gen['מספר מקצוע']) {
-        course.number = gen['מספר מקצוע'];
-        changed = true;
-    }
-    
-    // Extract exam dates
-    if (!course.exams) course.exams = { moedA: '', moedB: '' };
-    
-    if (!course.exams.moedA && gen['מועד א']) {
-        course.exams.moedA = convertDateFormat(gen['מועד א']);
-        changed = true;
-    }
-    if (!course.exams.moedB && gen['מועד ב']) {
-        course.exams.moedB = convertDateFormat(gen['מועד ב']);
-        changed = true;
-    }
-    
-    return changed;
-}
-
 /**
  * Converts date from dd-MM-yyyy to yyyy-MM-dd format.
  * @param {string} dateStr - Date in dd-MM-yyyy format
@@ -704,3 +709,13 @@ function convertDateFormat(dateStr) {
     
     return `${parts[2]}-${parts[1]}-${parts[0]}`;
 }
+
+window.findExistingCourse = findExistingCourse;
+window.createImportedCourse = createImportedCourse;
+window.fetchWithCorsProxy = fetchWithCorsProxy;
+window.parseICSEventBlock = parseICSEventBlock;
+window.ICS_ASSESSMENT_PATTERNS = ICS_ASSESSMENT_PATTERNS;
+window.parseScheduleSummary = parseScheduleSummary;
+window.formatTimeFromDate = formatTimeFromDate;
+window.isDuplicateSchedule = isDuplicateSchedule;
+window.parseICSDate = parseICSDate;
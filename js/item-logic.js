@@ -119,6 +119,7 @@ function addRecording() {
     const defaultName = generateRecordingName(link, tab.name, count);
     
     tab.items.push({ 
+        id: generateId(),
         name: defaultName, 
         videoLink: link, 
         slideLink: '',
@@ -223,7 +224,7 @@ async function deleteRecording(courseId, tabId, index) {
     saveData();
     renderRecordingsTabs(course);
     renderRecordingsList(course);
-    ToastManager.success('Recording deleted');
+    ToastManager.success('Recording deleted', withUndoAction());
 }
 
 /**
@@ -403,7 +404,7 @@ async function deleteRecordingsTab() {
     renderRecordingsTabs(course);
     renderRecordingsList(course);
     renderCourses(); // Update course card progress
-    ToastManager.success(`Tab "${tab.name}" deleted`);
+    ToastManager.success(`Tab "${tab.name}" deleted`, withUndoAction());
     
     const deleteBtn = $('delete-tab-btn');
     if (deleteBtn) deleteBtn.style.display = 'none';
@@ -430,7 +431,7 @@ async function clearRecordingsTab() {
         `Clear all ${tab.items.length} recordings from "${tab.name}"?`,
         {
             title: 'Clear Tab',
-            description: 'This will remove all recordings from this tab. This action cannot be undone.',
+            description: 'This will remove all recordings from this tab.',
             confirmText: 'Clear All',
             dangerous: true
         }
@@ -442,7 +443,7 @@ async function clearRecordingsTab() {
     saveData();
     renderRecordingsList(course);
     renderCourses(); // Update course card progress
-    ToastManager.success(`Cleared all recordings from "${tab.name}"`);
+    ToastManager.success(`Cleared all recordings from "${tab.name}"`, withUndoAction());
 }
 
 // ============================================================================
@@ -467,7 +468,7 @@ function addHomework() {
     if (!course) return;
     
     if (!course.homework) course.homework = [];
-    course.homework.push({ title, dueDate, completed: false, notes: '', links: [] });
+    course.homework.push({ id: generateId(), title, dueDate, completed: false, score: '', notes: '', links: [] });
 
     nameInput.value = '';
     dateInput.value = '';
@@ -523,13 +524,16 @@ async function deleteHomework(courseId, hwIndex) {
     
     if (!confirmed) return;
     
-    course.homework.splice(hwIndex, 1);
+    const [removed] = course.homework.splice(hwIndex, 1);
+    unlinkHomeworkFromComponents(course, removed.id);
     saveData();
     renderHomeworkList(course);
+    renderGradingTab(course);
+    updateCourseGradeField(course);
     renderHomeworkSidebar();
     renderCalendar();
     renderCourses(); // Update course card progress
-    ToastManager.success('Assignment deleted');
+    ToastManager.success('Assignment deleted', withUndoAction());
 }
 
 /**
@@ -739,12 +743,22 @@ function saveHomeworkEdit(courseId, hwIndex) {
     
     const titleInput = $(`hw-edit-title-${hwIndex}`);
     const dateInput = $(`hw-edit-date-${hwIndex}`);
+    const scoreInput = $(`hw-edit-score-${hwIndex}`);
+
+    const scoreValidation = validateNumber(scoreInput.value, { min: 0, max: 100 });
+    if (!scoreValidation.valid) {
+        ToastManager.error(`Score: ${scoreValidation.error}`);
+        scoreInput.focus();
+        return;
+    }
     
     const newTitle = titleInput.value.trim();
     if (newTitle) {
         course.homework[hwIndex].title = newTitle;
     }
     course.homework[hwIndex].dueDate = dateInput.value;
+    course.homework[hwIndex].score = scoreValidation.value ?? '';
+    applySchemeGrade(course);
     
     // Save links from temp state
     if (tempEditLinks !== null) {
@@ -755,8 +769,11 @@ function saveHomeworkEdit(courseId, hwIndex) {
     
     saveData();
     renderHomeworkList(course);
+    renderGradingTab(course);
+    updateCourseGradeField(course);
     renderHomeworkSidebar();
     renderCalendar();
+    renderCourses(); // Update course card grade
 }
 
 /**
@@ -10,7 +10,7 @@
 /**
  * Initializes the application when DOM is ready.
  */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Setup global error handling first
     if (typeof setupGlobalErrorHandler === 'function') {
         setupGlobalErrorHandler({ showToast: true, logToConsole: true });
@@ -24,21 +24,33 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.warn('[App] Browser offline');
             },
             onOnline: () => {
-                // Trigger sync when back online
-                console.info('[App] Browser online - triggering sync');
-                if (typeof autoSyncToFirebase === 'function') {
-                    autoSyncToFirebase();
-                }
+                // Queued cloud changes are retried by firebase-sync.js
+                console.info('[App] Browser online');
             }
         });
     }
     
+    // Open the storage backend (IndexedDB, falling back to localStorage)
+    // before any profile data is read.
+    await AppStorage.init();
+
     loadData();
     initTheme();
     setupEventListeners();
     renderProfileUI();
 
-    // Initialize Firebase sync (Google Auth + RTDB)
+    // Pick up changes made in other open tabs
+    TabSync.init();
+
+    // Catalog features work offline from the cached Technion catalog, read
+    // in the background; a catalog fetched in the meantime is newer
+    loadCachedCatalog().then(catalog => {
+        if (Object.keys(window.technionCatalog).length > 0) return;
+        window.technionCatalog = catalog;
+        renderCalendar();
+    }).catch(err => console.warn('[App] Could not read the cached catalog:', err));
+
+    // Initialize cloud sync (Firebase or a WebDAV/REST server)
     if (typeof initializeFirebaseSync === 'function') {
         initializeFirebaseSync();
     }
@@ -77,8 +77,9 @@ function closeModal(modalId) {
 /**
  * Opens the course modal for adding or editing a course.
  * @param {string|null} courseId - Course ID to edit, or null to add new
- * @param {string} [initialTab='details'] - Which tab to show initially ('details', 'recordings', 'homework')
- * @param {Object} [highlight=null] - Optional highlight config {type: 'homework'|'exam', index: number, examType: string}
+ * @param {string} [initialTab='details'] - Which tab to show initially ('details', 'recordings', 'homework', 'grading', 'attendance')
+ * @param {Object} [highlight=null] - Optional highlight config
+ *     {type: 'homework'|'exam'|'recording'|'field', index: number, assessmentId: string, tabId: string, fieldId: string}
  */
 function openCourseModal(courseId, initialTab = 'recordings', highlight = null) {
     editingCourseId = courseId;
@@ -87,6 +88,7 @@ function openCourseModal(courseId, initialTab = 'recordings', highlight = null)
     const scheduleList = $('schedule-list');
     if (scheduleList) scheduleList.innerHTML = '';
     window.tempSchedule = [];
+    window.tempAssessments = [];
 
     const colorTheme = appData.settings.colorTheme || COLOR_THEMES.COLORFUL;
     const course = courseId ? getCourse(courseId) : null;
@@ -96,6 +98,9 @@ function openCourseModal(courseId, initialTab = 'recordings', highlight = null)
         // For existing courses, also load recordings and homework tabs
         loadRecordingsTab(course);
         renderHomeworkList(course);
+        $('grading-target').value = '';
+        renderGradingTab(course);
+        renderAttendanceTab(course);
     } else {
         populateCourseAddForm(colorTheme);
         // For new courses, show details tab since there are no recordings/homework yet
@@ -105,8 +110,12 @@ function openCourseModal(courseId, initialTab = 'recordings', highlight = null)
     // Show/hide tabs based on whether it's a new course or existing
     const recordingsTab = document.querySelector('.course-modal-tab[data-tab="recordings"]');
     const homeworkTab = document.querySelector('.course-modal-tab[data-tab="homework"]');
+    const gradingTab = document.querySelector('.course-modal-tab[data-tab="grading"]');
+    const attendanceTab = document.querySelector('.course-modal-tab[data-tab="attendance"]');
     if (recordingsTab) recordingsTab.style.display = course ? '' : 'none';
     if (homeworkTab) homeworkTab.style.display = course ? '' : 'none';
+    if (gradingTab) gradingTab.style.display = course ? '' : 'none';
+    if (attendanceTab) attendanceTab.style.display = course ? '' : 'none';
     
     updateCourseColorSlider();
     switchCourseModalTab(initialTab);
@@ -117,8 +126,12 @@ function openCourseModal(courseId, initialTab = 'recordings', highlight = null)
         setTimeout(() => {
             if (highlight.type === 'homework' && highlight.index !== undefined) {
                 highlightHomeworkItem(highlight.index);
-            } else if (highlight.type === 'exam' && highlight.examType) {
-                highlightExamField(highlight.examType);
+            } else if (highlight.type === 'exam' && highlight.assessmentId) {
+                highlightAssessmentRow(highlight.assessmentId);
+            } else if (highlight.type === 'recording' && highlight.index !== undefined) {
+                highlightRecordingItem(course, highlight.tabId, highlight.index);
+            } else if (highlight.type === 'field' && highlight.fieldId) {
+                highlightFormField(highlight.fieldId);
             }
         }, 300);
     }
@@ -142,14 +155,15 @@ function populateCourseEditForm(course, colorTheme) {
     $('course-lecturer').value = course.lecturer || '';
     $('course-faculty').value = course.faculty || '';
     $('course-location').value = course.location || '';
-    $('course-grade').value = course.grade || '';
+    updateCourseGradeField(course);
+    populateDegreeBucketSelect($('course-degree-bucket'), course.degreeBucket);
     $('course-syllabus').value = course.syllabus || '';
     $('course-notes').value = course.notes || '';
-    $('course-exam-a').value = course.exams?.moedA || '';
-    $('course-exam-b').value = course.exams?.moedB || '';
     
     window.tempSchedule = course.schedule ? [...course.schedule] : [];
     renderScheduleList();
+    window.tempAssessments = (course.assessments || []).map(a => ({ ...a }));
+    renderAssessmentList();
     
     $('delete-course-btn').classList.remove('hidden');
 }
@@ -165,12 +179,14 @@ function populateCourseAddForm(colorTheme) {
     const fieldsToClear = [
         'course-name', 'course-number', 'course-points', 'course-lecturer',
         'course-faculty', 'course-location', 'course-grade', 'course-syllabus',
-        'course-notes', 'course-exam-a', 'course-exam-b'
+        'course-notes'
     ];
     fieldsToClear.forEach(id => {
         const el = $(id);
         if (el) el.value = '';
     });
+    populateDegreeBucketSelect($('course-degree-bucket'), '');
+    updateCourseGradeField(null);
     
     // Set default color
     const nextHue = getNextAvailableHue();
@@ -183,6 +199,7 @@ function populateCourseAddForm(colorTheme) {
     }
     
     renderScheduleList();
+    renderAssessmentList();
     $('delete-course-btn').classList.add('hidden');
 }
 
@@ -232,6 +249,31 @@ function loadRecordingsTab(course) {
     renderRecordingsList(course);
 }
 
+/**
+ * Re-renders an open course modal after its data changed underneath it
+ * (undo/redo, another tab). Closes it if the course no longer exists.
+ */
+function refreshOpenCourseModal() {
+    const modal = $('course-modal');
+    if (!modal?.classList.contains('active') || !editingCourseId) return;
+
+    const course = getCourse(editingCourseId);
+    if (!course) {
+        closeModal('course-modal');
+        return;
+    }
+
+    if (!getRecordingTab(course, window.currentRecordingsTab)) {
+        window.currentRecordingsTab = 'lectures';
+    }
+    renderRecordingsTabs(course);
+    renderRecordingsList(course);
+    renderHomeworkList(course);
+    renderGradingTab(course);
+    renderAttendanceTab(course);
+    updateCourseGradeField(course);
+}
+
 // ============================================================================
 // RECORDINGS MODAL (Legacy - now opens course modal with recordings tab)
 // ============================================================================
@@ -265,9 +307,9 @@ function openHomeworkModal(courseId) {
  * @param {number} homeworkIndex - Index of homework item to highlight
  */
 function highlightHomeworkItem(homeworkIndex) {
-    const homeworkItems = document.querySelectorAll('.homework-item');
-    if (homeworkItems[homeworkIndex]) {
-        const item = homeworkItems[homeworkIndex];
+    // Items are looked up by their index in course.homework, not their sorted position
+    const item = $(`homework-item-${homeworkIndex}`);
+    if (item) {
         item.style.transition = 'background-color 0.3s ease';
         item.style.backgroundColor = 'var(--success-bg)';
         item.style.borderLeft = '3px solid var(--success-border)';
@@ -284,16 +326,17 @@ function highlightHomeworkItem(homeworkIndex) {
 }
 
 /**
- * Highlights a specific exam field in the details tab.
- * @param {string} examType - 'moedA' or 'moedB'
+ * Highlights a specific assessment row in the details tab.
+ * @param {string} assessmentId - Assessment ID
  */
-function highlightExamField(examType) {
+function highlightAssessmentRow(assessmentId) {
     // Switch to details tab first if not already there
     switchCourseModalTab('details');
     
     setTimeout(() => {
-        const fieldId = examType === 'moedA' ? 'course-exam-a' : 'course-exam-b';
-        const field = $(fieldId);
+        const row = Array.from(document.querySelectorAll('#assessment-list .assessment-row'))
+            .find(el => el.dataset.assessmentId === assessmentId);
+        const field = row?.querySelector('[data-field="date"]');
         
         if (field) {
             field.style.transition = 'all 0.3s ease';
@@ -314,3 +357,41 @@ function highlightExamField(examType) {
         }
     }, 100);
 }
+
+/**
+ * Shows a recording in its tab and highlights it.
+ * @param {Object} course - Course object
+ * @param {string} tabId - Recordings tab ID
+ * @param {number} itemIndex - Index of the recording in the tab's items
+ */
+function highlightRecordingItem(course, tabId, itemIndex) {
+    const tab = course ? getRecordingTab(course, tabId) : null;
+    if (!tab) return;
+
+    // Done recordings may be hidden; show them so the match is visible
+    const showWatchedToggle = $('show-watched-toggle');
+    if (tab.items[itemIndex]?.watched && showWatchedToggle) showWatchedToggle.checked = true;
+
+    switchRecordingsTab(course.id, tabId);
+
+    const element = $(`recording-item-${itemIndex}`);
+    if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('recording-highlight');
+        setTimeout(() => element.classList.remove('recording-highlight'), 1500);
+    }
+}
+
+/**
+ * Highlights and focuses a field in the course details tab.
+ * @param {string} fieldId - Field element ID
+ */
+function highlightFormField(fieldId) {
+    const field = $(fieldId);
+    if (!field) return;
+
+    field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    field.focus();
+    field.classList.add('field-highlight');
+    setTimeout(() => field.classList.remove('field-highlight'), 1500);
+}
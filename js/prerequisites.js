@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Course prerequisites from the Technion SAP catalog. Catalog
+ * entries list prerequisites ('מקצועות קדם', e.g. `(01040012 ו- 01040064)
+ * או 01040036`) and linked courses ('מקצועות צמודים': taken before or in the
+ * same semester). They are parsed into a graph of catalog courses, checked
+ * when a course is added or planned, and used to list the courses the
+ * student's passed courses open up.
+ *
+ * Course numbers are compared without leading zeros, so 01040012 and
+ * 1040012 are the same course.
+ */
+
+'use strict';
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Catalog fields of a course's dependencies.
+ * @const {Object<string, string>}
+ */
+const PREREQUISITE_FIELDS = Object.freeze({
+    prerequisites: 'מקצועות קדם',
+    linked: 'מקצועות צמודים'
+});
+
+/**
+ * Normalizes a course number for comparison.
+ * @param {string|number} number - Course number
+ * @returns {string} Digits without leading zeros
+ */
+function normalizeCourseNumber(number) {
+    return String(number ?? '').replace(/\D/g, '').replace(/^0+/, '');
+}
+
+/**
+ * Parses a prerequisites expression. 'ו' (and) binds tighter than 'או' (or).
+ * @param {string} text - Catalog prerequisites
+ * @returns {Object|null} Tree of `{type: 'and'|'or', items}` and
+ *     `{type: 'course', number}` nodes, or null if empty or unreadable
+ */
+function parsePrerequisites(text) {
+    const tokens = String(text || '').match(/\d{5,}|[()]|או|ו/g) || [];
+    let position = 0;
+
+    const parseGroup = (type, parseItem, separator) => {
+        const items = [parseItem()];
+        while (tokens[position] === separator) {
+            position++;
+            items.push(parseItem());
+        }
+        return items.length === 1 ? items[0] : { type, items };
+    };
+
+    const parseTerm = () => {
+        const token = tokens[position++];
+        if (token === '(') {
+            const group = parseGroup('or', () => parseGroup('and', parseTerm, 'ו'), 'או');
+            if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses');
+            return group;
+        }
+        if (/^\d+$/.test(token || '')) return { type: 'course', number: token };
+        throw new Error(`Unexpected "${token}"`);
+    };
+
+    if (tokens.length === 0) return null;
+    try {
+        const tree = parseGroup('or', () => parseGroup('and', parseTerm, 'ו'), 'או');
+        return position === tokens.length ? tree : null;
+    } catch (err) {
+        console.warn('Unreadable prerequisites:', text, err.message);
+        return null;
+    }
+}
+
+/**
+ * Reads the linked courses of a catalog entry.
+ * @param {string} text - Catalog linked courses
+ * @returns {Array<string>} Course numbers
+ */
+function parseLinkedCourses(text) {
+    return [...new Set(String(text || '').match(/\d{5,}/g) || [])];
+}
+
+/**
+ * Lists every course number in a prerequisites tree.
+ * @param {Object|null} tree - Result of parsePrerequisites
+ * @returns {Array<string>} Course numbers
+ */
+function listPrerequisiteCourses(tree) {
+    if (!tree) return [];
+    if (tree.type === 'course') return [tree.number];
+    return [...new Set(tree.items.flatMap(listPrerequisiteCourses))];
+}
+
+/**
+ * Finds what is missing to meet a prerequisites tree. Of the alternatives
+ * of an 'or', the one missing the fewest courses is reported.
+ * @param {Object|null} tree - Result of parsePrerequisites
+ * @param {function(string): boolean} isMet - Whether a course number is met
+ * @returns {Array<string>} Course numbers still needed (empty if met)
+ */
+function findMissingPrerequisites(tree, isMet) {
+    if (!tree) return [];
+    if (tree.type === 'course') return isMet(tree.number) ? [] : [tree.number];
+
+    const missing = tree.items.map(item => findMissingPrerequisites(item, isMet));
+    if (tree.type === 'and') return [...new Set(missing.flat())];
+    return missing.reduce((best, option) => (option.length < best.length ? option : best));
+}
+
+// ============================================================================
+// GRAPH
+// ============================================================================
+
+/**
+ * Prerequisite graphs by catalog, so each catalog is parsed once.
+ * @type {WeakMap<Object, Map<string, Object>>}
+ */
+const prerequisiteGraphs = new WeakMap();
+
+/**
+ * Builds the dependency graph of catalog courses.
+ * @param {Array<Object>|Object} catalog - Catalog entries, or entries by course number
+ * @returns {Map<string, {number: string, name: string, points: string,
+ *     prerequisites: Object|null, linked: Array<string>, requiredBy: Array<string>}>}
+ *     Courses by normalized number; requiredBy lists the courses that need each one
+ */
+function buildPrerequisiteGraph(catalog) {
+    if (prerequisiteGraphs.has(catalog)) return prerequisiteGraphs.get(catalog);
+
+    const graph = new Map();
+    (Array.isArray(catalog) ? catalog : Object.values(catalog || {})).forEach(entry => {
+        const info = getCatalogCourseInfo(entry);
+        const key = normalizeCourseNumber(info.number);
+        if (!key) return;
+        graph.set(key, {
+            ...info,
+            prerequisites: parsePrerequisites(entry.general[PREREQUISITE_FIELDS.prerequisites]),
+            linked: parseLinkedCourses(entry.general[PREREQUISITE_FIELDS.linked]),
+            requiredBy: []
+        });
+    });
+
+    graph.forEach(node => {
+        listPrerequisiteCourses(node.prerequisites).forEach(number => {
+            graph.get(normalizeCourseNumber(number))?.requiredBy.push(node.number);
+        });
+    });
+
+    prerequisiteGraphs.set(catalog, graph);
+    return graph;
+}
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Collects the courses taken before a semester.
+ * @param {Array<Object>} semesters - All semesters
+ * @param {Object|null} semester - Semester to look back from (by name), or
+ *     null for every semester
+ * @returns {{taken: Set<string>, passed: Set<string>}} Normalized numbers of
+ *     the courses taken, and of those with a passing grade
+ */
+function collectCompletedCourses(semesters, semester) {
+    const taken = new Set();
+    const passed = new Set();
+
+    (semesters || [])
+        .filter(other => !semester || (other !== semester && compareSemesters(other, semester) > 0))
+        .forEach(other => other.courses.forEach(course => {
+            const number = normalizeCourseNumber(course.number);
+            if (!number) return;
+            taken.add(number);
+            if (isEarningGrade(parseCourseGrade(course.grade))) passed.add(number);
+        }));
+
+    return { taken, passed };
+}
+
+/**
+ * Checks a course's prerequisites and linked courses.
+ * @param {Object} node - Course in the prerequisite graph
+ * @param {{taken: Set<string>, passed: Set<string>}} history - Courses before the
+ *     semester (see collectCompletedCourses)
+ * @param {Array<string>} [alongside=[]] - Numbers of the semester's other courses
+ * @returns {{notTaken: Array<string>, notPassed: Array<string>, linked: Array<string>}}
+ *     Missing prerequisites never taken, taken without passing, and missing linked courses
+ */
+function checkPrerequisites(node, history, alongside = []) {
+    const same = new Set(alongside.map(normalizeCourseNumber));
+    const missing = findMissingPrerequisites(node.prerequisites, number =>
+        history.passed.has(normalizeCourseNumber(number)));
+
+    return {
+        notTaken: missing.filter(number => !history.taken.has(normalizeCourseNumber(number))),
+        notPassed: missing.filter(number => history.taken.has(normalizeCourseNumber(number))),
+        linked: node.linked.filter(number => {
+            const key = normalizeCourseNumber(number);
+            return !history.passed.has(key) && !same.has(key);
+        })
+    };
+}
+
+/**
+ * Describes the problems found by checkPrerequisites.
+ * @param {Object} check - Result of checkPrerequisites
+ * @param {Map<string, Object>} graph - Prerequisite graph, for course names
+ * @returns {string} E.g. 'Missing prerequisites: 01040012 Calculus 1 (not passed)', or '' if none
+ */
+function describePrerequisiteCheck(check, graph) {
+    const label = number => {
+        const name = graph.get(normalizeCourseNumber(number))?.name;
+        return name ? `${number} ${name}` : number;
+    };
+
+    const parts = [];
+    const missing = [
+        ...check.notTaken.map(label),
+        ...check.notPassed.map(number => `${label(number)} (not passed)`)
+    ];
+    if (missing.length > 0) parts.push(`Missing prerequisites: ${missing.join(', ')}`);
+    if (check.linked.length > 0) parts.push(`Take before or alongside: ${check.linked.map(label).join(', ')}`);
+    return parts.join('. ');
+}
+
+/**
+ * Finds the catalog courses whose prerequisites the passed courses meet,
+ * leaving out courses already taken and courses without prerequisites.
+ * @param {Map<string, Object>} graph - Prerequisite graph
+ * @param {Array<Object>} semesters - All semesters
+ * @returns {Array<Object>} Graph courses, those required by the most other courses first
+ */
+function findEligibleCourses(graph, semesters) {
+    const history = collectCompletedCourses(semesters, null);
+
+    return [...graph.entries()]
+        .filter(([key, node]) => node.prerequisites && !history.taken.has(key) &&
+            findMissingPrerequisites(node.prerequisites, number => history.passed.has(normalizeCourseNumber(number))).length === 0)
+        .map(([, node]) => node)
+        .sort((a, b) => b.requiredBy.length - a.requiredBy.length || a.number.localeCompare(b.number));
+}
+
+/**
+ * Warns when a course added to a semester is missing prerequisites, using
+ * the fetched Technion catalog.
+ * @param {Object} semester - Semester the course was added to
+ * @param {Object} course - New course
+ */
+function warnMissingPrerequisites(semester, course) {
+    const catalog = window.technionCatalog || {};
+    const entry = Object.keys(catalog).length > 0 ? findCatalogMatch(course, catalog) : null;
+    if (!entry) return;
+
+    const graph = buildPrerequisiteGraph(catalog);
+    const node = graph.get(normalizeCourseNumber(getCatalogCourseInfo(entry).number));
+    if (!node) return;
+
+    const alongside = semester.courses.filter(other => other !== course).map(other => other.number);
+    const message = describePrerequisiteCheck(
+        checkPrerequisites(node, collectCompletedCourses(appData.semesters, semester), alongside), graph);
+    if (message) ToastManager.warning(`${course.name}: ${message}`);
+}
+
+// ============================================================================
+// ELIGIBLE COURSES MODAL
+// ============================================================================
+
+/**
+ * Renders the courses the student can take next.
+ */
+function renderEligibleCourses() {
+    const container = $('eligible-list');
+    if (!container) return;
+
+    const catalog = window.technionCatalog || {};
+    if (Object.keys(catalog).length === 0) {
+        container.innerHTML = '<div class="eligible-empty">Fetch Technion data in Settings to see which courses your passed courses open up.</div>';
+        return;
+    }
+
+    const graph = buildPrerequisiteGraph(catalog);
+    const query = $('eligible-search').value.trim().toLowerCase();
+    const courses = findEligibleCourses(graph, appData.semesters).filter(node =>
+        !query || node.number.includes(query) || node.name.toLowerCase().includes(query));
+
+    if (courses.length === 0) {
+        container.innerHTML = `<div class="eligible-empty">${query ? 'No eligible courses match your search.' : 'No courses with prerequisites are open to you yet. Add grades to your passed courses.'}</div>`;
+        return;
+    }
+
+    container.innerHTML = courses.map(node => `
+        <div class="eligible-course">
+            <span class="eligible-course-number">${escapeHtml(node.number)}</span>
+            <span class="eligible-course-name">${escapeHtml(node.name)}</span>
+            <span class="eligible-course-meta">
+                ${escapeHtml(node.points || '?')} pts${node.requiredBy.length > 0 ? ` · needed for ${node.requiredBy.length} course${node.requiredBy.length === 1 ? '' : 's'}` : ''}
+            </span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Opens the eligible courses view.
+ */
+function openEligibleCourses() {
+    $('eligible-search').value = '';
+    renderEligibleCourses();
+    openModal('eligible-modal');
+}
+
+/**
+ * Sets up the eligible courses view events.
+ */
+function setupEligibleCourses() {
+    $('eligible-btn')?.addEventListener('click', openEligibleCourses);
+    $('eligible-search')?.addEventListener('input', debounce(renderEligibleCourses, 150));
+}
+
+window.normalizeCourseNumber = normalizeCourseNumber;
+window.parsePrerequisites = parsePrerequisites;
+window.parseLinkedCourses = parseLinkedCourses;
+window.findMissingPrerequisites = findMissingPrerequisites;
+window.buildPrerequisiteGraph = buildPrerequisiteGraph;
+window.collectCompletedCourses = collectCompletedCourses;
+window.checkPrerequisites = checkPrerequisites;
+window.describePrerequisiteCheck = describePrerequisiteCheck;
+window.findEligibleCourses = findEligibleCourses;
+window.warnMissingPrerequisites = warnMissingPrerequisites;
+window.setupEligibleCourses = setupEligibleCourses;
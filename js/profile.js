@@ -38,7 +38,7 @@ async function createProfile() {
             settings: typeof DEFAULT_THEME_SETTINGS !== 'undefined' ? { ...DEFAULT_THEME_SETTINGS } : {},
             lastModified: new Date().toISOString()
         };
-        localStorage.setItem(STORAGE_KEYS.DATA_PREFIX + newId, JSON.stringify(baseData));
+        AppStorage.setItem(STORAGE_KEYS.DATA_PREFIX + newId, JSON.stringify(baseData));
     } catch (err) {
         console.warn('[Profile] Failed initializing new profile data:', err);
     }
@@ -49,7 +49,7 @@ async function createProfile() {
     // Persist creation promptly so it appears on other devices.
     try {
         if (typeof forceSyncToFirebase === 'function') {
-            await forceSyncToFirebase();
+            await forceSyncToFirebase('Profile created');
         }
     } catch (err) {
         console.error('[Profile] Failed to sync new profile to cloud:', err);
@@ -73,7 +73,7 @@ function switchProfile(id) {
     
     // Auto-sync profile change to Firebase
     if (typeof autoSyncToFirebase === 'function') {
-        autoSyncToFirebase();
+        autoSyncToFirebase('Active profile changed');
     }
 }
 
@@ -111,10 +111,10 @@ async function renameProfile() {
             saveData();
         } else {
             const key = STORAGE_KEYS.DATA_PREFIX + activeProfileId;
-            const raw = localStorage.getItem(key);
+            const raw = AppStorage.getItem(key);
             const parsed = raw ? JSON.parse(raw) : { semesters: [], settings: {} };
             parsed.lastModified = new Date().toISOString();
-            localStorage.setItem(key, JSON.stringify(parsed));
+            AppStorage.setItem(key, JSON.stringify(parsed));
         }
     } catch (err) {
         console.warn('[Profile] Failed bumping lastModified on rename:', err);
@@ -123,7 +123,7 @@ async function renameProfile() {
     // Persist rename promptly so it doesn't revert after refresh / merge.
     try {
         if (typeof forceSyncToFirebase === 'function') {
-            await forceSyncToFirebase();
+            await forceSyncToFirebase('Profile renamed');
         }
     } catch (err) {
         console.error('[Profile] Failed to sync rename to cloud:', err);
@@ -158,7 +158,8 @@ async function deleteProfile() {
         profiles = [{ id: newId, name: 'Default Profile' }];
         localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(profiles));
         localStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, newId);
-        localStorage.removeItem(STORAGE_KEYS.DATA_PREFIX + idToDelete);
+        AppStorage.removeItem(STORAGE_KEYS.DATA_PREFIX + idToDelete);
+        BackupManager.removeAll(idToDelete);
     } else {
         // Switch to another profile first
         const otherProfile = profiles.find(p => p.id !== idToDelete);
@@ -167,7 +168,8 @@ async function deleteProfile() {
         // Remove deleted profile
         profiles = profiles.filter(p => p.id !== idToDelete);
         localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(profiles));
-        localStorage.removeItem(STORAGE_KEYS.DATA_PREFIX + idToDelete);
+        AppStorage.removeItem(STORAGE_KEYS.DATA_PREFIX + idToDelete);
+        BackupManager.removeAll(idToDelete);
     }
     
     ToastManager.success(`Profile "${profileName}" deleted`);
@@ -176,16 +178,18 @@ async function deleteProfile() {
     // Otherwise, the cloud merge on page load can re-add the deleted profile.
     try {
         if (typeof forceSyncToFirebase === 'function') {
-            await forceSyncToFirebase();
+            await forceSyncToFirebase('Profile deleted');
         } else if (typeof autoSyncToFirebase === 'function') {
             // Fallback (debounced) — better than nothing.
-            autoSyncToFirebase();
+            autoSyncToFirebase('Profile deleted');
             await new Promise((r) => setTimeout(r, 900));
         }
     } catch (err) {
         console.error('[Profile] Failed to sync deletion to cloud before reload:', err);
     }
 
+    // Make sure the IndexedDB delete has committed before the page goes away.
+    await AppStorage.flush();
     location.reload();
 }
 
@@ -265,12 +269,16 @@ function importProfile(file) {
             profiles.push({ id: newId, name: newName });
             localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify(profiles));
             
-            // Save migrated data
+            // Save migrated data in the current storage format, so fields added
+            // after the legacy format (assessments, grade components...) survive
             const migratedData = migrateData(dataToImport);
-            localStorage.setItem(STORAGE_KEYS.DATA_PREFIX + newId, JSON.stringify(migratedData));
-            
-            // Switch to imported profile
+            const compact = compactForStorage(migratedData);
+            AppStorage.setItem(STORAGE_KEYS.DATA_PREFIX + newId, JSON.stringify(compact));
+
+            // Other tabs follow the switch, so the data must be stored first
+            await AppStorage.flush();
             switchProfile(newId);
+            TabSync.notifySaved(newId, compact);
             ToastManager.success(`Imported as "${newName}"`, {
                 description: validation.warnings.length > 0 
                     ? `${validation.warnings.length} warning(s) - check console`
@@ -281,7 +289,7 @@ function importProfile(file) {
             // Persist import promptly so it appears on other devices.
             try {
                 if (typeof forceSyncToFirebase === 'function') {
-                    await forceSyncToFirebase();
+                    await forceSyncToFirebase('Profile imported');
                 }
             } catch (err) {
                 console.error('[Profile] Failed to sync imported profile to cloud:', err);
@@ -95,7 +95,7 @@ function renderCourses() {
     }
     
     semester.courses.forEach((course, index) => {
-        const card = createCourseCard(course, index, semester.courses.length);
+        const card = createCourseCard(course, index, semester.courses.length, semester);
         container.appendChild(card);
     });
 }
@@ -127,9 +127,10 @@ function renderNoSemesterMessage(container) {
  * @param {Object} course - Course object
  * @param {number} index - Course index
  * @param {number} totalCourses - Total number of courses
+ * @param {Object} [semester] - Semester the course belongs to, for attendance
  * @returns {HTMLElement} Course card element
  */
-function createCourseCard(course, index, totalCourses) {
+function createCourseCard(course, index, totalCourses, semester = null) {
     const card = document.createElement('div');
     card.className = 'course-card';
     card.onclick = () => openCourseModal(course.id);
@@ -139,7 +140,7 @@ function createCourseCard(course, index, totalCourses) {
         card.style.borderLeftWidth = '4px';
     }
     
-    const progress = calculateCourseProgress(course);
+    const progress = calculateCourseProgress(course, semester);
     const metaParts = buildCourseMetaParts(course);
     const progressHtml = buildProgressHtml(progress);
     
@@ -170,9 +171,10 @@ function createCourseCard(course, index, totalCourses) {
 /**
  * Calculates progress stats for a course.
  * @param {Object} course - Course object
- * @returns {{lectures: {total: number, watched: number}, tutorials: {total: number, watched: number}, homework: {total: number, completed: number}}}
+ * @param {Object} [semester] - Semester the course belongs to; without it attendance is left out
+ * @returns {{lectures: {total: number, watched: number}, tutorials: {total: number, watched: number}, homework: {total: number, completed: number}, attendance: Object|null}}
  */
-function calculateCourseProgress(course) {
+function calculateCourseProgress(course, semester = null) {
     let lecturesTotal = 0, lecturesWatched = 0;
     let tutorialsTotal = 0, tutorialsWatched = 0;
     
@@ -196,7 +198,8 @@ function calculateCourseProgress(course) {
     return {
         lectures: { total: lecturesTotal, watched: lecturesWatched },
         tutorials: { total: tutorialsTotal, watched: tutorialsWatched },
-        homework: { total: homeworkTotal, completed: homeworkCompleted }
+        homework: { total: homeworkTotal, completed: homeworkCompleted },
+        attendance: semester ? getAttendanceStats(semester, course) : null
     };
 }
 
@@ -209,7 +212,7 @@ function buildCourseMetaParts(course) {
     const parts = [];
     if (course.number) parts.push(`#${escapeHtml(course.number)}`);
     if (course.points) parts.push(`${escapeHtml(course.points)} pts`);
-    if (course.grade) parts.push(`Grade: ${escapeHtml(course.grade)}%`);
+    if (course.grade) parts.push(`Grade: ${escapeHtml(formatCourseGrade(course.grade))}`);
     return parts.join(' • ');
 }
 
@@ -233,6 +236,14 @@ function buildProgressHtml(progress) {
         html += `<div class="course-progress-row"><span class="progress-text" title="Homework completed">${progress.homework.completed}/${progress.homework.total} <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline><line x1="16" y1="13" x2="8" y2="13"></line><line x1="16" y1="17" x2="8" y2="17"></line></svg></span></div>`;
     }
     
+    const attendance = progress.attendance;
+    if (attendance && attendance.attended + attendance.missed > 0) {
+        const toWatch = attendance.toWatch > 0
+            ? `<span class="progress-to-watch" title="Missed classes with an unwatched recording">${attendance.toWatch} to watch</span>`
+            : '';
+        html += `<div class="course-progress-row">${toWatch}<span class="progress-text" title="Classes attended">${attendance.attended}/${attendance.attended + attendance.missed} <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"></rect><line x1="16" y1="2" x2="16" y2="6"></line><line x1="8" y1="2" x2="8" y2="6"></line><line x1="3" y1="10" x2="21" y2="10"></line><polyline points="9 16 11 18 15 14"></polyline></svg></span></div>`;
+    }
+    
     return html;
 }
 
@@ -295,11 +306,15 @@ function renderRecordingsList(course, editingIndex = null) {
     
     // Sort recordings
     const sortedItems = sortRecordings(currentTab.items, sortOrder);
+    const missedIds = getMissedRecordingIds(course);
     
     sortedItems.forEach(({ item, originalIndex }, displayIndex) => {
         if (!showWatched && item.watched) return;
         visibleCount++;
         const div = createRecordingItem(item, originalIndex, course.id, currentTab.id, editingIndex === originalIndex, displayIndex, sortedItems.length, sortOrder);
+        if (missedIds.has(item.id)) {
+            div.querySelector('.recording-name')?.insertAdjacentHTML('beforeend', '<span class="recording-missed-badge" title="You missed this class">Missed</span>');
+        }
         container.appendChild(div);
     });
     
@@ -535,6 +550,7 @@ function createHomeworkSortControls(courseId, currentOrder, showCompleted) {
 function createHomeworkItem(hw, index, courseId, isOpen, displayIndex = 0, totalItems = 1, sortOrder = 'manual') {
     const item = document.createElement('li');
     item.className = `homework-item ${hw.completed ? 'completed' : ''}`;
+    item.id = `homework-item-${index}`;
     
     const links = hw.links || [];
     const linksDisplayHtml = buildLinksDisplay(links);
@@ -556,6 +572,7 @@ function createHomeworkItem(hw, index, courseId, isOpen, displayIndex = 0, total
             <div class="hw-title-row">
                 <span class="hw-title">${escapeHtml(hw.title)}</span>
                 ${hw.dueDate ? `<span class="hw-due-date">Due: ${escapeHtml(hw.dueDate)}</span>` : '<span class="hw-due-date hw-no-date">No date</span>'}
+                ${hw.score !== '' && hw.score != null ? `<span class="hw-score">Score: ${escapeHtml(hw.score)}</span>` : ''}
             </div>
             <div class="hw-actions">
                 <button class="hw-action-btn" onclick="toggleHomeworkEdit('${courseId}', ${index})">Edit</button>
@@ -572,6 +589,10 @@ function createHomeworkItem(hw, index, courseId, isOpen, displayIndex = 0, total
                 <label class="hw-edit-label">Due:</label>
                 <input type="date" id="hw-edit-date-${index}" class="hw-edit-input hw-edit-date" value="${hw.dueDate || ''}">
             </div>
+            <div class="hw-edit-row">
+                <label class="hw-edit-label">Score:</label>
+                <input type="number" id="hw-edit-score-${index}" class="hw-edit-input hw-edit-score" value="${hw.score ?? ''}" min="0" max="100" step="any" placeholder="0-100">
+            </div>
             <div class="hw-edit-row">
                 <label class="hw-edit-label">Links:</label>
             </div>
@@ -633,6 +654,20 @@ function buildLinksEdit(links, hwIndex, courseId) {
 // SCHEDULE RENDERING
 // ============================================================================
 
+/**
+ * Describes the type, group, room and instructor of a schedule slot.
+ * @param {Object} slot - Schedule slot
+ * @returns {string[]} Display parts, e.g. ['Tutorial 12', 'Taub 2']
+ */
+function describeScheduleSlot(slot) {
+    const type = SCHEDULE_SLOT_TYPES[slot.type]?.label || (slot.group ? 'Group' : '');
+    return [
+        [type, slot.group].filter(Boolean).join(' '),
+        slot.room,
+        slot.instructor
+    ].filter(Boolean);
+}
+
 /**
  * Renders the schedule list in the course modal.
  */
@@ -645,8 +680,10 @@ function renderScheduleList() {
     window.tempSchedule.forEach((item, index) => {
         const div = document.createElement('div');
         div.style.cssText = 'display: flex; align-items: center; gap: 10px; font-size: 13px; margin-bottom: 4px;';
+        const details = describeScheduleSlot(item);
         div.innerHTML = `
             <span>${DAY_NAMES_SHORT[item.day]} ${item.start}-${item.end}</span>
+            ${details.length > 0 ? `<span style="color: var(--text-tertiary);">${escapeHtml(details.join(' · '))}</span>` : ''}
             <button onclick="removeScheduleItem(${index})" style="border:none; background:none; color:var(--error-border); cursor:pointer;">&times;</button>
         `;
         container.appendChild(div);
@@ -675,6 +712,11 @@ function renderCalendar() {
     const visibleDays = window.tempCalendarDayFilter || calendarSettings.visibleDays;
     const allDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+    // Holidays this week: no classes on those days
+    const holidays = semester ? collectWeekHolidays(semester, visibleDays) : {};
+    const weekLabel = $('semester-week-label');
+    if (weekLabel) weekLabel.textContent = semester ? describeSemesterWeek(semester, toLocalDateString(new Date())) : '';
+
     // Collect week events first to determine if we need the events row
     const weekEvents = semester ? collectWeekEvents(semester, visibleDays) : {};
     const hasEvents = Object.keys(weekEvents).length > 0;
@@ -687,7 +729,10 @@ function renderCalendar() {
     // Headers
     html += `<div class="schedule-header"></div>`; // Corner
     visibleDays.forEach(dIndex => {
-        html += `<div class="schedule-header">${allDays[dIndex]}</div>`;
+        const holidayName = holidays[dIndex] ? escapeHtml(holidays[dIndex].name || 'Holiday') : '';
+        html += holidayName
+            ? `<div class="schedule-header schedule-header-holiday" title="${holidayName}">${allDays[dIndex]}<span class="schedule-header-note">${holidayName}</span></div>`
+            : `<div class="schedule-header">${allDays[dIndex]}</div>`;
     });
 
     // All-day events row (only if there are events this week)
@@ -712,11 +757,15 @@ function renderCalendar() {
 
     // Place Courses (only if semester exists)
     if (semester) {
+        // Overlapping slots share their day column side by side
+        const columns = layoutScheduleColumns(semester.courses.flatMap(course =>
+            (course.schedule || []).filter(slot => visibleDays.includes(slot.day) && !holidays[slot.day])));
+
         semester.courses.forEach(course => {
         if (course.schedule) {
             course.schedule.forEach(slot => {
-                // Only show if day is visible
-                if (!visibleDays.includes(slot.day)) return;
+                // Only show if day is visible and not a holiday
+                if (!visibleDays.includes(slot.day) || holidays[slot.day]) return;
 
                 const [startH, startM] = slot.start.split(':').map(Number);
                 const [endH, endM] = slot.end.split(':').map(Number);
@@ -727,9 +776,15 @@ function renderCalendar() {
                 const cell = grid.querySelector(`.schedule-cell[data-day="${slot.day}"][data-hour="${startH}"]`);
                 if (cell) {
                     const block = document.createElement('div');
-                    block.className = 'schedule-block';
-                    block.textContent = course.name;
-                    block.title = `${course.name}\n${slot.start} - ${slot.end}\n${course.location || ''}`;
+                    block.className = `schedule-block ${SCHEDULE_SLOT_TYPES[slot.type] ? `schedule-block-${slot.type}` : ''}`;
+                    const typeTag = SCHEDULE_SLOT_TYPES[slot.type]?.short || '';
+                    const meta = [[typeTag, slot.group].filter(Boolean).join(' '), slot.room].filter(Boolean).join(' · ');
+                    block.innerHTML = `<span class="schedule-block-name">${escapeHtml(course.name)}</span>${meta ? `<span class="schedule-block-meta">${escapeHtml(meta)}</span>` : ''}`;
+                    block.title = [
+                        course.name,
+                        `${slot.start} - ${slot.end}`,
+                        ...describeScheduleSlot({ ...slot, room: slot.room || course.location })
+                    ].join('\n');
                     block.onclick = () => openCourseModal(course.id);
                     if (course.color) {
                         block.style.backgroundColor = course.color;
@@ -745,6 +800,14 @@ function renderCalendar() {
                     const topOffset = (startM / 60) * 30;
                     block.style.top = `${topOffset + 2}px`;
 
+                    const { column, columns: columnCount } = columns.get(slot);
+                    if (columnCount > 1) {
+                        block.style.left = `calc(${(column / columnCount) * 100}% + 2px)`;
+                        block.style.right = 'auto';
+                        block.style.width = `calc(${100 / columnCount}% - 4px)`;
+                        block.classList.add('schedule-block-clash');
+                    }
+
                     cell.appendChild(block);
                 }
             });
@@ -756,6 +819,7 @@ function renderCalendar() {
             renderWeekEvents(grid, weekEvents);
         }
     }
+    renderScheduleConflicts(semester);
     renderCurrentTime();
 }
 
@@ -787,6 +851,26 @@ function getCalendarSettings(semester) {
     };
 }
 
+/**
+ * Finds the holidays on this week's visible days.
+ * @param {Object} semester - Semester object
+ * @param {number[]} visibleDays - Array of visible day indices
+ * @returns {Object} Holidays keyed by day number
+ */
+function collectWeekHolidays(semester, visibleDays) {
+    const { start } = getCurrentWeekRange();
+    const holidays = {};
+
+    visibleDays.forEach(dIndex => {
+        const date = new Date(start);
+        date.setDate(start.getDate() + dIndex);
+        const holiday = findHoliday(semester, toLocalDateString(date));
+        if (holiday) holidays[dIndex] = holiday;
+    });
+
+    return holidays;
+}
+
 /**
  * Collects homework and exams that fall within the current week.
  * @param {Object} semester - Semester object
@@ -818,33 +902,24 @@ function collectWeekEvents(semester, visibleDays) {
             });
         }
 
-        // Collect exams this week
-        if (course.exams) {
-            if (course.exams.moedA && isDateInCurrentWeek(course.exams.moedA)) {
-                events.push({
-                    type: 'exam',
-                    examType: 'A',
-                    title: course.name,
-                    courseName: course.name,
-                    courseId: course.id,
-                    date: course.exams.moedA,
-                    day: getDayOfWeekFromDate(course.exams.moedA),
-                    color: course.color
-                });
-            }
-            if (course.exams.moedB && isDateInCurrentWeek(course.exams.moedB)) {
+        // Collect exams and other assessments this week
+        (course.assessments || []).forEach(assessment => {
+            if (assessment.date && isDateInCurrentWeek(assessment.date)) {
                 events.push({
                     type: 'exam',
-                    examType: 'B',
+                    assessmentId: assessment.id,
+                    label: getAssessmentLabel(assessment),
+                    startTime: assessment.startTime,
+                    location: assessment.location,
                     title: course.name,
                     courseName: course.name,
                     courseId: course.id,
-                    date: course.exams.moedB,
-                    day: getDayOfWeekFromDate(course.exams.moedB),
+                    date: assessment.date,
+                    day: getDayOfWeekFromDate(assessment.date),
                     color: course.color
                 });
             }
-        }
+        });
     });
 
     // Group events by day (only for visible days)
@@ -884,7 +959,7 @@ function renderWeekEvents(grid, eventsByDay) {
             if (event.type === 'homework') {
                 chip.dataset.homeworkIndex = event.hwIndex;
             } else if (event.type === 'exam') {
-                chip.dataset.examType = event.examType; // 'moedA' or 'moedB'
+                chip.dataset.assessmentId = event.assessmentId;
             }
             
             // Use simple text symbol for exams only
@@ -897,8 +972,10 @@ function renderWeekEvents(grid, eventsByDay) {
             
             const dateObj = new Date(event.date);
             const dateStr = dateObj.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-            const typeLabel = event.type === 'exam' ? `Exam ${event.examType}` : 'Homework';
+            const typeLabel = event.type === 'exam' ? event.label : 'Homework';
             chip.title = `${typeLabel}: ${event.title}\nCourse: ${event.courseName}\nDate: ${dateStr}`;
+            if (event.startTime) chip.title += ` ${event.startTime}`;
+            if (event.location) chip.title += `\nLocation: ${event.location}`;
             
             if (event.color) {
                 chip.style.borderLeftColor = event.color;
@@ -907,7 +984,7 @@ function renderWeekEvents(grid, eventsByDay) {
             // Click handler - navigate to specific event
             chip.onclick = (e) => {
                 e.stopPropagation();
-                handleCalendarEventClick(event.courseId, event.type, event.hwIndex, event.examType);
+                handleCalendarEventClick(event.courseId, event.type, event.hwIndex, event.assessmentId);
             };
             
             cell.appendChild(chip);
@@ -0,0 +1,431 @@
+/**
+ * @fileoverview Global search palette (Ctrl+K).
+ *
+ * Indexes the courses, homework and recordings of every semester in appData
+ * and ranks them with a small fuzzy matcher: every word of the query has to
+ * match some field, either as a substring (best when it starts a word) or as
+ * a scattered subsequence. Selecting a result switches to its semester and
+ * opens the course modal at the matching item.
+ */
+
+'use strict';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Result groups in display order (groups are re-ordered by their best match).
+ * @const {Array<{type: string, label: string}>}
+ */
+const SEARCH_GROUPS = Object.freeze([
+    { type: 'course', label: 'Courses' },
+    { type: 'homework', label: 'Homework' },
+    { type: 'recording', label: 'Recordings' }
+]);
+
+/** @const {number} Maximum results shown per group */
+const SEARCH_RESULTS_PER_GROUP = 8;
+
+/** @const {number} Characters of context shown around a match in long text */
+const SEARCH_SNIPPET_CONTEXT = 40;
+
+// ============================================================================
+// INDEX
+// ============================================================================
+
+/**
+ * Normalizes text for matching: lowercase, without diacritics.
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Builds a search field.
+ * @param {string} text - Field text
+ * @param {number} weight - Score multiplier
+ * @param {string} label - Label shown when this field matched
+ * @param {string} [fieldId] - Course form field to highlight
+ * @returns {Object|null} Field, or null for empty text
+ */
+function createSearchField(text, weight, label, fieldId) {
+    if (!text) return null;
+    return { text, normalized: normalizeSearchText(text), weight, label, fieldId };
+}
+
+/**
+ * Builds the search index for all semesters.
+ * @param {Object} data - Application data (appData)
+ * @returns {Array<Object>} Index entries
+ */
+function buildSearchIndex(data) {
+    const entries = [];
+
+    (data.semesters || []).forEach(semester => {
+        (semester.courses || []).forEach(course => {
+            const base = {
+                semesterId: semester.id,
+                semesterName: semester.name,
+                courseId: course.id,
+                courseName: course.name
+            };
+
+            entries.push({
+                ...base,
+                type: 'course',
+                title: course.name,
+                fields: [
+                    createSearchField(course.name, 3, 'Name', 'course-name'),
+                    createSearchField(course.number, 3, 'Number', 'course-number'),
+                    createSearchField(course.lecturer, 2, 'Lecturer', 'course-lecturer'),
+                    createSearchField(course.notes, 1, 'Notes', 'course-notes')
+                ].filter(Boolean)
+            });
+
+            (course.homework || []).forEach((hw, index) => {
+                entries.push({
+                    ...base,
+                    type: 'homework',
+                    title: hw.title || 'Untitled assignment',
+                    target: { tab: 'homework', highlight: { type: 'homework', index } },
+                    fields: [
+                        createSearchField(hw.title, 3, 'Title'),
+                        createSearchField(hw.notes, 1, 'Notes'),
+                        createSearchField((hw.links || []).map(l => l.label).filter(Boolean).join(' · '), 1, 'Links')
+                    ].filter(Boolean)
+                });
+            });
+
+            (course.recordings?.tabs || []).forEach(tab => {
+                (tab.items || []).forEach((item, index) => {
+                    entries.push({
+                        ...base,
+                        type: 'recording',
+                        title: item.name || 'Untitled recording',
+                        tabName: tab.name,
+                        target: { tab: 'recordings', highlight: { type: 'recording', tabId: tab.id, index } },
+                        fields: [createSearchField(item.name, 3, 'Name')].filter(Boolean)
+                    });
+                });
+            });
+        });
+    });
+
+    return entries;
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Scores how well one query word matches a normalized text.
+ * @param {string} token - Normalized query word
+ * @param {string} text - Normalized text
+ * @returns {number} Score (0 = no match)
+ */
+function fuzzyMatchScore(token, text) {
+    if (!token || !text) return 0;
+
+    const index = text.indexOf(token);
+    if (index !== -1) {
+        let score = 100 - Math.min(index, 50) / 5;
+        if (index === 0 || /[^\p{L}\p{N}]/u.test(text[index - 1])) score += 50;
+        if (token.length === text.length) score += 50;
+        return score;
+    }
+
+    // Subsequence match: every character in order, penalized by the gaps
+    if (token.length < 3) return 0;
+    let position = -1;
+    let gaps = 0;
+    for (const char of token) {
+        const next = text.indexOf(char, position + 1);
+        if (next === -1) return 0;
+        if (position !== -1) gaps += next - position - 1;
+        position = next;
+    }
+    if (gaps > token.length * 2) return 0;
+    return Math.max(10, 60 - gaps * 5);
+}
+
+/**
+ * Scores an index entry against the query words. Every word must match a field.
+ * @param {Object} entry - Index entry
+ * @param {string[]} tokens - Normalized query words
+ * @returns {{score: number, field: Object}|null} Score and best matching field
+ */
+function scoreSearchEntry(entry, tokens) {
+    let total = 0;
+    let bestField = null;
+    let bestFieldScore = 0;
+
+    for (const token of tokens) {
+        let tokenBest = 0;
+        for (const field of entry.fields) {
+            const score = fuzzyMatchScore(token, field.normalized) * field.weight;
+            if (score > tokenBest) tokenBest = score;
+            if (score > bestFieldScore) {
+                bestFieldScore = score;
+                bestField = field;
+            }
+        }
+        if (tokenBest === 0) return null;
+        total += tokenBest;
+    }
+
+    return { score: total, field: bestField };
+}
+
+/**
+ * Searches the index.
+ * @param {Array<Object>} index - Entries from buildSearchIndex
+ * @param {string} query - Search query
+ * @param {number} [limit=SEARCH_RESULTS_PER_GROUP] - Maximum results per group
+ * @returns {Array<{type: string, label: string, results: Array<{entry: Object, score: number, field: Object}>}>}
+ *     Non-empty groups, best group first
+ */
+function searchIndex(index, query, limit = SEARCH_RESULTS_PER_GROUP) {
+    const tokens = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const matches = [];
+    index.forEach(entry => {
+        const match = scoreSearchEntry(entry, tokens);
+        if (match) matches.push({ entry, ...match });
+    });
+
+    return SEARCH_GROUPS
+        .map(group => ({
+            ...group,
+            results: matches
+                .filter(m => m.entry.type === group.type)
+                .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+                .slice(0, limit)
+        }))
+        .filter(group => group.results.length > 0)
+        .sort((a, b) => b.results[0].score - a.results[0].score);
+}
+
+/**
+ * Normalizes text one character at a time, keeping where each normalized
+ * character came from, since normalizing can drop or add characters.
+ * @param {string} text - Text to normalize
+ * @returns {{normalized: string, offsets: Array<number>}} Normalized text and,
+ *     per normalized character, its index in the original text
+ */
+function mapNormalizedSearchText(text) {
+    let normalized = '';
+    const offsets = [];
+    let position = 0;
+    for (const char of text) {
+        const part = normalizeSearchText(char);
+        normalized += part;
+        for (let i = 0; i < part.length; i++) offsets.push(position);
+        position += char.length;
+    }
+    return { normalized, offsets };
+}
+
+/**
+ * Cuts an excerpt of long text around the first query word it contains.
+ * @param {string} text - Field text
+ * @param {string} query - Search query
+ * @returns {string} Excerpt
+ */
+function buildSearchSnippet(text, query) {
+    const { normalized, offsets } = mapNormalizedSearchText(text);
+    const tokens = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    const match = tokens.map(t => normalized.indexOf(t)).find(i => i !== -1);
+    const index = match === undefined ? 0 : offsets[match];
+
+    const start = Math.max(0, index - SEARCH_SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + SEARCH_SNIPPET_CONTEXT * 2);
+    const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+}
+
+// ============================================================================
+// PALETTE UI
+// ============================================================================
+
+/** @type {{index: Array, results: Array, selected: number}} Palette state */
+const searchPaletteState = {
+    index: [],
+    results: [],
+    selected: 0
+};
+
+/**
+ * Opens the search palette.
+ */
+function openSearchPalette() {
+    searchPaletteState.index = buildSearchIndex(appData);
+    searchPaletteState.results = [];
+    searchPaletteState.selected = 0;
+
+    const input = $('search-input');
+    input.value = '';
+    renderSearchResults();
+    openModal('search-modal');
+    input.focus();
+}
+
+/**
+ * Runs the query in the search input and renders the results.
+ */
+function updateSearchResults() {
+    const query = $('search-input').value;
+    const groups = searchIndex(searchPaletteState.index, query);
+    searchPaletteState.results = groups.flatMap(group => group.results);
+    searchPaletteState.selected = 0;
+    renderSearchResults(groups, query);
+}
+
+/**
+ * Builds the secondary line of a result.
+ * @param {Object} result - Search result
+ * @param {string} query - Search query
+ * @returns {string} Detail text
+ */
+function describeSearchResult(result, query) {
+    const { entry, field } = result;
+    const parts = [];
+    if (entry.type !== 'course') parts.push(entry.courseName);
+    if (entry.type === 'recording') parts.push(entry.tabName);
+    parts.push(entry.semesterName);
+
+    if (field && field.text !== entry.title) {
+        parts.push(`${field.label}: ${buildSearchSnippet(field.text, query)}`);
+    }
+    return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Renders search results grouped by type.
+ * @param {Array} [groups=[]] - Groups from searchIndex
+ * @param {string} [query=''] - Search query
+ */
+function renderSearchResults(groups = [], query = '') {
+    const container = $('search-results');
+    if (!container) return;
+
+    if (!query.trim()) {
+        container.innerHTML = '<div class="search-empty">Search courses, homework, recordings and notes in every semester.</div>';
+        return;
+    }
+    if (groups.length === 0) {
+        container.innerHTML = `<div class="search-empty">No results for "${escapeHtml(query.trim())}".</div>`;
+        return;
+    }
+
+    let resultIndex = 0;
+    const renderResult = result => {
+        const index = resultIndex++;
+        return `
+            <div class="search-result ${index === searchPaletteState.selected ? 'selected' : ''}" data-index="${index}" role="option">
+                <div class="search-result-title">${escapeHtml(result.entry.title)}</div>
+                <div class="search-result-detail">${escapeHtml(describeSearchResult(result, query))}</div>
+            </div>
+        `;
+    };
+
+    container.innerHTML = groups.map(group => `
+        <div class="search-group">
+            <div class="search-group-label">${escapeHtml(group.label)}</div>
+            ${group.results.map(renderResult).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Moves the keyboard selection.
+ * @param {number} delta - +1 for down, -1 for up
+ */
+function moveSearchSelection(delta) {
+    const count = searchPaletteState.results.length;
+    if (count === 0) return;
+
+    searchPaletteState.selected = (searchPaletteState.selected + delta + count) % count;
+    document.querySelectorAll('#search-results .search-result').forEach(el => {
+        const selected = Number(el.dataset.index) === searchPaletteState.selected;
+        el.classList.toggle('selected', selected);
+        if (selected) el.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+/**
+ * Jumps to a search result: switches semester if needed and opens the course
+ * modal at the matching item.
+ * @param {Object} result - Search result
+ */
+function goToSearchResult(result) {
+    const { entry, field } = result;
+    closeModal('search-modal');
+
+    if (entry.semesterId !== currentSemesterId) {
+        currentSemesterId = entry.semesterId;
+        renderAll();
+    }
+
+    if (entry.type === 'course') {
+        openCourseModal(entry.courseId, 'details', field?.fieldId ? { type: 'field', fieldId: field.fieldId } : null);
+    } else {
+        openCourseModal(entry.courseId, entry.target.tab, entry.target.highlight);
+    }
+}
+
+/**
+ * Sets up the search palette: Ctrl+K, the header button and keyboard navigation.
+ */
+function setupSearchPalette() {
+    const input = $('search-input');
+    const results = $('search-results');
+    if (!input || !results) return;
+
+    $('search-btn')?.addEventListener('click', openSearchPalette);
+    input.addEventListener('input', updateSearchResults);
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const result = searchPaletteState.results[searchPaletteState.selected];
+            if (result) goToSearchResult(result);
+        } else if (e.key === 'Escape') {
+            closeModal('search-modal');
+        }
+    });
+
+    results.addEventListener('click', (e) => {
+        const item = e.target.closest('.search-result');
+        const result = item ? searchPaletteState.results[Number(item.dataset.index)] : null;
+        if (result) goToSearchResult(result);
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+        e.preventDefault();
+
+        if ($('search-modal').classList.contains('active')) {
+            closeModal('search-modal');
+        } else {
+            openSearchPalette();
+        }
+    });
+}
+
+window.buildSearchIndex = buildSearchIndex;
+window.searchIndex = searchIndex;
+window.fuzzyMatchScore = fuzzyMatchScore;
+window.buildSearchSnippet = buildSearchSnippet;
+window.openSearchPalette = openSearchPalette;
+window.setupSearchPalette = setupSearchPalette;
@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Semester calendar: start and end dates, holidays and other
+ * no-class days, week numbering ("Week 7 of 13"), Technion semester
+ * boundaries from the SAP data, and the editor in the calendar settings.
+ *
+ * A semester without dates behaves as before: every day is a class day.
+ * Weeks run Sunday to Saturday; week 1 is the week of the start date.
+ */
+
+'use strict';
+
+// ============================================================================
+// SEMESTER DATES
+// ============================================================================
+
+/**
+ * Technion SAP semester codes by season value (see getSeasonValue).
+ * @const {Object<number, number>}
+ */
+const SAP_SEMESTER_CODES = Object.freeze({ 3: 200, 1: 201, 2: 202 });
+
+/**
+ * Season names by Technion SAP semester code.
+ * @const {Object<number, string>}
+ */
+const SAP_SEMESTER_SEASONS = Object.freeze({ 200: 'Winter', 201: 'Spring', 202: 'Summer' });
+
+/**
+ * Creates a holiday with empty optional fields.
+ * @param {Object} [fields] - Initial field values
+ * @returns {Object} Holiday
+ */
+function createHoliday(fields = {}) {
+    return {
+        id: generateId(),
+        name: '',
+        startDate: '',
+        endDate: '',
+        ...fields
+    };
+}
+
+/**
+ * Formats a Date as a local yyyy-MM-dd date.
+ * @param {Date} date - Date
+ * @returns {string} Date in yyyy-MM-dd format
+ */
+function toLocalDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Gets the day number of the Sunday starting a date's week.
+ * @param {number} dayNumber - Days since the epoch
+ * @returns {number} Day number of that week's Sunday
+ */
+function getWeekStartDay(dayNumber) {
+    return dayNumber - new Date(dayNumber * MS_PER_DAY).getUTCDay();
+}
+
+/**
+ * Gets the teaching week of a date.
+ * @param {Object} semester - Semester
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {{week: number, total: number}|null} Week number and number of weeks,
+ *     or null if the semester has no dates or the date is outside them
+ */
+function getSemesterWeek(semester, dateStr) {
+    const start = toDayNumber(semester?.startDate);
+    const end = toDayNumber(semester?.endDate);
+    const day = toDayNumber(dateStr);
+    if (start === null || end === null || day === null || day < start || day > end) return null;
+
+    const firstWeek = getWeekStartDay(start);
+    return {
+        week: (getWeekStartDay(day) - firstWeek) / 7 + 1,
+        total: (getWeekStartDay(end) - firstWeek) / 7 + 1
+    };
+}
+
+/**
+ * Finds the holiday a date falls in.
+ * @param {Object} semester - Semester
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {Object|null} Holiday, or null on a regular day
+ */
+function findHoliday(semester, dateStr) {
+    return (semester?.holidays || []).find(holiday =>
+        holiday.startDate <= dateStr && dateStr <= (holiday.endDate || holiday.startDate)) || null;
+}
+
+/**
+ * Checks whether classes take place on a date: inside the semester dates
+ * (when set) and not on a holiday.
+ * @param {Object} semester - Semester
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {boolean} True on a class day
+ */
+function isClassDay(semester, dateStr) {
+    if (semester?.startDate && dateStr < semester.startDate) return false;
+    if (semester?.endDate && dateStr > semester.endDate) return false;
+    return !findHoliday(semester, dateStr);
+}
+
+/**
+ * Describes where a date falls in the semester, for the calendar title.
+ * @param {Object} semester - Semester
+ * @param {string} dateStr - Date in yyyy-MM-dd format
+ * @returns {string} E.g. 'Week 7 of 13', or '' if the semester has no dates
+ */
+function describeSemesterWeek(semester, dateStr) {
+    if (!semester?.startDate || !semester?.endDate) return '';
+
+    if (dateStr < semester.startDate) {
+        const start = new Date(`${semester.startDate}T00:00:00`);
+        return `Semester starts ${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+    }
+    if (dateStr > semester.endDate) return 'Semester ended';
+
+    const { week, total } = getSemesterWeek(semester, dateStr);
+    return `Week ${week} of ${total}`;
+}
+
+/**
+ * Validates semester dates and holidays edited in the calendar settings.
+ * Holiday rows without a start date are left out.
+ * @param {{startDate: string, endDate: string, holidays: Array<Object>}} dates - Edited dates
+ * @returns {{valid: boolean, value: Object|null, error: string|null}} Result
+ */
+function validateSemesterDates(dates) {
+    const start = validateDate(dates.startDate);
+    if (!start.valid) return { valid: false, value: null, error: `Semester start: ${start.error}` };
+    const end = validateDate(dates.endDate);
+    if (!end.valid) return { valid: false, value: null, error: `Semester end: ${end.error}` };
+    if (Boolean(start.value) !== Boolean(end.value)) {
+        return { valid: false, value: null, error: 'Set both the start and the end of the semester' };
+    }
+    if (end.value && end.value < start.value) {
+        return { valid: false, value: null, error: 'Semester end: Must be on or after the start' };
+    }
+
+    const holidays = [];
+    for (const holiday of dates.holidays || []) {
+        if (!holiday.startDate) continue;
+
+        const name = validateString(holiday.name, { maxLength: 100 });
+        const from = validateDate(holiday.startDate);
+        const to = validateDate(holiday.endDate);
+        const label = name.value || 'Holiday';
+        if (!name.valid) return { valid: false, value: null, error: `${label}: ${name.error}` };
+        if (!from.valid) return { valid: false, value: null, error: `${label}: ${from.error}` };
+        if (!to.valid) return { valid: false, value: null, error: `${label}: ${to.error}` };
+        if (to.value && to.value < from.value) {
+            return { valid: false, value: null, error: `${label}: End date must be on or after the start date` };
+        }
+
+        holidays.push({
+            id: holiday.id,
+            name: name.value,
+            startDate: from.value,
+            endDate: to.value && to.value !== from.value ? to.value : ''
+        });
+    }
+    holidays.sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    return { valid: true, value: { startDate: start.value, endDate: end.value, holidays }, error: null };
+}
+
+// ============================================================================
+// TECHNION SEMESTER DATES
+// ============================================================================
+
+/**
+ * Normalizes a SAP date (yyyy-MM-dd, or dd-MM-yyyy / dd.MM.yyyy) to yyyy-MM-dd.
+ * @param {string} value - SAP date
+ * @returns {string|null} Date in yyyy-MM-dd format, or null if unreadable
+ */
+function normalizeSapDate(value) {
+    const text = String(value || '').trim();
+    if (toDayNumber(text) !== null) return text;
+    const match = text.match(/^(\d{2})[.-](\d{2})[.-](\d{4})$/);
+    if (!match) return null;
+    const date = `${match[3]}-${match[2]}-${match[1]}`;
+    return toDayNumber(date) !== null ? date : null;
+}
+
+/**
+ * Finds the dates of a local semester in the SAP semester list
+ * (`last_semesters.json`: `{year, semester, start, end}` entries, where
+ * `year` is the academic year a winter semester starts in).
+ * @param {Object} semester - Local semester, e.g. named 'Spring 2025'
+ * @param {Array<Object>} sapSemesters - SAP semester list
+ * @returns {{startDate: string, endDate: string}|null} Dates, or null if not listed
+ */
+function matchSapSemesterDates(semester, sapSemesters) {
+    const season = getSeasonValue(semester.name);
+    const year = extractYear(semester.name);
+    if (!SAP_SEMESTER_CODES[season] || !year) return null;
+
+    const academicYear = season === 3 ? year : year - 1;
+    const entry = (sapSemesters || []).find(sem =>
+        Number(sem.year) === academicYear && Number(sem.semester) === SAP_SEMESTER_CODES[season]);
+    const startDate = normalizeSapDate(entry?.start);
+    const endDate = normalizeSapDate(entry?.end);
+
+    return startDate && endDate && startDate <= endDate ? { startDate, endDate } : null;
+}
+
+/**
+ * Names a SAP semester the way local semesters are named, e.g. `{year: 2025,
+ * semester: 200}` is 'Winter 2025-2026' and `{year: 2025, semester: 201}`
+ * is 'Spring 2026'.
+ * @param {{year: number, semester: number}} sapSemester - SAP semester
+ * @returns {string} Semester name, or '' for an unknown code
+ */
+function formatSapSemesterName(sapSemester) {
+    const year = Number(sapSemester?.year);
+    const season = SAP_SEMESTER_SEASONS[Number(sapSemester?.semester)];
+    if (!season || !year) return '';
+
+    return season === 'Winter' ? `${season} ${year}-${year + 1}` : `${season} ${year + 1}`;
+}
+
+/**
+ * Sets the dates of semesters that have none from the SAP semester list.
+ * @param {Array<Object>} semesters - Local semesters
+ * @param {Array<Object>} sapSemesters - SAP semester list
+ * @returns {number} Number of semesters that got dates
+ */
+function applySapSemesterDates(semesters, sapSemesters) {
+    let count = 0;
+
+    semesters.forEach(semester => {
+        if (semester.startDate || semester.endDate) return;
+        const dates = matchSapSemesterDates(semester, sapSemesters);
+        if (!dates) return;
+        Object.assign(semester, dates);
+        count++;
+    });
+
+    return count;
+}
+
+// ============================================================================
+// SEMESTER DATES EDITOR (calendar settings)
+// ============================================================================
+
+/**
+ * Fills the semester dates section of the calendar settings.
+ * @param {Object|null} semester - Current semester
+ */
+function populateSemesterDates(semester) {
+    $('semester-dates-section')?.classList.toggle('hidden', !semester);
+    if (!semester) return;
+
+    $('semester-start-date').value = semester.startDate || '';
+    $('semester-end-date').value = semester.endDate || '';
+    window.tempHolidays = (semester.holidays || []).map(holiday => ({ ...holiday }));
+    renderHolidayList();
+}
+
+/**
+ * Renders the holiday rows from window.tempHolidays.
+ */
+function renderHolidayList() {
+    const container = $('holiday-list');
+    if (!container) return;
+
+    container.innerHTML = window.tempHolidays.map((holiday, index) => `
+        <div class="holiday-row" data-index="${index}">
+            <input type="date" data-field="startDate" value="${escapeHtml(holiday.startDate)}" aria-label="First day">
+            <input type="date" data-field="endDate" value="${escapeHtml(holiday.endDate)}" aria-label="Last day">
+            <input type="text" data-field="name" value="${escapeHtml(holiday.name)}" placeholder="e.g. Passover">
+            <button class="holiday-remove-btn" data-action="remove" title="Remove">&times;</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Validates and saves the edited semester dates and holidays. Each date
+ * input saves on its own, so while only one end of the range is set nothing
+ * is saved and no error is shown.
+ * @returns {boolean} Whether the dates are saved (or were already)
+ */
+function saveSemesterDates() {
+    const semester = getCurrentSemester();
+    if (!semester) return false;
+
+    const startDate = $('semester-start-date').value;
+    const endDate = $('semester-end-date').value;
+    if (Boolean(startDate) !== Boolean(endDate)) return false;
+
+    const result = validateSemesterDates({ startDate, endDate, holidays: window.tempHolidays });
+    if (!result.valid) {
+        ToastManager.error(result.error);
+        return false;
+    }
+
+    const unchanged = semester.startDate === result.value.startDate && semester.endDate === result.value.endDate &&
+        JSON.stringify(semester.holidays || []) === JSON.stringify(result.value.holidays);
+    if (unchanged) return true;
+
+    Object.assign(semester, result.value);
+    saveData();
+    renderCalendar();
+    return true;
+}
+
+/**
+ * Fetches the current semester's dates from the Technion SAP data.
+ */
+async function fetchTechnionSemesterDates() {
+    const semester = getCurrentSemester();
+    if (!semester) return;
+
+    try {
+        const dates = matchSapSemesterDates(semester, await fetchSapSemesters());
+        if (!dates) {
+            ToastManager.warning(`No Technion dates found for "${semester.name}"`);
+            return;
+        }
+
+        $('semester-start-date').value = dates.startDate;
+        $('semester-end-date').value = dates.endDate;
+        if (saveSemesterDates()) {
+            ToastManager.success('Semester dates updated');
+        }
+    } catch (err) {
+        console.error('Technion semester dates error:', err);
+        ToastManager.error(getUserFriendlyError(err));
+    }
+}
+
+/**
+ * Sets up the semester dates editor events.
+ */
+function setupSemesterDatesEditor() {
+    $('semester-start-date')?.addEventListener('change', saveSemesterDates);
+    $('semester-end-date')?.addEventListener('change', saveSemesterDates);
+    $('fetch-semester-dates-btn')?.addEventListener('click', fetchTechnionSemesterDates);
+
+    $('add-holiday-btn')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        window.tempHolidays.push(createHoliday());
+        renderHolidayList();
+        const rows = $('holiday-list').querySelectorAll('.holiday-row');
+        rows[rows.length - 1]?.querySelector('[data-field="startDate"]')?.focus();
+    });
+
+    const list = $('holiday-list');
+    if (!list) return;
+
+    list.addEventListener('input', (e) => {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.holiday-row');
+        if (!field || !row) return;
+        window.tempHolidays[Number(row.dataset.index)][field] = e.target.value;
+    });
+
+    list.addEventListener('change', saveSemesterDates);
+
+    list.addEventListener('click', (e) => {
+        if (e.target.dataset.action !== 'remove') return;
+        e.preventDefault();
+        window.tempHolidays.splice(Number(e.target.closest('.holiday-row').dataset.index), 1);
+        renderHolidayList();
+        saveSemesterDates();
+    });
+}
+
+window.createHoliday = createHoliday;
+window.toLocalDateString = toLocalDateString;
+window.getSemesterWeek = getSemesterWeek;
+window.findHoliday = findHoliday;
+window.isClassDay = isClassDay;
+window.describeSemesterWeek = describeSemesterWeek;
+window.validateSemesterDates = validateSemesterDates;
+window.matchSapSemesterDates = matchSapSemesterDates;
+window.formatSapSemesterName = formatSapSemesterName;
+window.applySapSemesterDates = applySapSemesterDates;
+window.populateSemesterDates = populateSemesterDates;
+window.setupSemesterDatesEditor = setupSemesterDatesEditor;
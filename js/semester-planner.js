@@ -0,0 +1,520 @@
+/**
+ * @fileoverview Semester planner: builds the timetable of an upcoming
+ * semester from the Technion SAP catalog before registration. Candidate
+ * courses are found by number or name, a lecture, tutorial and lab group is
+ * picked for each, and the plan shows its weekly timetable, clashes and
+ * total points. Creating the semester turns the plan into real courses.
+ *
+ * The plan lives in window.tempSemesterPlan until the semester is created;
+ * it is not saved.
+ */
+
+'use strict';
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+/**
+ * Slot types a group is picked for; other catalog slots are always taken.
+ * @const {ReadonlyArray<string>}
+ */
+const PLANNER_GROUP_TYPES = Object.freeze(['lecture', 'tutorial', 'lab']);
+
+/**
+ * Lists the schedule of a planned course: its picked groups and the
+ * catalog slots of no particular kind.
+ * @param {Object} planCourse - Planned course
+ * @returns {Array<Object>} Schedule slots
+ */
+function getPlanCourseSchedule(planCourse) {
+    return parseCatalogSchedule(planCourse.entry).filter(slot =>
+        !PLANNER_GROUP_TYPES.includes(slot.type) || planCourse.groups[slot.type] === slot.group);
+}
+
+/**
+ * Views the plan as a semester, for the timetable helpers.
+ * @param {Object} plan - Semester plan
+ * @returns {{courses: Array<Object>}} Semester with one course per planned course
+ */
+function toPlanSemester(plan) {
+    return {
+        courses: plan.courses.map(planCourse => ({
+            id: planCourse.number,
+            name: planCourse.name,
+            schedule: getPlanCourseSchedule(planCourse)
+        }))
+    };
+}
+
+/**
+ * Adds a catalog course to the plan, picking for each kind of slot the first
+ * group that fits the timetable so far (or the first group if none does).
+ * @param {Object} plan - Semester plan (mutated)
+ * @param {Object} entry - Catalog entry
+ * @returns {Object|null} Planned course, or null if it is already planned
+ */
+function addPlanCourse(plan, entry) {
+    const { number, name, points } = getCatalogCourseInfo(entry);
+    if (plan.courses.some(planCourse => planCourse.number === number)) return null;
+
+    const taken = collectSemesterSlots(toPlanSemester(plan)).map(item => item.slot);
+    taken.push(...parseCatalogSchedule(entry).filter(slot => !PLANNER_GROUP_TYPES.includes(slot.type)));
+
+    const groups = {};
+    PLANNER_GROUP_TYPES.forEach(type => {
+        const options = getCatalogGroups(entry, type);
+        if (options.length === 0) return;
+        const choice = options.find(option =>
+            option.slots.every(slot => !taken.some(other => slotsOverlap(slot, other)))) || options[0];
+        groups[type] = choice.group;
+        taken.push(...choice.slots);
+    });
+
+    const planCourse = { number, name, points, entry, groups };
+    plan.courses.push(planCourse);
+    return planCourse;
+}
+
+/**
+ * Points a planned course at another semester's catalog entry. Picked groups
+ * that entry does not have fall back to its first group.
+ * @param {Object} planCourse - Planned course (mutated)
+ * @param {Object} entry - Catalog entry of the same course
+ */
+function setPlanCourseEntry(planCourse, entry) {
+    planCourse.entry = entry;
+    PLANNER_GROUP_TYPES.forEach(type => {
+        const options = getCatalogGroups(entry, type);
+        if (options.some(option => option.group === planCourse.groups[type])) return;
+        if (options.length > 0) planCourse.groups[type] = options[0].group;
+        else delete planCourse.groups[type];
+    });
+}
+
+/**
+ * Checks whether a group of a planned course clashes with the rest of the plan.
+ * @param {Object} plan - Semester plan
+ * @param {Object} planCourse - Planned course
+ * @param {string} type - Slot type
+ * @param {{slots: Array<Object>}} option - Group from getCatalogGroups
+ * @returns {boolean} True if any of its slots overlaps another planned slot
+ */
+function planGroupClashes(plan, planCourse, type, option) {
+    const others = plan.courses.flatMap(other => getPlanCourseSchedule(other)
+        .filter(slot => !(other === planCourse && slot.type === type)));
+    return option.slots.some(slot => others.some(other => slotsOverlap(slot, other)));
+}
+
+/**
+ * Describes the missing prerequisites of a planned course, counting the
+ * courses of earlier semesters and taking linked courses in the plan as
+ * taken alongside.
+ * @param {Object} plan - Semester plan
+ * @param {Object} planCourse - Planned course
+ * @param {Array<Object>} semesters - All semesters
+ * @returns {string} Warning, or '' if the course can be taken
+ */
+function describePlanPrerequisites(plan, planCourse, semesters) {
+    const graph = buildPrerequisiteGraph(plan.entries);
+    const node = graph.get(normalizeCourseNumber(planCourse.number));
+    if (!node || !plan.sapSemester) return '';
+
+    const history = collectCompletedCourses(semesters, { name: formatSapSemesterName(plan.sapSemester) });
+    const alongside = plan.courses.map(other => other.number);
+    return describePrerequisiteCheck(checkPrerequisites(node, history, alongside), graph);
+}
+
+/**
+ * Sums up the plan: total points and timetable clashes.
+ * @param {Object} plan - Semester plan
+ * @returns {{semester: Object, points: number, conflicts: Array<Object>}} Summary,
+ *     with the plan as a semester (see toPlanSemester)
+ */
+function summarizePlan(plan) {
+    const semester = toPlanSemester(plan);
+    return {
+        semester,
+        points: plan.courses.reduce((sum, planCourse) => sum + parseCoursePoints(planCourse.points), 0),
+        conflicts: findScheduleConflicts(semester)
+    };
+}
+
+/**
+ * Builds a semester from the plan, with the SAP semester's dates and one
+ * course per planned course filled in from its catalog entry.
+ * @param {Object} plan - Semester plan
+ * @param {string} name - Semester name
+ * @returns {Object} New semester
+ */
+function buildSemesterFromPlan(plan, name) {
+    const dates = plan.sapSemester
+        ? matchSapSemesterDates({ name: formatSapSemesterName(plan.sapSemester) }, [plan.sapSemester])
+        : null;
+
+    const courses = plan.courses.map((planCourse, index) => {
+        const course = createImportedCourse({
+            name: planCourse.name,
+            number: planCourse.number,
+            schedule: getPlanCourseSchedule(planCourse)
+        }, index, plan.courses.length);
+        applyCatalogData(course, planCourse.entry);
+        return course;
+    });
+
+    return {
+        id: generateId(),
+        name,
+        courses,
+        calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS },
+        startDate: dates?.startDate || '',
+        endDate: dates?.endDate || '',
+        holidays: []
+    };
+}
+
+// ============================================================================
+// PLANNER MODAL
+// ============================================================================
+
+/**
+ * Shows a loading or error message above the search results.
+ * @param {string} message - Message, or '' to clear it
+ * @param {boolean} [isError=false] - Whether it is an error
+ */
+function setPlannerStatus(message, isError = false) {
+    const status = $('planner-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Fetches the catalog of a SAP semester into the plan. Planned courses are
+ * matched to the new catalog by number; courses it does not offer are removed.
+ * @param {Object} sapSemester - SAP semester
+ */
+async function loadPlannerCatalog(sapSemester) {
+    const plan = window.tempSemesterPlan;
+    const name = formatSapSemesterName(sapSemester);
+    setPlannerStatus(`Loading the ${name} catalog...`);
+
+    try {
+        const entries = await fetchCatalogEntries(sapSemester);
+        const byNumber = new Map(entries.map(entry => [getCatalogCourseInfo(entry).number, entry]));
+        const kept = plan.courses.filter(planCourse => byNumber.has(planCourse.number));
+        const removed = plan.courses.length - kept.length;
+        kept.forEach(planCourse => setPlanCourseEntry(planCourse, byNumber.get(planCourse.number)));
+
+        Object.assign(plan, { sapSemester, entries, courses: kept });
+        $('planner-semester-name').value = name;
+        setPlannerStatus(removed > 0
+            ? `${removed} planned course${removed === 1 ? ' is' : 's are'} not offered in ${name}`
+            : '');
+    } catch (err) {
+        console.error('Semester planner catalog error:', err);
+        setPlannerStatus(`Error: ${getUserFriendlyError(err)}`, true);
+    }
+
+    renderSemesterPlanner();
+}
+
+/**
+ * Opens the semester planner, fetching the SAP semester list the first time.
+ * The newest semester is planned by default.
+ */
+async function openSemesterPlanner() {
+    const plan = window.tempSemesterPlan;
+    openModal('semester-planner-modal');
+    renderSemesterPlanner();
+    if (plan.sapSemesters.length > 0) return;
+
+    setPlannerStatus('Fetching semester list...');
+    try {
+        plan.sapSemesters = (await fetchSapSemesters())
+            .filter(sem => formatSapSemesterName(sem))
+            .sort((a, b) => b.year - a.year || b.semester - a.semester);
+    } catch (err) {
+        console.error('Semester planner semester list error:', err);
+        setPlannerStatus(`Error: ${getUserFriendlyError(err)}`, true);
+        return;
+    }
+
+    $('planner-sap-semester').innerHTML = plan.sapSemesters.map((sem, index) =>
+        `<option value="${index}">${escapeHtml(formatSapSemesterName(sem))}</option>`).join('');
+    if (plan.sapSemesters.length > 0) await loadPlannerCatalog(plan.sapSemesters[0]);
+}
+
+/**
+ * Renders the catalog courses matching the search.
+ */
+function renderPlannerResults() {
+    const container = $('planner-results');
+    if (!container) return;
+
+    const plan = window.tempSemesterPlan;
+    const query = $('planner-search').value;
+    const results = searchCatalog(plan.entries, query);
+
+    if (!query.trim() || plan.entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    if (results.length === 0) {
+        container.innerHTML = '<div class="planner-empty">No matching courses in this semester\'s catalog.</div>';
+        return;
+    }
+
+    container.innerHTML = results.map(entry => {
+        const { number, name, points } = getCatalogCourseInfo(entry);
+        const planned = plan.courses.some(planCourse => planCourse.number === number);
+        return `
+            <button class="planner-result" data-number="${escapeHtml(number)}" ${planned ? 'disabled' : ''}>
+                <span class="planner-result-number">${escapeHtml(number)}</span>
+                <span class="planner-result-name">${escapeHtml(name)}</span>
+                <span class="planner-result-points">${planned ? 'Added' : `${escapeHtml(points || '?')} pts`}</span>
+            </button>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the planned courses with a group picker for each kind of slot.
+ */
+function renderPlannerCourses() {
+    const container = $('planner-courses');
+    if (!container) return;
+
+    const plan = window.tempSemesterPlan;
+    if (plan.courses.length === 0) {
+        container.innerHTML = '<div class="planner-empty">Search the catalog above to add courses.</div>';
+        return;
+    }
+
+    container.innerHTML = plan.courses.map((planCourse, index) => {
+        const pickers = PLANNER_GROUP_TYPES.map(type => {
+            const options = getCatalogGroups(planCourse.entry, type);
+            if (options.length === 0) return '';
+            const choices = options.map(option => {
+                const clash = planGroupClashes(plan, planCourse, type, option) ? ' (clash)' : '';
+                const selected = option.group === planCourse.groups[type] ? 'selected' : '';
+                return `<option value="${escapeHtml(option.group)}" ${selected}>${escapeHtml(`${option.group} · ${formatSlotTimes(option.slots)}${clash}`)}</option>`;
+            }).join('');
+            return `
+                <label class="planner-group-picker">
+                    <span>${SCHEDULE_SLOT_TYPES[type].label}</span>
+                    <select data-type="${type}">${choices}</select>
+                </label>
+            `;
+        }).join('');
+
+        const warning = describePlanPrerequisites(plan, planCourse, appData.semesters);
+
+        return `
+            <div class="planner-course" data-number="${escapeHtml(planCourse.number)}">
+                <span class="planner-course-color" style="background: ${generateCourseColor(index, plan.courses.length)}"></span>
+                <div class="planner-course-info">
+                    <strong>${escapeHtml(planCourse.name)}</strong>
+                    <span>${escapeHtml(planCourse.number)} · ${escapeHtml(planCourse.points || '?')} pts</span>
+                    ${warning ? `<span class="planner-course-warning">${escapeHtml(warning)}</span>` : ''}
+                </div>
+                <div class="planner-course-groups">${pickers || '<span class="planner-empty">No schedule in the catalog</span>'}</div>
+                <button class="planner-course-remove" title="Remove from plan">&times;</button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders the weekly timetable of the plan, with clashing blocks side by side.
+ * @param {Object} semester - The plan as a semester (see toPlanSemester)
+ * @param {Array<Object>} conflicts - Clashes from findScheduleConflicts
+ */
+function renderPlannerTimetable(semester, conflicts) {
+    const container = $('planner-timetable');
+    if (!container) return;
+
+    const items = collectSemesterSlots(semester);
+    if (items.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const firstHour = Math.min(8, ...items.map(item => Math.floor(toMinutes(item.slot.start) / 60)));
+    const lastHour = Math.max(18, ...items.map(item => Math.ceil(toMinutes(item.slot.end) / 60)));
+    const span = (lastHour - firstHour) * 60;
+    const days = items.some(item => item.slot.day === 5) ? [0, 1, 2, 3, 4, 5] : [0, 1, 2, 3, 4];
+    const layout = layoutScheduleColumns(items.map(item => item.slot));
+    const clashing = new Set(conflicts.flatMap(conflict => [conflict.first.slot, conflict.second.slot]));
+    const colors = new Map(semester.courses.map((course, index) => [course, generateCourseColor(index, semester.courses.length)]));
+
+    const hours = Array.from({ length: lastHour - firstHour }, (_, i) =>
+        `<div class="planner-hour">${String(firstHour + i).padStart(2, '0')}:00</div>`).join('');
+
+    const columns = days.map(day => {
+        const blocks = items.filter(item => item.slot.day === day).map(({ course, slot }) => {
+            const { column, columns: columnCount } = layout.get(slot);
+            const top = (toMinutes(slot.start) - firstHour * 60) / span * 100;
+            const height = (toMinutes(slot.end) - toMinutes(slot.start)) / span * 100;
+            const typeClass = SCHEDULE_SLOT_TYPES[slot.type] ? `schedule-block-${slot.type}` : '';
+            const title = [course.name, `${slot.start} - ${slot.end}`, ...describeScheduleSlot(slot)].join('\n');
+            return `
+                <div class="schedule-block planner-block ${typeClass} ${clashing.has(slot) ? 'schedule-block-clash' : ''}"
+                    style="top: ${top}%; height: ${height}%; left: calc(${(column / columnCount) * 100}% + 1px); width: calc(${100 / columnCount}% - 2px); background-color: ${colors.get(course)}"
+                    title="${escapeHtml(title)}">
+                    <span class="schedule-block-name">${escapeHtml(course.name)}</span>
+                    <span class="schedule-block-meta">${escapeHtml(formatSlotLabel(slot))}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="planner-day">
+                <div class="planner-day-head">${DAY_NAMES_SHORT[day]}</div>
+                <div class="planner-day-body">${blocks}</div>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="planner-grid" style="--planner-days: ${days.length}; --planner-hours: ${lastHour - firstHour}">
+            <div class="planner-hours"><div class="planner-day-head"></div>${hours}</div>
+            ${columns}
+        </div>
+    `;
+}
+
+/**
+ * Renders the whole planner: search results, planned courses, summary and timetable.
+ */
+function renderSemesterPlanner() {
+    const plan = window.tempSemesterPlan;
+    const { semester, points, conflicts } = summarizePlan(plan);
+
+    renderPlannerResults();
+    renderPlannerCourses();
+    renderPlannerTimetable(semester, conflicts);
+
+    const summary = $('planner-summary');
+    if (summary) {
+        const clashes = conflicts.map(conflict => `
+            <div class="planner-clash">
+                <strong>${escapeHtml(conflict.first.course.name)}</strong> ${escapeHtml(formatSlotLabel(conflict.first.slot))}
+                and <strong>${escapeHtml(conflict.second.course.name)}</strong> ${escapeHtml(formatSlotLabel(conflict.second.slot))}
+                overlap on ${DAY_NAMES_SHORT[conflict.day]} ${escapeHtml(conflict.start)}–${escapeHtml(conflict.end)}
+            </div>
+        `).join('');
+
+        summary.classList.toggle('hidden', plan.courses.length === 0);
+        summary.innerHTML = `
+            <div class="planner-totals">
+                <span>${plan.courses.length} course${plan.courses.length === 1 ? '' : 's'}</span>
+                <span>${formatPoints(points)} points</span>
+                <span class="${conflicts.length > 0 ? 'planner-totals-clash' : ''}">
+                    ${conflicts.length > 0 ? `${conflicts.length} clash${conflicts.length === 1 ? '' : 'es'}` : 'No clashes'}
+                </span>
+            </div>
+            ${clashes}
+        `;
+    }
+
+    $('planner-create-btn').disabled = plan.courses.length === 0;
+}
+
+/**
+ * Creates a semester from the plan and switches to it.
+ */
+async function createPlannedSemester() {
+    const plan = window.tempSemesterPlan;
+    if (plan.courses.length === 0) {
+        ToastManager.error('Add at least one course to the plan');
+        return;
+    }
+
+    const validation = validateString($('planner-semester-name').value, {
+        required: true,
+        maxLength: VALIDATION_LIMITS.SEMESTER_NAME_MAX,
+        minLength: 1
+    });
+    if (!validation.valid) {
+        ToastManager.error(validation.error);
+        return;
+    }
+    if (appData.semesters.some(s => s.name.toLowerCase() === validation.value.toLowerCase())) {
+        ToastManager.error('Semester already exists');
+        return;
+    }
+
+    const { conflicts } = summarizePlan(plan);
+    if (conflicts.length > 0) {
+        const confirmed = await showConfirmDialog(
+            `The plan has ${conflicts.length} schedule clash${conflicts.length === 1 ? '' : 'es'}. Create the semester anyway?`,
+            { title: 'Create Semester', confirmText: 'Create' }
+        );
+        if (!confirmed) return;
+    }
+
+    const semester = buildSemesterFromPlan(plan, validation.value);
+    appData.semesters.push(semester);
+    currentSemesterId = semester.id;
+    saveData();
+    renderAll();
+
+    plan.courses = [];
+    $('planner-search').value = '';
+    closeModal('semester-planner-modal');
+    ToastManager.success(`Semester "${semester.name}" created with ${semester.courses.length} course${semester.courses.length === 1 ? '' : 's'}`, withUndoAction());
+}
+
+/**
+ * Sets up the semester planner events.
+ */
+function setupSemesterPlanner() {
+    $('plan-semester-btn')?.addEventListener('click', () => {
+        closeModal('add-semester-modal');
+        openSemesterPlanner();
+    });
+
+    $('planner-sap-semester')?.addEventListener('change', (e) => {
+        const sapSemester = window.tempSemesterPlan.sapSemesters[Number(e.target.value)];
+        if (sapSemester) loadPlannerCatalog(sapSemester);
+    });
+
+    $('planner-search')?.addEventListener('input', debounce(renderPlannerResults, 150));
+
+    $('planner-results')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.planner-result');
+        if (!button) return;
+        const plan = window.tempSemesterPlan;
+        const entry = plan.entries.find(item => getCatalogCourseInfo(item).number === button.dataset.number);
+        if (entry && addPlanCourse(plan, entry)) renderSemesterPlanner();
+    });
+
+    $('planner-courses')?.addEventListener('change', (e) => {
+        const type = e.target.dataset.type;
+        const number = e.target.closest('.planner-course')?.dataset.number;
+        const planCourse = window.tempSemesterPlan.courses.find(item => item.number === number);
+        if (!type || !planCourse) return;
+        planCourse.groups[type] = e.target.value;
+        renderSemesterPlanner();
+    });
+
+    $('planner-courses')?.addEventListener('click', (e) => {
+        if (!e.target.closest('.planner-course-remove')) return;
+        const plan = window.tempSemesterPlan;
+        const number = e.target.closest('.planner-course').dataset.number;
+        plan.courses = plan.courses.filter(planCourse => planCourse.number !== number);
+        renderSemesterPlanner();
+    });
+
+    $('planner-create-btn')?.addEventListener('click', createPlannedSemester);
+}
+
+window.getPlanCourseSchedule = getPlanCourseSchedule;
+window.addPlanCourse = addPlanCourse;
+window.planGroupClashes = planGroupClashes;
+window.describePlanPrerequisites = describePlanPrerequisites;
+window.summarizePlan = summarizePlan;
+window.buildSemesterFromPlan = buildSemesterFromPlan;
+window.openSemesterPlanner = openSemesterPlanner;
+window.setupSemesterPlanner = setupSemesterPlanner;
@@ -16,6 +16,7 @@
 let appData = {
     semesters: [],
     settings: { ...DEFAULT_THEME_SETTINGS },
+    degreePlan: { buckets: [] },
     lastModified: new Date().toISOString()
 };
 
@@ -58,12 +59,30 @@ let timeInterval = null;
 /** @type {Array} Temporary schedule items being edited */
 window.tempSchedule = [];
 
+/** @type {Array} Temporary assessments being edited */
+window.tempAssessments = [];
+
+/** @type {Array} Temporary semester holidays being edited */
+window.tempHolidays = [];
+
 /** @type {string} Currently selected recordings tab ID */
 window.currentRecordingsTab = 'lectures';
 
 /** @type {Object|null} Temporary recording edit state */
 window.tempRecordingEdit = null;
 
+/** @type {Object} Semester planner state: SAP semesters, the planned one's catalog and the planned courses */
+window.tempSemesterPlan = { sapSemesters: [], sapSemester: null, entries: [], courses: [] };
+
+/** @type {Object} Calendar import state: the loaded events grouped by title and the title pattern rules */
+window.tempICSImport = { groups: [], rules: [] };
+
+/** @type {Object} Catalog review state: the matched courses' rows and whether existing values are overwritten */
+window.tempCatalogReview = { rows: [], overwrite: false };
+
+/** @type {Object} Technion catalog entries by course number, from the cache or once fetched */
+window.technionCatalog = {};
+
 // ============================================================================
 // STORAGE OPTIMIZATION: COMPACT & HYDRATE
 // ============================================================================
@@ -76,13 +95,27 @@ window.tempRecordingEdit = null;
  */
 function compactForStorage(data) {
     return {
-        v: 2, // Storage version for future migrations
+        v: STORAGE_DATA_VERSION, // Storage version, see STORAGE_MIGRATIONS
         t: data.lastModified,
         s: data.settings ? compactSettings(data.settings) : undefined,
-        d: data.semesters.map(compactSemester).filter(s => s) // d = data (semesters)
+        d: data.semesters.map(compactSemester).filter(s => s), // d = data (semesters)
+        dp: compactDegreePlan(data.degreePlan)
     };
 }
 
+/**
+ * Compacts the degree plan into its list of buckets.
+ */
+function compactDegreePlan(plan) {
+    if (!plan?.buckets?.length) return undefined;
+    return plan.buckets.map(bucket => {
+        const b = { i: bucket.id, n: bucket.name };
+        if (bucket.target) b.tg = bucket.target;
+        if (bucket.rules?.length > 0) b.r = bucket.rules;
+        return b;
+    });
+}
+
 /**
  * Compacts settings, only storing non-default values.
  */
@@ -93,6 +126,7 @@ function compactSettings(settings) {
     if (settings.baseColorHue && settings.baseColorHue !== 200) compact.bh = settings.baseColorHue;
     if (settings.showCompleted === false) compact.sc = false;
     if (settings.showWatchedRecordings === false) compact.sw = false;
+    if (settings.examMinGapDays !== undefined && settings.examMinGapDays !== DEFAULT_EXAM_MIN_GAP_DAYS) compact.eg = settings.examMinGapDays;
     return Object.keys(compact).length > 0 ? compact : undefined;
 }
 
@@ -106,6 +140,11 @@ function compactSemester(semester) {
         c: semester.courses.map(compactCourse).filter(c => c)
     };
     
+    // Semester dates and holidays - only if set
+    if (semester.startDate) compact.sd = semester.startDate;
+    if (semester.endDate) compact.ed = semester.endDate;
+    if (semester.holidays?.length > 0) compact.hol = semester.holidays.map(compactHoliday);
+    
     // Only store calendar settings if different from default
     const cal = semester.calendarSettings;
     if (cal) {
@@ -122,6 +161,15 @@ function compactSemester(semester) {
     return compact;
 }
 
+/**
+ * Compacts a holiday.
+ */
+function compactHoliday(holiday) {
+    const h = { i: holiday.id, n: holiday.name, s: holiday.startDate };
+    if (holiday.endDate) h.e = holiday.endDate;
+    return h;
+}
+
 /**
  * Compacts a course, removing empty/default values.
  */
@@ -139,19 +187,18 @@ function compactCourse(course) {
     if (course.faculty) c.fac = course.faculty;
     if (course.location) c.loc = course.location;
     if (course.grade) c.gr = course.grade;
+    if (course.degreeBucket) c.bk = course.degreeBucket;
+    if (course.gradeComponents?.length > 0) c.gs = course.gradeComponents.map(compactGradeComponent);
     if (course.syllabus) c.syl = course.syllabus;
     if (course.notes) c.nt = course.notes;
     
-    // Exams - only if at least one date exists
-    if (course.exams?.moedA || course.exams?.moedB) {
-        c.ex = {};
-        if (course.exams.moedA) c.ex.a = course.exams.moedA;
-        if (course.exams.moedB) c.ex.b = course.exams.moedB;
-    }
+    // Assessments - only if not empty
+    if (course.assessments?.length > 0) c.as = course.assessments.map(compactAssessment);
+    if (course.plannedExam) c.pe = course.plannedExam;
     
     // Schedule - only if not empty
     if (course.schedule?.length > 0) {
-        c.sch = course.schedule.map(s => [s.day, s.start, s.end]); // Compact array format
+        c.sch = course.schedule.map(compactScheduleSlot); // Compact array format
     }
     
     // Homework - only if not empty
@@ -167,6 +214,9 @@ function compactCourse(course) {
         if (tabs.length > 0) c.rec = tabs;
     }
     
+    // Attendance - only marked sessions
+    if (course.attendance?.length > 0) c.at = course.attendance.map(compactAttendance);
+    
     return c;
 }
 
@@ -185,20 +235,64 @@ function compactRecordingTab(tab) {
  * Compacts a recording item.
  */
 function compactRecordingItem(item) {
-    const r = { n: item.name };
+    const r = { i: item.id, n: item.name };
     if (item.videoLink) r.v = item.videoLink;
     if (item.watched) r.w = 1;
     if (item.slideLink) r.s = item.slideLink;
     return r;
 }
 
+/**
+ * Compacts a schedule slot to [day, start, end, type, room, group, instructor],
+ * dropping trailing empty details.
+ */
+function compactScheduleSlot(slot) {
+    const compact = [slot.day, slot.start, slot.end, slot.type || '', slot.room || '', slot.group || '', slot.instructor || ''];
+    while (compact.length > 3 && !compact[compact.length - 1]) compact.pop();
+    return compact;
+}
+
+/**
+ * Compacts a session attendance record.
+ */
+function compactAttendance(record) {
+    const a = { i: record.id, s: record.status };
+    if (record.recordingId) a.r = record.recordingId;
+    return a;
+}
+
+/**
+ * Compacts a grade component.
+ */
+function compactGradeComponent(component) {
+    const g = { i: component.id, n: component.name, w: component.weight || 0 };
+    if (component.score !== '' && component.score != null) g.s = component.score;
+    if (component.bestOf) g.b = component.bestOf;
+    if (component.homeworkIds?.length > 0) g.h = component.homeworkIds;
+    return g;
+}
+
+/**
+ * Compacts an assessment.
+ */
+function compactAssessment(assessment) {
+    const a = { i: assessment.id, ty: assessment.type, d: assessment.date };
+    if (assessment.startTime) a.st = assessment.startTime;
+    if (assessment.endTime) a.et = assessment.endTime;
+    if (assessment.location) a.loc = assessment.location;
+    if (assessment.weight !== '' && assessment.weight != null) a.w = assessment.weight;
+    if (assessment.notes) a.nt = assessment.notes;
+    return a;
+}
+
 /**
  * Compacts a homework item.
  */
 function compactHomework(hw) {
-    const h = { t: hw.title };
+    const h = { i: hw.id, t: hw.title };
     if (hw.dueDate) h.d = hw.dueDate;
     if (hw.completed) h.c = 1;
+    if (hw.score !== '' && hw.score != null) h.sc = hw.score;
     if (hw.notes) h.n = hw.notes;
     if (hw.links?.length > 0) {
         h.l = hw.links.map(link => link.url ? [link.label || '', link.url] : null).filter(Boolean);
@@ -212,19 +306,32 @@ function compactHomework(hw) {
 
 /**
  * Hydrates compact storage data to full application structure.
- * @param {Object} compact - Compact storage data
+ * Older payloads are first walked forward through STORAGE_MIGRATIONS.
+ * @param {Object} stored - Stored payload (any version)
  * @returns {Object} Full data structure
  */
-function hydrateFromStorage(compact) {
-    // Handle legacy format (version 1 or no version)
-    if (!compact.v || compact.v < 2) {
-        return migrateData(compact);
-    }
+function hydrateFromStorage(stored) {
+    const compact = migrateStoragePayload(stored);
     
     return {
         lastModified: compact.t || new Date().toISOString(),
         settings: hydrateSettings(compact.s),
-        semesters: (compact.d || []).map(hydrateSemester)
+        semesters: (compact.d || []).map(hydrateSemester),
+        degreePlan: hydrateDegreePlan(compact.dp)
+    };
+}
+
+/**
+ * Hydrates the degree plan.
+ */
+function hydrateDegreePlan(dp) {
+    return {
+        buckets: (dp || []).map(b => ({
+            id: b.i || generateId(),
+            name: b.n || '',
+            target: b.tg || 0,
+            rules: b.r || []
+        }))
     };
 }
 
@@ -239,6 +346,7 @@ function hydrateSettings(s) {
         if (s.bh !== undefined) settings.baseColorHue = s.bh;
         if (s.sc !== undefined) settings.showCompleted = s.sc;
         if (s.sw !== undefined) settings.showWatchedRecordings = s.sw;
+        if (s.eg !== undefined) settings.examMinGapDays = s.eg;
     }
     return settings;
 }
@@ -251,7 +359,10 @@ function hydrateSemester(s) {
         id: s.i,
         name: s.n,
         courses: (s.c || []).map(hydrateCourse),
-        calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS }
+        calendarSettings: { ...DEFAULT_CALENDAR_SETTINGS },
+        startDate: s.sd || '',
+        endDate: s.ed || '',
+        holidays: (s.hol || []).map(hydrateHoliday)
     };
     
     if (s.cal) {
@@ -263,6 +374,18 @@ function hydrateSemester(s) {
     return semester;
 }
 
+/**
+ * Hydrates a holiday.
+ */
+function hydrateHoliday(h) {
+    return {
+        id: h.i || generateId(),
+        name: h.n || '',
+        startDate: h.s || '',
+        endDate: h.e || ''
+    };
+}
+
 /**
  * Hydrates a course.
  */
@@ -277,17 +400,18 @@ function hydrateCourse(c) {
         faculty: c.fac || '',
         location: c.loc || '',
         grade: c.gr || '',
+        degreeBucket: c.bk || '',
+        gradeComponents: (c.gs || []).map(hydrateGradeComponent),
         syllabus: c.syl || '',
         notes: c.nt || '',
-        exams: {
-            moedA: c.ex?.a || '',
-            moedB: c.ex?.b || ''
-        },
-        schedule: (c.sch || []).map(s => ({ day: s[0], start: s[1], end: s[2] })),
+        assessments: (c.as || []).map(hydrateAssessment),
+        plannedExam: c.pe || '',
+        schedule: (c.sch || []).map(hydrateScheduleSlot),
         homework: (c.hw || []).map(hydrateHomework),
         recordings: {
             tabs: hydrateRecordingTabs(c.rec)
-        }
+        },
+        attendance: (c.at || []).map(hydrateAttendance)
     };
     
     return course;
@@ -320,6 +444,7 @@ function hydrateRecordingTabs(rec) {
  */
 function hydrateRecordingItem(r) {
     return {
+        id: r.i || generateId(),
         name: r.n || '',
         videoLink: r.v || '',
         slideLink: r.s || '',
@@ -327,25 +452,85 @@ function hydrateRecordingItem(r) {
     };
 }
 
+/**
+ * Hydrates a schedule slot.
+ */
+function hydrateScheduleSlot(s) {
+    return {
+        day: s[0],
+        start: s[1],
+        end: s[2],
+        type: s[3] || '',
+        room: s[4] || '',
+        group: s[5] || '',
+        instructor: s[6] || ''
+    };
+}
+
+/**
+ * Hydrates a session attendance record.
+ */
+function hydrateAttendance(a) {
+    return {
+        id: a.i,
+        status: a.s,
+        recordingId: a.r || ''
+    };
+}
+
+/**
+ * Hydrates a grade component.
+ */
+function hydrateGradeComponent(g) {
+    return {
+        id: g.i || generateId(),
+        name: g.n || '',
+        weight: g.w || 0,
+        score: g.s ?? '',
+        bestOf: g.b || 0,
+        homeworkIds: g.h || []
+    };
+}
+
+/**
+ * Hydrates an assessment.
+ */
+function hydrateAssessment(a) {
+    return {
+        id: a.i || generateId(),
+        type: a.ty || 'other',
+        date: a.d || '',
+        startTime: a.st || '',
+        endTime: a.et || '',
+        location: a.loc || '',
+        weight: a.w ?? '',
+        notes: a.nt || ''
+    };
+}
+
 /**
  * Hydrates a homework item.
  */
 function hydrateHomework(h) {
     return {
+        id: h.i || generateId(),
         title: h.t || '',
         dueDate: h.d || '',
         completed: !!h.c,
+        score: h.sc ?? '',
         notes: h.n || '',
         links: (h.l || []).map(l => ({ label: l[0] || '', url: l[1] || '' }))
     };
 }
 
 // ============================================================================
-// LEGACY DATA MIGRATION (for pre-v2 format)
+// LEGACY DATA MIGRATION (full-format data, e.g. imported profile exports)
 // ============================================================================
 
 /**
- * Migrates legacy data to current schema.
+ * Migrates legacy full-format data to the current in-memory schema.
+ * Mutates and returns the given object. Stored payloads go through
+ * migrateStoragePayload instead.
  * @param {Object} data - Legacy data object
  * @returns {Object} Migrated data object
  */
@@ -366,6 +551,9 @@ function migrateData(data) {
         if (!semester.calendarSettings) {
             semester.calendarSettings = { ...DEFAULT_CALENDAR_SETTINGS };
         }
+        if (!semester.startDate) semester.startDate = '';
+        if (!semester.endDate) semester.endDate = '';
+        if (!semester.holidays) semester.holidays = [];
         semester.courses.forEach(migrateCourse);
     });
     
@@ -378,7 +566,17 @@ function migrateData(data) {
 function migrateCourse(course) {
     if (!course.homework) course.homework = [];
     if (!course.schedule) course.schedule = [];
-    if (!course.exams) course.exams = { moedA: '', moedB: '' };
+    course.schedule = course.schedule.map(slot => ({ type: '', room: '', group: '', instructor: '', ...slot }));
+    if (!course.attendance) course.attendance = [];
+    if (!course.assessments) {
+        course.assessments = ['moedA', 'moedB']
+            .filter(type => course.exams?.[type])
+            .map(type => ({
+                id: generateId(), type, date: course.exams[type],
+                startTime: '', endTime: '', location: '', weight: '', notes: ''
+            }));
+    }
+    delete course.exams;
     if (!course.color) course.color = 'hsl(0, 45%, 50%)';
     
     // Migrate recordings
@@ -416,6 +614,389 @@ function migrateCourse(course) {
     });
 }
 
+// ============================================================================
+// STORAGE SCHEMA MIGRATIONS
+// ============================================================================
+
+/**
+ * Ordered registry of storage format migrations, keyed by version `v`.
+ * Each step converts a payload of version `from` into version `to`
+ * (always `from + 1`). Steps must be pure (never mutate their input) and
+ * frozen: once released, a step must not change, because payloads of that
+ * version may still exist on users' devices and in the cloud.
+ *
+ * To add a field to storage: bump STORAGE_DATA_VERSION, append a step here,
+ * then update compactCourse/hydrateCourse for the new version only.
+ * @const {ReadonlyArray<{from: number, to: number, description: string, migrate: Function}>}
+ */
+const STORAGE_MIGRATIONS = Object.freeze([
+    Object.freeze({
+        from: 1,
+        to: 2,
+        description: 'Legacy full-format data to compact storage',
+        migrate: migrateStorageV1ToV2
+    }),
+    Object.freeze({
+        from: 2,
+        to: 3,
+        description: 'Stable ids for homework and recording items',
+        migrate: migrateStorageV2ToV3
+    }),
+    Object.freeze({
+        from: 3,
+        to: 4,
+        description: 'Degree plan buckets and course bucket assignments',
+        migrate: migrateStorageV3ToV4
+    }),
+    Object.freeze({
+        from: 4,
+        to: 5,
+        description: 'Course grade components and homework scores',
+        migrate: migrateStorageV4ToV5
+    }),
+    Object.freeze({
+        from: 5,
+        to: 6,
+        description: 'Planned exam moed and exam gap setting',
+        migrate: migrateStorageV5ToV6
+    }),
+    Object.freeze({
+        from: 6,
+        to: 7,
+        description: 'Moed A/B exam dates to a list of course assessments',
+        migrate: migrateStorageV6ToV7
+    }),
+    Object.freeze({
+        from: 7,
+        to: 8,
+        description: 'Semester dates and holidays',
+        migrate: migrateStorageV7ToV8
+    }),
+    Object.freeze({
+        from: 8,
+        to: 9,
+        description: 'Class session attendance',
+        migrate: migrateStorageV8ToV9
+    }),
+    Object.freeze({
+        from: 9,
+        to: 10,
+        description: 'Schedule slot type, room, group and instructor',
+        migrate: migrateStorageV9ToV10
+    })
+]);
+
+/**
+ * Reads the storage version of a payload. Payloads without `v` are legacy (v1).
+ * @param {Object} payload - Stored payload
+ * @returns {number} Storage version
+ */
+function getStorageVersion(payload) {
+    const version = Number(payload?.v);
+    return Number.isInteger(version) && version >= 1 ? version : 1;
+}
+
+/**
+ * Walks a stored payload forward, one step at a time, to STORAGE_DATA_VERSION.
+ * The input object is never mutated.
+ * @param {Object} payload - Stored payload of any known version
+ * @returns {Object} Payload in the current compact format
+ * @throws {Error} If a migration step is missing from the registry
+ */
+function migrateStoragePayload(payload) {
+    let current = payload || {};
+    let version = getStorageVersion(current);
+
+    if (version > STORAGE_DATA_VERSION) {
+        console.warn(`[Storage] Payload version ${version} is newer than supported version ${STORAGE_DATA_VERSION}`);
+        return current;
+    }
+
+    while (version < STORAGE_DATA_VERSION) {
+        const step = STORAGE_MIGRATIONS.find(m => m.from === version);
+        if (!step) {
+            throw new Error(`No storage migration registered from version ${version}`);
+        }
+        current = step.migrate(current);
+        version = step.to;
+    }
+
+    return current;
+}
+
+/**
+ * Deep-clones a JSON-compatible value.
+ * @param {*} value - Value to clone
+ * @returns {*} Clone
+ */
+function cloneStoragePayload(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * v1 → v2: converts legacy full-format data (no `v`) into the v2 compact format.
+ * Frozen copy of the v2 compaction rules; do not share helpers with
+ * compactForStorage, which follows the latest version.
+ * @param {Object} legacy - Legacy data object
+ * @returns {Object} v2 compact payload
+ */
+function migrateStorageV1ToV2(legacy) {
+    const data = cloneStoragePayload(legacy) || {};
+    const settings = data.settings || {};
+
+    const s = {};
+    if (settings.theme && settings.theme !== 'light') s.th = settings.theme;
+    if (settings.colorTheme && settings.colorTheme !== 'colorful') s.ct = settings.colorTheme;
+    if (settings.baseColorHue && settings.baseColorHue !== 200) s.bh = settings.baseColorHue;
+    if (settings.showCompleted === false) s.sc = false;
+    if (settings.showWatchedRecordings === false) s.sw = false;
+
+    const semesters = (Array.isArray(data.semesters) ? data.semesters : []).map(semester => {
+        const sem = {
+            i: semester.id,
+            n: semester.name,
+            c: (semester.courses || []).map(migrateCourseV1ToV2)
+        };
+
+        const cal = semester.calendarSettings;
+        if (cal) {
+            const calCompact = {};
+            if (cal.startHour !== undefined && cal.startHour !== 8) calCompact.sh = cal.startHour;
+            if (cal.endHour !== undefined && cal.endHour !== 20) calCompact.eh = cal.endHour;
+            if (Array.isArray(cal.visibleDays) && JSON.stringify(cal.visibleDays) !== '[0,1,2,3,4,5]') {
+                calCompact.vd = cal.visibleDays;
+            }
+            if (Object.keys(calCompact).length > 0) sem.cal = calCompact;
+        }
+
+        return sem;
+    });
+
+    const result = {
+        v: 2,
+        t: data.lastModified || new Date().toISOString(),
+        d: semesters
+    };
+    if (Object.keys(s).length > 0) result.s = s;
+    return result;
+}
+
+/**
+ * v1 → v2 conversion of a single legacy course (see migrateStorageV1ToV2).
+ * @param {Object} course - Legacy course
+ * @returns {Object} v2 compact course
+ */
+function migrateCourseV1ToV2(course) {
+    const c = {
+        i: course.id,
+        n: course.name,
+        cl: course.color || 'hsl(0, 45%, 50%)'
+    };
+
+    if (course.number) c.num = course.number;
+    if (course.points) c.pts = course.points;
+    if (course.lecturer) c.lec = course.lecturer;
+    if (course.faculty) c.fac = course.faculty;
+    if (course.location) c.loc = course.location;
+    if (course.grade) c.gr = course.grade;
+    if (course.syllabus) c.syl = course.syllabus;
+    if (course.notes) c.nt = course.notes;
+
+    if (course.exams?.moedA || course.exams?.moedB) {
+        c.ex = {};
+        if (course.exams.moedA) c.ex.a = course.exams.moedA;
+        if (course.exams.moedB) c.ex.b = course.exams.moedB;
+    }
+
+    if (course.schedule?.length > 0) {
+        c.sch = course.schedule.map(slot => [slot.day, slot.start, slot.end]);
+    }
+
+    if (course.homework?.length > 0) {
+        c.hw = course.homework.map(hw => {
+            const h = { t: hw.title };
+            if (hw.dueDate) h.d = hw.dueDate;
+            if (hw.completed) h.c = 1;
+            if (hw.notes) h.n = hw.notes;
+            if (Array.isArray(hw.links) && hw.links.length > 0) {
+                h.l = hw.links.map(link => link.url ? [link.label || '', link.url] : null).filter(Boolean);
+            }
+            return h;
+        });
+    }
+
+    // Very old data kept lectures directly on the course instead of in tabs
+    let tabs = course.recordings?.tabs;
+    if (!tabs && course.lectures?.length > 0) {
+        tabs = [{ id: 'lectures', name: 'Lectures', items: course.lectures }];
+    }
+    if (Array.isArray(tabs)) {
+        const rec = tabs
+            .filter(tab => tab.items?.length > 0)
+            .map(tab => ({
+                i: tab.id,
+                n: tab.name,
+                it: tab.items.map(item => {
+                    const r = { n: item.name || '' };
+                    if (item.videoLink) r.v = item.videoLink;
+                    if (item.watched) r.w = 1;
+                    if (item.slideLink) r.s = item.slideLink;
+                    return r;
+                })
+            }));
+        if (rec.length > 0) c.rec = rec;
+    }
+
+    return c;
+}
+
+/**
+ * Hashes text into a short id (32-bit FNV-1a, base 36) for migration steps
+ * that derive item ids. Frozen: ids already written by a migration must come
+ * out the same on every device, so never change this function.
+ * @param {string} text - Text to hash
+ * @returns {string} Id suffix
+ */
+function hashMigrationId(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+}
+
+/**
+ * v2 → v3: gives every homework and recording item a stable `i`, so sync can
+ * match items across devices. Ids are derived from the course id, position and
+ * title, so two devices migrating the same v2 data produce the same ids.
+ * @param {Object} payload - v2 compact payload
+ * @returns {Object} v3 compact payload
+ */
+function migrateStorageV2ToV3(payload) {
+    const data = cloneStoragePayload(payload);
+
+    (data.d || []).forEach(semester => {
+        (semester.c || []).forEach(course => {
+            (course.hw || []).forEach((hw, index) => {
+                if (!hw.i) hw.i = `hw${hashMigrationId(`${course.i}|${index}|${hw.t || ''}`)}`;
+            });
+            (course.rec || []).forEach(tab => {
+                (tab.it || []).forEach((item, index) => {
+                    if (!item.i) item.i = `rec${hashMigrationId(`${course.i}|${tab.i}|${index}|${item.n || ''}`)}`;
+                });
+            });
+        });
+    });
+
+    data.v = 3;
+    return data;
+}
+
+/**
+ * v3 → v4: adds the optional degree plan (`dp`) and course bucket (`bk`).
+ * Existing payloads have neither, so only the version changes.
+ * @param {Object} payload - v3 compact payload
+ * @returns {Object} v4 compact payload
+ */
+function migrateStorageV3ToV4(payload) {
+    const data = cloneStoragePayload(payload);
+    data.v = 4;
+    return data;
+}
+
+/**
+ * v4 → v5: adds optional course grade components (`gs`) and homework
+ * scores (`sc`). Existing payloads have neither, so only the version changes.
+ * @param {Object} payload - v4 compact payload
+ * @returns {Object} v5 compact payload
+ */
+function migrateStorageV4ToV5(payload) {
+    const data = cloneStoragePayload(payload);
+    data.v = 5;
+    return data;
+}
+
+/**
+ * v5 → v6: adds the optional planned moed (`ex.p`) and the exam gap setting
+ * (`s.eg`). Existing payloads have neither, so only the version changes.
+ * @param {Object} payload - v5 compact payload
+ * @returns {Object} v6 compact payload
+ */
+function migrateStorageV5ToV6(payload) {
+    const data = cloneStoragePayload(payload);
+    data.v = 6;
+    return data;
+}
+
+/**
+ * v6 → v7: replaces the fixed exam dates (`ex: {a, b, p}`) with a list of
+ * assessments (`as`) and the planned moed with the planned assessment id
+ * (`pe`). Ids are derived from the course id and moed, so two devices
+ * migrating the same v6 data produce the same ids.
+ * @param {Object} payload - v6 compact payload
+ * @returns {Object} v7 compact payload
+ */
+function migrateStorageV6ToV7(payload) {
+    const data = cloneStoragePayload(payload);
+
+    (data.d || []).forEach(semester => {
+        (semester.c || []).forEach(course => {
+            if (!course.ex) return;
+            const assessments = [];
+            const ids = {};
+            [['a', 'moedA'], ['b', 'moedB']].forEach(([key, type]) => {
+                if (!course.ex[key]) return;
+                ids[key] = `as${hashMigrationId(`${course.i}|${type}`)}`;
+                assessments.push({ i: ids[key], ty: type, d: course.ex[key] });
+            });
+            if (assessments.length > 0) course.as = assessments;
+            if (course.ex.p && ids[course.ex.p]) course.pe = ids[course.ex.p];
+            delete course.ex;
+        });
+    });
+
+    data.v = 7;
+    return data;
+}
+
+/**
+ * v7 → v8: adds the optional semester dates (`sd`, `ed`) and holidays
+ * (`hol`). Existing payloads have none, so only the version changes.
+ * @param {Object} payload - v7 compact payload
+ * @returns {Object} v8 compact payload
+ */
+function migrateStorageV7ToV8(payload) {
+    const data = cloneStoragePayload(payload);
+    data.v = 8;
+    return data;
+}
+
+/**
+ * v8 → v9: adds the optional course attendance (`at`). Existing payloads
+ * have none, so only the version changes.
+ * @param {Object} payload - v8 compact payload
+ * @returns {Object} v9 compact payload
+ */
+function migrateStorageV8ToV9(payload) {
+    const data = cloneStoragePayload(payload);
+    data.v = 9;
+    return data;
+}
+
+/**
+ * v9 → v10: schedule slots (`sch`) may carry a type, room, group and
+ * instructor after the times. Existing three-item slots stay valid, so only
+ * the version changes.
+ * @param {Object} payload - v9 compact payload
+ * @returns {Object} v10 compact payload
+ */
+function migrateStorageV9ToV10(payload) {
+    const data = cloneStoragePayload(payload);
+    data.v = 10;
+    return data;
+}
+
 // ============================================================================
 // DATA LOADING & SAVING
 // ============================================================================
@@ -464,7 +1045,7 @@ function loadActiveProfile() {
  */
 function loadProfileData() {
     const profileKey = STORAGE_KEYS.DATA_PREFIX + activeProfileId;
-    const savedData = localStorage.getItem(profileKey);
+    const savedData = AppStorage.getItem(profileKey);
     
     if (savedData) {
         const parsed = JSON.parse(savedData);
@@ -473,9 +1054,14 @@ function loadProfileData() {
         appData = {
             semesters: [],
             settings: { ...DEFAULT_THEME_SETTINGS },
+            degreePlan: { buckets: [] },
             lastModified: new Date().toISOString()
         };
     }
+    
+    const compact = compactForStorage(appData);
+    HistoryManager.reset(activeProfileId, compact);
+    TabSync.remember(activeProfileId, compact);
 }
 
 /**
@@ -500,16 +1086,28 @@ function startTimeUpdater() {
 }
 
 /**
- * Saves the current application data to localStorage.
+ * Saves the current application data through the active storage backend.
  */
 function saveData() {
     const profileKey = STORAGE_KEYS.DATA_PREFIX + activeProfileId;
     try {
         appData.lastModified = new Date().toISOString();
         
-        // Save compact format
+        // Keep a snapshot of the stored copy before overwriting it
+        BackupManager.snapshot(activeProfileId, 'save');
+        
+        // Save compact format, stamping changed entities for sync merging
+        const previousRaw = AppStorage.getItem(profileKey);
+        const previous = previousRaw ? migrateStoragePayload(JSON.parse(previousRaw)) : null;
         const compact = compactForStorage(appData);
-        localStorage.setItem(profileKey, JSON.stringify(compact));
+        const stamped = SyncMerge.stampChanges(previous, compact);
+        AppStorage.setItem(profileKey, JSON.stringify(stamped));
+        
+        // Record the change for undo/redo
+        HistoryManager.record(activeProfileId, compact);
+        
+        // Let other open tabs pick up the change
+        TabSync.notifySaved(activeProfileId, stamped);
         
         // Auto-sync to Firebase if authenticated
         if (typeof autoSyncToFirebase === 'function') {
@@ -535,3 +1133,5 @@ window.appData = appData;
 window.compactForStorage = compactForStorage;
 window.hydrateFromStorage = hydrateFromStorage;
 window.migrateData = migrateData;
+window.migrateStoragePayload = migrateStoragePayload;
+window.STORAGE_MIGRATIONS = STORAGE_MIGRATIONS;
@@ -0,0 +1,494 @@
+/**
+ * @fileoverview Pluggable persistence backend for profile data.
+ *
+ * Profile payloads (the JSON produced by compactForStorage) are stored through
+ * a storage adapter. IndexedDB is preferred because it is not limited to the
+ * ~5MB localStorage quota; localStorage remains as the fallback backend.
+ *
+ * Reads are served synchronously from an in-memory cache that is filled once by
+ * AppStorage.init(), so saveData() and loadProfileData() stay synchronous.
+ * Writes update the cache immediately and are persisted in the background.
+ *
+ * Small bookkeeping keys (profile list, active profile id, client id) always
+ * stay in localStorage; only profile data keys are handled here.
+ *
+ * Records are kept apart from those keys, in object stores of a second
+ * IndexedDB database: structured-cloned values (such as a CryptoKey) or large
+ * ones (such as the course catalog), read on demand instead of being loaded
+ * into the cache. They are only kept with the IndexedDB backend.
+ */
+
+'use strict';
+
+const AppStorage = (() => {
+    const LOG = '[Storage]';
+
+    const DB_NAME = 'tollab';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'kv';
+
+    const RECORDS_DB_NAME = 'tollab_records';
+    const RECORDS_DB_VERSION = 1;
+
+    /** @type {ReadonlyArray<string>} Object stores of the records database */
+    const RECORD_STORES = Object.freeze(['deviceKeys', 'catalog']);
+
+    // ========================================================================
+    // ADAPTERS
+    // ========================================================================
+
+    /**
+     * Wraps an IDBRequest in a promise.
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise<*>} Request result
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Resolves once a transaction has committed.
+     * @param {IDBTransaction} tx - IndexedDB transaction
+     * @returns {Promise<void>}
+     */
+    function waitForTransaction(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Creates the IndexedDB adapter (asynchronous backend).
+     * @returns {Object} Storage adapter
+     */
+    function createIndexedDBAdapter() {
+        let db = null;
+
+        return {
+            name: 'indexedDB',
+            sync: false,
+
+            isAvailable() {
+                return typeof indexedDB !== 'undefined' && indexedDB !== null;
+            },
+
+            async open() {
+                db = await new Promise((resolve, reject) => {
+                    const request = indexedDB.open(DB_NAME, DB_VERSION);
+                    request.onupgradeneeded = () => {
+                        const upgradeDb = request.result;
+                        if (!upgradeDb.objectStoreNames.contains(STORE_NAME)) {
+                            upgradeDb.createObjectStore(STORE_NAME);
+                        }
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                    request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+                });
+            },
+
+            async readAll() {
+                const tx = db.transaction(STORE_NAME, 'readonly');
+                const store = tx.objectStore(STORE_NAME);
+                const [keys, values] = await Promise.all([
+                    promisifyRequest(store.getAllKeys()),
+                    promisifyRequest(store.getAll())
+                ]);
+                return new Map(keys.map((key, i) => [key, values[i]]));
+            },
+
+            async read(key) {
+                const tx = db.transaction(STORE_NAME, 'readonly');
+                const value = await promisifyRequest(tx.objectStore(STORE_NAME).get(key));
+                return value === undefined ? null : value;
+            },
+
+            async write(key, value) {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                tx.objectStore(STORE_NAME).put(value, key);
+                await waitForTransaction(tx);
+            },
+
+            async remove(key) {
+                const tx = db.transaction(STORE_NAME, 'readwrite');
+                tx.objectStore(STORE_NAME).delete(key);
+                await waitForTransaction(tx);
+            }
+        };
+    }
+
+    /**
+     * Creates the localStorage adapter (synchronous fallback backend).
+     * Errors such as QuotaExceededError are thrown to the caller.
+     * @returns {Object} Storage adapter
+     */
+    function createLocalStorageAdapter() {
+        return {
+            name: 'localStorage',
+            sync: true,
+
+            isAvailable() {
+                try {
+                    return typeof localStorage !== 'undefined' && localStorage !== null;
+                } catch {
+                    return false;
+                }
+            },
+
+            open() {
+                return Promise.resolve();
+            },
+
+            readAll() {
+                return Promise.resolve(new Map());
+            },
+
+            read(key) {
+                return Promise.resolve(localStorage.getItem(key));
+            },
+
+            write(key, value) {
+                localStorage.setItem(key, value);
+            },
+
+            remove(key) {
+                localStorage.removeItem(key);
+            }
+        };
+    }
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    /** @type {Object} Active adapter */
+    let adapter = createLocalStorageAdapter();
+
+    /** @type {Map<string, string>} Read cache for asynchronous adapters */
+    const cache = new Map();
+
+    /** @type {Set<Promise>} Writes that have not completed yet */
+    const pendingWrites = new Set();
+
+    /** @type {Promise|null} Initialization promise (init is idempotent) */
+    let initPromise = null;
+
+    /** @type {Promise<IDBDatabase>|null} Records database, opened on first use */
+    let recordsDbPromise = null;
+
+    // ========================================================================
+    // MIGRATION FROM LOCALSTORAGE
+    // ========================================================================
+
+    /**
+     * Reads the lastModified timestamp of a stored payload (compact or legacy).
+     * @param {string|null} raw - Serialized payload
+     * @returns {number} Epoch millis, or 0 if unknown
+     */
+    function getPayloadTimestamp(raw) {
+        if (!raw) return 0;
+        try {
+            const parsed = JSON.parse(raw);
+            const ts = Date.parse(parsed?.t || parsed?.lastModified || '');
+            return Number.isNaN(ts) ? 0 : ts;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * Lists the localStorage keys that hold profile data.
+     * @returns {string[]} Profile data keys
+     */
+    function getLegacyProfileKeys() {
+        let profileList = [];
+        try {
+            profileList = JSON.parse(localStorage.getItem(STORAGE_KEYS.PROFILES) || '[]');
+        } catch {
+            profileList = [];
+        }
+        if (!Array.isArray(profileList)) return [];
+
+        return profileList
+            .filter(p => p && p.id)
+            .map(p => STORAGE_KEYS.DATA_PREFIX + p.id)
+            .filter(key => localStorage.getItem(key) !== null);
+    }
+
+    /**
+     * Moves profile payloads from localStorage into the active async adapter.
+     * A localStorage copy only replaces an existing entry if it is newer.
+     * The localStorage copy is removed once the write has committed.
+     */
+    async function migrateFromLocalStorage() {
+        const keys = getLegacyProfileKeys();
+        if (keys.length === 0) return;
+
+        console.info(LOG, `Migrating ${keys.length} profile(s) from localStorage to ${adapter.name}`);
+
+        for (const key of keys) {
+            const legacyValue = localStorage.getItem(key);
+            const existing = cache.get(key) ?? null;
+
+            try {
+                if (existing === null || getPayloadTimestamp(legacyValue) > getPayloadTimestamp(existing)) {
+                    await adapter.write(key, legacyValue);
+                    cache.set(key, legacyValue);
+                }
+                localStorage.removeItem(key);
+            } catch (err) {
+                // Keep the localStorage copy; it will be retried on next startup.
+                console.error(LOG, 'Failed migrating', key, err);
+            }
+        }
+    }
+
+    // ========================================================================
+    // ERROR REPORTING
+    // ========================================================================
+
+    /**
+     * Reports a failed background write to the user.
+     * @param {string} key - Storage key
+     * @param {Error} error - Write error
+     */
+    function reportWriteError(key, error) {
+        console.error(LOG, 'Failed to persist', key, error);
+        if (typeof ToastManager !== 'undefined') {
+            const message = typeof getUserFriendlyError === 'function'
+                ? getUserFriendlyError(error)
+                : 'Failed to save data.';
+            ToastManager.error(message, { duration: 10000 });
+        }
+    }
+
+    /**
+     * Tracks a background write so flush() can wait for it.
+     * @param {string} key - Storage key
+     * @param {Function} operation - Function returning a promise
+     */
+    function trackWrite(key, operation) {
+        const promise = Promise.resolve()
+            .then(operation)
+            .catch(err => reportWriteError(key, err))
+            .finally(() => pendingWrites.delete(promise));
+        pendingWrites.add(promise);
+    }
+
+    // ========================================================================
+    // RECORDS
+    // ========================================================================
+
+    /**
+     * Opens the records database, creating its object stores.
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function openRecordsDb() {
+        if (!recordsDbPromise) {
+            recordsDbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(RECORDS_DB_NAME, RECORDS_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const upgradeDb = request.result;
+                    RECORD_STORES.forEach(name => {
+                        if (!upgradeDb.objectStoreNames.contains(name)) upgradeDb.createObjectStore(name);
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+            });
+            // Retry on the next call rather than failing for the whole session
+            recordsDbPromise.catch(() => { recordsDbPromise = null; });
+        }
+        return recordsDbPromise;
+    }
+
+    /**
+     * Starts a transaction on a record store.
+     * @param {string} storeName - One of RECORD_STORES
+     * @param {IDBTransactionMode} mode - Transaction mode
+     * @returns {Promise<IDBTransaction>} Transaction
+     */
+    async function recordTransaction(storeName, mode) {
+        if (!RECORD_STORES.includes(storeName)) throw new Error(`Unknown record store: ${storeName}`);
+        const db = await openRecordsDb();
+        return db.transaction(storeName, mode);
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Selects and opens the best available backend, migrates legacy
+     * localStorage payloads, and warms the read cache.
+     * Never rejects: failures fall back to localStorage.
+     * @returns {Promise<string>} Name of the active backend
+     */
+    function init() {
+        if (initPromise) return initPromise;
+
+        initPromise = (async () => {
+            const idb = createIndexedDBAdapter();
+            if (!idb.isAvailable()) {
+                console.info(LOG, 'IndexedDB unavailable, using localStorage');
+                return adapter.name;
+            }
+
+            try {
+                await idb.open();
+                const entries = await idb.readAll();
+                adapter = idb;
+                entries.forEach((value, key) => cache.set(key, value));
+                await migrateFromLocalStorage();
+                console.info(LOG, 'Using IndexedDB backend');
+            } catch (err) {
+                console.warn(LOG, 'IndexedDB failed to open, falling back to localStorage', err);
+                adapter = createLocalStorageAdapter();
+                cache.clear();
+            }
+
+            return adapter.name;
+        })();
+
+        return initPromise;
+    }
+
+    /**
+     * Reads a value.
+     * @param {string} key - Storage key
+     * @returns {string|null} Stored value or null
+     */
+    function getItem(key) {
+        if (adapter.sync) return localStorage.getItem(key);
+        return cache.has(key) ? cache.get(key) : null;
+    }
+
+    /**
+     * Writes a value. Synchronous backends throw on failure (e.g. quota);
+     * asynchronous backends report failures via a toast.
+     * @param {string} key - Storage key
+     * @param {string} value - Serialized value
+     */
+    function setItem(key, value) {
+        if (adapter.sync) {
+            adapter.write(key, value);
+            return;
+        }
+        cache.set(key, value);
+        trackWrite(key, () => adapter.write(key, value));
+    }
+
+    /**
+     * Removes a value.
+     * @param {string} key - Storage key
+     */
+    function removeItem(key) {
+        if (adapter.sync) {
+            adapter.remove(key);
+            return;
+        }
+        cache.delete(key);
+        trackWrite(key, () => adapter.remove(key));
+    }
+
+    /**
+     * Re-reads a key from the backend, bypassing the cache.
+     * Used when another tab may have written the value.
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>} Fresh value
+     */
+    async function refresh(key) {
+        const value = await adapter.read(key);
+        if (!adapter.sync) {
+            if (value === null) cache.delete(key);
+            else cache.set(key, value);
+        }
+        return value;
+    }
+
+    /**
+     * Waits for all pending background writes (e.g. before a page reload).
+     * @returns {Promise<void>}
+     */
+    async function flush() {
+        await Promise.all([...pendingWrites]);
+    }
+
+    /**
+     * Gets the name of the active backend.
+     * @returns {string} 'indexedDB' or 'localStorage'
+     */
+    function getBackendName() {
+        return adapter.name;
+    }
+
+    /**
+     * @returns {boolean} Whether records can be kept (IndexedDB backend only)
+     */
+    function hasRecords() {
+        return adapter.name === 'indexedDB';
+    }
+
+    /**
+     * Reads a record.
+     * @param {string} storeName - Record store
+     * @param {string} key - Record key
+     * @returns {Promise<*>} Stored value, or null if missing or records are not kept
+     */
+    async function getRecord(storeName, key) {
+        if (!hasRecords()) return null;
+        const tx = await recordTransaction(storeName, 'readonly');
+        const value = await promisifyRequest(tx.objectStore(storeName).get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Writes a record. The value is stored by structured clone.
+     * @param {string} storeName - Record store
+     * @param {string} key - Record key
+     * @param {*} value - Value
+     * @returns {Promise<boolean>} False if records are not kept on this backend
+     */
+    async function putRecord(storeName, key, value) {
+        if (!hasRecords()) return false;
+        const tx = await recordTransaction(storeName, 'readwrite');
+        tx.objectStore(storeName).put(value, key);
+        await waitForTransaction(tx);
+        return true;
+    }
+
+    /**
+     * Removes a record.
+     * @param {string} storeName - Record store
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async function deleteRecord(storeName, key) {
+        if (!hasRecords()) return;
+        const tx = await recordTransaction(storeName, 'readwrite');
+        tx.objectStore(storeName).delete(key);
+        await waitForTransaction(tx);
+    }
+
+    return Object.freeze({
+        init,
+        getItem,
+        setItem,
+        removeItem,
+        refresh,
+        flush,
+        getBackendName,
+        hasRecords,
+        getRecord,
+        putRecord,
+        deleteRecord
+    });
+})();
+
+window.AppStorage = AppStorage;
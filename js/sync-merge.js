@@ -0,0 +1,427 @@
+/**
+ * @fileoverview Three-way merge of compact profile payloads for cloud sync.
+ *
+ * Local and remote payloads are merged against their common ancestor (the
+ * payload both sides last agreed on). Semesters, courses, recording tabs,
+ * recording items, homework, assessments and degree plan buckets are matched
+ * by id and merged field by field, so independent edits on different devices
+ * are combined instead of one whole profile replacing the other.
+ *
+ * A "true conflict" is the same field changed differently on both sides, or
+ * an entity edited on one side and deleted on the other. Conflicts get a
+ * default resolution (the side with the newer per-entity `m` stamp) and are
+ * returned to the caller so the user can override it. Without an ancestor
+ * (first sync), differing fields are resolved by the `m` stamps silently.
+ */
+
+'use strict';
+
+const SyncMerge = (() => {
+    /**
+     * Child lists of each entity type: [key, child entity type].
+     * @const {Object<string, Array<[string, string]>>}
+     */
+    const CHILDREN = Object.freeze({
+        profile: [['d', 'semester']],
+        semester: [['c', 'course'], ['hol', 'holiday']],
+        course: [['hw', 'homework'], ['rec', 'tab'], ['as', 'assessment'], ['at', 'session']],
+        tab: [['it', 'recording']],
+        homework: [],
+        recording: [],
+        assessment: [],
+        holiday: [],
+        session: [],
+        bucket: []
+    });
+
+    /** Keys that are never merged as plain fields */
+    const META_KEYS = new Set(['i', 'm', 'v', 't']);
+
+    /** Readable names for compact field keys, per entity type */
+    const FIELD_LABELS = Object.freeze({
+        semester: { n: 'name', cal: 'calendar settings', sd: 'start date', ed: 'end date' },
+        course: {
+            n: 'name', cl: 'color', num: 'number', pts: 'points', lec: 'lecturer',
+            fac: 'faculty', loc: 'location', gr: 'grade', syl: 'syllabus', nt: 'notes',
+            sch: 'schedule', bk: 'degree bucket', gs: 'grade components', pe: 'planned exam'
+        },
+        tab: { n: 'name' },
+        homework: { t: 'title', d: 'due date', c: 'completed', n: 'notes', l: 'links', sc: 'score' },
+        recording: { n: 'name', v: 'video link', w: 'watched', s: 'slides link' },
+        assessment: {
+            ty: 'type', d: 'date', st: 'start time', et: 'end time', loc: 'location', w: 'weight', nt: 'notes'
+        },
+        holiday: { n: 'name', s: 'first day', e: 'last day' },
+        session: { s: 'attendance', r: 'recording' },
+        bucket: { n: 'name', tg: 'target points', r: 'number rules' },
+        settings: { th: 'theme', ct: 'color theme', bh: 'base color', sc: 'show completed', sw: 'show watched', eg: 'exam gap' }
+    });
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Serializes a value for comparison, ignoring modification stamps.
+     * @param {*} value - Value to serialize
+     * @returns {string|undefined} Comparable string
+     */
+    function contentOf(value) {
+        return JSON.stringify(value, (key, v) => (key === 'm' ? undefined : v));
+    }
+
+    /**
+     * @returns {boolean} Whether two values have the same content
+     */
+    function same(a, b) {
+        return contentOf(a) === contentOf(b);
+    }
+
+    /**
+     * Gets the display name of an entity.
+     * @param {string} type - Entity type
+     * @param {Object} entity - Compact entity
+     * @returns {string} Display name
+     */
+    function nameOf(type, entity) {
+        if (!entity) return '';
+        if (type === 'homework') return entity.t || 'Untitled assignment';
+        if (type === 'assessment') return ASSESSMENT_TYPES[entity.ty]?.label || 'Assessment';
+        if (type === 'holiday') return entity.n || 'Holiday';
+        if (type === 'session') return `Class on ${entity.i.replace('T', ' ')}`;
+        return entity.n || entity.i || '';
+    }
+
+    /**
+     * Merges the order of two id lists: local order first, with remote-only
+     * ids inserted after their nearest preceding remote sibling.
+     * @param {string[]} localIds - Local order
+     * @param {string[]} remoteIds - Remote order
+     * @param {Set<string>} keep - Ids present in the merged result
+     * @returns {string[]} Merged order
+     */
+    function mergeOrder(localIds, remoteIds, keep) {
+        const order = localIds.filter(id => keep.has(id));
+        let previous = null;
+        for (const id of remoteIds) {
+            if (!keep.has(id)) continue;
+            if (!order.includes(id)) {
+                const insertAt = previous === null ? 0 : order.indexOf(previous) + 1;
+                order.splice(insertAt, 0, id);
+            }
+            previous = id;
+        }
+        return order;
+    }
+
+    // ========================================================================
+    // MERGE
+    // ========================================================================
+
+    /**
+     * Resolves a conflict using the caller's choice, or the default side.
+     * @param {Object} ctx - Merge context
+     * @param {Object} conflict - Conflict description (without `preferred`)
+     * @param {string} preferred - Default side ('local' or 'remote')
+     * @returns {string} Chosen side
+     */
+    function resolveConflict(ctx, conflict, preferred) {
+        const choice = ctx.choices[conflict.id];
+        if (choice === 'local' || choice === 'remote') return choice;
+        ctx.conflicts.push({ ...conflict, preferred });
+        return preferred;
+    }
+
+    /**
+     * Merges the plain fields of an entity.
+     * @param {string} type - Entity type
+     * @param {Object|undefined} base - Ancestor entity
+     * @param {Object} local - Local entity
+     * @param {Object} remote - Remote entity
+     * @param {string} path - Entity path (conflict id prefix)
+     * @param {string} label - Human-readable entity label
+     * @param {Object} ctx - Merge context
+     * @returns {Object} Merged fields
+     */
+    function mergeFields(type, base, local, remote, path, label, ctx) {
+        const childKeys = new Set((CHILDREN[type] || []).map(([key]) => key));
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base || {})]);
+        const newerSide = (remote.m || 0) > (local.m || 0) ? 'remote' : 'local';
+        const result = {};
+
+        for (const key of keys) {
+            if (META_KEYS.has(key) || childKeys.has(key)) continue;
+
+            const l = local[key];
+            const r = remote[key];
+            const b = base?.[key];
+            let value;
+
+            if (same(l, r)) {
+                value = l;
+            } else if (base && same(l, b)) {
+                value = r;
+            } else if (base && same(r, b)) {
+                value = l;
+            } else if (!base) {
+                value = newerSide === 'remote' ? r : l;
+            } else {
+                const side = resolveConflict(ctx, {
+                    id: `${path}.${key}`,
+                    kind: 'edit',
+                    label,
+                    field: FIELD_LABELS[type]?.[key] || key,
+                    local: l,
+                    remote: r
+                }, newerSide);
+                value = side === 'remote' ? r : l;
+            }
+
+            if (value !== undefined) result[key] = value;
+        }
+
+        return result;
+    }
+
+    /**
+     * Merges a list of entities matched by id.
+     * @param {string} type - Entity type of the list items
+     * @param {Array|undefined} baseList - Ancestor list (undefined = no ancestor)
+     * @param {Array} localList - Local list
+     * @param {Array} remoteList - Remote list
+     * @param {string} path - Parent path
+     * @param {string} parentLabel - Parent label
+     * @param {Object} ctx - Merge context
+     * @returns {Array} Merged list
+     */
+    function mergeList(type, baseList, localList, remoteList, path, parentLabel, ctx) {
+        const byId = list => new Map((list || []).filter(e => e && e.i).map(e => [e.i, e]));
+        const baseMap = byId(baseList);
+        const localMap = byId(localList);
+        const remoteMap = byId(remoteList);
+        const merged = new Map();
+
+        const allIds = new Set([...localMap.keys(), ...remoteMap.keys()]);
+        for (const id of allIds) {
+            const b = baseMap.get(id);
+            const l = localMap.get(id);
+            const r = remoteMap.get(id);
+            const entityPath = `${path}/${type}:${id}`;
+            const label = parentLabel ? `${parentLabel} › ${nameOf(type, l || r)}` : nameOf(type, l || r);
+
+            if (l && r) {
+                merged.set(id, mergeEntity(type, b, l, r, entityPath, label, ctx));
+                continue;
+            }
+
+            const present = l || r;
+            const presentSide = l ? 'local' : 'remote';
+            if (!b) {
+                // Added on one side only
+                merged.set(id, present);
+                continue;
+            }
+            if (same(present, b)) {
+                // Unchanged on one side, deleted on the other
+                continue;
+            }
+
+            // Edited on one side, deleted on the other: keep the edit by default
+            const side = resolveConflict(ctx, {
+                id: entityPath,
+                kind: 'delete',
+                label,
+                field: null,
+                local: l ? 'edited' : 'deleted',
+                remote: r ? 'edited' : 'deleted'
+            }, presentSide);
+            if (side === presentSide) merged.set(id, present);
+        }
+
+        const order = mergeOrder(
+            (localList || []).map(e => e?.i),
+            (remoteList || []).map(e => e?.i),
+            new Set(merged.keys())
+        );
+        return order.map(id => merged.get(id));
+    }
+
+    /**
+     * Merges one entity (fields and child lists) present on both sides.
+     * @returns {Object} Merged entity
+     */
+    function mergeEntity(type, base, local, remote, path, label, ctx) {
+        const result = { i: local.i, ...mergeFields(type, base, local, remote, path, label, ctx) };
+
+        for (const [key, childType] of CHILDREN[type]) {
+            const list = mergeList(childType, base ? (base[key] || []) : undefined,
+                local[key] || [], remote[key] || [], path, label, ctx);
+            if (list.length > 0 || local[key]) result[key] = list;
+        }
+
+        const stamp = Math.max(local.m || 0, remote.m || 0);
+        if (stamp) result.m = stamp;
+        return result;
+    }
+
+    /**
+     * Three-way merges the data of one profile.
+     * @param {Object|null} base - Common ancestor payload, or null if unknown
+     * @param {Object} local - Local compact payload
+     * @param {Object} remote - Remote compact payload
+     * @param {Object<string, 'local'|'remote'>} [choices={}] - Conflict resolutions by conflict id
+     * @returns {{data: Object, conflicts: Array}} Merged payload and unresolved conflicts
+     */
+    function mergeProfileData(base, local, remote, choices = {}) {
+        const b = base ? migrateStoragePayload(base) : null;
+        const l = migrateStoragePayload(local);
+        const r = migrateStoragePayload(remote);
+        const ctx = { choices, conflicts: [] };
+
+        const settings = mergeFields('settings', b ? (b.s || {}) : null, l.s || {}, r.s || {}, 's', 'Settings', ctx);
+        const semesters = mergeList('semester', b ? (b.d || []) : undefined, l.d || [], r.d || [], '', '', ctx);
+        const buckets = mergeList('bucket', b ? (b.dp || []) : undefined, l.dp || [], r.dp || [], 'dp', 'Degree plan', ctx);
+
+        const data = {
+            v: STORAGE_DATA_VERSION,
+            t: (Date.parse(r.t) || 0) > (Date.parse(l.t) || 0) ? r.t : l.t,
+            d: semesters
+        };
+        if (Object.keys(settings).length > 0) data.s = settings;
+        if (buckets.length > 0) data.dp = buckets;
+
+        return { data, conflicts: ctx.conflicts };
+    }
+
+    // ========================================================================
+    // MODIFICATION STAMPS
+    // ========================================================================
+
+    /**
+     * Sets `m` stamps on a freshly compacted payload: entities whose own fields
+     * changed since the previous stored payload get `now`, unchanged entities
+     * keep their previous stamp.
+     * @param {Object|null} previous - Previously stored payload (current version)
+     * @param {Object} next - New payload from compactForStorage (not mutated)
+     * @param {number} [now=Date.now()] - Stamp for changed entities
+     * @returns {Object} Stamped copy of `next`
+     */
+    function stampChanges(previous, next, now = Date.now()) {
+        const ownFields = (type, entity) => {
+            const childKeys = new Set(CHILDREN[type].map(([key]) => key));
+            const fields = {};
+            Object.keys(entity).forEach(key => {
+                if (key !== 'm' && !childKeys.has(key)) fields[key] = entity[key];
+            });
+            return fields;
+        };
+
+        const stampList = (type, prevList, nextList) => {
+            const prevMap = new Map((prevList || []).filter(e => e && e.i).map(e => [e.i, e]));
+            return nextList.map(entity => {
+                const prev = entity.i ? prevMap.get(entity.i) : undefined;
+                const stamped = { ...entity };
+                const unchanged = prev && same(ownFields(type, prev), ownFields(type, entity));
+                const stamp = unchanged ? prev.m : now;
+                if (stamp) stamped.m = stamp;
+
+                for (const [key, childType] of CHILDREN[type]) {
+                    if (Array.isArray(entity[key])) {
+                        stamped[key] = stampList(childType, prev?.[key], entity[key]);
+                    }
+                }
+                return stamped;
+            });
+        };
+
+        const stamped = { ...next, d: stampList('semester', previous?.d, next.d || []) };
+        if (next.dp) stamped.dp = stampList('bucket', previous?.dp, next.dp);
+        return stamped;
+    }
+
+    return Object.freeze({
+        mergeProfileData,
+        stampChanges,
+        contentOf
+    });
+})();
+
+// ============================================================================
+// CONFLICT RESOLUTION DIALOG
+// ============================================================================
+
+/**
+ * Formats a conflicting value for display.
+ * @param {*} value - Compact field value
+ * @returns {string} Display text
+ */
+function formatConflictValue(value) {
+    if (value === undefined || value === null || value === '') return '(empty)';
+    if (value === 1 || value === true) return 'Yes';
+    if (value === false) return 'No';
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value);
+}
+
+/**
+ * Shows the sync conflict dialog and waits for the user's decision.
+ * @param {Array<{id: string, kind: string, label: string, field: string|null, local: *, remote: *, preferred: string}>} conflicts
+ * @returns {Promise<Object<string, 'local'|'remote'>|null>} Choices by conflict id, or null if cancelled
+ */
+function showSyncConflictDialog(conflicts) {
+    return new Promise((resolve) => {
+        const details = $('conflict-details');
+        details.innerHTML = conflicts.map((conflict, index) => {
+            const what = conflict.kind === 'delete'
+                ? 'Edited on one device, deleted on the other'
+                : `Changed ${escapeHtml(conflict.field)}`;
+            const option = (side, title) => `
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="${side}" ${conflict.preferred === side ? 'checked' : ''}>
+                    <span class="conflict-option-side">${title}</span>
+                    <span class="conflict-option-value">${escapeHtml(formatConflictValue(conflict[side]))}</span>
+                </label>
+            `;
+            return `
+                <div class="conflict-item">
+                    <div class="conflict-item-label">${escapeHtml(conflict.label)}</div>
+                    <div class="conflict-item-what">${what}</div>
+                    ${option('local', 'This device')}
+                    ${option('remote', 'Cloud')}
+                </div>
+            `;
+        }).join('');
+
+        const buttons = {
+            cloud: $('conflict-use-cloud'),
+            local: $('conflict-use-local'),
+            apply: $('conflict-merge'),
+            cancel: $('conflict-cancel')
+        };
+
+        const finish = (choices) => {
+            Object.values(buttons).forEach(btn => { btn.onclick = null; });
+            closeModal('sync-conflict-modal');
+            resolve(choices);
+        };
+
+        const allTo = side => Object.fromEntries(conflicts.map(c => [c.id, side]));
+
+        buttons.cloud.onclick = () => finish(allTo('remote'));
+        buttons.local.onclick = () => finish(allTo('local'));
+        buttons.cancel.onclick = () => finish(null);
+        buttons.apply.onclick = () => {
+            const choices = {};
+            conflicts.forEach((conflict, index) => {
+                const checked = details.querySelector(`input[name="conflict-${index}"]:checked`);
+                choices[conflict.id] = checked ? checked.value : conflict.preferred;
+            });
+            finish(choices);
+        };
+
+        openModal('sync-conflict-modal');
+    });
+}
+
+window.SyncMerge = SyncMerge;
+window.showSyncConflictDialog = showSyncConflictDialog;
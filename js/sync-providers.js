@@ -0,0 +1,377 @@
+/**
+ * @file sync-providers.js
+ * @description Cloud sync providers used by firebase-sync.js.
+ *
+ * A provider stores one record per account: {v, u, w, c, payload}, where
+ * `payload` is the cloud payload with all profiles, `w` the write id and `c`
+ * the id of the client that wrote it. The sync engine only talks to the
+ * provider interface below, so the merge logic is the same for every backend.
+ *
+ * Providers:
+ *  - firebase: Google sign-in + Firebase Realtime Database (push updates).
+ *  - rest: Any server that stores a JSON document with GET/PUT, such as a
+ *    WebDAV share or tools/sync-server.js (polls for updates).
+ */
+
+'use strict';
+
+/**
+ * @typedef {Object} SyncUser
+ * @property {string} uid - Stable account id (scopes the local sync base)
+ * @property {string} [email] - Account name shown in the status text
+ */
+
+/**
+ * @typedef {Object} SyncProvider
+ * @property {string} id - Provider id
+ * @property {string} label - Name shown in settings
+ * @property {string} connectLabel - Label of the connect button
+ * @property {Function} init - Prepares the provider; throws if it can't be used
+ * @property {Function} onAuthStateChanged - (callback(SyncUser|null)) => unsubscribe
+ * @property {Function} signIn - (options) => Promise; options are provider-specific
+ * @property {Function} signOut - () => Promise
+ * @property {Function} load - (user) => Promise<Object|null> stored record
+ * @property {Function} save - (user, record, {force}) => Promise; rejects with
+ *     code 'conflict' if the record changed since it was last loaded
+ * @property {Function} subscribe - (user, callback(record)) => unsubscribe
+ */
+
+// ============================================================================
+// FIREBASE PROVIDER
+// ============================================================================
+
+/**
+ * Creates the Firebase provider (Google Auth + Realtime Database).
+ * @returns {SyncProvider} Provider
+ */
+function createFirebaseSyncProvider() {
+    const pathForUser = (uid) => `tollab/users/${uid}/data`;
+
+    return {
+        id: 'firebase',
+        label: 'Google (Firebase)',
+        connectLabel: 'Sign in with Google',
+
+        init() {
+            if (typeof FIREBASE_CONFIG === 'undefined') {
+                console.error('[SyncProviders] FIREBASE_CONFIG not loaded. Create js/firebase-config.js from js/firebase-config.example.js');
+                throw new Error('Missing Firebase config');
+            }
+            if (typeof firebase === 'undefined') {
+                throw new Error('Missing Firebase SDK');
+            }
+
+            try {
+                firebase.initializeApp(FIREBASE_CONFIG);
+            } catch (err) {
+                // Ignore duplicate init
+                console.debug('[SyncProviders] Firebase init error (maybe already initialized):', err);
+            }
+        },
+
+        onAuthStateChanged(callback) {
+            return firebase.auth().onAuthStateChanged(user => {
+                callback(user ? { uid: user.uid, email: user.email || '' } : null);
+            });
+        },
+
+        async signIn() {
+            const provider = new firebase.auth.GoogleAuthProvider();
+            provider.setCustomParameters({ prompt: 'select_account' });
+            await firebase.auth().signInWithPopup(provider);
+        },
+
+        async signOut() {
+            await firebase.auth().signOut();
+        },
+
+        async load(user) {
+            const snap = await firebase.database().ref(pathForUser(user.uid)).once('value');
+            return snap.exists() ? snap.val() : null;
+        },
+
+        async save(user, record) {
+            await firebase.database().ref(pathForUser(user.uid)).set(record);
+        },
+
+        subscribe(user, callback) {
+            const ref = firebase.database().ref(pathForUser(user.uid));
+            const handler = (snap) => {
+                if (snap.exists()) callback(snap.val());
+            };
+            ref.on('value', handler);
+            return () => ref.off('value', handler);
+        }
+    };
+}
+
+// ============================================================================
+// REST / WEBDAV PROVIDER
+// ============================================================================
+
+/**
+ * Creates the REST/WebDAV provider. The record is a JSON document at a URL,
+ * read with GET and written with PUT. ETags are used to detect writes from
+ * other devices, both when saving and when polling for updates.
+ *
+ * Only the URL and username are saved. The password is kept in memory, so
+ * after a reload an account with a username is signed out until it is
+ * entered again.
+ * @param {Object} [options={}] - Options
+ * @param {Function} [options.loadConfig] - Returns the saved {url, username} or null
+ * @param {Function} [options.saveConfig] - Persists the config (null to forget it)
+ * @param {number} [options.pollInterval] - Polling interval in ms
+ * @returns {SyncProvider} Provider
+ */
+function createRestSyncProvider(options = {}) {
+    const loadSavedConfig = options.loadConfig || (() => SyncProviders.getSettings().rest || null);
+    const saveConfig = options.saveConfig || (config => SyncProviders.saveSettings({ rest: config }));
+    const pollInterval = options.pollInterval || SYNC_CONFIG.REST_POLL_INTERVAL_MS;
+
+    const listeners = new Set();
+    let etag = null;
+
+    /** @type {string|null} Password of the signed-in account, never written to storage */
+    let password = null;
+
+    // Older versions saved the password: use it for this session and remove it
+    const legacy = loadSavedConfig();
+    if (legacy?.password) {
+        password = legacy.password;
+        saveConfig({ url: legacy.url, username: legacy.username });
+    }
+
+    /**
+     * Gets the saved config with the password from memory.
+     * @returns {{url: string, username: string, password: string}|null} Config
+     */
+    const loadConfig = () => {
+        const config = loadSavedConfig();
+        return config && { ...config, password: config.password ?? password ?? '' };
+    };
+
+    /**
+     * Whether a config can be used without asking for the password again.
+     */
+    const isUsable = config => !!config?.url && (!config.username || password !== null || !!config.password);
+
+    /**
+     * Builds the account for a config. The uid includes the URL so that a
+     * different server or document never reuses another one's sync base.
+     */
+    const userFor = config => ({
+        uid: `rest:${config.username || ''}@${config.url}`,
+        email: config.username ? `${config.username} @ ${new URL(config.url).host}` : new URL(config.url).host
+    });
+
+    const emit = user => listeners.forEach(callback => callback(user));
+
+    /**
+     * Sends a request to the configured document URL.
+     * @param {string} method - HTTP method
+     * @param {Object} [headers={}] - Extra headers
+     * @param {string} [body] - Request body
+     * @param {Object} [config] - Config to use instead of the saved one
+     * @returns {Promise<Response>} Response
+     */
+    async function request(method, headers = {}, body, config = loadConfig()) {
+        if (!config?.url) throw new Error('Sync server is not configured');
+
+        const allHeaders = { ...headers };
+        if (config.username || config.password) {
+            const credentials = `${config.username || ''}:${config.password || ''}`;
+            allHeaders.Authorization = `Basic ${btoa(unescape(encodeURIComponent(credentials)))}`;
+        }
+        if (body !== undefined) allHeaders['Content-Type'] = 'application/json';
+
+        const response = await fetch(config.url, { method, headers: allHeaders, body, cache: 'no-store' });
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('Sync server rejected the credentials');
+        }
+        return response;
+    }
+
+    return {
+        id: 'rest',
+        label: 'WebDAV / REST server',
+        connectLabel: 'Connect',
+
+        init() {
+            if (typeof fetch !== 'function') throw new Error('Browser does not support fetch');
+        },
+
+        onAuthStateChanged(callback) {
+            listeners.add(callback);
+            const config = loadSavedConfig();
+            callback(isUsable(config) ? userFor(config) : null);
+            return () => listeners.delete(callback);
+        },
+
+        /**
+         * Checks the server and credentials, then remembers them (the
+         * password only until the page is closed).
+         * @param {{url: string, username: string, password: string}} config - Server config
+         */
+        async signIn(config) {
+            if (!config?.url || !/^https?:\/\//i.test(config.url)) {
+                throw new Error('Enter the http(s) URL of the sync document');
+            }
+
+            const response = await request('GET', {}, undefined, config);
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Sync server returned ${response.status}`);
+            }
+
+            etag = null;
+            password = config.password || null;
+            saveConfig({ url: config.url, username: config.username || '' });
+            emit(userFor(config));
+        },
+
+        signOut() {
+            etag = null;
+            password = null;
+            saveConfig(null);
+            emit(null);
+            return Promise.resolve();
+        },
+
+        async load() {
+            const response = await request('GET');
+            if (response.status === 404) {
+                etag = null;
+                return null;
+            }
+            if (!response.ok) throw new Error(`Sync server returned ${response.status}`);
+
+            etag = response.headers.get('ETag');
+            return response.json();
+        },
+
+        async save(user, record, { force = false } = {}) {
+            const headers = {};
+            if (!force) {
+                // Only overwrite the version we last saw
+                if (etag) headers['If-Match'] = etag;
+                else headers['If-None-Match'] = '*';
+            }
+
+            const response = await request('PUT', headers, JSON.stringify(record));
+            if (response.status === 412) {
+                const error = new Error('Cloud data changed since it was loaded');
+                error.code = 'conflict';
+                throw error;
+            }
+            if (!response.ok) throw new Error(`Sync server returned ${response.status}`);
+
+            etag = response.headers.get('ETag') || null;
+        },
+
+        subscribe(user, callback) {
+            let stopped = false;
+            let timer = null;
+
+            const poll = async () => {
+                try {
+                    const response = await request('GET', etag ? { 'If-None-Match': etag } : {});
+                    if (response.ok && !stopped) {
+                        etag = response.headers.get('ETag');
+                        callback(await response.json());
+                    }
+                } catch (err) {
+                    console.debug('[SyncProviders] Poll failed:', err);
+                }
+                if (!stopped) timer = setTimeout(poll, pollInterval);
+            };
+
+            timer = setTimeout(poll, pollInterval);
+            return () => {
+                stopped = true;
+                clearTimeout(timer);
+            };
+        }
+    };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const SyncProviders = (() => {
+    /** @type {Map<string, SyncProvider>} Provider instances by id */
+    const providers = new Map();
+
+    /** @type {Object<string, Function>} Provider factories by id */
+    const factories = {
+        firebase: createFirebaseSyncProvider,
+        rest: createRestSyncProvider
+    };
+
+    /**
+     * Reads this device's sync settings ({provider, rest}).
+     * Kept in localStorage: they belong to the device, not to a profile.
+     * @returns {Object} Settings
+     */
+    function getSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.SYNC_PROVIDER)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Updates this device's sync settings.
+     * @param {Object} changes - Settings to change
+     */
+    function saveSettings(changes) {
+        localStorage.setItem(STORAGE_KEYS.SYNC_PROVIDER, JSON.stringify({ ...getSettings(), ...changes }));
+    }
+
+    /**
+     * Gets a provider instance.
+     * @param {string} id - Provider id
+     * @returns {SyncProvider} Provider (Firebase for unknown ids)
+     */
+    function get(id) {
+        const key = factories[id] ? id : 'firebase';
+        if (!providers.has(key)) providers.set(key, factories[key]());
+        return providers.get(key);
+    }
+
+    /**
+     * @returns {Array<{id: string, label: string}>} Available providers
+     */
+    function list() {
+        return Object.keys(factories).map(id => ({ id, label: get(id).label }));
+    }
+
+    /**
+     * @returns {string} Id of the selected provider
+     */
+    function getSelectedId() {
+        const id = getSettings().provider;
+        return factories[id] ? id : 'firebase';
+    }
+
+    /**
+     * Selects the provider used on this device.
+     * @param {string} id - Provider id
+     */
+    function select(id) {
+        saveSettings({ provider: id });
+    }
+
+    return Object.freeze({
+        get,
+        list,
+        getSelectedId,
+        select,
+        getSettings,
+        saveSettings
+    });
+})();
+
+window.SyncProviders = SyncProviders;
+window.createFirebaseSyncProvider = createFirebaseSyncProvider;
+window.createRestSyncProvider = createRestSyncProvider;
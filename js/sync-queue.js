@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Persistent queue of changes waiting to be synced to the cloud.
+ *
+ * Every local change made while signed in is recorded here before it is
+ * pushed. Sync always pushes the whole merged payload, so one successful sync
+ * clears every entry that existed when it started; entries only exist to show
+ * what is pending and to survive reloads while offline. Failed pushes stay in
+ * the queue (marked failed) until a later sync succeeds.
+ */
+
+'use strict';
+
+const SyncQueue = (() => {
+    /** @type {Set<Function>} Change listeners */
+    const listeners = new Set();
+
+    /** @type {number} Counter for unique entry IDs within a millisecond */
+    let entryIdCounter = 0;
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    /**
+     * Reads the queue. Kept in localStorage: it belongs to the device.
+     * @returns {Array<Object>} Queue entries, oldest first
+     */
+    function read() {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(STORAGE_KEYS.SYNC_QUEUE));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Writes the queue and notifies listeners.
+     * @param {Array<Object>} entries - Queue entries
+     */
+    function write(entries) {
+        if (entries.length === 0) {
+            localStorage.removeItem(STORAGE_KEYS.SYNC_QUEUE);
+        } else {
+            localStorage.setItem(STORAGE_KEYS.SYNC_QUEUE, JSON.stringify(entries));
+        }
+        listeners.forEach(listener => listener(entries));
+    }
+
+    // ========================================================================
+    // QUEUE OPERATIONS
+    // ========================================================================
+
+    /**
+     * Records a change waiting to be synced. Repeated changes of the same kind
+     * to the same profile are folded into the newest pending entry.
+     * @param {{reason: string, profileId?: string, profileName?: string}} change - Change description
+     * @param {number} [now=Date.now()] - Current time
+     * @returns {Object} The new or updated entry
+     */
+    function enqueue(change, now = Date.now()) {
+        const entries = read();
+        const last = entries[entries.length - 1];
+
+        if (last && last.status === 'pending' && last.reason === change.reason && last.profileId === change.profileId) {
+            last.count += 1;
+            last.updatedAt = now;
+            write(entries);
+            return last;
+        }
+
+        const entry = {
+            id: `${now.toString(36)}_${(++entryIdCounter).toString(36)}`,
+            reason: change.reason,
+            profileId: change.profileId || null,
+            profileName: change.profileName || '',
+            count: 1,
+            createdAt: now,
+            updatedAt: now,
+            status: 'pending',
+            attempts: 0,
+            lastError: null
+        };
+        entries.push(entry);
+
+        // Oldest entries are dropped first; their changes still sync with the rest
+        write(entries.slice(-SYNC_CONFIG.QUEUE_MAX_ENTRIES));
+        return entry;
+    }
+
+    /**
+     * @returns {Array<Object>} All entries, oldest first
+     */
+    function list() {
+        return read();
+    }
+
+    /**
+     * @returns {{pending: number, failed: number}} Entry counts by status
+     */
+    function counts() {
+        const entries = read();
+        const failed = entries.filter(e => e.status === 'failed').length;
+        return { pending: entries.length - failed, failed };
+    }
+
+    /**
+     * Marks entries as being attempted.
+     * @param {string[]} ids - Entry IDs
+     * @param {number} [now=Date.now()] - Current time
+     */
+    function markAttempt(ids, now = Date.now()) {
+        const idSet = new Set(ids);
+        write(read().map(e => (idSet.has(e.id) ? { ...e, attempts: e.attempts + 1, lastAttemptAt: now } : e)));
+    }
+
+    /**
+     * Removes entries that were synced.
+     * @param {string[]} ids - Entry IDs
+     */
+    function complete(ids) {
+        const idSet = new Set(ids);
+        write(read().filter(e => !idSet.has(e.id)));
+    }
+
+    /**
+     * Marks entries as failed.
+     * @param {string[]} ids - Entry IDs
+     * @param {Error|string} error - Last error
+     */
+    function fail(ids, error) {
+        const idSet = new Set(ids);
+        const message = typeof error === 'string' ? error : (error?.message || 'Unknown error');
+        write(read().map(e => (idSet.has(e.id) ? { ...e, status: 'failed', lastError: message } : e)));
+    }
+
+    /**
+     * Removes all entries (e.g. when signing out).
+     */
+    function clear() {
+        write([]);
+    }
+
+    /**
+     * Registers a listener called with the entries after every change.
+     * @param {Function} listener - Listener
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    return Object.freeze({
+        enqueue,
+        list,
+        counts,
+        markAttempt,
+        complete,
+        fail,
+        clear,
+        subscribe
+    });
+})();
+
+// ============================================================================
+// SYNC QUEUE MODAL
+// ============================================================================
+
+/**
+ * Formats a queue timestamp for display.
+ * @param {number} ts - Timestamp (ms)
+ * @returns {string} Formatted date and time
+ */
+function formatQueueTime(ts) {
+    return new Date(ts).toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Renders the pending changes in the sync queue modal.
+ */
+function renderSyncQueue() {
+    const container = $('sync-queue-list');
+    if (!container) return;
+
+    const entries = SyncQueue.list();
+    const retryBtn = $('sync-queue-retry-btn');
+    if (retryBtn) retryBtn.disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="sync-queue-empty">Everything is synced.</div>';
+        return;
+    }
+
+    container.innerHTML = entries.slice().reverse().map(entry => {
+        const meta = [
+            entry.profileName,
+            entry.count > 1 ? `${entry.count} changes` : '',
+            formatQueueTime(entry.updatedAt),
+            entry.attempts > 0 ? `${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="sync-queue-item ${entry.status === 'failed' ? 'failed' : ''}">
+                <div class="sync-queue-item-title">
+                    ${escapeHtml(entry.reason)}
+                    <span class="sync-queue-item-status">${entry.status === 'failed' ? 'Failed' : 'Pending'}</span>
+                </div>
+                <div class="sync-queue-item-meta">${escapeHtml(meta)}</div>
+                ${entry.lastError ? `<div class="sync-queue-item-error">${escapeHtml(entry.lastError)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Opens the sync queue modal.
+ */
+function openSyncQueueModal() {
+    renderSyncQueue();
+    openModal('sync-queue-modal');
+}
+
+SyncQueue.subscribe(() => {
+    if ($('sync-queue-modal')?.classList.contains('active')) renderSyncQueue();
+});
+
+window.SyncQueue = SyncQueue;
+window.renderSyncQueue = renderSyncQueue;
+window.openSyncQueueModal = openSyncQueueModal;
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Keeps several open tabs of the app consistent.
+ *
+ * Every tab holds its own in-memory appData, so without coordination the last
+ * tab to save silently reverts the others. After a save has been persisted the
+ * tab announces it on a BroadcastChannel (or, where that is missing, through a
+ * localStorage key whose storage events reach the other tabs). The other tabs
+ * re-read the profile from storage and re-render. If a tab has in-memory
+ * changes that were never saved, they are three-way merged with the other
+ * tab's save instead of being dropped.
+ *
+ * The profile list and the active profile are plain localStorage keys, so
+ * profile creation, renames, switches and deletions arrive as native storage
+ * events.
+ */
+
+'use strict';
+
+const TabSync = (() => {
+    const LOG = '[TabSync]';
+
+    /** @type {string} BroadcastChannel name */
+    const CHANNEL_NAME = 'tollab';
+
+    /** @type {number} Delay to coalesce the storage events of one profile operation */
+    const PROFILE_EVENT_DELAY_MS = 50;
+
+    /** @type {BroadcastChannel|null} Channel, if supported */
+    let channel = null;
+
+    /** @type {boolean} Whether init() has run */
+    let started = false;
+
+    /** @type {number} Counter that makes every fallback message a new value */
+    let messageCounter = 0;
+
+    /**
+     * Last payload this tab read from or wrote to storage, per profile.
+     * In-memory data that differs from it has not been saved yet.
+     * @type {Map<string, Object>}
+     */
+    const known = new Map();
+
+    /** @type {Promise} Serializes applying changes from other tabs */
+    let applyQueue = Promise.resolve();
+
+    /** @type {number|null} Pending profile reload timer */
+    let profileTimer = null;
+
+    // ========================================================================
+    // MESSAGING
+    // ========================================================================
+
+    /**
+     * Sends a message to the other tabs.
+     * @param {Object} message - Message
+     */
+    function post(message) {
+        if (channel) {
+            channel.postMessage(message);
+            return;
+        }
+        try {
+            localStorage.setItem(STORAGE_KEYS.TAB_SYNC, JSON.stringify({ ...message, n: ++messageCounter, at: Date.now() }));
+        } catch (err) {
+            console.debug(LOG, 'Failed to notify other tabs:', err);
+        }
+    }
+
+    /**
+     * Handles a message from another tab.
+     * @param {Object} message - Message
+     */
+    function handleMessage(message) {
+        if (message?.type !== 'saved' || !message.profileId) return;
+
+        applyQueue = applyQueue
+            .then(() => applySavedProfile(message.profileId))
+            .catch(err => console.error(LOG, 'Failed applying change from another tab:', err));
+    }
+
+    /**
+     * Handles storage events (fired only for writes made by other tabs).
+     * @param {StorageEvent} event - Storage event
+     */
+    function handleStorageEvent(event) {
+        if (event.key === STORAGE_KEYS.TAB_SYNC && !channel && event.newValue) {
+            try {
+                handleMessage(JSON.parse(event.newValue));
+            } catch {
+                // Ignore malformed messages
+            }
+            return;
+        }
+
+        if (event.key === STORAGE_KEYS.PROFILES || event.key === STORAGE_KEYS.ACTIVE_PROFILE) {
+            clearTimeout(profileTimer);
+            profileTimer = setTimeout(() => {
+                applyQueue = applyQueue
+                    .then(applyProfileChanges)
+                    .catch(err => console.error(LOG, 'Failed applying profile change from another tab:', err));
+            }, PROFILE_EVENT_DELAY_MS);
+        }
+    }
+
+    // ========================================================================
+    // APPLYING CHANGES FROM OTHER TABS
+    // ========================================================================
+
+    /**
+     * @returns {boolean} Whether a modal dialog is open
+     */
+    function isModalOpen() {
+        return document.querySelector('.modal-overlay.active') !== null;
+    }
+
+    /**
+     * Compares two payloads, ignoring timestamps and modification stamps.
+     * @param {Object} a - Compact payload
+     * @param {Object} b - Compact payload
+     * @returns {boolean} Whether both hold the same data
+     */
+    function sameContent(a, b) {
+        return SyncMerge.contentOf({ ...a, t: null }) === SyncMerge.contentOf({ ...b, t: null });
+    }
+
+    /**
+     * Re-reads a profile's data, its backups and the sync base, which another
+     * tab may have written alongside the profile.
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<string|null>} The profile's stored data
+     */
+    async function refreshProfile(profileId) {
+        const [raw] = await Promise.all([
+            AppStorage.refresh(STORAGE_KEYS.DATA_PREFIX + profileId),
+            AppStorage.refresh(STORAGE_KEYS.BACKUP_PREFIX + profileId),
+            AppStorage.refresh(STORAGE_KEYS.SYNC_BASE)
+        ]);
+        return raw;
+    }
+
+    /**
+     * Re-reads a profile another tab saved. For the active profile the data is
+     * re-hydrated, merging in any changes this tab has not saved yet.
+     * @param {string} profileId - Profile ID
+     */
+    async function applySavedProfile(profileId) {
+        const raw = await refreshProfile(profileId);
+        if (profileId !== activeProfileId || !raw) {
+            // Inactive profiles are loaded from the refreshed cache when switched to
+            known.delete(profileId);
+            return;
+        }
+
+        const stored = migrateStoragePayload(JSON.parse(raw));
+        const local = compactForStorage(appData);
+        if (sameContent(local, stored)) return;
+
+        const base = known.get(profileId);
+        const hasUnsaved = !!base && !sameContent(local, base);
+
+        let next = stored;
+        let conflicts = [];
+        if (hasUnsaved) {
+            // Stamp this tab's edits as newest so they win conflicting fields
+            const result = SyncMerge.mergeProfileData(base, SyncMerge.stampChanges(base, local), stored);
+            next = result.data;
+            conflicts = result.conflicts;
+        }
+
+        const semesterId = currentSemesterId;
+        appData = hydrateFromStorage(next);
+        if (appData.semesters.some(s => s.id === semesterId)) {
+            currentSemesterId = semesterId;
+        } else {
+            initializeCurrentSemester();
+        }
+
+        if (hasUnsaved) {
+            console.info(LOG, 'Merged unsaved changes with a save from another tab');
+            saveData();
+        } else {
+            const compact = compactForStorage(appData);
+            known.set(profileId, compact);
+            HistoryManager.reset(profileId, compact);
+        }
+
+        initTheme();
+        renderAll();
+        refreshOpenCourseModal();
+
+        if (conflicts.length > 0) {
+            ToastManager.warning('This profile was also edited in another tab', {
+                description: `${conflicts.length} conflicting change${conflicts.length === 1 ? '' : 's'} kept from this tab.`
+            });
+        } else if (isModalOpen()) {
+            ToastManager.info('This profile was updated in another tab', {
+                description: 'Check the open form before saving it.'
+            });
+        }
+    }
+
+    /**
+     * Reloads the profile list and follows another tab's profile switch or
+     * deletion of the active profile. The new profile is re-read from storage
+     * first, since this tab's cache may predate the other tab's writes (an
+     * import or a cloud merge).
+     */
+    async function applyProfileChanges() {
+        profileTimer = null;
+        const previousId = activeProfileId;
+        const previousName = profiles.find(p => p.id === previousId)?.name || '';
+
+        // Read before switching, so a save meanwhile still goes to the loaded profile
+        const nextId = localStorage.getItem(STORAGE_KEYS.ACTIVE_PROFILE);
+        if (nextId && nextId !== previousId) {
+            await refreshProfile(nextId);
+        }
+
+        loadProfiles();
+        loadActiveProfile();
+
+        if (activeProfileId === previousId) {
+            renderProfileUI();
+            return;
+        }
+
+        const wasDeleted = !profiles.some(p => p.id === previousId);
+        console.info(LOG, `Active profile changed in another tab: ${previousId} -> ${activeProfileId}`);
+
+        document.querySelectorAll('.modal-overlay.active').forEach(modal => closeModal(modal.id));
+        loadData();
+        initTheme();
+        renderProfileUI();
+
+        const activeName = profiles.find(p => p.id === activeProfileId)?.name || '';
+        if (wasDeleted) {
+            ToastManager.info(`Profile "${previousName}" was deleted in another tab`, { description: `Switched to "${activeName}".` });
+        } else {
+            ToastManager.info(`Switched to "${activeName}" in another tab`);
+        }
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    /**
+     * Records the payload this tab loaded for a profile.
+     * @param {string} profileId - Profile ID
+     * @param {Object} payload - Compact payload
+     */
+    function remember(profileId, payload) {
+        known.set(profileId, payload);
+    }
+
+    /**
+     * Records a save and tells the other tabs once it has been persisted.
+     * @param {string} profileId - Profile ID
+     * @param {Object} payload - Stored compact payload
+     */
+    function notifySaved(profileId, payload) {
+        known.set(profileId, payload);
+        if (!started) return;
+
+        // IndexedDB writes finish in the background; other tabs must read the new value
+        AppStorage.flush().then(() => post({ type: 'saved', profileId }));
+    }
+
+    /**
+     * Starts listening to the other tabs.
+     */
+    function init() {
+        if (started) return;
+        started = true;
+
+        if (typeof BroadcastChannel === 'function') {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = event => handleMessage(event.data);
+        }
+        window.addEventListener('storage', handleStorageEvent);
+    }
+
+    return Object.freeze({
+        init,
+        remember,
+        notifySaved
+    });
+})();
+
+window.TabSync = TabSync;
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Weekly timetable clashes: overlapping schedule slots across
+ * the semester's courses, the side-by-side layout of overlapping blocks in
+ * the calendar grid, and the conflicts panel under it.
+ *
+ * When Technion catalog data has been fetched (window.technionCatalog), a
+ * clashing tutorial or lab suggests the course's other groups of the same
+ * kind that fit the rest of the timetable, and switches to one in a click.
+ */
+
+'use strict';
+
+// ============================================================================
+// OVERLAPS
+// ============================================================================
+
+/**
+ * Slot types a student picks a group of; lectures are usually fixed.
+ * @const {ReadonlyArray<string>}
+ */
+const SWITCHABLE_SLOT_TYPES = Object.freeze(['tutorial', 'lab']);
+
+/**
+ * Converts an HH:MM time to minutes since midnight.
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Checks whether two schedule slots overlap. Back-to-back slots do not.
+ * @param {Object} a - Schedule slot
+ * @param {Object} b - Schedule slot
+ * @returns {boolean} True if they share some time on the same day
+ */
+function slotsOverlap(a, b) {
+    return a.day === b.day && toMinutes(a.start) < toMinutes(b.end) && toMinutes(b.start) < toMinutes(a.end);
+}
+
+/**
+ * Lists every schedule slot of a semester with its course.
+ * @param {Object} semester - Semester
+ * @returns {Array<{course: Object, slot: Object}>} Slots
+ */
+function collectSemesterSlots(semester) {
+    return (semester?.courses || []).flatMap(course =>
+        (course.schedule || []).map(slot => ({ course, slot })));
+}
+
+/**
+ * Finds the pairs of overlapping schedule slots in a semester.
+ * @param {Object} semester - Semester
+ * @returns {Array<{first: Object, second: Object, day: number, start: string, end: string}>}
+ *     Clashing slots with their courses and the overlapping time, by day and time
+ */
+function findScheduleConflicts(semester) {
+    const slots = collectSemesterSlots(semester);
+    const conflicts = [];
+
+    slots.forEach((first, i) => {
+        slots.slice(i + 1).forEach(second => {
+            if (!slotsOverlap(first.slot, second.slot)) return;
+            const start = toMinutes(first.slot.start) > toMinutes(second.slot.start) ? first.slot.start : second.slot.start;
+            const end = toMinutes(first.slot.end) < toMinutes(second.slot.end) ? first.slot.end : second.slot.end;
+            conflicts.push({ first, second, day: first.slot.day, start, end });
+        });
+    });
+
+    return conflicts.sort((a, b) => a.day - b.day || toMinutes(a.start) - toMinutes(b.start));
+}
+
+/**
+ * Lays out slots side by side where they overlap. Each group of
+ * overlapping slots is split into as few columns as needed.
+ * @param {Array<Object>} slots - Schedule slots
+ * @returns {Map<Object, {column: number, columns: number}>} Column of each
+ *     slot and the number of columns in its group
+ */
+function layoutScheduleColumns(slots) {
+    const layout = new Map();
+    const byDay = new Map();
+    slots.forEach(slot => {
+        if (!byDay.has(slot.day)) byDay.set(slot.day, []);
+        byDay.get(slot.day).push(slot);
+    });
+
+    byDay.forEach(daySlots => {
+        const sorted = [...daySlots].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+        let group = [];
+        let columnEnds = [];
+        let groupEnd = -1;
+
+        const closeGroup = () => {
+            group.forEach(slot => { layout.get(slot).columns = columnEnds.length; });
+            group = [];
+            columnEnds = [];
+            groupEnd = -1;
+        };
+
+        sorted.forEach(slot => {
+            const start = toMinutes(slot.start);
+            const end = toMinutes(slot.end);
+            if (start >= groupEnd) closeGroup();
+
+            let column = columnEnds.findIndex(columnEnd => columnEnd <= start);
+            if (column === -1) column = columnEnds.length;
+            columnEnds[column] = end;
+            groupEnd = Math.max(groupEnd, end);
+
+            layout.set(slot, { column, columns: 1 });
+            group.push(slot);
+        });
+        closeGroup();
+    });
+
+    return layout;
+}
+
+// ============================================================================
+// ALTERNATIVE GROUPS
+// ============================================================================
+
+/**
+ * Finds the course's other groups of a clashing tutorial or lab that fit the
+ * rest of the semester's timetable.
+ * @param {Object} semester - Semester
+ * @param {Object} course - Course of the slot
+ * @param {Object} slot - Clashing tutorial or lab slot
+ * @param {Object|null} catalogEntry - Catalog entry of the course
+ * @returns {Array<{group: string, slots: Array<Object>}>} Groups without clashes
+ */
+function findAlternativeGroups(semester, course, slot, catalogEntry) {
+    if (!catalogEntry || !SWITCHABLE_SLOT_TYPES.includes(slot.type)) return [];
+
+    const others = collectSemesterSlots(semester)
+        .filter(other => !(other.course === course && other.slot.type === slot.type && other.slot.group === slot.group))
+        .map(other => other.slot);
+
+    return getCatalogGroups(catalogEntry, slot.type).filter(option =>
+        option.group !== slot.group &&
+        option.slots.every(candidate => !others.some(other => slotsOverlap(candidate, other))));
+}
+
+/**
+ * Gets the alternative groups for both sides of a clash.
+ * @param {Object} semester - Semester
+ * @param {Object} conflict - Clash from findScheduleConflicts
+ * @param {function(Object): (Object|null)} findEntry - Finds a course's catalog entry
+ * @returns {Array<{course: Object, slot: Object, options: Array<Object>}>} Suggestions
+ */
+function suggestConflictFixes(semester, conflict, findEntry) {
+    return [conflict.first, conflict.second]
+        .filter(side => SWITCHABLE_SLOT_TYPES.includes(side.slot.type))
+        .map(side => ({
+            ...side,
+            options: findAlternativeGroups(semester, side.course, side.slot, findEntry(side.course))
+        }))
+        .filter(suggestion => suggestion.options.length > 0);
+}
+
+/**
+ * Replaces a course's slots of one group with those of another group.
+ * @param {Object} course - Course (mutated)
+ * @param {Object} slot - A slot of the current group
+ * @param {{slots: Array<Object>}} option - New group from getCatalogGroups
+ */
+function switchScheduleGroup(course, slot, option) {
+    course.schedule = course.schedule
+        .filter(s => !(s.type === slot.type && s.group === slot.group))
+        .concat(option.slots.map(s => ({ ...s })))
+        .sort((a, b) => a.day - b.day || toMinutes(a.start) - toMinutes(b.start));
+}
+
+// ============================================================================
+// CONFLICTS PANEL
+// ============================================================================
+
+/**
+ * Formats the kind and group of a slot, e.g. 'Tutorial 12'.
+ * @param {Object} slot - Schedule slot
+ * @returns {string} Label
+ */
+function formatSlotLabel(slot) {
+    const type = SCHEDULE_SLOT_TYPES[slot.type]?.label || 'Class';
+    return slot.group ? `${type} ${slot.group}` : type;
+}
+
+/**
+ * Formats the meetings of a group, e.g. 'Wed 12:30–14:30'.
+ * @param {Array<Object>} slots - Schedule slots
+ * @returns {string} Times
+ */
+function formatSlotTimes(slots) {
+    return slots.map(slot => `${DAY_NAMES_SHORT[slot.day]} ${slot.start}–${slot.end}`).join(', ');
+}
+
+/**
+ * Finds the catalog entry of a course in the fetched Technion catalog.
+ * @param {Object} course - Course
+ * @returns {Object|null} Catalog entry
+ */
+function findFetchedCatalogEntry(course) {
+    return Object.keys(window.technionCatalog || {}).length > 0
+        ? findCatalogMatch(course, window.technionCatalog)
+        : null;
+}
+
+/**
+ * Renders the clashes of the semester's timetable under the calendar.
+ * @param {Object|null} semester - Current semester
+ */
+function renderScheduleConflicts(semester) {
+    const container = $('schedule-conflicts');
+    if (!container) return;
+
+    const conflicts = semester ? findScheduleConflicts(semester) : [];
+    container.classList.toggle('hidden', conflicts.length === 0);
+    if (conflicts.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const hasCatalog = Object.keys(window.technionCatalog || {}).length > 0;
+    const canSwitch = conflicts.some(c => [c.first, c.second].some(side => SWITCHABLE_SLOT_TYPES.includes(side.slot.type)));
+
+    const rows = conflicts.map(conflict => {
+        const fixes = suggestConflictFixes(semester, conflict, findFetchedCatalogEntry).flatMap(fix =>
+            fix.options.map(option => `
+                <button class="schedule-conflict-fix" data-course-id="${escapeHtml(fix.course.id)}"
+                    data-type="${escapeHtml(fix.slot.type)}" data-group="${escapeHtml(fix.slot.group)}" data-option="${escapeHtml(option.group)}">
+                    ${escapeHtml(fix.course.name)} → ${escapeHtml(formatSlotLabel({ ...fix.slot, group: option.group }))} · ${escapeHtml(formatSlotTimes(option.slots))}
+                </button>
+            `)).join('');
+
+        return `
+            <div class="schedule-conflict">
+                <div>
+                    <strong>${escapeHtml(conflict.first.course.name)}</strong> ${escapeHtml(formatSlotLabel(conflict.first.slot))}
+                    and <strong>${escapeHtml(conflict.second.course.name)}</strong> ${escapeHtml(formatSlotLabel(conflict.second.slot))}
+                    overlap on ${DAY_NAMES_SHORT[conflict.day]} ${escapeHtml(conflict.start)}–${escapeHtml(conflict.end)}
+                </div>
+                ${fixes ? `<div class="schedule-conflict-fixes">${fixes}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="schedule-conflicts-title">${conflicts.length} schedule clash${conflicts.length === 1 ? '' : 'es'}</div>
+        ${rows}
+        ${canSwitch && !hasCatalog ? '<div class="schedule-conflicts-hint">Fetch Technion data in Settings to see other tutorial and lab groups.</div>' : ''}
+    `;
+}
+
+/**
+ * Switches a course to the group picked in the conflicts panel.
+ * @param {HTMLElement} button - Clicked suggestion
+ */
+function applyConflictFix(button) {
+    const { courseId, type, group, option } = button.dataset;
+    const course = getCourse(courseId);
+    const slot = course?.schedule.find(s => s.type === type && s.group === group);
+    const choice = getCatalogGroups(findFetchedCatalogEntry(course), type).find(g => g.group === option);
+    if (!slot || !choice) return;
+
+    switchScheduleGroup(course, slot, choice);
+    saveData();
+    renderCalendar();
+    ToastManager.success(`${course.name}: switched to ${formatSlotLabel({ type, group: option })}`, withUndoAction());
+}
+
+/**
+ * Sets up the conflicts panel events.
+ */
+function setupScheduleConflicts() {
+    $('schedule-conflicts')?.addEventListener('click', (e) => {
+        const button = e.target.closest('.schedule-conflict-fix');
+        if (button) applyConflictFix(button);
+    });
+}
+
+window.toMinutes = toMinutes;
+window.slotsOverlap = slotsOverlap;
+window.collectSemesterSlots = collectSemesterSlots;
+window.findScheduleConflicts = findScheduleConflicts;
+window.layoutScheduleColumns = layoutScheduleColumns;
+window.findAlternativeGroups = findAlternativeGroups;
+window.suggestConflictFixes = suggestConflictFixes;
+window.switchScheduleGroup = switchScheduleGroup;
+window.formatSlotLabel = formatSlotLabel;
+window.formatSlotTimes = formatSlotTimes;
+window.renderScheduleConflicts = renderScheduleConflicts;
+window.setupScheduleConflicts = setupScheduleConflicts;
@@ -341,6 +341,31 @@ function validateGrade(grade) {
     });
 }
 
+/**
+ * Validates the final grade of a course: a whole number from 0 to 100, or a
+ * non-numeric grade such as "Pass" or "Exempt" (see GRADE_CONFIG).
+ * @param {*} grade - Grade value
+ * @returns {{valid: boolean, value: string, error: string|null}} Value is the trimmed grade ('' if empty)
+ */
+function validateCourseGrade(grade) {
+    const trimmed = String(grade ?? '').trim();
+    if (!trimmed) return { valid: true, value: '', error: null };
+
+    const keyword = trimmed.toLowerCase();
+    if ([...GRADE_CONFIG.PASS, ...GRADE_CONFIG.FAIL, ...GRADE_CONFIG.EXEMPT].includes(keyword)) {
+        return { valid: true, value: trimmed, error: null };
+    }
+
+    const numeric = validateGrade(trimmed);
+    if (!numeric.valid) {
+        const error = numeric.error === 'Must be a valid number'
+            ? 'Enter a grade from 0 to 100, Pass, Fail or Exempt'
+            : numeric.error;
+        return { valid: false, value: trimmed, error };
+    }
+    return { valid: true, value: String(numeric.value), error: null };
+}
+
 /**
  * Validates a calendar hour.
  * @param {*} hour - Hour value
@@ -542,6 +567,73 @@ function validateScheduleItem(item) {
     return { valid: true, error: null };
 }
 
+/**
+ * Validates a course assessment (exam, quiz, project...).
+ * @param {Object} item - Assessment {type, date, startTime, endTime, location, weight, notes}
+ * @returns {{valid: boolean, value: Object|null, error: string|null}} Normalized assessment
+ */
+function validateAssessment(item) {
+    if (!item || typeof item !== 'object') {
+        return { valid: false, value: null, error: 'Invalid assessment' };
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(ASSESSMENT_TYPES, item.type)) {
+        return { valid: false, value: null, error: 'Invalid assessment type' };
+    }
+    
+    const dateResult = validateDate(item.date, { required: true });
+    if (!dateResult.valid) {
+        return { valid: false, value: null, error: 'Invalid date: ' + dateResult.error };
+    }
+    
+    const startResult = validateTime(item.startTime);
+    if (!startResult.valid) {
+        return { valid: false, value: null, error: 'Invalid start time: ' + startResult.error };
+    }
+    
+    const endResult = validateTime(item.endTime);
+    if (!endResult.valid) {
+        return { valid: false, value: null, error: 'Invalid end time: ' + endResult.error };
+    }
+    
+    if (startResult.value && endResult.value) {
+        const [startH, startM] = startResult.value.split(':').map(Number);
+        const [endH, endM] = endResult.value.split(':').map(Number);
+        if (endH * 60 + endM <= startH * 60 + startM) {
+            return { valid: false, value: null, error: 'End time must be after start time' };
+        }
+    }
+    
+    const weightResult = validateNumber(item.weight, { min: 0, max: 100 });
+    if (!weightResult.valid) {
+        return { valid: false, value: null, error: 'Invalid weight: ' + weightResult.error };
+    }
+    
+    const locationResult = validateString(item.location, { maxLength: 200 });
+    if (!locationResult.valid) {
+        return { valid: false, value: null, error: 'Invalid location: ' + locationResult.error };
+    }
+    
+    const notesResult = validateNotes(item.notes);
+    if (!notesResult.valid) {
+        return { valid: false, value: null, error: 'Invalid notes: ' + notesResult.error };
+    }
+    
+    return {
+        valid: true,
+        value: {
+            ...item,
+            date: dateResult.value,
+            startTime: startResult.value,
+            endTime: endResult.value,
+            location: locationResult.value,
+            weight: weightResult.value ?? '',
+            notes: notesResult.value
+        },
+        error: null
+    };
+}
+
 // ============================================================================
 // SANITIZATION
 // ============================================================================
@@ -597,10 +689,12 @@ window.validateVideoUrl = validateVideoUrl;
 window.validateNumber = validateNumber;
 window.validateCoursePoints = validateCoursePoints;
 window.validateGrade = validateGrade;
+window.validateCourseGrade = validateCourseGrade;
 window.validateCalendarHour = validateCalendarHour;
 window.validateDate = validateDate;
 window.validateTime = validateTime;
 window.validateImportedData = validateImportedData;
 window.validateScheduleItem = validateScheduleItem;
+window.validateAssessment = validateAssessment;
 window.sanitizeString = sanitizeString;
 window.sanitizeFilename = sanitizeFilename;
@@ -271,6 +271,7 @@ function addFetchedVideos(videos, useOriginalNames) {
             : `${tabSingular} ${startCount + index + 1}`;
             
         tab.items.push({
+            id: generateId(),
             name,
             videoLink: video.url,
             slideLink: '',
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Unit tests for assessments.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+
+['validation.js', 'assessments.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { getAssessmentLabel, isFinalExam, assessmentsFromImport, mergeAssessments, validateAssessmentList } = window;
+
+describe('getAssessmentLabel and isFinalExam', () => {
+    test('should describe known and unknown types', () => {
+        expect(getAssessmentLabel({ type: 'moedC' })).toBe('Moed C');
+        expect(getAssessmentLabel({ type: 'nope' })).toBe('Assessment');
+        expect(isFinalExam({ type: 'moedB' })).toBe(true);
+        expect(isFinalExam({ type: 'midterm' })).toBe(false);
+    });
+});
+
+describe('assessmentsFromImport', () => {
+    test('should turn Cheesefork moed dates into assessments', () => {
+        const result = assessmentsFromImport({ moedA: '2025-02-01', moedB: '', moedC: '2025-04-01' });
+        expect(result.map(a => [a.type, a.date])).toEqual([['moedA', '2025-02-01'], ['moedC', '2025-04-01']]);
+        expect(result[0]).toMatchObject({ startTime: '', location: '', weight: '', notes: '' });
+    });
+
+    test('should fill in parsed ICS assessments', () => {
+        const [quiz] = assessmentsFromImport({ assessments: [{ type: 'quiz', date: '2025-01-05', startTime: '10:30' }] });
+        expect(quiz).toMatchObject({ type: 'quiz', date: '2025-01-05', startTime: '10:30', endTime: '', notes: '' });
+        expect(quiz.id).toBeTruthy();
+    });
+});
+
+describe('mergeAssessments', () => {
+    test('should only add missing moadim and new dates of other types, keeping the list sorted', () => {
+        const course = {
+            assessments: [
+                { id: 'a', type: 'moedA', date: '2025-02-01' },
+                { id: 'q', type: 'quiz', date: '2025-01-05' }
+            ]
+        };
+        const added = mergeAssessments(course, [
+            { id: 'x', type: 'moedA', date: '2025-02-03' },
+            { id: 'y', type: 'moedB', date: '2025-03-01' },
+            { id: 'z', type: 'quiz', date: '2025-01-05' },
+            { id: 'w', type: 'quiz', date: '2024-12-20' }
+        ]);
+        expect(added).toBe(2);
+        expect(course.assessments.map(a => a.id)).toEqual(['w', 'q', 'a', 'y']);
+    });
+
+    test('should create the list on courses without one', () => {
+        const course = {};
+        expect(mergeAssessments(course, [{ id: 'a', type: 'moedA', date: '2025-02-01' }])).toBe(1);
+        expect(course.assessments).toHaveLength(1);
+    });
+});
+
+describe('validateAssessmentList', () => {
+    const row = (overrides) => ({
+        id: 'r', type: 'moedA', date: '', startTime: '', endTime: '', location: '', weight: '', notes: '', ...overrides
+    });
+
+    test('should drop blank rows and sort the rest', () => {
+        const result = validateAssessmentList([
+            row({ id: 'b', date: '2025-03-01' }),
+            row({ id: 'blank' }),
+            row({ id: 'a', date: '2025-02-01', weight: '50' })
+        ]);
+        expect(result.valid).toBe(true);
+        expect(result.value.map(a => [a.id, a.weight])).toEqual([['a', 50], ['b', '']]);
+    });
+
+    test('should report the first invalid row with its label', () => {
+        const result = validateAssessmentList([
+            row({ date: '2025-03-01' }),
+            row({ type: 'midterm', location: 'Taub 2' })
+        ]);
+        expect(result).toMatchObject({ valid: false, index: 1 });
+        expect(result.error).toMatch(/^Midterm: Invalid date/);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Unit tests for attendance.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.generateId = () => Math.random().toString(36).slice(2);
+
+// Recording tab lookup from item-logic.js
+global.getRecordingTab = (course, tabId) => course.recordings?.tabs?.find(t => t.id === tabId);
+
+['exam-planner.js', 'semester-dates.js', 'attendance.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const {
+    listCourseSessions, matchSessionRecording, setSessionStatus,
+    setSessionRecording, getMissedRecordingIds, getAttendanceStats
+} = window;
+
+// Spring 2025 starts on Sunday March 23; Passover week has no classes
+const semester = {
+    startDate: '2025-03-23',
+    endDate: '2025-07-04',
+    holidays: [{ id: 'h1', name: 'Passover', startDate: '2025-04-12', endDate: '2025-04-19' }]
+};
+
+/**
+ * Creates a course with a Tuesday lecture and a Sunday tutorial.
+ */
+function createCourse() {
+    return {
+        id: 'c1',
+        schedule: [{ day: 2, start: '10:30', end: '12:30' }, { day: 0, start: '08:30', end: '09:30' }],
+        attendance: [],
+        recordings: {
+            tabs: [
+                {
+                    id: 'lectures',
+                    name: 'Lectures',
+                    items: [
+                        { id: 'r1', name: 'Lecture 1 - 25.3.25', watched: false },
+                        { id: 'r2', name: 'Lecture 2 (1/4)', watched: true }
+                    ]
+                },
+                { id: 'tutorials', name: 'Tutorials', items: [{ id: 'r3', name: 'Tutorial 2025-03-23', watched: false }] }
+            ]
+        }
+    };
+}
+
+describe('listCourseSessions', () => {
+    test('should list each slot occurrence in the semester, skipping holidays', () => {
+        const sessions = listCourseSessions(semester, createCourse(), '2025-04-22');
+        expect(sessions.map(s => s.id)).toEqual([
+            '2025-03-23T08:30', '2025-03-25T10:30',
+            '2025-03-30T08:30', '2025-04-01T10:30',
+            '2025-04-06T08:30', '2025-04-08T10:30',
+            '2025-04-20T08:30', '2025-04-22T10:30'
+        ]);
+        expect(sessions[3]).toMatchObject({ date: '2025-04-01', start: '10:30', end: '12:30', week: 2, status: '' });
+    });
+
+    test('should stop at the semester end and need semester dates', () => {
+        const sessions = listCourseSessions(semester, createCourse());
+        expect(sessions[sessions.length - 1].id).toBe('2025-07-01T10:30');
+        expect(listCourseSessions({ name: 'Spring 2025' }, createCourse())).toEqual([]);
+    });
+});
+
+describe('setSessionStatus', () => {
+    test('should link the recording whose name has the session date when missed', () => {
+        const course = createCourse();
+        const [, tuesday] = listCourseSessions(semester, course);
+        expect(setSessionStatus(course, tuesday, 'missed')).toEqual({ id: '2025-03-25T10:30', status: 'missed', recordingId: 'r1' });
+        expect(setSessionStatus(course, { id: '2025-03-23T08:30', date: '2025-03-23' }, 'missed').recordingId).toBe('r3');
+        expect(getMissedRecordingIds(course)).toEqual(new Set(['r1', 'r3']));
+    });
+
+    test('should clear a status set twice and keep a manual recording link', () => {
+        const course = createCourse();
+        const session = { id: '2025-04-01T10:30', date: '2025-04-01' };
+        setSessionStatus(course, session, 'attended');
+        setSessionRecording(course, session.id, 'r1');
+        expect(setSessionStatus(course, session, 'missed').recordingId).toBe('r1');
+        expect(setSessionStatus(course, session, 'missed')).toBeNull();
+        expect(course.attendance).toEqual([]);
+    });
+
+    test('should not match dates of another month or year, or linked recordings', () => {
+        const course = createCourse();
+        expect(matchSessionRecording(course, { id: '2025-01-04T10:30', date: '2025-01-04' })).toBeNull();
+        expect(matchSessionRecording(course, { id: '2024-03-25T10:30', date: '2024-03-25' })).toBeNull();
+
+        course.attendance.push({ id: '2025-03-26T10:30', status: 'missed', recordingId: 'r1' });
+        expect(matchSessionRecording(course, { id: '2025-03-25T10:30', date: '2025-03-25' })).toBeNull();
+    });
+});
+
+describe('getAttendanceStats', () => {
+    test('should count marked sessions so far and missed recordings left to watch', () => {
+        const course = createCourse();
+        const sessions = listCourseSessions(semester, course);
+        setSessionStatus(course, sessions[0], 'attended');
+        setSessionStatus(course, sessions[1], 'missed');
+        setSessionStatus(course, sessions[2], 'cancelled');
+        setSessionStatus(course, sessions[3], 'missed');
+        setSessionStatus(course, sessions[10], 'attended');
+
+        expect(course.attendance.find(r => r.id === sessions[3].id).recordingId).toBe('r2');
+        expect(getAttendanceStats(semester, course, '2025-04-06')).toEqual({
+            attended: 1, missed: 2, cancelled: 1, unmarked: 1, rate: 1 / 3, toWatch: 1
+        });
+    });
+
+    test('should have no rate before any held session is marked', () => {
+        expect(getAttendanceStats(semester, createCourse(), '2025-03-01')).toEqual({
+            attended: 0, missed: 0, cancelled: 0, unmarked: 0, rate: null, toWatch: 0
+        });
+    });
+});
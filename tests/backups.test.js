@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Unit tests for backups.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_DATA_VERSION = 10;
+global.STORAGE_KEYS = {
+    PROFILES: 'tollab_profiles',
+    ACTIVE_PROFILE: 'tollab_active',
+    DATA_PREFIX: 'tollab_',
+    BACKUP_PREFIX: 'tollab_backups_'
+};
+global.BACKUP_CONFIG = { MAX_RECENT: 20, DAILY_DAYS: 7, COALESCE_MS: 60000 };
+global.COLOR_THEMES = { COLORFUL: 'colorful' };
+global.DEFAULT_THEME_SETTINGS = { theme: 'light', showCompleted: true, showWatchedRecordings: false, colorTheme: 'colorful', baseColorHue: 200 };
+global.DEFAULT_CALENDAR_SETTINGS = { startHour: 8, endHour: 20, visibleDays: [0, 1, 2, 3, 4, 5] };
+global.DEFAULT_RECORDING_TABS = [{ id: 'lectures', name: 'Lectures' }, { id: 'tutorials', name: 'Tutorials' }];
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+
+// Load dependencies and the backups module (strict mode: read back from window)
+['storage.js', 'state.js', 'backups.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { BackupManager } = window;
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 4, 20, 12, 0, 0).getTime();
+
+/**
+ * Builds a v2 payload with the given courses in one semester.
+ */
+function payload(courses, t = '2024-05-20T10:00:00.000Z') {
+    return { v: 2, t, d: [{ i: 's1', n: 'Spring 2024', c: courses }] };
+}
+
+describe('BackupManager.pruneBackups', () => {
+    const retention = { maxRecent: 3, dailyDays: 7 };
+
+    test('should keep the newest N backups', () => {
+        const backups = [0, 1, 2, 3].map(i => ({ id: `b${i}`, ts: NOW - i * 1000 }));
+        const kept = BackupManager.pruneBackups(backups, { maxRecent: 3, dailyDays: 0 }, NOW);
+        expect(kept.map(b => b.id)).toEqual(['b0', 'b1', 'b2']);
+    });
+
+    test('should keep one backup per day within the daily window', () => {
+        const recent = [0, 1, 2].map(i => ({ id: `r${i}`, ts: NOW - i * 1000 }));
+        const older = [
+            { id: 'd2-late', ts: NOW - 2 * DAY },
+            { id: 'd2-early', ts: NOW - 2 * DAY - 3600 * 1000 },
+            { id: 'd5', ts: NOW - 5 * DAY },
+            { id: 'd10', ts: NOW - 10 * DAY }
+        ];
+        const kept = BackupManager.pruneBackups([...older, ...recent], retention, NOW);
+        expect(kept.map(b => b.id)).toEqual(['r0', 'r1', 'r2', 'd2-late', 'd5']);
+    });
+
+    test('should not add a daily backup for a day already covered by recent ones', () => {
+        const backups = [0, 1, 2, 3].map(i => ({ id: `b${i}`, ts: NOW - i * 1000 }));
+        const kept = BackupManager.pruneBackups(backups, retention, NOW);
+        expect(kept).toHaveLength(3);
+    });
+});
+
+describe('BackupManager.summarizePayload', () => {
+    test('should count semesters, courses, recordings and homework', () => {
+        const summary = BackupManager.summarizePayload(payload([
+            { i: 'c1', n: 'A', hw: [{ t: 'HW1' }, { t: 'HW2' }], rec: [{ i: 'lectures', n: 'Lectures', it: [{ n: 'L1' }] }] },
+            { i: 'c2', n: 'B' }
+        ]));
+        expect(summary).toEqual({ semesters: 1, courses: 2, recordings: 1, homework: 2 });
+    });
+});
+
+describe('BackupManager.diffPayloads', () => {
+    test('should report added, removed and changed courses', () => {
+        const current = payload([
+            { i: 'c1', n: 'Calculus', hw: [{ t: 'HW1' }] },
+            { i: 'c2', n: 'Physics' }
+        ]);
+        const backup = payload([
+            { i: 'c1', n: 'Calculus', hw: [{ t: 'HW1' }, { t: 'HW2' }] },
+            { i: 'c3', n: 'Algebra' }
+        ]);
+
+        const diff = BackupManager.diffPayloads(current, backup);
+        expect(diff.coursesAdded).toEqual(['Algebra (Spring 2024)']);
+        expect(diff.coursesRemoved).toEqual(['Physics (Spring 2024)']);
+        expect(diff.coursesChanged).toEqual([{ name: 'Calculus (Spring 2024)', changes: ['homework 1 → 2'] }]);
+    });
+
+    test('should report semester changes and ignore timestamps', () => {
+        const current = { v: 2, t: '2024-01-01T00:00:00.000Z', d: [] };
+        const diff = BackupManager.diffPayloads(current, payload([]));
+        expect(diff.semestersAdded).toEqual(['Spring 2024']);
+        expect(BackupManager.diffPayloads(payload([], 'a'), payload([], 'b')).coursesChanged).toEqual([]);
+    });
+});
+
+describe('BackupManager.snapshot', () => {
+    const dataKey = 'tollab_p1';
+
+    beforeEach(() => {
+        BackupManager.removeAll('p1');
+        localStorage.clear();
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('should do nothing when no data is stored', () => {
+        expect(BackupManager.snapshot('p1', 'save')).toBeNull();
+    });
+
+    test('should back up the stored payload', () => {
+        localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: 'A' }])));
+        const backup = BackupManager.snapshot('p1', 'save');
+        expect(backup.reason).toBe('save');
+        expect(BackupManager.list('p1')).toHaveLength(1);
+        expect(BackupManager.get('p1', backup.id).payload.d[0].c[0].n).toBe('A');
+    });
+
+    test('should skip content identical to the newest backup', () => {
+        localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: 'A' }])));
+        BackupManager.snapshot('p1', 'manual');
+        localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: 'A' }], 'later')));
+        expect(BackupManager.snapshot('p1', 'manual', { force: true })).toBeNull();
+    });
+
+    test('should coalesce saves within the coalescing window', () => {
+        localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: 'A' }])));
+        BackupManager.snapshot('p1', 'save');
+        localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: 'B' }])));
+        expect(BackupManager.snapshot('p1', 'save')).toBeNull();
+        expect(BackupManager.snapshot('p1', 'cloud')).not.toBeNull();
+    });
+
+    test('should coalesce without reading the stored backups', () => {
+        localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: 'A' }])));
+        BackupManager.snapshot('p1', 'save');
+        localStorage.getItem.mockClear();
+
+        expect(BackupManager.snapshot('p1', 'save')).toBeNull();
+        expect(localStorage.getItem).not.toHaveBeenCalled();
+    });
+
+    test('should keep a single snapshot on the localStorage backend', () => {
+        ['A', 'B', 'C'].forEach((name, i) => {
+            localStorage.setItem(dataKey, JSON.stringify(payload([{ i: 'c1', n: name }])));
+            BackupManager.snapshot('p1', 'manual');
+            Date.now.mockReturnValue(NOW + (i + 1) * DAY);
+        });
+
+        const backups = BackupManager.list('p1');
+        expect(backups).toHaveLength(1);
+        expect(BackupManager.get('p1', backups[0].id).payload.d[0].c[0].n).toBe('C');
+    });
+
+    test('should remove all backups of a profile', () => {
+        localStorage.setItem(dataKey, JSON.stringify(payload([])));
+        BackupManager.snapshot('p1', 'manual');
+        BackupManager.removeAll('p1');
+        expect(BackupManager.list('p1')).toEqual([]);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Unit tests for catalog-review.js and the catalog matching in catalog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+
+// Date conversion from import-export.js
+global.convertDateFormat = dateStr => dateStr.split('-').reverse().join('-');
+
+['validation.js', 'assessments.js', 'catalog.js', 'catalog-review.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { matchCatalogCourse, diffCatalogCourse, applyCatalogData, buildCatalogReview, applyCatalogReview } = window;
+
+const catalog = {
+    '01040012': {
+        general: {
+            'מספר מקצוע': '01040012', 'שם מקצוע': 'Calculus 1', 'נקודות': '5.5',
+            'אחראים': 'Dr. Levi', 'מועד א': '10-02-2026', 'מועד ב': '12-03-2026'
+        }
+    },
+    '02340114': {
+        general: { 'מספר מקצוע': '02340114', 'שם מקצוע': 'Introduction to Computer Science', 'נקודות': '4' }
+    }
+};
+
+/**
+ * Creates the local semesters: a course by number with a stale lecturer and
+ * Moed A, a course by partial number, and one by name only.
+ */
+function createSemesters() {
+    return [{
+        id: 's1',
+        name: 'Winter 2025-2026',
+        courses: [
+            {
+                id: 'c1', name: 'Calc', number: '01040012', points: '5.5', lecturer: 'Dr. Cohen',
+                assessments: [{ id: 'a1', type: 'moedA', date: '2026-02-09' }]
+            },
+            { id: 'c2', name: 'Calculus', number: '1040012', points: '' },
+            { id: 'c3', name: 'computer science', number: '', points: '' },
+            { id: 'c4', name: 'Seminar', number: '', points: '' }
+        ]
+    }];
+}
+
+describe('matchCatalogCourse', () => {
+    test('should report whether a course matched by number, partial number or name', () => {
+        const [exact, partial, byName, none] = createSemesters()[0].courses;
+        expect(matchCatalogCourse(exact, catalog).method).toBe('number');
+        expect(matchCatalogCourse(partial, catalog)).toEqual({ entry: catalog['01040012'], method: 'partial' });
+        expect(matchCatalogCourse(byName, catalog).method).toBe('name');
+        expect(matchCatalogCourse(none, catalog)).toBeNull();
+    });
+});
+
+describe('diffCatalogCourse', () => {
+    test('should list the fields to fill or overwrite', () => {
+        const course = createSemesters()[0].courses[0];
+        expect(diffCatalogCourse(course, catalog['01040012']).map(c => [c.field, c.current, c.incoming])).toEqual([
+            ['lecturer', 'Dr. Cohen', 'Dr. Levi'],
+            ['moedA', '2026-02-09', '2026-02-10'],
+            ['moedB', '', '2026-03-12']
+        ]);
+    });
+
+    test('should not list a number that only differs in how it is written', () => {
+        const partial = createSemesters()[0].courses[1];
+        expect(diffCatalogCourse(partial, catalog['01040012']).map(c => c.field)).toEqual(['points', 'lecturer', 'moedA', 'moedB']);
+        expect(diffCatalogCourse({ number: '104-0012' }, catalog['01040012']).map(c => c.field)).not.toContain('number');
+        expect(diffCatalogCourse({ number: '104013' }, catalog['01040012'])[0]).toMatchObject({ field: 'number', current: '104013' });
+    });
+
+    test('should only fill empty fields when applied without review', () => {
+        const course = createSemesters()[0].courses[0];
+        expect(applyCatalogData(course, catalog['01040012'])).toBe(true);
+        expect(course.lecturer).toBe('Dr. Cohen');
+        expect(course.assessments.map(a => [a.type, a.date])).toEqual([['moedA', '2026-02-09'], ['moedB', '2026-03-12']]);
+        expect(applyCatalogData(course, catalog['01040012'])).toBe(false);
+    });
+});
+
+describe('applyCatalogReview', () => {
+    test('should leave name matches unchecked and skip rejected rows and fields', () => {
+        const semesters = createSemesters();
+        const rows = buildCatalogReview(semesters, catalog);
+        expect(rows.map(row => [row.courseId, row.method, row.accepted])).toEqual([
+            ['c1', 'number', true],
+            ['c2', 'partial', true],
+            ['c3', 'name', false]
+        ]);
+
+        rows[1].changes.find(c => c.field === 'lecturer').accepted = false;
+        expect(applyCatalogReview(semesters, { rows, overwrite: false })).toBe(2);
+
+        const [exact, partial, byName] = semesters[0].courses;
+        expect(exact.lecturer).toBe('Dr. Cohen');
+        expect(exact.assessments.map(a => a.date)).toEqual(['2026-02-09', '2026-03-12']);
+        expect(partial).toMatchObject({ points: '5.5' });
+        expect(partial.lecturer).toBeUndefined();
+        expect(byName.points).toBe('');
+    });
+
+    test('should overwrite existing values when asked', () => {
+        const semesters = createSemesters();
+        const rows = buildCatalogReview(semesters, catalog);
+        rows[2].accepted = true;
+
+        expect(applyCatalogReview(semesters, { rows, overwrite: true })).toBe(3);
+        const [exact, , byName] = semesters[0].courses;
+        expect(exact.lecturer).toBe('Dr. Levi');
+        expect(exact.assessments.map(a => a.date)).toEqual(['2026-02-10', '2026-03-12']);
+        expect(byName).toMatchObject({ number: '02340114', points: '4' });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Unit tests for the catalog cache in catalog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.TECHNION_SAP_BASE_URL = 'https://sap.example/';
+
+// Catalog records from storage.js
+const records = new Map();
+let indexedDBBackend = true;
+global.AppStorage = {
+    hasRecords: () => indexedDBBackend,
+    getRecord: (store, key) => Promise.resolve(indexedDBBackend && records.has(key) ? structuredClone(records.get(key)) : null),
+    putRecord: (store, key, value) => {
+        if (indexedDBBackend) records.set(key, structuredClone(value));
+        return Promise.resolve(indexedDBBackend);
+    }
+};
+
+// Connectivity from error-handling.js
+let online = true;
+global.isOnline = () => online;
+
+eval(fs.readFileSync(path.join(__dirname, '../js/catalog.js'), 'utf8'));
+
+const { fetchSapSemesters, fetchCatalogEntries, loadCachedCatalog, getCatalogCacheInfo, formatCatalogAge } = window;
+
+const sapSemesters = [{ year: 2024, semester: 201 }, { year: 2025, semester: 200 }];
+const spring = [{ general: { 'מספר מקצוע': '01040012', 'שם מקצוע': 'Old name' } }, { general: {} }];
+const winter = [{ general: { 'מספר מקצוע': '01040012', 'שם מקצוע': 'Calculus 1' } }];
+
+/**
+ * Builds a fetch response.
+ */
+function respond(status, body, headers = {}) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: name => headers[name] ?? null },
+        json: () => Promise.resolve(body)
+    };
+}
+
+/**
+ * Moves the cached check time of a file back by some hours.
+ */
+function ageCache(name, hours) {
+    records.get(name).checkedAt = new Date(Date.now() - hours * 3600000).toISOString();
+}
+
+beforeEach(() => {
+    records.clear();
+    indexedDBBackend = true;
+    online = true;
+    global.fetch = jest.fn(url => Promise.resolve(url.endsWith('last_semesters.json')
+        ? respond(200, sapSemesters, { ETag: '"v1"', 'Last-Modified': 'Sun, 01 Jun 2025 10:00:00 GMT' })
+        : respond(200, url.includes('2024_201') ? spring : winter)));
+});
+
+describe('fetchCatalogFile', () => {
+    test('should cache fetched files and reuse them while fresh', async () => {
+        expect(await fetchSapSemesters()).toEqual(sapSemesters);
+        expect(await fetchSapSemesters()).toEqual(sapSemesters);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(await fetchCatalogEntries(sapSemesters[0])).toEqual([spring[0]]);
+    });
+
+    test('should revalidate with the ETag and Last-Modified date when refreshing', async () => {
+        await fetchSapSemesters();
+        fetch.mockResolvedValueOnce(respond(304, null));
+
+        expect(await fetchSapSemesters({ refresh: true })).toEqual(sapSemesters);
+        expect(fetch.mock.calls[1][1].headers).toEqual({
+            'If-None-Match': '"v1"',
+            'If-Modified-Since': 'Sun, 01 Jun 2025 10:00:00 GMT'
+        });
+    });
+
+    test('should revalidate a stale cache on its next use', async () => {
+        await fetchSapSemesters();
+        ageCache('last_semesters', 25);
+        await fetchSapSemesters();
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should use the cache at any age offline or when the network fails', async () => {
+        await fetchSapSemesters();
+        ageCache('last_semesters', 100);
+
+        online = false;
+        expect(await fetchSapSemesters({ refresh: true })).toEqual(sapSemesters);
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        online = true;
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        expect(await fetchSapSemesters({ refresh: true })).toEqual(sapSemesters);
+
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await expect(fetchCatalogEntries(sapSemesters[1])).rejects.toThrow('Failed to fetch');
+    });
+
+    test('should not cache anything on the localStorage backend', async () => {
+        indexedDBBackend = false;
+        await fetchSapSemesters();
+        await fetchSapSemesters();
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(records.size).toBe(0);
+    });
+});
+
+describe('loadCachedCatalog', () => {
+    test('should build the catalog from cached files, later semesters first', async () => {
+        expect(await loadCachedCatalog()).toEqual({});
+        expect(await getCatalogCacheInfo()).toBeNull();
+
+        const semesters = await fetchSapSemesters();
+        for (const sem of semesters) await fetchCatalogEntries(sem);
+
+        expect((await loadCachedCatalog())['01040012'].general['שם מקצוע']).toBe('Calculus 1');
+        expect(await getCatalogCacheInfo()).toMatchObject({ semesters: 2, courses: 1 });
+    });
+});
+
+describe('formatCatalogAge', () => {
+    test('should describe the age in minutes, hours or days', () => {
+        const now = Date.parse('2025-06-10T12:00:00Z');
+        expect(formatCatalogAge('2025-06-10T11:59:30Z', now)).toBe('just now');
+        expect(formatCatalogAge('2025-06-10T11:15:00Z', now)).toBe('45 minutes ago');
+        expect(formatCatalogAge('2025-06-10T09:00:00Z', now)).toBe('3 hours ago');
+        expect(formatCatalogAge('2025-06-07T12:00:00Z', now)).toBe('3 days ago');
+    });
+});
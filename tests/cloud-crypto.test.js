@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Unit tests for cloud-crypto.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+require('fake-indexeddb/auto');
+
+// WebCrypto and text encoding as provided by browsers
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+// Constants that would be loaded by constants.js
+global.STORAGE_KEYS = { CLOUD_KEY: 'tollab_cloud_key' };
+
+['storage.js', 'cloud-crypto.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { AppStorage, CloudCrypto } = window;
+
+beforeAll(() => AppStorage.init());
+
+const SALT = 'c2FsdHNhbHRzYWx0c2FsdA==';
+const payload = { v: 2, a: 'p1', p: [{ i: 'p1', n: 'Main', d: { v: 3, d: [], nt: 'grades: 95' } }] };
+
+/**
+ * Derives a test key with few iterations to keep the tests fast.
+ */
+async function testKey(passphrase) {
+    return { key: await CloudCrypto.deriveKey(passphrase, SALT, 1000), salt: SALT, iterations: 1000 };
+}
+
+describe('CloudCrypto.encrypt / decrypt', () => {
+    test('should round-trip a payload', async () => {
+        const keyInfo = await testKey('correct horse');
+        const envelope = await CloudCrypto.encrypt(payload, keyInfo);
+        expect(await CloudCrypto.decrypt(envelope, keyInfo.key)).toEqual(payload);
+    });
+
+    test('should store only ciphertext, salt and IV', async () => {
+        const envelope = await CloudCrypto.encrypt(payload, await testKey('correct horse'));
+        expect(Object.keys(envelope).sort()).toEqual(['alg', 'ct', 'it', 'iv', 'kdf', 'salt']);
+        expect(envelope.salt).toBe(SALT);
+        expect(JSON.stringify(envelope)).not.toContain('grades');
+    });
+
+    test('should use a fresh IV for every write', async () => {
+        const keyInfo = await testKey('correct horse');
+        const first = await CloudCrypto.encrypt(payload, keyInfo);
+        const second = await CloudCrypto.encrypt(payload, keyInfo);
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.ct).not.toBe(second.ct);
+    });
+
+    test('should reject a wrong passphrase with code bad-key', async () => {
+        const envelope = await CloudCrypto.encrypt(payload, await testKey('correct horse'));
+        const wrong = await testKey('wrong horse');
+        await expect(CloudCrypto.decrypt(envelope, wrong.key)).rejects.toMatchObject({ code: 'bad-key' });
+    });
+
+    test('should reject tampered ciphertext', async () => {
+        const keyInfo = await testKey('correct horse');
+        const envelope = await CloudCrypto.encrypt(payload, keyInfo);
+        const bytes = Buffer.from(envelope.ct, 'base64');
+        bytes[0] ^= 1;
+        const tampered = { ...envelope, ct: bytes.toString('base64') };
+        await expect(CloudCrypto.decrypt(tampered, keyInfo.key)).rejects.toMatchObject({ code: 'bad-key' });
+    });
+});
+
+describe('CloudCrypto.createKey', () => {
+    test('should derive a key with a fresh salt that matches deriveKey', async () => {
+        const created = await CloudCrypto.createKey('correct horse');
+        const other = await CloudCrypto.createKey('correct horse');
+        expect(created.salt).not.toBe(other.salt);
+
+        const envelope = await CloudCrypto.encrypt(payload, created);
+        const derived = await CloudCrypto.deriveKey('correct horse', envelope.salt, envelope.it);
+        expect(await CloudCrypto.decrypt(envelope, derived)).toEqual(payload);
+    });
+});
+
+describe('CloudCrypto device key', () => {
+    test('should store and reload the key for the same account only', async () => {
+        const keyInfo = await testKey('correct horse');
+        await CloudCrypto.saveDeviceKey('user-1', keyInfo, false);
+
+        expect(await CloudCrypto.loadDeviceKey('user-2')).toBeNull();
+        const loaded = await CloudCrypto.loadDeviceKey('user-1');
+        expect(loaded).toMatchObject({ salt: SALT, iterations: 1000, confirmed: false });
+
+        const envelope = await CloudCrypto.encrypt(payload, loaded);
+        expect(await CloudCrypto.decrypt(envelope, keyInfo.key)).toEqual(payload);
+    });
+
+    test('should store a non-extractable key in IndexedDB only', async () => {
+        await CloudCrypto.saveDeviceKey('user-1', await testKey('correct horse'), true);
+        expect(localStorage.getItem('tollab_cloud_key')).toBeNull();
+
+        const stored = await AppStorage.getRecord('deviceKeys', 'tollab_cloud_key');
+        expect(stored.key.extractable).toBe(false);
+        await expect(crypto.subtle.exportKey('raw', stored.key)).rejects.toThrow();
+        expect(JSON.stringify(stored)).not.toContain('correct horse');
+    });
+
+    test('should move a key saved in localStorage by older versions', async () => {
+        // The raw bytes of the same key, as older versions saved them
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode('correct horse'), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: Buffer.from(SALT, 'base64'), iterations: 1000, hash: 'SHA-256' }, material, 256
+        );
+        const raw = Buffer.from(bits).toString('base64');
+        await CloudCrypto.forgetDeviceKey();
+        localStorage.setItem('tollab_cloud_key', JSON.stringify({ uid: 'user-1', key: raw, salt: SALT, it: 1000, confirmed: true }));
+
+        const loaded = await CloudCrypto.loadDeviceKey('user-1');
+        expect(loaded).toMatchObject({ salt: SALT, iterations: 1000, confirmed: true });
+        expect(loaded.key.extractable).toBe(false);
+        expect(localStorage.getItem('tollab_cloud_key')).toBeNull();
+
+        const envelope = await CloudCrypto.encrypt(payload, loaded);
+        expect(await CloudCrypto.decrypt(envelope, (await testKey('correct horse')).key)).toEqual(payload);
+    });
+
+    test('should forget the key', async () => {
+        await CloudCrypto.saveDeviceKey('user-1', await testKey('correct horse'), true);
+        await CloudCrypto.forgetDeviceKey();
+        expect(await CloudCrypto.loadDeviceKey('user-1')).toBeNull();
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Unit tests for degree.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants that would be loaded by constants.js
+global.GRADE_CONFIG = {
+    PASSING_GRADE: 55,
+    PASS: ['pass', 'passed', 'עובר'],
+    FAIL: ['fail', 'failed', 'לא עובר', 'נכשל'],
+    EXEMPT: ['exempt', 'פטור']
+};
+
+// Newest first, like the real compareSemesters
+global.compareSemesters = (a, b) => b.order - a.order;
+
+['grades.js', 'degree.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { parseNumberRules, matchesNumberRule, resolveCourseBucket, buildDegreeProgress } = window;
+
+describe('parseNumberRules', () => {
+    test('should accept exact numbers, prefixes and ranges', () => {
+        expect(parseNumberRules('234114, 394*  234300-234399')).toEqual({
+            rules: ['234114', '394*', '234300-234399'],
+            invalid: []
+        });
+    });
+
+    test('should reject malformed rules', () => {
+        expect(parseNumberRules('23*4, abc, 300-200').invalid).toEqual(['23*4', 'abc', '300-200']);
+    });
+
+    test('should drop duplicates and empty input', () => {
+        expect(parseNumberRules('394*, 394*').rules).toEqual(['394*']);
+        expect(parseNumberRules('').rules).toEqual([]);
+    });
+});
+
+describe('matchesNumberRule', () => {
+    test('should match exact numbers ignoring non-digits', () => {
+        expect(matchesNumberRule('234-114', '234114')).toBe(true);
+        expect(matchesNumberRule('234115', '234114')).toBe(false);
+    });
+
+    test('should match prefixes', () => {
+        expect(matchesNumberRule('394820', '394*')).toBe(true);
+        expect(matchesNumberRule('324033', '394*')).toBe(false);
+    });
+
+    test('should treat 8-digit catalog numbers as their 6-digit form', () => {
+        expect(matchesNumberRule('03940800', '394*')).toBe(true);
+        expect(matchesNumberRule('3940800', '394*')).toBe(true);
+        expect(matchesNumberRule('03240033', '394*')).toBe(false);
+        expect(matchesNumberRule('394800', '03940*')).toBe(true);
+        expect(matchesNumberRule('02340114', '234114')).toBe(true);
+        expect(matchesNumberRule('234114', '02340114')).toBe(true);
+        expect(matchesNumberRule('02340311', '234300-234399')).toBe(true);
+        expect(matchesNumberRule('02340311', '02340300-02340399')).toBe(true);
+    });
+
+    test('should ignore missing leading zeros', () => {
+        expect(matchesNumberRule('14003', '014003')).toBe(true);
+        expect(matchesNumberRule('00140003', '014*')).toBe(true);
+        expect(matchesNumberRule('140003', '014*')).toBe(false);
+    });
+
+    test('should match ranges of the same length only', () => {
+        expect(matchesNumberRule('234311', '234300-234399')).toBe(true);
+        expect(matchesNumberRule('234400', '234300-234399')).toBe(false);
+        expect(matchesNumberRule('02343110', '234300-234399')).toBe(false);
+    });
+
+    test('should never match a course without a number', () => {
+        expect(matchesNumberRule('', '*')).toBe(false);
+    });
+});
+
+describe('resolveCourseBucket', () => {
+    const buckets = [
+        { id: 'mandatory', name: 'Mandatory', rules: ['234114'] },
+        { id: 'sports', name: 'Sports', rules: ['394*'] }
+    ];
+
+    test('should prefer a bucket picked by hand', () => {
+        expect(resolveCourseBucket({ number: '394820', degreeBucket: 'mandatory' }, buckets).id).toBe('mandatory');
+    });
+
+    test('should fall back to the first matching rule', () => {
+        expect(resolveCourseBucket({ number: '394820' }, buckets).id).toBe('sports');
+        expect(resolveCourseBucket({ number: '394820', degreeBucket: 'deleted' }, buckets).id).toBe('sports');
+    });
+
+    test('should return null when nothing matches', () => {
+        expect(resolveCourseBucket({ number: '104031' }, buckets)).toBeNull();
+    });
+});
+
+describe('buildDegreeProgress', () => {
+    const data = {
+        degreePlan: {
+            buckets: [
+                { id: 'mandatory', name: 'Mandatory', target: 20, rules: ['104*', '234*'] },
+                { id: 'sports', name: 'Sports', target: 2, rules: ['394*'] }
+            ]
+        },
+        semesters: [
+            {
+                id: 's1', name: 'Winter 2023-2024', order: 1,
+                courses: [
+                    { id: 'c1', name: 'Calculus 1', number: '104031', points: '5', grade: '50' },
+                    { id: 'c2', name: 'Intro to CS', number: '234111', points: '4', grade: '88' },
+                    { id: 'c3', name: 'Basketball', number: '394820', points: '1', grade: 'Pass' }
+                ]
+            },
+            {
+                id: 's2', name: 'Spring 2024', order: 2,
+                courses: [
+                    { id: 'c4', name: 'Calculus 1', number: '104031', points: '5', grade: '' },
+                    { id: 'c5', name: 'Philosophy', number: '324290', points: '2', grade: '90' }
+                ]
+            }
+        ]
+    };
+
+    test('should tally completed, in-progress and remaining points per bucket', () => {
+        const [mandatory, sports] = buildDegreeProgress(data).buckets;
+        expect(mandatory).toMatchObject({ completed: 4, inProgress: 5, remaining: 11 });
+        expect(sports).toMatchObject({ completed: 1, inProgress: 0, remaining: 1 });
+    });
+
+    test('should count a retaken course once, using its best attempt', () => {
+        const [mandatory] = buildDegreeProgress(data).buckets;
+        const calculus = mandatory.courses.filter(c => c.course.number === '104031');
+        expect(calculus).toHaveLength(1);
+        expect(calculus[0]).toMatchObject({ status: 'in-progress', semester: { id: 's2' } });
+    });
+
+    test('should count a course once whatever form its number is written in', () => {
+        const semesters = [
+            { id: 's1', order: 1, courses: [{ id: 'c1', number: '394800', points: '1', grade: 'Pass' }] },
+            { id: 's2', order: 2, courses: [{ id: 'c2', number: '03940800', points: '1', grade: '' }] }
+        ];
+        const [, sports] = buildDegreeProgress({ degreePlan: data.degreePlan, semesters }).buckets;
+        expect(sports.courses.map(c => c.course.id)).toEqual(['c1']);
+        expect(sports).toMatchObject({ completed: 1, inProgress: 0 });
+    });
+
+    test('should total the buckets and list unassigned courses separately', () => {
+        const { total, unassigned } = buildDegreeProgress(data);
+        expect(total).toMatchObject({ target: 22, completed: 5, inProgress: 5, remaining: 12 });
+        expect(unassigned.courses.map(c => c.course.id)).toEqual(['c5']);
+        expect(unassigned.completed).toBe(2);
+    });
+
+    test('should handle profiles without a degree plan', () => {
+        const { buckets, unassigned, total } = buildDegreeProgress({ semesters: data.semesters });
+        expect(buckets).toEqual([]);
+        expect(total.target).toBe(0);
+        expect(unassigned.courses).toHaveLength(4);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Unit tests for exam-planner.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.generateId = () => Math.random().toString(36).slice(2);
+
+['assessments.js', 'exam-planner.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { getPlannedExamId, collectSemesterExams, findExamConflicts, allocateStudyDays } = window;
+
+/**
+ * Builds a course from {type: date} pairs; assessment ids are `${id}-${type}`.
+ */
+const course = (id, dates, points = '3', plannedExam = '') => ({
+    id,
+    name: id.toUpperCase(),
+    color: '#000',
+    points,
+    plannedExam,
+    assessments: Object.entries(dates).map(([type, date]) => ({ id: `${id}-${type}`, type, date, startTime: '', location: '' }))
+});
+
+describe('getPlannedExamId', () => {
+    test('should default to the earliest dated moed', () => {
+        expect(getPlannedExamId(course('a', { moedB: '2026-03-01', moedA: '2026-02-01' }))).toBe('a-moedA');
+        expect(getPlannedExamId(course('a', { moedA: '', moedB: '2026-03-01' }))).toBe('a-moedB');
+        expect(getPlannedExamId(course('a', { midterm: '2026-01-01' }))).toBeNull();
+        expect(getPlannedExamId({ id: 'a' })).toBeNull();
+    });
+
+    test('should honour an explicit choice only while that moed has a date', () => {
+        expect(getPlannedExamId(course('a', { moedA: '2026-02-01', moedB: '2026-03-01' }, '3', 'a-moedB'))).toBe('a-moedB');
+        expect(getPlannedExamId(course('a', { moedA: '2026-02-01', moedB: '' }, '3', 'a-moedB'))).toBe('a-moedA');
+    });
+});
+
+describe('collectSemesterExams', () => {
+    test('should list every dated assessment in order and mark the planned ones', () => {
+        const exams = collectSemesterExams({
+            courses: [
+                course('a', { moedA: '2026-02-10', moedB: '2026-03-10', midterm: '2025-12-20' }, '3', 'a-moedB'),
+                course('b', { moedA: '2026-02-05', moedB: 'not a date' })
+            ]
+        });
+        expect(exams.map(e => [e.assessmentId, e.label, e.planned])).toEqual([
+            ['a-midterm', 'Midterm', true],
+            ['b-moedA', 'Moed A', true],
+            ['a-moedA', 'Moed A', false],
+            ['a-moedB', 'Moed B', true]
+        ]);
+    });
+
+    test('should count days across DST changes as whole days', () => {
+        const [first, second] = collectSemesterExams({ courses: [course('a', { moedA: '2026-03-25', moedB: '2026-03-30' })] });
+        expect(second.day - first.day).toBe(5);
+    });
+});
+
+describe('findExamConflicts', () => {
+    const exams = collectSemesterExams({
+        courses: [
+            course('a', { moedA: '2026-02-01', moedB: '' }),
+            course('b', { moedA: '2026-02-01', moedB: '2026-03-01' }),
+            course('c', { moedA: '2026-02-03', moedB: '' }),
+            course('d', { moedA: '2026-02-10', moedB: '' })
+        ]
+    });
+
+    test('should flag same-day and too-close planned exams', () => {
+        const result = findExamConflicts(exams, 3);
+        expect(result.map(e => [e.courseId, e.gapDays, e.conflict])).toEqual([
+            ['a', null, null],
+            ['b', 0, 'same-day'],
+            ['c', 2, 'too-close'],
+            ['d', 7, null]
+        ]);
+    });
+
+    test('should ignore exams that are not planned', () => {
+        const moved = exams.map(e => (e.courseId === 'b' ? { ...e, planned: e.assessmentId === 'b-moedB' } : e));
+        const result = findExamConflicts(moved, 2);
+        expect(result.map(e => e.conflict)).toEqual([null, null, null, null]);
+        expect(result.map(e => e.courseId)).toEqual(['a', 'c', 'd', 'b']);
+    });
+});
+
+describe('allocateStudyDays', () => {
+    test('should give every free day before the last exam to an upcoming exam', () => {
+        const courses = [course('a', { moedA: '2026-01-05', moedB: '' }), course('b', { moedA: '2026-01-08', moedB: '' })];
+        const { days, totals } = allocateStudyDays(collectSemesterExams({ courses }), courses, '2026-01-01');
+
+        expect(days[0]).toEqual({ date: '2026-01-01', courseId: 'a', assessmentId: 'a-moedA' });
+        expect(days.map(d => d.date)).toEqual(['2026-01-01', '2026-01-02', '2026-01-03', '2026-01-04', '2026-01-06', '2026-01-07']);
+        expect(days.filter(d => d.date > '2026-01-05').every(d => d.courseId === 'b')).toBe(true);
+        expect(totals).toEqual({ a: 3, b: 3 });
+    });
+
+    test('should favour courses with more points', () => {
+        const courses = [course('a', { moedA: '2026-01-09', moedB: '' }, '6'), course('b', { moedA: '2026-01-10', moedB: '' }, '2')];
+        const { totals } = allocateStudyDays(collectSemesterExams({ courses }), courses, '2026-01-01');
+        expect(totals).toEqual({ a: 6, b: 2 });
+    });
+
+    test('should skip exams on or before the start date', () => {
+        const courses = [course('a', { moedA: '2026-01-01', moedB: '' }), course('b', { moedA: '2026-01-04', moedB: '' })];
+        const { days, totals } = allocateStudyDays(collectSemesterExams({ courses }), courses, '2026-01-01');
+        expect(totals).toEqual({ b: 3 });
+        expect(days).toHaveLength(3);
+        expect(allocateStudyDays(collectSemesterExams({ courses }), courses, '')).toEqual({ days: [], totals: {} });
+    });
+
+    test('should add up the study days of several assessments of one course', () => {
+        const courses = [course('a', { midterm: '2026-01-03', moedA: '2026-01-06' })];
+        const { days, totals } = allocateStudyDays(collectSemesterExams({ courses }), courses, '2026-01-01');
+        expect(days.map(d => d.assessmentId)).toEqual(['a-midterm', 'a-midterm', 'a-moedA', 'a-moedA']);
+        expect(totals).toEqual({ a: 4 });
+    });
+});
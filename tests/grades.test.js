@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Unit tests for grades.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Newest first, like the real compareSemesters
+global.compareSemesters = (a, b) => b.order - a.order;
+
+eval(fs.readFileSync(path.join(__dirname, '../js/grades.js'), 'utf8'));
+
+const { parseCourseGrade, formatCourseGrade, summarizeGrades, buildGradesReport } = window;
+
+describe('parseCourseGrade', () => {
+    test('should parse numeric grades', () => {
+        expect(parseCourseGrade('85')).toEqual({ type: 'numeric', value: 85 });
+        expect(parseCourseGrade(92.5)).toEqual({ type: 'numeric', value: 92.5 });
+    });
+
+    test('should recognize keywords in English and Hebrew', () => {
+        expect(parseCourseGrade('Pass').type).toBe('pass');
+        expect(parseCourseGrade('נכשל').type).toBe('fail');
+        expect(parseCourseGrade(' EXEMPT ').type).toBe('exempt');
+    });
+
+    test('should treat empty and unknown grades separately', () => {
+        expect(parseCourseGrade('').type).toBe('none');
+        expect(parseCourseGrade(undefined).type).toBe('none');
+        expect(parseCourseGrade('A+').type).toBe('unknown');
+        expect(parseCourseGrade('120').type).toBe('unknown');
+    });
+});
+
+describe('formatCourseGrade', () => {
+    test('should add a percent sign to numeric grades only', () => {
+        expect(formatCourseGrade('85')).toBe('85%');
+        expect(formatCourseGrade('Pass')).toBe('Pass');
+        expect(formatCourseGrade('')).toBe('');
+    });
+});
+
+describe('summarizeGrades', () => {
+    test('should weight the average by points', () => {
+        const summary = summarizeGrades([
+            { id: 'a', grade: '90', points: '4' },
+            { id: 'b', grade: '70', points: '1' }
+        ]);
+        expect(summary.average).toBeCloseTo(86);
+        expect(summary.gradedPoints).toBe(5);
+        expect(summary.earnedPoints).toBe(5);
+    });
+
+    test('should count pass and exempt points as earned but not in the average', () => {
+        const summary = summarizeGrades([
+            { id: 'a', grade: '80', points: '3' },
+            { id: 'b', grade: 'Pass', points: '2' },
+            { id: 'c', grade: 'Exempt', points: '1.5' },
+            { id: 'd', grade: 'Fail', points: '2' }
+        ]);
+        expect(summary.average).toBe(80);
+        expect(summary.gradedPoints).toBe(3);
+        expect(summary.earnedPoints).toBe(6.5);
+    });
+
+    test('should not earn points for failing numeric grades', () => {
+        const summary = summarizeGrades([{ id: 'a', grade: '50', points: '3' }]);
+        expect(summary.average).toBe(50);
+        expect(summary.earnedPoints).toBe(0);
+    });
+
+    test('should exclude ungraded courses and courses without points', () => {
+        const summary = summarizeGrades([
+            { id: 'a', grade: '', points: '3' },
+            { id: 'b', grade: '95', points: '' },
+            { id: 'c', grade: '75', points: '2' }
+        ]);
+        expect(summary.average).toBe(75);
+        expect(summary.ungradedCount).toBe(1);
+        expect(summary.unweightedCount).toBe(1);
+        expect(summary.totalPoints).toBe(5);
+    });
+
+    test('should return no average when nothing is graded', () => {
+        expect(summarizeGrades([{ id: 'a', points: '3' }]).average).toBeNull();
+    });
+
+    test('should apply what-if grades over stored grades', () => {
+        const courses = [
+            { id: 'a', grade: '80', points: '2' },
+            { id: 'b', grade: '', points: '2' }
+        ];
+        expect(summarizeGrades(courses, { b: '100' }).average).toBe(90);
+        expect(summarizeGrades(courses, { a: 'Pass' }).average).toBeNull();
+    });
+});
+
+describe('buildGradesReport', () => {
+    const data = {
+        semesters: [
+            {
+                id: 's1', name: 'Winter 2023-2024', order: 1,
+                courses: [
+                    { id: 'c1', number: '104031', grade: '50', points: '5' },
+                    { id: 'c2', number: '234114', grade: '90', points: '4' }
+                ]
+            },
+            {
+                id: 's2', name: 'Spring 2024', order: 2,
+                courses: [
+                    { id: 'c3', number: '104031', grade: '80', points: '5' },
+                    { id: 'c4', number: '234124', grade: '', points: '3' }
+                ]
+            }
+        ]
+    };
+
+    test('should list semesters newest first with their own averages', () => {
+        const report = buildGradesReport(data);
+        expect(report.semesters.map(s => s.id)).toEqual(['s2', 's1']);
+        expect(report.semesters[0].summary.average).toBe(80);
+        expect(report.semesters[1].summary.average).toBeCloseTo((50 * 5 + 90 * 4) / 9);
+    });
+
+    test('should only count the latest attempt of a repeated course', () => {
+        const { cumulative } = buildGradesReport(data);
+        expect(cumulative.average).toBeCloseTo((80 * 5 + 90 * 4) / 9);
+        expect(cumulative.earnedPoints).toBe(9);
+    });
+
+    test('should keep an earlier graded attempt when the retake has no grade yet', () => {
+        const retake = {
+            semesters: [
+                { id: 's1', order: 1, courses: [{ id: 'c1', number: '104031', grade: '70', points: '5' }] },
+                { id: 's2', order: 2, courses: [{ id: 'c2', number: '104031', grade: '', points: '5' }] }
+            ]
+        };
+        expect(buildGradesReport(retake).cumulative.average).toBe(70);
+        expect(buildGradesReport(retake, { c2: '90' }).cumulative.average).toBe(90);
+    });
+});
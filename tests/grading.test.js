@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Unit tests for grading.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, '../js/grading.js'), 'utf8'));
+
+const { computeComponentScore, computeSchemeGrade, solveRequiredScore, applySchemeGrade, unlinkHomeworkFromComponents } = window;
+
+/**
+ * Builds a course with four homework items and the given components.
+ */
+function course(components, scores = [90, 70, '', 100]) {
+    return {
+        grade: '',
+        homework: scores.map((score, index) => ({ id: `hw${index + 1}`, title: `HW ${index + 1}`, score })),
+        gradeComponents: components
+    };
+}
+
+const component = (overrides) => ({ id: 'g', name: 'Component', weight: 0, score: '', bestOf: 0, homeworkIds: [], ...overrides });
+
+describe('computeComponentScore', () => {
+    test('should use the manual score of an unlinked component', () => {
+        expect(computeComponentScore(component({ score: 0 }), course([]))).toMatchObject({ score: 0, complete: true });
+        expect(computeComponentScore(component({ score: '' }), course([]))).toMatchObject({ score: null, complete: false });
+    });
+
+    test('should average linked homework and stay incomplete while some are ungraded', () => {
+        const result = computeComponentScore(component({ homeworkIds: ['hw1', 'hw2', 'hw3'] }), course([]));
+        expect(result.score).toBe(80);
+        expect(result.complete).toBe(false);
+    });
+
+    test('should count only the best N of M', () => {
+        const result = computeComponentScore(component({ homeworkIds: ['hw1', 'hw2', 'hw3', 'hw4'], bestOf: 2 }), course([]));
+        expect(result).toEqual({ score: 95, complete: true, countedIds: ['hw4', 'hw1'] });
+    });
+
+    test('should ignore links to deleted homework', () => {
+        const result = computeComponentScore(component({ homeworkIds: ['hw1', 'gone'] }), course([]));
+        expect(result).toMatchObject({ score: 90, complete: true });
+    });
+});
+
+describe('computeSchemeGrade', () => {
+    const components = [
+        component({ id: 'hw', weight: 20, homeworkIds: ['hw1', 'hw2', 'hw4'] }),
+        component({ id: 'mid', weight: 30, score: 70 }),
+        component({ id: 'final', weight: 50 })
+    ];
+
+    test('should compute the current weighted average of graded components', () => {
+        const scheme = computeSchemeGrade(course(components));
+        expect(scheme.gradedWeight).toBe(50);
+        expect(scheme.current).toBeCloseTo((20 * 260 / 3 + 30 * 70) / 50);
+        expect(scheme.final).toBeNull();
+    });
+
+    test('should compute the final grade once every component is complete', () => {
+        const done = components.map(c => (c.id === 'final' ? { ...c, score: 80 } : c));
+        expect(computeSchemeGrade(course(done)).final).toBeCloseTo((20 * 260 / 3 + 30 * 70 + 50 * 80) / 100);
+    });
+
+    test('should normalize by the total weight', () => {
+        const scheme = computeSchemeGrade(course([component({ weight: 40, score: 60 }), component({ id: 'b', weight: 40, score: 80 })]));
+        expect(scheme.totalWeight).toBe(80);
+        expect(scheme.final).toBe(70);
+    });
+});
+
+describe('solveRequiredScore', () => {
+    const components = [
+        component({ id: 'mid', name: 'Midterm', weight: 30, score: 60 }),
+        component({ id: 'final', name: 'Final', weight: 70 })
+    ];
+
+    test('should answer what is needed on the final', () => {
+        const { needed, remaining } = solveRequiredScore(course(components), 81);
+        expect(needed).toBeCloseTo(90);
+        expect(remaining.map(c => c.name)).toEqual(['Final']);
+    });
+
+    test('should allow answers outside 0-100', () => {
+        expect(solveRequiredScore(course(components), 100).needed).toBeGreaterThan(100);
+        expect(solveRequiredScore(course(components), 10).needed).toBeLessThan(0);
+    });
+
+    test('should keep a partly scored best-N-of-M component remaining', () => {
+        const partial = [
+            component({ id: 'hw', name: 'Homework', weight: 40, homeworkIds: ['hw1', 'hw2', 'hw3', 'hw4'], bestOf: 4 }),
+            component({ id: 'final', name: 'Final', weight: 60, score: 80 })
+        ];
+        const { needed, remaining } = solveRequiredScore(course(partial), 86);
+        expect(needed).toBeCloseTo(95);
+        expect(remaining.map(c => [c.name, c.partial])).toEqual([['Homework', true]]);
+    });
+
+    test('should return null when everything is graded', () => {
+        const done = components.map(c => ({ ...c, score: 90 }));
+        expect(solveRequiredScore(course(done), 85).needed).toBeNull();
+    });
+});
+
+describe('applySchemeGrade', () => {
+    test('should set the rounded final grade', () => {
+        const c = course([component({ weight: 50, score: 85 }), component({ id: 'b', weight: 50, score: 90 })]);
+        applySchemeGrade(c);
+        expect(c.grade).toBe('88');
+    });
+
+    test('should keep the manual grade while the scheme is incomplete', () => {
+        const c = { ...course([component({ weight: 100 })]), grade: '75' };
+        applySchemeGrade(c);
+        expect(c.grade).toBe('75');
+
+        c.gradeComponents[0].score = 60;
+        applySchemeGrade(c);
+        expect(c.grade).toBe('60');
+    });
+
+    test('should leave courses without components alone', () => {
+        const c = { ...course([]), grade: 'Pass' };
+        applySchemeGrade(c);
+        expect(c.grade).toBe('Pass');
+    });
+});
+
+describe('unlinkHomeworkFromComponents', () => {
+    test('should drop the homework from every component and recompute', () => {
+        const c = course([component({ weight: 100, homeworkIds: ['hw1', 'hw3'] })]);
+        unlinkHomeworkFromComponents(c, 'hw3');
+        expect(c.gradeComponents[0].homeworkIds).toEqual(['hw1']);
+        expect(c.grade).toBe('90');
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Unit tests for history.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_DATA_VERSION = 10;
+global.STORAGE_KEYS = {
+    PROFILES: 'tollab_profiles',
+    ACTIVE_PROFILE: 'tollab_active',
+    DATA_PREFIX: 'tollab_',
+    TAB_SYNC: 'tollab_tab_sync'
+};
+global.TIME_UPDATE_INTERVAL = 60000;
+global.COLOR_THEMES = { COLORFUL: 'colorful' };
+global.DEFAULT_THEME_SETTINGS = { theme: 'light', showCompleted: true, showWatchedRecordings: false, colorTheme: 'colorful', baseColorHue: 200 };
+global.DEFAULT_CALENDAR_SETTINGS = { startHour: 8, endHour: 20, visibleDays: [0, 1, 2, 3, 4, 5] };
+global.DEFAULT_RECORDING_TABS = [{ id: 'lectures', name: 'Lectures' }, { id: 'tutorials', name: 'Tutorials' }];
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+global.compareSemesters = () => 0;
+
+// UI modules the state code calls into
+global.BackupManager = { snapshot: jest.fn() };
+global.renderAll = jest.fn();
+global.renderCurrentTime = jest.fn();
+global.refreshOpenCourseModal = jest.fn();
+
+// State, history and tab sync share top-level bindings, so load them as one script
+const code = ['storage.js', 'state.js', 'history.js', 'sync-merge.js', 'tab-sync.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'))
+    .join('\n');
+eval(`${code}
+window.loadData = loadData;
+Object.defineProperty(window, 'currentAppData', { get: () => appData });`);
+
+const { HistoryManager, saveData, loadData, undoLastChange, redoLastChange, withUndoAction } = window;
+
+/**
+ * Builds a v3 payload with one semester containing the given courses.
+ */
+function payload(courses) {
+    return { v: 3, t: '2024-05-20T10:00:00.000Z', d: [{ i: 's1', n: 'Spring 2024', c: courses }] };
+}
+
+/**
+ * Switches the active profile the way profile.js does.
+ */
+function switchTo(profileId) {
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, profileId);
+    loadData();
+}
+
+/**
+ * Renames the first course and saves.
+ */
+function renameCourse(name) {
+    window.currentAppData.semesters[0].courses[0].name = name;
+    saveData();
+}
+
+const courseName = () => window.currentAppData.semesters[0].courses[0].name;
+
+let profileCounter = 0;
+let mainProfile;
+let otherProfile;
+
+beforeEach(() => {
+    // Fresh profiles per test, since history outlives loadData()
+    mainProfile = `p${++profileCounter}`;
+    otherProfile = `p${++profileCounter}`;
+    localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify([{ id: mainProfile, name: 'Main' }, { id: otherProfile, name: 'Other' }]));
+    localStorage.setItem(STORAGE_KEYS.DATA_PREFIX + mainProfile, JSON.stringify(payload([{ i: 'c1', n: 'Calculus' }])));
+    localStorage.setItem(STORAGE_KEYS.DATA_PREFIX + otherProfile, JSON.stringify(payload([{ i: 'c9', n: 'Algebra' }])));
+    switchTo(mainProfile);
+    jest.clearAllMocks();
+});
+
+describe('HistoryManager undo / redo', () => {
+    test('should step back and forth through saved changes', () => {
+        renameCourse('Calculus 1');
+        renameCourse('Calculus 2');
+
+        expect(HistoryManager.canUndo()).toBe(true);
+        expect(HistoryManager.undo()).toBe(true);
+        expect(courseName()).toBe('Calculus 1');
+        expect(HistoryManager.undo()).toBe(true);
+        expect(courseName()).toBe('Calculus');
+        expect(HistoryManager.undo()).toBe(false);
+
+        expect(HistoryManager.redo()).toBe(true);
+        expect(courseName()).toBe('Calculus 1');
+        expect(HistoryManager.canRedo()).toBe(true);
+        expect(renderAll).toHaveBeenCalled();
+    });
+
+    test('should persist the restored state without recording it', () => {
+        renameCourse('Calculus 1');
+        HistoryManager.undo();
+
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.DATA_PREFIX + mainProfile));
+        expect(stored.d[0].c[0].n).toBe('Calculus');
+        expect(HistoryManager.canUndo()).toBe(false);
+        expect(HistoryManager.canRedo()).toBe(true);
+    });
+
+    test('should not record saves without changes', () => {
+        saveData();
+        expect(HistoryManager.canUndo()).toBe(false);
+    });
+
+    test('should clear the redo steps after a new change', () => {
+        renameCourse('Calculus 1');
+        HistoryManager.undo();
+        renameCourse('Calculus A');
+
+        expect(HistoryManager.canRedo()).toBe(false);
+        expect(HistoryManager.redo()).toBe(false);
+        HistoryManager.undo();
+        expect(courseName()).toBe('Calculus');
+    });
+
+    test('should keep only the last 50 steps', () => {
+        for (let i = 1; i <= 55; i++) renameCourse(`Calculus ${i}`);
+
+        let steps = 0;
+        while (HistoryManager.undo()) steps++;
+        expect(steps).toBe(50);
+        expect(courseName()).toBe('Calculus 5');
+    });
+});
+
+describe('HistoryManager profiles', () => {
+    test('should keep a separate history per profile', () => {
+        renameCourse('Calculus 1');
+
+        switchTo(otherProfile);
+        expect(courseName()).toBe('Algebra');
+        expect(HistoryManager.canUndo()).toBe(false);
+        renameCourse('Linear Algebra');
+
+        switchTo(mainProfile);
+        expect(HistoryManager.undo()).toBe(true);
+        expect(courseName()).toBe('Calculus');
+
+        switchTo(otherProfile);
+        expect(HistoryManager.undo()).toBe(true);
+        expect(courseName()).toBe('Algebra');
+    });
+});
+
+describe('withUndoAction', () => {
+    test('should undo the change just saved', () => {
+        renameCourse('Calculus 1');
+        const options = withUndoAction({ duration: 5000 });
+
+        expect(options).toMatchObject({ duration: 5000, actionLabel: 'Undo' });
+        options.action();
+        expect(courseName()).toBe('Calculus');
+    });
+
+    test('should not undo a newer change', () => {
+        renameCourse('Calculus 1');
+        const { action } = withUndoAction();
+        renameCourse('Calculus 2');
+
+        action();
+        expect(courseName()).toBe('Calculus 2');
+        expect(ToastManager.info).toHaveBeenCalledWith('Newer changes were made', expect.any(Object));
+    });
+
+    test('should tell the user when there is nothing to undo or redo', () => {
+        undoLastChange();
+        redoLastChange();
+        expect(ToastManager.info).toHaveBeenCalledWith('Nothing to undo');
+        expect(ToastManager.info).toHaveBeenCalledWith('Nothing to redo');
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Unit tests for ics-export.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.generateId = () => Math.random().toString(36).slice(2);
+
+['assessments.js', 'exam-planner.js', 'ics-export.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { escapeICSText, foldICSLine, buildSemesterCalendar } = window;
+
+const semester = {
+    name: 'Spring 2025',
+    courses: [{
+        id: 'c1',
+        name: 'Calculus, Part 1',
+        number: '104031',
+        lecturer: 'Dr. Cohen',
+        location: 'Ullmann 101',
+        schedule: [{ day: 2, start: '10:30', end: '12:30' }, { day: 0, start: '08:30', end: '09:30' }],
+        homework: [
+            { id: 'hw1', title: 'HW 1', dueDate: '2025-04-01', completed: true, notes: '' },
+            { id: 'hw2', title: 'HW 2', dueDate: '', completed: false, notes: '' }
+        ],
+        assessments: [
+            { id: 'a1', type: 'moedA', date: '2025-07-10', startTime: '09:00', endTime: '', location: 'Taub 1', weight: 70, notes: '' },
+            { id: 'a2', type: 'quiz', date: '2025-05-01', startTime: '', endTime: '', location: '', weight: '', notes: '' }
+        ]
+    }]
+};
+
+const options = { startDate: '2025-03-23', endDate: '2025-07-04', now: new Date('2025-03-01T12:00:00Z') };
+
+/**
+ * Splits a calendar into unfolded events keyed by UID.
+ */
+function eventsOf(ics) {
+    const unfolded = ics.replace(/\r\n /g, '');
+    return Object.fromEntries(unfolded.split('BEGIN:VEVENT').slice(1).map(block => {
+        const lines = block.split('\r\n');
+        return [lines.find(l => l.startsWith('UID:')).slice(4), lines];
+    }));
+}
+
+describe('escapeICSText and foldICSLine', () => {
+    test('should escape TEXT special characters', () => {
+        expect(escapeICSText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+    });
+
+    test('should fold long lines at 75 octets without splitting characters', () => {
+        const folded = foldICSLine(`SUMMARY:${'א'.repeat(60)}`);
+        const lines = folded.split('\r\n');
+        lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+        expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'א'.repeat(60)}`);
+    });
+});
+
+describe('buildSemesterCalendar', () => {
+    const ics = buildSemesterCalendar(semester, options);
+    const events = eventsOf(ics);
+
+    test('should produce a CRLF calendar with stable UIDs', () => {
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(Object.keys(events).sort()).toEqual([
+            'c1-a1@tollab', 'c1-a2@tollab', 'c1-class-0-0830@tollab', 'c1-class-2-1030@tollab', 'c1-hw-hw1@tollab'
+        ]);
+        expect(buildSemesterCalendar(semester, options)).toBe(ics);
+    });
+
+    test('should repeat class slots weekly from their first weekday in range', () => {
+        const tuesday = events['c1-class-2-1030@tollab'];
+        expect(tuesday).toEqual(expect.arrayContaining([
+            'DTSTAMP:20250301T120000Z',
+            'DTSTART:20250325T103000',
+            'DTEND:20250325T123000',
+            'RRULE:FREQ=WEEKLY;UNTIL=20250704T235959',
+            'SUMMARY:Calculus\\, Part 1',
+            'LOCATION:Ullmann 101',
+            'DESCRIPTION:Dr. Cohen\\n104031'
+        ]));
+        expect(events['c1-class-0-0830@tollab']).toContain('DTSTART:20250323T083000');
+    });
+
+    test('should export homework as all-day events', () => {
+        expect(events['c1-hw-hw1@tollab']).toEqual(expect.arrayContaining([
+            'DTSTART;VALUE=DATE:20250401',
+            'DTEND;VALUE=DATE:20250402',
+            'SUMMARY:✓ HW 1 (Calculus\\, Part 1)'
+        ]));
+    });
+
+    test('should export assessments with a reminder the day before', () => {
+        expect(events['c1-a1@tollab']).toEqual(expect.arrayContaining([
+            'DTSTART:20250710T090000',
+            'DURATION:PT3H',
+            'SUMMARY:Moed A: Calculus\\, Part 1',
+            'LOCATION:Taub 1',
+            'DESCRIPTION:Weight: 70%',
+            'BEGIN:VALARM',
+            'TRIGGER:-P1D'
+        ]));
+        expect(events['c1-a2@tollab']).toContain('DTSTART;VALUE=DATE:20250501');
+    });
+
+    test('should skip class slots on holidays', () => {
+        const withHolidays = {
+            ...semester,
+            holidays: [
+                { id: 'h1', name: 'Passover', startDate: '2025-04-12', endDate: '2025-04-19' },
+                { id: 'h2', name: 'Independence Day', startDate: '2025-05-01', endDate: '' }
+            ]
+        };
+        const holidayEvents = eventsOf(buildSemesterCalendar(withHolidays, options));
+        expect(holidayEvents['c1-class-2-1030@tollab']).toContain('EXDATE:20250415T103000');
+        expect(holidayEvents['c1-class-0-0830@tollab']).toContain('EXDATE:20250413T083000');
+    });
+
+    test('should leave out unselected kinds and slots that never fall in range', () => {
+        const examsOnly = eventsOf(buildSemesterCalendar(semester, { ...options, classes: false, homework: false }));
+        expect(Object.keys(examsOnly)).toEqual(['c1-a2@tollab', 'c1-a1@tollab']);
+
+        const oneDay = eventsOf(buildSemesterCalendar(semester, { ...options, endDate: '2025-03-24', homework: false, exams: false }));
+        expect(Object.keys(oneDay)).toEqual(['c1-class-0-0830@tollab']);
+    });
+});
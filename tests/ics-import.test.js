@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Unit tests for ics-import.js and the event parsing in import-export.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+
+// Course colors and defaults from constants.js and state.js
+global.appData = { settings: {} };
+global.COLOR_THEMES = { COLORFUL: 'colorful', SINGLE: 'single', MONO: 'mono' };
+global.GOLDEN_ANGLE = 137.5;
+global.DEFAULT_RECORDING_TABS = [];
+
+['validation.js', 'assessments.js', 'exam-planner.js', 'semester-dates.js', 'import-export.js', 'ics-import.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const {
+    parseICSEventBlock, parseICSDuration, expandICSRecurrence, parseICSEvents, guessICSEventKind,
+    buildICSImportGroups, matchICSPattern, resolveICSImportGroups, buildICSImportCourses, applyICSImport
+} = window;
+
+/**
+ * Wraps event lines in a calendar.
+ */
+function calendar(...events) {
+    return ['BEGIN:VCALENDAR', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR'].join('\r\n');
+}
+
+/**
+ * Formats occurrences as local yyyy-MM-dd HH:MM strings.
+ */
+function format(dates) {
+    return dates.map(date => `${window.toLocalDateString(date)} ${window.formatTimeFromDate(date)}`);
+}
+
+const lecture = [
+    'UID:lecture-1',
+    'SUMMARY:Lecture - Linear Algebra',
+    'DTSTART;TZID=Asia/Jerusalem:20250323T103000',
+    'DTEND;TZID=Asia/Jerusalem:20250323T123000',
+    'RRULE:FREQ=WEEKLY;BYDAY=SU,TU;COUNT=6',
+    'EXDATE;TZID=Asia/Jerusalem:20250325T103000',
+    'LOCATION:Room 101'
+];
+const homework = [
+    'UID:hw-1',
+    'SUMMARY:Assignment 1 is due',
+    'CATEGORIES:Linear Algebra',
+    'DTSTART:20250401T235900',
+    'DTEND:20250401T235900',
+    'DESCRIPTION:Questions 1-5\\, chapter 2\\nSubmit online',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Reminder',
+    'END:VALARM'
+];
+const exam = [
+    'UID:exam-1',
+    'SUMMARY:Final exam - Linear Algebra',
+    'DTSTART:20250710T090000',
+    'DURATION:PT3H',
+    'LOCATION:Hall 2'
+];
+
+describe('parseICSEventBlock', () => {
+    test('should read every property, unfold lines and unescape text', () => {
+        const data = parseICSEventBlock([
+            'SUMMARY:Long',
+            '  title',
+            'DTSTART;TZID="Asia/Jerusalem":20250323T103000',
+            'EXDATE:20250325T103000,20250401T103000',
+            'EXDATE:20250408T103000',
+            ...homework.slice(5)
+        ].join('\r\n'));
+
+        expect(data.SUMMARY).toBe('Long title');
+        expect(data.params.DTSTART).toEqual({ TZID: 'Asia/Jerusalem' });
+        expect(data.EXDATE).toEqual(['20250325T103000', '20250401T103000', '20250408T103000']);
+        expect(data.DESCRIPTION).toBe('Questions 1-5, chapter 2\nSubmit online');
+    });
+});
+
+describe('expandICSRecurrence', () => {
+    test('should expand weekly rules on several days without excluded dates', () => {
+        const data = parseICSEventBlock(lecture.join('\n'));
+        expect(format(expandICSRecurrence(data))).toEqual([
+            '2025-03-23 10:30', '2025-03-30 10:30', '2025-04-01 10:30', '2025-04-06 10:30', '2025-04-08 10:30'
+        ]);
+    });
+
+    test('should stop at UNTIL, step by INTERVAL and skip missing month days', () => {
+        const biweekly = { DTSTART: '20250302T080000', RRULE: 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20250330' };
+        expect(format(expandICSRecurrence(biweekly))).toEqual(['2025-03-02 08:00', '2025-03-16 08:00', '2025-03-30 08:00']);
+
+        const monthly = { DTSTART: '20250131', RRULE: 'FREQ=MONTHLY;COUNT=3', EXDATE: ['20250331'], RDATE: ['20250415'] };
+        expect(expandICSRecurrence(monthly).map(window.toLocalDateString)).toEqual(['2025-01-31', '2025-04-15', '2025-05-31']);
+    });
+
+    test('should fall back to the default horizon on a malformed UNTIL and skip malformed dates', () => {
+        const daily = { DTSTART: '20250302T080000', RRULE: 'FREQ=DAILY;UNTIL=2025XX30', EXDATE: ['garbage'] };
+        const dates = expandICSRecurrence(daily);
+        expect(dates).toHaveLength(401);
+        expect(format(dates.slice(0, 2))).toEqual(['2025-03-02 08:00', '2025-03-03 08:00']);
+
+        expect(expandICSRecurrence({ DTSTART: 'garbage', RRULE: 'FREQ=WEEKLY;UNTIL=garbage' })).toEqual([]);
+        expect(parseICSEvents(calendar(['SUMMARY:Broken', 'DTSTART:garbage', 'RRULE:FREQ=DAILY']))).toEqual([]);
+    });
+
+    test('should read durations', () => {
+        expect(parseICSDuration('PT1H30M')).toBe(90 * 60000);
+        expect(parseICSDuration('P1DT2H')).toBe(26 * 3600000);
+        expect(parseICSDuration('soon')).toBeNull();
+    });
+});
+
+describe('parseICSEvents', () => {
+    test('should apply moved and cancelled occurrences to their recurring event', () => {
+        const moved = ['UID:lecture-1', 'RECURRENCE-ID:20250330T103000', 'SUMMARY:Lecture - Linear Algebra',
+            'DTSTART:20250331T140000', 'DTEND:20250331T160000'];
+        const cancelled = ['UID:lecture-1', 'RECURRENCE-ID:20250406T103000', 'STATUS:CANCELLED',
+            'SUMMARY:Lecture - Linear Algebra', 'DTSTART:20250406T103000'];
+        const [master, override] = parseICSEvents(calendar(lecture, moved, cancelled));
+
+        expect(format(master.occurrences)).toEqual(['2025-03-23 10:30', '2025-04-01 10:30', '2025-04-08 10:30']);
+        expect(format(override.occurrences)).toEqual(['2025-03-31 14:00']);
+        expect(master.duration).toBe(2 * 3600000);
+    });
+});
+
+describe('import mapping', () => {
+    const events = () => parseICSEvents(calendar(lecture, homework, exam));
+
+    test('should guess the kind and course of each event', () => {
+        const groups = buildICSImportGroups(events());
+        expect(groups.map(g => [g.guess.kind, g.guess.course])).toEqual([
+            ['slot', 'Linear Algebra'],
+            ['homework', 'Linear Algebra'],
+            ['exam', 'Linear Algebra']
+        ]);
+        expect(guessICSEventKind({ summary: 'Office hours', allDay: false, occurrences: [new Date()] })).toBe('skip');
+    });
+
+    test('should map titles by text or regular expression, with manual changes winning', () => {
+        expect(matchICSPattern('Final exam - Linear Algebra', 'EXAM')).toBeTruthy();
+        expect(matchICSPattern('Final exam - Linear Algebra', '/^final exam - (.+)$/i')[1]).toBe('Linear Algebra');
+        expect(matchICSPattern('Final exam', '/(/')).toBeNull();
+
+        const groups = buildICSImportGroups(events());
+        groups[1].manual.kind = 'skip';
+        const rules = [
+            { pattern: '/exam - (.+)$/i', course: '$1', kind: '' },
+            { pattern: 'assignment', course: 'Other course', kind: 'exam' }
+        ];
+        expect(resolveICSImportGroups(groups, rules).map(g => [g.course, g.kind])).toEqual([
+            ['Linear Algebra', 'slot'],
+            ['Other course', 'skip'],
+            ['Linear Algebra', 'exam']
+        ]);
+    });
+
+    test('should build slots, homework and exams and add only what a course lacks', () => {
+        const groups = resolveICSImportGroups(buildICSImportGroups(events()), []);
+        const [course] = buildICSImportCourses(groups);
+
+        expect(course.schedule).toEqual([
+            { day: 0, start: '10:30', end: '12:30', room: 'Room 101', instructor: '', type: 'lecture', group: '' },
+            { day: 2, start: '10:30', end: '12:30', room: 'Room 101', instructor: '', type: 'lecture', group: '' }
+        ]);
+        expect(course.homework).toEqual([{ title: 'Assignment 1 is due', dueDate: '2025-04-01', notes: 'Questions 1-5, chapter 2\nSubmit online' }]);
+        expect(course.assessments).toEqual([
+            { type: 'other', date: '2025-07-10', startTime: '09:00', endTime: '12:00', location: 'Hall 2' }
+        ]);
+
+        const semester = { courses: [] };
+        expect(applyICSImport(semester, [course])).toEqual({ created: 1, updated: 0 });
+        expect(semester.courses[0]).toMatchObject({ name: 'Linear Algebra', schedule: course.schedule });
+        expect(semester.courses[0].homework[0]).toMatchObject({ title: 'Assignment 1 is due', completed: false });
+
+        expect(applyICSImport(semester, buildICSImportCourses(groups))).toEqual({ created: 0, updated: 0 });
+        semester.courses[0].schedule.pop();
+        expect(applyICSImport(semester, buildICSImportCourses(groups))).toEqual({ created: 0, updated: 1 });
+        expect(semester.courses[0].schedule).toHaveLength(2);
+    });
+});
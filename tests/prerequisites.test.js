@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Unit tests for prerequisites.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Newest first, like the real compareSemesters (by year, then Spring < Summer < Winter)
+global.compareSemesters = (a, b) => {
+    const year = name => Number((name.match(/\d{4}/) || [0])[0]);
+    const season = name => (/spring/i.test(name) ? 1 : /summer/i.test(name) ? 2 : 3);
+    return year(b.name) - year(a.name) || season(b.name) - season(a.name);
+};
+
+['grades.js', 'catalog.js', 'prerequisites.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const {
+    parsePrerequisites, parseLinkedCourses, findMissingPrerequisites, buildPrerequisiteGraph,
+    collectCompletedCourses, checkPrerequisites, describePrerequisiteCheck, findEligibleCourses
+} = window;
+
+/**
+ * Builds a catalog entry.
+ */
+function entry(number, name, prerequisites = '', linked = '') {
+    return {
+        general: {
+            'מספר מקצוע': number, 'שם מקצוע': name, 'נקודות': '3',
+            'מקצועות קדם': prerequisites, 'מקצועות צמודים': linked
+        }
+    };
+}
+
+const catalog = [
+    entry('01040012', 'Calculus 1'),
+    entry('01040064', 'Algebra 1'),
+    entry('01040036', 'Calculus 1 Extended'),
+    entry('01040013', 'Calculus 2', '(01040012 ו- 01040064) או 01040036'),
+    entry('01140071', 'Physics 1', '01040012', '01040013'),
+    entry('02340114', 'Intro to CS')
+];
+
+// Winter: Calculus 1 passed, Algebra 1 failed; Spring: Algebra 1 passed
+const semesters = [
+    { name: 'Winter 2024-2025', courses: [{ number: '01040012', grade: '78' }, { number: '01040064', grade: '40' }] },
+    { name: 'Spring 2025', courses: [{ number: '1040064', grade: '65' }] }
+];
+
+describe('parsePrerequisites', () => {
+    test('should read and/or groups with "and" binding tighter', () => {
+        expect(parsePrerequisites('(01040012 ו- 01040064) או 01040036')).toEqual({
+            type: 'or',
+            items: [
+                { type: 'and', items: [{ type: 'course', number: '01040012' }, { type: 'course', number: '01040064' }] },
+                { type: 'course', number: '01040036' }
+            ]
+        });
+        expect(parsePrerequisites('01040012 ו- 01040064 או 01040036').type).toBe('or');
+    });
+
+    test('should return null for empty or unreadable text', () => {
+        expect(parsePrerequisites('')).toBeNull();
+        expect(parsePrerequisites('(01040012 ו-')).toBeNull();
+        expect(parseLinkedCourses('01040013 01040013 02340114')).toEqual(['01040013', '02340114']);
+    });
+});
+
+describe('findMissingPrerequisites', () => {
+    test('should report the alternative missing the fewest courses', () => {
+        const tree = parsePrerequisites('(01040012 ו- 01040064) או (01040036 ו- 01040064 ו- 02340114)');
+        expect(findMissingPrerequisites(tree, number => number === '01040012')).toEqual(['01040064']);
+        expect(findMissingPrerequisites(tree, () => true)).toEqual([]);
+    });
+});
+
+describe('buildPrerequisiteGraph', () => {
+    test('should link each course to the courses that need it', () => {
+        const graph = buildPrerequisiteGraph(catalog);
+        expect(graph.get('1040012').requiredBy).toEqual(['01040013', '01140071']);
+        expect(graph.get('1140071').linked).toEqual(['01040013']);
+        expect(buildPrerequisiteGraph(catalog)).toBe(graph);
+    });
+});
+
+describe('checkPrerequisites', () => {
+    test('should only count courses passed in earlier semesters', () => {
+        const graph = buildPrerequisiteGraph(catalog);
+        const calculus2 = graph.get('1040013');
+
+        const afterWinter = collectCompletedCourses(semesters, semesters[1]);
+        const check = checkPrerequisites(calculus2, afterWinter);
+        expect(check).toEqual({ notTaken: [], notPassed: ['01040064'], linked: [] });
+        expect(describePrerequisiteCheck(check, graph)).toBe('Missing prerequisites: 01040064 Algebra 1 (not passed)');
+
+        const afterSpring = collectCompletedCourses(semesters, { name: 'Winter 2025-2026' });
+        expect(checkPrerequisites(calculus2, afterSpring).notPassed).toEqual([]);
+    });
+
+    test('should accept linked courses taken in the same semester', () => {
+        const graph = buildPrerequisiteGraph(catalog);
+        const history = collectCompletedCourses(semesters, { name: 'Winter 2025-2026' });
+        const physics = graph.get('1140071');
+
+        expect(checkPrerequisites(physics, history).linked).toEqual(['01040013']);
+        expect(checkPrerequisites(physics, history, ['01040013']).linked).toEqual([]);
+        expect(describePrerequisiteCheck(checkPrerequisites(physics, history), graph))
+            .toBe('Take before or alongside: 01040013 Calculus 2');
+    });
+});
+
+describe('findEligibleCourses', () => {
+    test('should list untaken courses whose prerequisites are passed', () => {
+        const graph = buildPrerequisiteGraph(catalog);
+        expect(findEligibleCourses(graph, semesters).map(node => node.number)).toEqual(['01040013', '01140071']);
+        expect(findEligibleCourses(graph, [semesters[0]]).map(node => node.number)).toEqual(['01140071']);
+    });
+});
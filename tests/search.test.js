@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Unit tests for search.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+eval(fs.readFileSync(path.join(__dirname, '../js/search.js'), 'utf8'));
+
+const { buildSearchIndex, searchIndex, fuzzyMatchScore, buildSearchSnippet } = window;
+
+const data = {
+    semesters: [
+        {
+            id: 's1',
+            name: 'Winter 2023-2024',
+            courses: [{
+                id: 'c1',
+                name: 'Linear Algebra 1',
+                number: '104166',
+                lecturer: 'Dr. Levi',
+                notes: 'Exam covers chapters 1-6, focus on diagonalization.',
+                homework: [
+                    { id: 'h1', title: 'HW 3 - Eigenvalues', notes: '', links: [] },
+                    { id: 'h2', title: 'HW 4', notes: 'Questions about eigenvectors and bases', links: [{ label: 'Solution sketch', url: 'https://x' }] }
+                ],
+                recordings: { tabs: [{ id: 'lectures', name: 'Lectures', items: [{ id: 'r1', name: 'Lecture 7 - Eigenvalues' }] }] }
+            }]
+        },
+        {
+            id: 's2',
+            name: 'Spring 2024',
+            courses: [{
+                id: 'c2',
+                name: 'Physics 1',
+                number: '114051',
+                lecturer: 'Prof. Cohen',
+                notes: '',
+                homework: [{ id: 'h3', title: 'Kinematics', notes: '', links: [] }],
+                recordings: { tabs: [{ id: 'lectures', name: 'Lectures', items: [] }] }
+            }]
+        }
+    ]
+};
+
+describe('buildSearchIndex', () => {
+    test('should index courses, homework and recordings of every semester', () => {
+        const index = buildSearchIndex(data);
+        expect(index.filter(e => e.type === 'course').map(e => e.semesterId)).toEqual(['s1', 's2']);
+        expect(index.filter(e => e.type === 'homework')).toHaveLength(3);
+        expect(index.find(e => e.type === 'recording')).toMatchObject({
+            courseId: 'c1',
+            target: { tab: 'recordings', highlight: { type: 'recording', tabId: 'lectures', index: 0 } }
+        });
+    });
+});
+
+describe('fuzzyMatchScore', () => {
+    test('should rank word-start matches above inner matches', () => {
+        expect(fuzzyMatchScore('alg', 'linear algebra')).toBeGreaterThan(fuzzyMatchScore('geb', 'linear algebra'));
+    });
+
+    test('should match scattered characters in order', () => {
+        expect(fuzzyMatchScore('eignvl', 'eigenvalues')).toBeGreaterThan(0);
+        expect(fuzzyMatchScore('lvx', 'linear algebra')).toBe(0);
+    });
+
+    test('should not fuzzy-match very short words', () => {
+        expect(fuzzyMatchScore('lb', 'linear algebra')).toBe(0);
+    });
+});
+
+describe('searchIndex', () => {
+    const index = buildSearchIndex(data);
+
+    test('should group results and put the best group first', () => {
+        const groups = searchIndex(index, 'eigenvalues');
+        expect(groups.map(g => g.label)).toEqual(['Homework', 'Recordings']);
+        expect(groups[0].results[0].entry.title).toBe('HW 3 - Eigenvalues');
+    });
+
+    test('should search homework notes and link labels', () => {
+        const results = searchIndex(index, 'eigenvectors')[0].results;
+        expect(results[0].entry.title).toBe('HW 4');
+        expect(results[0].field.label).toBe('Notes');
+
+        expect(searchIndex(index, 'solution')[0].results[0].field.label).toBe('Links');
+    });
+
+    test('should match course numbers, lecturers and notes', () => {
+        expect(searchIndex(index, '114051')[0].results[0].entry.courseId).toBe('c2');
+        expect(searchIndex(index, 'cohen')[0].results[0].field).toMatchObject({ label: 'Lecturer', fieldId: 'course-lecturer' });
+        expect(searchIndex(index, 'diagonal')[0].results[0].field.fieldId).toBe('course-notes');
+    });
+
+    test('should require every word to match', () => {
+        expect(searchIndex(index, 'hw eigen')[0].results.map(r => r.entry.title)).toEqual(['HW 3 - Eigenvalues', 'HW 4']);
+        expect(searchIndex(index, 'hw eigenvalues')[0].results.map(r => r.entry.title)).toEqual(['HW 3 - Eigenvalues']);
+        expect(searchIndex(index, 'physics eigen')).toEqual([]);
+    });
+
+    test('should ignore case and diacritics', () => {
+        expect(searchIndex(index, 'PHYSÍCS')[0].results[0].entry.courseId).toBe('c2');
+    });
+
+    test('should return nothing for an empty query', () => {
+        expect(searchIndex(index, '   ')).toEqual([]);
+    });
+});
+
+describe('buildSearchSnippet', () => {
+    test('should cut long text around the match', () => {
+        const text = `${'a'.repeat(100)} the keyword appears here ${'b'.repeat(100)}`;
+        const snippet = buildSearchSnippet(text, 'keyword');
+        expect(snippet.startsWith('…')).toBe(true);
+        expect(snippet.endsWith('…')).toBe(true);
+        expect(snippet).toContain('keyword appears here');
+    });
+
+    test('should find the match when normalizing changes the text length', () => {
+        const text = `${'e\u0301'.repeat(100)} the keyword appears here ${'b'.repeat(100)}`;
+        const snippet = buildSearchSnippet(text, 'keyword');
+        expect(snippet).toContain('keyword appears here');
+        expect(buildSearchSnippet(`${'\u0130'.repeat(60)} keyword`, 'keyword')).toContain('keyword');
+    });
+});
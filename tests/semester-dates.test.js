@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Unit tests for semester-dates.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.generateId = () => Math.random().toString(36).slice(2);
+
+// Semester name helpers from utils.js
+global.extractYear = name => Number((name.match(/\d{4}/) || [0])[0]);
+global.getSeasonValue = name => (/spring/i.test(name) ? 1 : /summer/i.test(name) ? 2 : /winter/i.test(name) ? 3 : 0);
+
+['validation.js', 'exam-planner.js', 'semester-dates.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const {
+    getSemesterWeek, findHoliday, isClassDay, describeSemesterWeek,
+    validateSemesterDates, matchSapSemesterDates, applySapSemesterDates
+} = window;
+
+// Spring 2025: Sunday March 23 to Friday July 4, with Passover and one day off
+const semester = {
+    name: 'Spring 2025',
+    startDate: '2025-03-23',
+    endDate: '2025-07-04',
+    holidays: [
+        { id: 'h1', name: 'Passover', startDate: '2025-04-12', endDate: '2025-04-19' },
+        { id: 'h2', name: 'Independence Day', startDate: '2025-05-01', endDate: '' }
+    ]
+};
+
+describe('getSemesterWeek and describeSemesterWeek', () => {
+    test('should number Sunday-to-Saturday weeks from the start date', () => {
+        expect(getSemesterWeek(semester, '2025-03-23')).toEqual({ week: 1, total: 15 });
+        expect(getSemesterWeek(semester, '2025-03-29')).toEqual({ week: 1, total: 15 });
+        expect(getSemesterWeek(semester, '2025-05-06')).toEqual({ week: 7, total: 15 });
+        expect(describeSemesterWeek(semester, '2025-07-04')).toBe('Week 15 of 15');
+    });
+
+    test('should count a mid-week start as week 1', () => {
+        const midWeek = { startDate: '2025-10-22', endDate: '2026-01-23' };
+        expect(getSemesterWeek(midWeek, '2025-10-26')).toEqual({ week: 2, total: 14 });
+    });
+
+    test('should describe dates outside the semester', () => {
+        expect(getSemesterWeek(semester, '2025-03-22')).toBeNull();
+        expect(describeSemesterWeek(semester, '2025-03-01')).toBe('Semester starts Mar 23');
+        expect(describeSemesterWeek(semester, '2025-07-05')).toBe('Semester ended');
+        expect(describeSemesterWeek({ name: 'Spring 2025' }, '2025-05-06')).toBe('');
+    });
+});
+
+describe('findHoliday and isClassDay', () => {
+    test('should find single-day and multi-day holidays', () => {
+        expect(findHoliday(semester, '2025-04-15').name).toBe('Passover');
+        expect(findHoliday(semester, '2025-05-01').name).toBe('Independence Day');
+        expect(findHoliday(semester, '2025-05-02')).toBeNull();
+    });
+
+    test('should skip holidays and days outside the semester', () => {
+        expect(isClassDay(semester, '2025-04-14')).toBe(false);
+        expect(isClassDay(semester, '2025-03-20')).toBe(false);
+        expect(isClassDay(semester, '2025-07-06')).toBe(false);
+        expect(isClassDay(semester, '2025-05-04')).toBe(true);
+    });
+
+    test('should treat every day as a class day without semester dates', () => {
+        expect(isClassDay({ name: 'Custom' }, '2030-01-01')).toBe(true);
+    });
+});
+
+describe('validateSemesterDates', () => {
+    test('should drop holidays without a start date and sort the rest', () => {
+        const result = validateSemesterDates({
+            startDate: '2025-03-23',
+            endDate: '2025-07-04',
+            holidays: [
+                { id: 'b', name: ' Shavuot ', startDate: '2025-06-02', endDate: '2025-06-02' },
+                { id: 'x', name: 'Draft', startDate: '', endDate: '' },
+                { id: 'a', name: '', startDate: '2025-04-12', endDate: '2025-04-19' }
+            ]
+        });
+        expect(result.valid).toBe(true);
+        expect(result.value.holidays).toEqual([
+            { id: 'a', name: '', startDate: '2025-04-12', endDate: '2025-04-19' },
+            { id: 'b', name: 'Shavuot', startDate: '2025-06-02', endDate: '' }
+        ]);
+    });
+
+    test('should allow a semester without dates', () => {
+        expect(validateSemesterDates({ startDate: '', endDate: '', holidays: [] }).valid).toBe(true);
+    });
+
+    test('should reject half-set or reversed ranges', () => {
+        expect(validateSemesterDates({ startDate: '2025-03-23', endDate: '' }).error).toMatch(/both/);
+        expect(validateSemesterDates({ startDate: '2025-07-04', endDate: '2025-03-23' }).error).toMatch(/^Semester end:/);
+        expect(validateSemesterDates({
+            startDate: '',
+            endDate: '',
+            holidays: [{ name: 'Passover', startDate: '2025-04-19', endDate: '2025-04-12' }]
+        }).error).toMatch(/^Passover: /);
+    });
+});
+
+describe('matchSapSemesterDates and applySapSemesterDates', () => {
+    const sap = [
+        { year: 2024, semester: 200, start: '2024-11-17', end: '2025-03-07' },
+        { year: 2024, semester: 201, start: '23-03-2025', end: '04-07-2025' },
+        { year: 2024, semester: 202, start: '', end: '' }
+    ];
+
+    test('should map local semester names to SAP years and codes', () => {
+        expect(matchSapSemesterDates({ name: 'Winter 2024-2025' }, sap)).toEqual({ startDate: '2024-11-17', endDate: '2025-03-07' });
+        expect(matchSapSemesterDates({ name: 'Spring 2025' }, sap)).toEqual({ startDate: '2025-03-23', endDate: '2025-07-04' });
+        expect(matchSapSemesterDates({ name: 'Summer 2025' }, sap)).toBeNull();
+        expect(matchSapSemesterDates({ name: 'Special Term' }, sap)).toBeNull();
+    });
+
+    test('should only fill in semesters without dates', () => {
+        const semesters = [
+            { name: 'Winter 2024-2025', startDate: '', endDate: '' },
+            { name: 'Spring 2025', startDate: '2025-03-30', endDate: '2025-07-10' }
+        ];
+        expect(applySapSemesterDates(semesters, sap)).toBe(1);
+        expect(semesters[0].startDate).toBe('2024-11-17');
+        expect(semesters[1].startDate).toBe('2025-03-30');
+    });
+});
+
+describe('semester dates editor', () => {
+    let current;
+
+    /**
+     * Picks a date the way the user does, firing the input's change event.
+     */
+    function pickDate(id, value) {
+        document.getElementById(id).value = value;
+        document.getElementById(id).dispatchEvent(new Event('change'));
+    }
+
+    beforeAll(() => {
+        global.$ = id => document.getElementById(id);
+        global.getCurrentSemester = () => current;
+        global.saveData = jest.fn();
+        global.renderCalendar = jest.fn();
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '<input type="date" id="semester-start-date"><input type="date" id="semester-end-date">';
+        window.setupSemesterDatesEditor();
+        current = { name: 'Spring 2025', startDate: '', endDate: '', holidays: [] };
+        window.tempHolidays = [];
+    });
+
+    test('should wait quietly until both ends of the range are set or cleared', () => {
+        pickDate('semester-start-date', '2025-03-23');
+        expect(ToastManager.error).not.toHaveBeenCalled();
+        expect(saveData).not.toHaveBeenCalled();
+
+        pickDate('semester-end-date', '2025-07-04');
+        expect(current).toMatchObject({ startDate: '2025-03-23', endDate: '2025-07-04' });
+
+        pickDate('semester-start-date', '');
+        pickDate('semester-end-date', '');
+        expect(current).toMatchObject({ startDate: '', endDate: '' });
+        expect(saveData).toHaveBeenCalledTimes(2);
+        expect(ToastManager.error).not.toHaveBeenCalled();
+    });
+
+    test('should still report a reversed range', () => {
+        pickDate('semester-start-date', '2025-07-04');
+        pickDate('semester-end-date', '2025-03-23');
+        expect(ToastManager.error).toHaveBeenCalledWith('Semester end: Must be on or after the start');
+        expect(saveData).not.toHaveBeenCalled();
+    });
+});
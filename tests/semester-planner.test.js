@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Unit tests for semester-planner.js and the catalog search in catalog.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.generateId = () => Math.random().toString(36).slice(2);
+global.DEFAULT_CALENDAR_SETTINGS = { startHour: 8, endHour: 20, visibleDays: [0, 1, 2, 3, 4, 5] };
+
+// Semester name helpers from utils.js
+global.extractYear = name => Number((name.match(/\d{4}/) || [0])[0]);
+global.getSeasonValue = name => (/spring/i.test(name) ? 1 : /summer/i.test(name) ? 2 : /winter/i.test(name) ? 3 : 0);
+
+// Course creation from import-export.js and catalog-review.js
+global.createImportedCourse = (imported) => ({ id: generateId(), ...imported, points: '' });
+global.applyCatalogData = (course, entry) => { course.points = entry.general['נקודות']; };
+
+['grades.js', 'exam-planner.js', 'semester-dates.js', 'catalog.js', 'timetable.js', 'semester-planner.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const {
+    searchCatalog, formatSapSemesterName, addPlanCourse, getPlanCourseSchedule,
+    planGroupClashes, summarizePlan, buildSemesterFromPlan, getCatalogGroups
+} = window;
+
+/**
+ * Builds a catalog entry.
+ */
+function entry(number, name, points, schedule) {
+    return { general: { 'מספר מקצוע': number, 'שם מקצוע': name, 'נקודות': points }, schedule };
+}
+
+/**
+ * Builds a catalog schedule row.
+ */
+function row(type, group, day, time) {
+    return { 'מס.': group, 'סוג': type, 'יום': day, 'שעה': time };
+}
+
+// Calculus tutorial 11 clashes with the Physics lecture on Tuesday; tutorial 12 does not
+const calculus = entry('01040031', 'חשבון אינפיניטסימלי 1מ\'', '5.5', [
+    row('הרצאה', 10, 'ראשון', '8:30 - 10:30'),
+    row('תרגול', 11, 'שלישי', '10:30 - 11:30'),
+    row('תרגול', 12, 'רביעי', '12:30 - 13:30')
+]);
+const physics = entry('01140071', 'פיסיקה 1מ', '3.5', [
+    row('הרצאה', 10, 'שלישי', '10:30 - 12:30')
+]);
+const algebra = entry('01040166', 'אלגברה אמ\'', '5', [
+    row('הרצאה', 10, 'שני', '14:30 - 16:30')
+]);
+
+/**
+ * Creates an empty plan for Spring 2026.
+ */
+function createPlan() {
+    return {
+        sapSemesters: [],
+        sapSemester: { year: 2025, semester: 201, start: '2026-03-15', end: '2026-06-26' },
+        entries: [calculus, physics, algebra],
+        courses: []
+    };
+}
+
+describe('searchCatalog', () => {
+    test('should find courses by number with or without leading zeros', () => {
+        const entries = [calculus, physics, algebra];
+        expect(searchCatalog(entries, '104').map(e => e.general['מספר מקצוע'])).toEqual(['01040031', '01040166']);
+        expect(searchCatalog(entries, '01140071')).toEqual([physics]);
+    });
+
+    test('should find courses by part of the name, matches at the start first', () => {
+        const entries = [calculus, algebra, entry('00940345', 'מבוא לאלגברה', '3', [])];
+        expect(searchCatalog(entries, 'אלגברה').map(e => e.general['מספר מקצוע'])).toEqual(['01040166', '00940345']);
+        expect(searchCatalog(entries, '  ')).toEqual([]);
+    });
+});
+
+describe('formatSapSemesterName', () => {
+    test('should name SAP semesters like local semesters', () => {
+        expect(formatSapSemesterName({ year: 2025, semester: 200 })).toBe('Winter 2025-2026');
+        expect(formatSapSemesterName({ year: 2025, semester: 201 })).toBe('Spring 2026');
+        expect(formatSapSemesterName({ year: 2025, semester: 202 })).toBe('Summer 2026');
+        expect(formatSapSemesterName({ year: 2025, semester: 999 })).toBe('');
+    });
+});
+
+describe('addPlanCourse', () => {
+    test('should pick the first groups that fit the plan so far', () => {
+        const plan = createPlan();
+        addPlanCourse(plan, physics);
+        const planCourse = addPlanCourse(plan, calculus);
+
+        expect(planCourse.groups).toEqual({ lecture: '10', tutorial: '12' });
+        expect(getPlanCourseSchedule(planCourse).map(s => `${s.type} ${s.group}`)).toEqual(['lecture 10', 'tutorial 12']);
+        expect(addPlanCourse(plan, calculus)).toBeNull();
+    });
+
+    test('should mark the groups that clash with the rest of the plan', () => {
+        const plan = createPlan();
+        const planCourse = addPlanCourse(plan, calculus);
+        addPlanCourse(plan, physics);
+        const [tuesday, wednesday] = getCatalogGroups(calculus, 'tutorial');
+
+        expect(planCourse.groups.tutorial).toBe('11');
+        expect(planGroupClashes(plan, planCourse, 'tutorial', tuesday)).toBe(true);
+        expect(planGroupClashes(plan, planCourse, 'tutorial', wednesday)).toBe(false);
+    });
+});
+
+describe('summarizePlan', () => {
+    test('should total the points and list the clashes', () => {
+        const plan = createPlan();
+        [calculus, physics, algebra].forEach(e => addPlanCourse(plan, e));
+        plan.courses[0].groups.tutorial = '11';
+
+        const summary = summarizePlan(plan);
+        expect(summary.points).toBe(14);
+        expect(summary.conflicts).toHaveLength(1);
+        expect(summary.conflicts[0]).toMatchObject({ day: 2, start: '10:30', end: '11:30' });
+    });
+});
+
+describe('buildSemesterFromPlan', () => {
+    test('should create a dated semester with the picked schedule of each course', () => {
+        const plan = createPlan();
+        [calculus, physics].forEach(e => addPlanCourse(plan, e));
+
+        const semester = buildSemesterFromPlan(plan, 'Spring 2026');
+        expect(semester).toMatchObject({ name: 'Spring 2026', startDate: '2026-03-15', endDate: '2026-06-26', holidays: [] });
+        expect(semester.courses.map(c => [c.number, c.points, c.schedule.length])).toEqual([
+            ['01040031', '5.5', 2],
+            ['01140071', '3.5', 1]
+        ]);
+    });
+});
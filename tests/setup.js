@@ -28,6 +28,21 @@ Object.defineProperty(window, 'localStorage', {
     value: localStorageMock
 });
 
+// structuredClone as used by IndexedDB (missing in the jsdom environment).
+// Cloned through a MessagePort so that values such as CryptoKey survive.
+if (typeof structuredClone === 'undefined') {
+    const { MessageChannel, receiveMessageOnPort } = require('worker_threads');
+    global.structuredClone = (value) => {
+        const { port1, port2 } = new MessageChannel();
+        try {
+            port1.postMessage(value);
+            return receiveMessageOnPort(port2).message;
+        } finally {
+            port1.close();
+        }
+    };
+}
+
 // Mock DOM helper
 global.$ = (id) => document.getElementById(id);
 
@@ -62,6 +77,23 @@ global.VALIDATION_PATTERNS = {
     UUID: /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i
 };
 
+global.GRADE_CONFIG = {
+    PASSING_GRADE: 55,
+    PASS: ['pass', 'passed', 'עובר'],
+    FAIL: ['fail', 'failed', 'לא עובר', 'נכשל'],
+    EXEMPT: ['exempt', 'פטור']
+};
+
+global.ASSESSMENT_TYPES = {
+    moedA: { label: 'Moed A', final: true },
+    moedB: { label: 'Moed B', final: true },
+    moedC: { label: 'Moed C', final: true },
+    midterm: { label: 'Midterm', final: false },
+    quiz: { label: 'Quiz', final: false },
+    project: { label: 'Project / Presentation', final: false },
+    other: { label: 'Other', final: false }
+};
+
 global.CORS_PROXIES = [
     (url) => `https://api.codetabs.com/v1/proxy?quest=${encodeURIComponent(url)}`,
     (url) => `https://corsproxy.org/?${encodeURIComponent(url)}`,
@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Unit tests for the storage schema migration pipeline in state.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_DATA_VERSION = 10;
+global.DEFAULT_EXAM_MIN_GAP_DAYS = 3;
+global.COLOR_THEMES = { COLORFUL: 'colorful', SINGLE: 'single', MONO: 'mono' };
+global.DEFAULT_THEME_SETTINGS = Object.freeze({
+    theme: 'light',
+    showCompleted: true,
+    showWatchedRecordings: false,
+    colorTheme: 'colorful',
+    baseColorHue: 200
+});
+global.DEFAULT_CALENDAR_SETTINGS = Object.freeze({
+    startHour: 8,
+    endHour: 20,
+    visibleDays: [0, 1, 2, 3, 4, 5]
+});
+global.generateId = () => Math.random().toString(36).slice(2);
+global.DEFAULT_RECORDING_TABS = Object.freeze([
+    { id: 'lectures', name: 'Lectures' },
+    { id: 'tutorials', name: 'Tutorials' }
+]);
+
+// Load the state module (strict mode: functions are read back from window)
+const stateCode = fs.readFileSync(
+    path.join(__dirname, '../js/state.js'),
+    'utf8'
+);
+eval(stateCode);
+
+const { migrateStoragePayload, hydrateFromStorage, compactForStorage, STORAGE_MIGRATIONS } = window;
+
+/**
+ * Loads a frozen fixture of an old storage payload.
+ * @param {string} name - Fixture file name
+ * @returns {Object} Deep-frozen payload
+ */
+function loadFixture(name) {
+    const raw = fs.readFileSync(path.join(__dirname, 'fixtures/storage', name), 'utf8');
+    const deepFreeze = (obj) => {
+        Object.values(obj).forEach(v => {
+            if (v && typeof v === 'object') deepFreeze(v);
+        });
+        return Object.freeze(obj);
+    };
+    return deepFreeze(JSON.parse(raw));
+}
+
+describe('STORAGE_MIGRATIONS registry', () => {
+    test('should be ordered with consecutive versions', () => {
+        STORAGE_MIGRATIONS.forEach((step, index) => {
+            expect(step.to).toBe(step.from + 1);
+            if (index > 0) {
+                expect(step.from).toBe(STORAGE_MIGRATIONS[index - 1].to);
+            }
+        });
+    });
+
+    test('should end at the current storage version', () => {
+        expect(STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].to).toBe(STORAGE_DATA_VERSION);
+    });
+});
+
+describe('migration step v1 → v2', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 1);
+    const legacy = loadFixture('v1-legacy.json');
+
+    test('should not mutate the input payload', () => {
+        expect(() => step.migrate(legacy)).not.toThrow();
+    });
+
+    test('should produce a v2 compact payload', () => {
+        const result = step.migrate(legacy);
+        expect(result.v).toBe(2);
+        expect(result.t).toBe('2023-10-01T09:30:00.000Z');
+        expect(result.s).toEqual({ th: 'dark', ct: 'single', bh: 120, sc: false });
+    });
+
+    test('should compact semester calendar settings', () => {
+        const [semester] = step.migrate(legacy).d;
+        expect(semester.i).toBe('sem1');
+        expect(semester.cal).toEqual({ sh: 9, vd: [0, 1, 2, 3, 4] });
+    });
+
+    test('should compact course fields, schedule and homework', () => {
+        const [course] = step.migrate(legacy).d[0].c;
+        expect(course).toMatchObject({
+            i: 'c1',
+            n: 'Calculus 1',
+            cl: 'hsl(0, 45%, 50%)',
+            num: '104031',
+            pts: '5.5',
+            lec: 'Dr. Levi',
+            ex: { a: '2024-02-01' },
+            sch: [[0, '10:30', '12:30']]
+        });
+        expect(course.hw).toEqual([
+            { t: 'HW 1', d: '2023-11-05', c: 1, l: [['PDF', 'https://example.com/hw1.pdf']] },
+            { t: 'HW 2' }
+        ]);
+    });
+
+    test('should move course-level lectures into the lectures tab', () => {
+        const [course] = step.migrate(legacy).d[0].c;
+        expect(course.rec).toEqual([
+            { i: 'lectures', n: 'Lectures', it: [{ n: 'Lecture 1', v: 'https://youtu.be/abc', w: 1 }, { n: 'Lecture 2' }] }
+        ]);
+    });
+
+    test('should keep only recording tabs with items', () => {
+        const course = step.migrate(legacy).d[0].c[1];
+        expect(course.rec).toEqual([
+            { i: 'tutorials', n: 'Tutorials', it: [{ n: 'Tutorial 1', s: 'https://example.com/t1.pdf' }] }
+        ]);
+    });
+
+    test('should handle an empty legacy payload', () => {
+        const result = step.migrate({});
+        expect(result.v).toBe(2);
+        expect(result.d).toEqual([]);
+        expect(typeof result.t).toBe('string');
+    });
+});
+
+describe('migration step v2 → v3', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 2);
+    const v2 = loadFixture('v2-compact.json');
+
+    test('should not mutate the input payload', () => {
+        expect(() => step.migrate(v2)).not.toThrow();
+    });
+
+    test('should assign ids to homework and recording items', () => {
+        const result = step.migrate(v2);
+        const [course] = result.d[0].c;
+        expect(result.v).toBe(3);
+        expect(course.hw[0].i).toMatch(/^hw[0-9a-z]+$/);
+        expect(course.rec[0].it[0].i).toMatch(/^rec[0-9a-z]+$/);
+    });
+
+    test('should derive the same ids on every run', () => {
+        expect(step.migrate(v2)).toEqual(step.migrate(v2));
+    });
+
+    test('should give distinct ids to identical titles at different positions', () => {
+        const payload = { v: 2, d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', hw: [{ t: 'HW' }, { t: 'HW' }] }] }] };
+        const [first, second] = step.migrate(payload).d[0].c[0].hw;
+        expect(first.i).not.toBe(second.i);
+    });
+
+    test('should keep existing ids', () => {
+        const payload = { v: 2, d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', hw: [{ i: 'keep', t: 'HW' }] }] }] };
+        expect(step.migrate(payload).d[0].c[0].hw[0].i).toBe('keep');
+    });
+});
+
+describe('migration step v3 → v4', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 3);
+    const v3 = { v: 3, t: '2024-05-20T10:00:00.000Z', d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', gr: '90' }] }] };
+
+    test('should only bump the version', () => {
+        expect(step.migrate(v3)).toEqual({ ...v3, v: 4 });
+        expect(v3.v).toBe(3);
+    });
+});
+
+describe('migration step v4 → v5', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 4);
+
+    test('should only bump the version', () => {
+        const v4 = { v: 4, d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', bk: 'b1' }] }] };
+        expect(step.migrate(v4)).toEqual({ ...v4, v: 5 });
+        expect(v4.v).toBe(4);
+    });
+});
+
+describe('migration step v5 → v6', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 5);
+
+    test('should only bump the version', () => {
+        const v5 = { v: 5, d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', ex: { a: '2024-02-01' } }] }] };
+        expect(step.migrate(v5)).toEqual({ ...v5, v: 6 });
+        expect(v5.v).toBe(5);
+    });
+});
+
+describe('migration step v6 → v7', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 6);
+    const v6 = {
+        v: 6,
+        d: [{ i: 's', n: 'S', c: [
+            { i: 'c1', n: 'C1', ex: { a: '2024-02-01', b: '2024-03-01', p: 'b' } },
+            { i: 'c2', n: 'C2', ex: { b: '2024-03-05' } },
+            { i: 'c3', n: 'C3' }
+        ] }]
+    };
+
+    test('should not mutate the input payload', () => {
+        step.migrate(v6);
+        expect(v6.v).toBe(6);
+        expect(v6.d[0].c[0].ex).toBeDefined();
+    });
+
+    test('should turn exam dates into assessments and keep the planned moed', () => {
+        const [c1, c2, c3] = step.migrate(v6).d[0].c;
+        expect(c1.ex).toBeUndefined();
+        expect(c1.as.map(a => [a.ty, a.d])).toEqual([['moedA', '2024-02-01'], ['moedB', '2024-03-01']]);
+        expect(c1.pe).toBe(c1.as[1].i);
+        expect(c2.as.map(a => a.ty)).toEqual(['moedB']);
+        expect(c2.pe).toBeUndefined();
+        expect(c3).toEqual({ i: 'c3', n: 'C3' });
+    });
+
+    test('should derive the same ids on every run', () => {
+        const first = step.migrate(v6).d[0].c[0].as.map(a => a.i);
+        const second = step.migrate(v6).d[0].c[0].as.map(a => a.i);
+        expect(first).toEqual(second);
+        expect(new Set(first).size).toBe(2);
+    });
+});
+
+describe('migration step v7 → v8', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 7);
+
+    test('should only bump the version', () => {
+        const v7 = { v: 7, d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', as: [{ i: 'a', ty: 'moedA', d: '2024-02-01' }] }] }] };
+        expect(step.migrate(v7)).toEqual({ ...v7, v: 8 });
+        expect(v7.v).toBe(7);
+    });
+});
+
+describe('migration step v8 → v9', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 8);
+
+    test('should only bump the version', () => {
+        const v8 = { v: 8, d: [{ i: 's', n: 'S', sd: '2025-03-23', ed: '2025-07-04', c: [{ i: 'c', n: 'C', sch: [[2, '10:30', '12:30']] }] }] };
+        expect(step.migrate(v8)).toEqual({ ...v8, v: 9 });
+        expect(v8.v).toBe(8);
+    });
+});
+
+describe('migration step v9 → v10', () => {
+    const step = STORAGE_MIGRATIONS.find(m => m.from === 9);
+
+    test('should only bump the version', () => {
+        const v9 = { v: 9, d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', sch: [[2, '10:30', '12:30']] }] }] };
+        expect(step.migrate(v9)).toEqual({ ...v9, v: 10 });
+        expect(v9.v).toBe(9);
+    });
+});
+
+describe('migrateStoragePayload', () => {
+    test('should return current-version payloads unchanged', () => {
+        const current = migrateStoragePayload(loadFixture('v2-compact.json'));
+        expect(migrateStoragePayload(current)).toBe(current);
+    });
+
+    test('should walk legacy payloads to the current version', () => {
+        const result = migrateStoragePayload(loadFixture('v1-legacy.json'));
+        expect(result.v).toBe(STORAGE_DATA_VERSION);
+    });
+
+    test('should treat a missing or invalid version as v1', () => {
+        expect(migrateStoragePayload({ v: 'x', semesters: [] }).v).toBe(STORAGE_DATA_VERSION);
+        expect(migrateStoragePayload(null).v).toBe(STORAGE_DATA_VERSION);
+    });
+
+    test('should leave payloads from a newer version untouched', () => {
+        const future = { v: STORAGE_DATA_VERSION + 1, d: [] };
+        expect(migrateStoragePayload(future)).toBe(future);
+    });
+});
+
+describe('hydrateFromStorage', () => {
+    test('should hydrate a legacy payload through the migration pipeline', () => {
+        const data = hydrateFromStorage(loadFixture('v1-legacy.json'));
+        const course = data.semesters[0].courses[0];
+        expect(data.settings.theme).toBe('dark');
+        expect(data.semesters[0].calendarSettings.startHour).toBe(9);
+        expect(course.assessments).toEqual([{
+            id: expect.any(String), type: 'moedA', date: '2024-02-01',
+            startTime: '', endTime: '', location: '', weight: '', notes: ''
+        }]);
+        expect(course.exams).toBeUndefined();
+        expect(course.recordings.tabs.map(t => t.id)).toEqual(['lectures', 'tutorials']);
+        expect(course.homework[1]).toMatchObject({ title: 'HW 2', dueDate: '', completed: false, notes: '', links: [] });
+        expect(course.homework[0].id).not.toBe(course.homework[1].id);
+    });
+
+    test('should round-trip a current payload through compactForStorage', () => {
+        const current = migrateStoragePayload(loadFixture('v2-compact.json'));
+        expect(compactForStorage(hydrateFromStorage(current))).toEqual(current);
+    });
+
+    test('should round-trip the degree plan and course buckets', () => {
+        const current = {
+            v: STORAGE_DATA_VERSION,
+            t: '2024-05-20T10:00:00.000Z',
+            s: { sw: false },
+            d: [{ i: 's', n: 'S', c: [{ i: 'c', n: 'C', cl: 'hsl(0, 45%, 50%)', bk: 'b1' }] }],
+            dp: [{ i: 'b1', n: 'Sports', tg: 2, r: ['394*'] }, { i: 'b2', n: 'Free Electives' }]
+        };
+        const data = hydrateFromStorage(current);
+        expect(data.degreePlan.buckets[1]).toEqual({ id: 'b2', name: 'Free Electives', target: 0, rules: [] });
+        expect(data.semesters[0].courses[0].degreeBucket).toBe('b1');
+        expect(compactForStorage(data)).toEqual(current);
+    });
+
+    test('should round-trip grade components and homework scores', () => {
+        const current = {
+            v: STORAGE_DATA_VERSION,
+            t: '2024-05-20T10:00:00.000Z',
+            s: { sw: false },
+            d: [{ i: 's', n: 'S', c: [{
+                i: 'c',
+                n: 'C',
+                cl: 'hsl(0, 45%, 50%)',
+                gs: [{ i: 'g1', n: 'Homework', w: 20, b: 3, h: ['hw1'] }, { i: 'g2', n: 'Final', w: 80, s: 0 }],
+                hw: [{ i: 'hw1', t: 'HW 1', sc: 95 }]
+            }] }]
+        };
+        const data = hydrateFromStorage(current);
+        const [course] = data.semesters[0].courses;
+        expect(course.gradeComponents[1]).toEqual({ id: 'g2', name: 'Final', weight: 80, score: 0, bestOf: 0, homeworkIds: [] });
+        expect(course.homework[0].score).toBe(95);
+        expect(compactForStorage(data)).toEqual(current);
+    });
+
+    test('should round-trip assessments, the planned exam and the exam gap setting', () => {
+        const current = {
+            v: STORAGE_DATA_VERSION,
+            t: '2024-05-20T10:00:00.000Z',
+            s: { sw: false, eg: 5 },
+            d: [{ i: 's', n: 'S', c: [{
+                i: 'c',
+                n: 'C',
+                cl: 'hsl(0, 45%, 50%)',
+                as: [
+                    { i: 'a1', ty: 'midterm', d: '2024-01-10', st: '09:00', et: '11:00', loc: 'Taub 2', w: 20, nt: 'Open book' },
+                    { i: 'a2', ty: 'moedA', d: '2024-02-01' },
+                    { i: 'a3', ty: 'moedB', d: '2024-03-01', w: 0 }
+                ],
+                pe: 'a3'
+            }] }]
+        };
+        const data = hydrateFromStorage(current);
+        const [course] = data.semesters[0].courses;
+        expect(data.settings.examMinGapDays).toBe(5);
+        expect(course.plannedExam).toBe('a3');
+        expect(course.assessments[1]).toEqual({
+            id: 'a2', type: 'moedA', date: '2024-02-01', startTime: '', endTime: '', location: '', weight: '', notes: ''
+        });
+        expect(compactForStorage(data)).toEqual(current);
+
+        data.settings.examMinGapDays = DEFAULT_EXAM_MIN_GAP_DAYS;
+        expect(compactForStorage(data).s).toEqual({ sw: false });
+    });
+
+    test('should round-trip semester dates and holidays', () => {
+        const current = {
+            v: STORAGE_DATA_VERSION,
+            t: '2024-05-20T10:00:00.000Z',
+            s: { sw: false },
+            d: [{
+                i: 's',
+                n: 'Spring 2025',
+                c: [],
+                sd: '2025-03-23',
+                ed: '2025-07-04',
+                hol: [{ i: 'h1', n: 'Passover', s: '2025-04-12', e: '2025-04-19' }, { i: 'h2', n: '', s: '2025-05-01' }]
+            }]
+        };
+        const data = hydrateFromStorage(current);
+        const [semester] = data.semesters;
+        expect(semester.startDate).toBe('2025-03-23');
+        expect(semester.holidays[1]).toEqual({ id: 'h2', name: '', startDate: '2025-05-01', endDate: '' });
+        expect(compactForStorage(data)).toEqual(current);
+
+        const undated = hydrateFromStorage({ ...current, d: [{ i: 's', n: 'S', c: [] }] });
+        expect(undated.semesters[0]).toMatchObject({ startDate: '', endDate: '', holidays: [] });
+    });
+
+    test('should round-trip schedule slot details', () => {
+        const current = {
+            v: STORAGE_DATA_VERSION,
+            t: '2024-05-20T10:00:00.000Z',
+            s: { sw: false },
+            d: [{
+                i: 's',
+                n: 'Spring 2025',
+                c: [{
+                    i: 'c',
+                    n: 'C',
+                    cl: 'hsl(0, 45%, 50%)',
+                    sch: [[0, '08:30', '10:30'], [2, '10:30', '12:30', 'tutorial', 'Taub 2', '12'], [3, '14:30', '16:30', 'lab', '', '', 'Dr. Levi']]
+                }]
+            }]
+        };
+        const data = hydrateFromStorage(current);
+        const [plain, tutorial, lab] = data.semesters[0].courses[0].schedule;
+        expect(plain).toEqual({ day: 0, start: '08:30', end: '10:30', type: '', room: '', group: '', instructor: '' });
+        expect(tutorial).toMatchObject({ type: 'tutorial', room: 'Taub 2', group: '12' });
+        expect(lab).toMatchObject({ type: 'lab', room: '', instructor: 'Dr. Levi' });
+        expect(compactForStorage(data)).toEqual(current);
+    });
+
+    test('should round-trip course attendance', () => {
+        const current = {
+            v: STORAGE_DATA_VERSION,
+            t: '2024-05-20T10:00:00.000Z',
+            s: { sw: false },
+            d: [{
+                i: 's',
+                n: 'Spring 2025',
+                c: [{
+                    i: 'c',
+                    n: 'C',
+                    cl: 'hsl(0, 45%, 50%)',
+                    sch: [[2, '10:30', '12:30']],
+                    at: [{ i: '2025-03-25T10:30', s: 'missed', r: 'r1' }, { i: '2025-04-01T10:30', s: 'attended' }]
+                }]
+            }]
+        };
+        const data = hydrateFromStorage(current);
+        const [course] = data.semesters[0].courses;
+        expect(course.attendance[1]).toEqual({ id: '2025-04-01T10:30', status: 'attended', recordingId: '' });
+        expect(compactForStorage(data)).toEqual(current);
+    });
+});
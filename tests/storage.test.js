@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Unit tests for storage.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IDBFactory } = require('fake-indexeddb');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_KEYS = {
+    PROFILES: 'tollab_profiles',
+    DATA_PREFIX: 'tollab_'
+};
+
+const source = fs.readFileSync(path.join(__dirname, '../js/storage.js'), 'utf8');
+
+/**
+ * Evaluates storage.js again, giving an AppStorage with fresh state, as a
+ * new page load (or another tab) would have.
+ */
+function loadStorage() {
+    eval(source);
+    return window.AppStorage;
+}
+
+/**
+ * Builds a serialized payload saved at the given time.
+ */
+function payload(name, t) {
+    return JSON.stringify({ v: 3, t, d: [{ i: 's1', n: name, c: [] }] });
+}
+
+beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+});
+
+afterAll(() => {
+    delete global.indexedDB;
+});
+
+describe('AppStorage.init', () => {
+    test('should use IndexedDB when available and load it into the cache', async () => {
+        const first = loadStorage();
+        await first.init();
+        first.setItem('tollab_p1', payload('Spring', '2024-05-20T10:00:00.000Z'));
+        await first.flush();
+
+        const storage = loadStorage();
+        expect(await storage.init()).toBe('indexedDB');
+        expect(storage.getBackendName()).toBe('indexedDB');
+        expect(storage.getItem('tollab_p1')).toBe(payload('Spring', '2024-05-20T10:00:00.000Z'));
+        expect(localStorage.getItem('tollab_p1')).toBeNull();
+    });
+
+    test('should be idempotent', async () => {
+        const storage = loadStorage();
+        expect(storage.init()).toBe(storage.init());
+        await storage.init();
+    });
+
+    test('should fall back to localStorage without IndexedDB', async () => {
+        delete global.indexedDB;
+        const storage = loadStorage();
+        expect(await storage.init()).toBe('localStorage');
+
+        storage.setItem('tollab_p1', 'value');
+        expect(localStorage.getItem('tollab_p1')).toBe('value');
+        expect(storage.getItem('tollab_p1')).toBe('value');
+        storage.removeItem('tollab_p1');
+        expect(localStorage.getItem('tollab_p1')).toBeNull();
+    });
+
+    test('should fall back to localStorage when IndexedDB fails to open', async () => {
+        global.indexedDB = {
+            open() {
+                const request = {};
+                setTimeout(() => {
+                    request.error = new Error('Blocked by browser settings');
+                    request.onerror();
+                });
+                return request;
+            }
+        };
+        localStorage.setItem('tollab_p1', 'legacy');
+
+        const storage = loadStorage();
+        expect(await storage.init()).toBe('localStorage');
+        expect(storage.getItem('tollab_p1')).toBe('legacy');
+    });
+});
+
+describe('AppStorage migration from localStorage', () => {
+    beforeEach(() => {
+        localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify([{ id: 'p1', name: 'Main' }, { id: 'p2', name: 'Other' }]));
+    });
+
+    test('should move profile keys into IndexedDB', async () => {
+        localStorage.setItem('tollab_p1', payload('Spring', '2024-05-20T10:00:00.000Z'));
+        localStorage.setItem('tollab_theme', 'dark');
+
+        const storage = loadStorage();
+        await storage.init();
+
+        expect(storage.getItem('tollab_p1')).toBe(payload('Spring', '2024-05-20T10:00:00.000Z'));
+        expect(localStorage.getItem('tollab_p1')).toBeNull();
+        expect(localStorage.getItem('tollab_theme')).toBe('dark');
+
+        const reloaded = loadStorage();
+        await reloaded.init();
+        expect(reloaded.getItem('tollab_p1')).toBe(payload('Spring', '2024-05-20T10:00:00.000Z'));
+    });
+
+    test('should keep whichever copy is newer', async () => {
+        const first = loadStorage();
+        await first.init();
+        first.setItem('tollab_p1', payload('Newer in IndexedDB', '2024-05-21T10:00:00.000Z'));
+        first.setItem('tollab_p2', payload('Older in IndexedDB', '2024-05-19T10:00:00.000Z'));
+        await first.flush();
+
+        localStorage.setItem('tollab_p1', payload('Older in localStorage', '2024-05-20T10:00:00.000Z'));
+        localStorage.setItem('tollab_p2', payload('Newer in localStorage', '2024-05-20T10:00:00.000Z'));
+
+        const storage = loadStorage();
+        await storage.init();
+        expect(JSON.parse(storage.getItem('tollab_p1')).d[0].n).toBe('Newer in IndexedDB');
+        expect(JSON.parse(storage.getItem('tollab_p2')).d[0].n).toBe('Newer in localStorage');
+        expect(localStorage.getItem('tollab_p1')).toBeNull();
+        expect(localStorage.getItem('tollab_p2')).toBeNull();
+    });
+});
+
+describe('AppStorage writes', () => {
+    test('should serve writes from the cache at once and persist them in order', async () => {
+        const storage = loadStorage();
+        await storage.init();
+
+        storage.setItem('tollab_p1', 'first');
+        expect(storage.getItem('tollab_p1')).toBe('first');
+        storage.removeItem('tollab_p1');
+        expect(storage.getItem('tollab_p1')).toBeNull();
+        storage.setItem('tollab_p1', 'last');
+        storage.setItem('tollab_p2', 'removed');
+        storage.removeItem('tollab_p2');
+        await storage.flush();
+
+        const reloaded = loadStorage();
+        await reloaded.init();
+        expect(reloaded.getItem('tollab_p1')).toBe('last');
+        expect(reloaded.getItem('tollab_p2')).toBeNull();
+    });
+
+    test('should report failed background writes', async () => {
+        const storage = loadStorage();
+        await storage.init();
+
+        // Values IndexedDB cannot clone fail inside the write
+        storage.setItem('tollab_p1', () => {});
+        await storage.flush();
+        expect(ToastManager.error).toHaveBeenCalled();
+    });
+});
+
+describe('AppStorage.refresh', () => {
+    test('should pick up values another tab wrote or removed', async () => {
+        const storage = loadStorage();
+        await storage.init();
+        storage.setItem('tollab_p1', 'mine');
+        await storage.flush();
+
+        const otherTab = loadStorage();
+        await otherTab.init();
+        otherTab.setItem('tollab_p1', 'theirs');
+        otherTab.setItem('tollab_p2', 'new');
+        await otherTab.flush();
+
+        expect(storage.getItem('tollab_p1')).toBe('mine');
+        expect(await storage.refresh('tollab_p1')).toBe('theirs');
+        expect(storage.getItem('tollab_p1')).toBe('theirs');
+        await storage.refresh('tollab_p2');
+        expect(storage.getItem('tollab_p2')).toBe('new');
+
+        otherTab.removeItem('tollab_p1');
+        await otherTab.flush();
+        expect(await storage.refresh('tollab_p1')).toBeNull();
+        expect(storage.getItem('tollab_p1')).toBeNull();
+    });
+});
+
+describe('AppStorage records', () => {
+    test('should keep structured values apart from the cache', async () => {
+        const storage = loadStorage();
+        await storage.init();
+
+        expect(await storage.getRecord('catalog', 'winter')).toBeNull();
+        expect(await storage.putRecord('catalog', 'winter', { courses: ['01040012'] })).toBe(true);
+        expect(storage.getItem('winter')).toBeNull();
+
+        const reloaded = loadStorage();
+        await reloaded.init();
+        expect(await reloaded.getRecord('catalog', 'winter')).toEqual({ courses: ['01040012'] });
+
+        await reloaded.deleteRecord('catalog', 'winter');
+        expect(await storage.getRecord('catalog', 'winter')).toBeNull();
+        await expect(storage.getRecord('unknown', 'winter')).rejects.toThrow('Unknown record store');
+    });
+
+    test('should not keep records on the localStorage backend', async () => {
+        delete global.indexedDB;
+        const storage = loadStorage();
+        await storage.init();
+
+        expect(storage.hasRecords()).toBe(false);
+        expect(await storage.putRecord('catalog', 'winter', { courses: [] })).toBe(false);
+        expect(await storage.getRecord('catalog', 'winter')).toBeNull();
+        expect(localStorage.length).toBe(0);
+    });
+});
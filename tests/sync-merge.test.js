@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Unit tests for sync-merge.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_DATA_VERSION = 10;
+global.COLOR_THEMES = { COLORFUL: 'colorful' };
+global.DEFAULT_THEME_SETTINGS = { theme: 'light', showCompleted: true, showWatchedRecordings: false, colorTheme: 'colorful', baseColorHue: 200 };
+global.DEFAULT_CALENDAR_SETTINGS = { startHour: 8, endHour: 20, visibleDays: [0, 1, 2, 3, 4, 5] };
+global.DEFAULT_RECORDING_TABS = [{ id: 'lectures', name: 'Lectures' }, { id: 'tutorials', name: 'Tutorials' }];
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+
+// Load dependencies and the merge modules (strict mode: read back from window)
+['storage.js', 'state.js', 'sync-merge.js', 'firebase-sync.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const { SyncMerge, mergeLocalAndCloud } = window;
+
+/**
+ * Builds a v3 payload with one semester containing the given courses.
+ */
+function payload(courses, t = '2024-05-20T10:00:00.000Z') {
+    return { v: 3, t, d: [{ i: 's1', n: 'Spring 2024', c: courses }] };
+}
+
+/**
+ * Builds a course with one recording and one homework assignment.
+ */
+function course(overrides = {}) {
+    return {
+        i: 'c1',
+        n: 'Calculus',
+        hw: [{ i: 'hw1', t: 'HW 1', d: '2024-05-01' }],
+        rec: [{ i: 'lectures', n: 'Lectures', it: [{ i: 'r1', n: 'Lecture 1' }] }],
+        ...overrides
+    };
+}
+
+const clone = obj => JSON.parse(JSON.stringify(obj));
+
+describe('SyncMerge.mergeProfileData', () => {
+    const base = payload([course()]);
+
+    test('should combine independent edits from both sides', () => {
+        const local = clone(base);
+        local.d[0].c[0].rec[0].it[0].w = 1;
+        const remote = clone(base);
+        remote.d[0].c[0].hw.push({ i: 'hw2', t: 'HW 2' });
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(base, local, remote);
+        const merged = data.d[0].c[0];
+        expect(conflicts).toEqual([]);
+        expect(merged.rec[0].it[0].w).toBe(1);
+        expect(merged.hw.map(h => h.i)).toEqual(['hw1', 'hw2']);
+    });
+
+    test('should report the same field changed on both sides as a conflict', () => {
+        const local = clone(base);
+        local.d[0].c[0].hw[0].d = '2024-05-03';
+        local.d[0].c[0].hw[0].m = 100;
+        const remote = clone(base);
+        remote.d[0].c[0].hw[0].d = '2024-05-08';
+        remote.d[0].c[0].hw[0].m = 200;
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(base, local, remote);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({
+            kind: 'edit',
+            label: 'Spring 2024 › Calculus › HW 1',
+            field: 'due date',
+            local: '2024-05-03',
+            remote: '2024-05-08',
+            preferred: 'remote'
+        });
+        expect(data.d[0].c[0].hw[0].d).toBe('2024-05-08');
+    });
+
+    test('should apply the chosen side of a conflict', () => {
+        const local = clone(base);
+        local.d[0].c[0].n = 'Calculus 1';
+        const remote = clone(base);
+        remote.d[0].c[0].n = 'Calculus A';
+
+        const { conflicts } = SyncMerge.mergeProfileData(base, local, remote);
+        const choices = { [conflicts[0].id]: 'local' };
+        const result = SyncMerge.mergeProfileData(base, local, remote, choices);
+        expect(result.conflicts).toEqual([]);
+        expect(result.data.d[0].c[0].n).toBe('Calculus 1');
+    });
+
+    test('should drop entities deleted on one side and unchanged on the other', () => {
+        const local = clone(base);
+        local.d[0].c[0].hw = [];
+        const remote = clone(base);
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(base, local, remote);
+        expect(conflicts).toEqual([]);
+        expect(data.d[0].c[0].hw).toEqual([]);
+    });
+
+    test('should keep an entity deleted on one side but edited on the other by default', () => {
+        const local = clone(base);
+        local.d[0].c[0].hw = [];
+        const remote = clone(base);
+        remote.d[0].c[0].hw[0].c = 1;
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(base, local, remote);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ kind: 'delete', local: 'deleted', remote: 'edited', preferred: 'remote' });
+        expect(data.d[0].c[0].hw[0].c).toBe(1);
+
+        const deleted = SyncMerge.mergeProfileData(base, local, remote, { [conflicts[0].id]: 'local' });
+        expect(deleted.data.d[0].c[0].hw).toEqual([]);
+    });
+
+    test('should resolve differences by stamps when there is no common ancestor', () => {
+        const local = payload([course({ n: 'Local name', m: 300 })]);
+        const remote = payload([course({ n: 'Remote name', m: 200 }), { i: 'c2', n: 'Physics' }]);
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(null, local, remote);
+        expect(conflicts).toEqual([]);
+        expect(data.d[0].c.map(c => c.n)).toEqual(['Local name', 'Physics']);
+    });
+
+    test('should insert remote additions after their preceding sibling', () => {
+        const local = clone(base);
+        local.d[0].c[0].hw.push({ i: 'hw3', t: 'HW 3' });
+        const remote = clone(base);
+        remote.d[0].c[0].hw.unshift({ i: 'hw0', t: 'HW 0' });
+
+        const { data } = SyncMerge.mergeProfileData(base, local, remote);
+        expect(data.d[0].c[0].hw.map(h => h.i)).toEqual(['hw0', 'hw1', 'hw3']);
+    });
+
+    test('should migrate older payloads before merging', () => {
+        const v2 = { v: 2, t: 'a', d: [{ i: 's1', n: 'Spring 2024', c: [{ i: 'c1', n: 'Calculus', hw: [{ t: 'HW 1' }] }] }] };
+        const { data, conflicts } = SyncMerge.mergeProfileData(v2, v2, v2);
+        expect(conflicts).toEqual([]);
+        expect(data.v).toBe(STORAGE_DATA_VERSION);
+        expect(data.d[0].c[0].hw[0].i).toMatch(/^hw/);
+    });
+
+    test('should merge degree plan buckets by id', () => {
+        const planBase = { ...payload([course()]), dp: [{ i: 'b1', n: 'Sports', tg: 2 }] };
+        const local = clone(planBase);
+        local.dp[0].r = ['394*'];
+        const remote = clone(planBase);
+        remote.dp.push({ i: 'b2', n: 'Enrichment', tg: 6 });
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(planBase, local, remote);
+        expect(conflicts).toEqual([]);
+        expect(data.dp).toEqual([{ i: 'b1', n: 'Sports', tg: 2, r: ['394*'] }, { i: 'b2', n: 'Enrichment', tg: 6 }]);
+    });
+
+    test('should merge assessments by id and label their conflicts', () => {
+        const examBase = payload([course({ as: [{ i: 'a1', ty: 'moedA', d: '2024-07-01' }] })]);
+        const local = clone(examBase);
+        local.d[0].c[0].as[0].loc = 'Taub 1';
+        local.d[0].c[0].as[0].d = '2024-07-02';
+        const remote = clone(examBase);
+        remote.d[0].c[0].as[0].d = '2024-07-03';
+        remote.d[0].c[0].as.push({ i: 'a2', ty: 'quiz', d: '2024-06-01' });
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(examBase, local, remote);
+        expect(data.d[0].c[0].as.map(a => a.i)).toEqual(['a1', 'a2']);
+        expect(data.d[0].c[0].as[0].loc).toBe('Taub 1');
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ label: 'Spring 2024 › Calculus › Moed A', field: 'date' });
+    });
+
+    test('should merge semester holidays by id', () => {
+        const semBase = payload([course()]);
+        semBase.d[0].hol = [{ i: 'h1', n: 'Passover', s: '2025-04-12' }];
+        const local = clone(semBase);
+        local.d[0].hol[0].e = '2025-04-19';
+        local.d[0].sd = '2025-03-23';
+        const remote = clone(semBase);
+        remote.d[0].hol[0].e = '2025-04-20';
+        remote.d[0].hol.push({ i: 'h2', n: 'Shavuot', s: '2025-06-02' });
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(semBase, local, remote);
+        expect(data.d[0].sd).toBe('2025-03-23');
+        expect(data.d[0].hol.map(h => h.i)).toEqual(['h1', 'h2']);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ label: 'Spring 2024 › Passover', field: 'last day' });
+    });
+
+    test('should merge session attendance by id', () => {
+        const sessionBase = payload([course({ at: [{ i: '2025-03-25T10:30', s: 'missed' }] })]);
+        const local = clone(sessionBase);
+        local.d[0].c[0].at[0].s = 'attended';
+        const remote = clone(sessionBase);
+        remote.d[0].c[0].at[0].s = 'cancelled';
+        remote.d[0].c[0].at.push({ i: '2025-04-01T10:30', s: 'missed', r: 'r1' });
+
+        const { data, conflicts } = SyncMerge.mergeProfileData(sessionBase, local, remote);
+        expect(data.d[0].c[0].at.map(a => a.i)).toEqual(['2025-03-25T10:30', '2025-04-01T10:30']);
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ label: 'Spring 2024 › Calculus › Class on 2025-03-25 10:30', field: 'attendance' });
+    });
+
+    test('should label degree plan conflicts', () => {
+        const planBase = { ...payload([course()]), dp: [{ i: 'b1', n: 'Sports', tg: 2 }] };
+        const local = clone(planBase);
+        local.dp[0].tg = 3;
+        const remote = clone(planBase);
+        remote.dp[0].tg = 4;
+
+        const { conflicts } = SyncMerge.mergeProfileData(planBase, local, remote);
+        expect(conflicts[0]).toMatchObject({ label: 'Degree plan › Sports', field: 'target points' });
+    });
+});
+
+describe('SyncMerge.stampChanges', () => {
+    test('should stamp every entity of a first save', () => {
+        const stamped = SyncMerge.stampChanges(null, payload([course()]), 500);
+        expect(stamped.d[0].m).toBe(500);
+        expect(stamped.d[0].c[0].m).toBe(500);
+        expect(stamped.d[0].c[0].rec[0].it[0].m).toBe(500);
+    });
+
+    test('should only restamp entities whose own fields changed', () => {
+        const previous = SyncMerge.stampChanges(null, payload([course()]), 500);
+        const next = payload([course({ hw: [{ i: 'hw1', t: 'HW 1', d: '2024-05-01', c: 1 }] })]);
+
+        const stamped = SyncMerge.stampChanges(previous, next, 900);
+        expect(stamped.d[0].m).toBe(500);
+        expect(stamped.d[0].c[0].m).toBe(500);
+        expect(stamped.d[0].c[0].hw[0].m).toBe(900);
+        expect(stamped.d[0].c[0].rec[0].it[0].m).toBe(500);
+    });
+
+    test('should stamp degree plan buckets', () => {
+        const previous = SyncMerge.stampChanges(null, { ...payload([]), dp: [{ i: 'b1', n: 'Sports' }, { i: 'b2', n: 'Free' }] }, 500);
+        const next = { ...payload([]), dp: [{ i: 'b1', n: 'Sports', tg: 2 }, { i: 'b2', n: 'Free' }] };
+
+        const stamped = SyncMerge.stampChanges(previous, next, 900);
+        expect(stamped.dp.map(b => b.m)).toEqual([900, 500]);
+    });
+
+    test('should not mutate the payload it stamps', () => {
+        const next = payload([course()]);
+        SyncMerge.stampChanges(null, next, 500);
+        expect(next.d[0].m).toBeUndefined();
+    });
+});
+
+describe('mergeLocalAndCloud', () => {
+    const profile = (data) => ({ i: 'default', n: 'Default Profile', d: data });
+
+    test('should let cloud data replace an empty local profile with the same id', () => {
+        const local = { v: 2, a: 'default', p: [profile({ v: 3, t: '2024-05-21T10:00:00.000Z', d: [] })] };
+        const cloud = { v: 2, a: 'default', p: [profile(payload([course()]))] };
+
+        for (const base of [null, clone(cloud)]) {
+            const { payload: merged, conflicts } = mergeLocalAndCloud(local, cloud, base);
+            expect(conflicts).toEqual([]);
+            expect(merged.p.map(p => p.i)).toEqual(['default']);
+            expect(merged.p[0].d.d[0].c[0].n).toBe('Calculus');
+        }
+    });
+
+    test('should drop a cloud profile deleted locally and untouched since the last sync', () => {
+        const cloud = { v: 2, a: 'default', p: [profile(payload([course()]))] };
+        const { payload: merged } = mergeLocalAndCloud({ v: 2, a: null, p: [] }, cloud, clone(cloud));
+        expect(merged.p).toEqual([]);
+    });
+});
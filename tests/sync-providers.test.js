@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Tests for the REST/WebDAV sync provider against tools/sync-server.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const { createSyncServer } = require('../tools/sync-server');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_KEYS = { SYNC_PROVIDER: 'tollab_sync_provider' };
+global.SYNC_CONFIG = { REST_POLL_INTERVAL_MS: 30000 };
+
+/**
+ * Minimal fetch() on top of node's http module (jsdom has no fetch).
+ */
+global.fetch = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            resolve({
+                status: res.statusCode,
+                ok: res.statusCode >= 200 && res.statusCode < 300,
+                headers: { get: name => res.headers[name.toLowerCase()] || null },
+                json: () => Promise.resolve(JSON.parse(text)),
+                text: () => Promise.resolve(text)
+            });
+        });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+});
+
+eval(fs.readFileSync(path.join(__dirname, '../js/sync-providers.js'), 'utf8'));
+
+const { SyncProviders, createRestSyncProvider } = window;
+
+const record = (payload, w = 'w1') => ({ v: 2, u: '2024-05-20T10:00:00.000Z', w, c: 'client', payload });
+
+describe('REST sync provider', () => {
+    let server;
+    let dir;
+    let baseUrl;
+
+    beforeAll(done => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tollab-sync-'));
+        server = createSyncServer({ dir, user: 'student', password: 'secret' });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+        });
+    });
+
+    /**
+     * Creates a provider whose config lives in a local variable.
+     */
+    function makeProvider(config) {
+        let saved = config;
+        return createRestSyncProvider({
+            loadConfig: () => saved,
+            saveConfig: value => { saved = value; }
+        });
+    }
+
+    test('should reject wrong credentials on sign-in', async () => {
+        const provider = makeProvider(null);
+        await expect(provider.signIn({ url: `${baseUrl}/a.json`, username: 'student', password: 'nope' }))
+            .rejects.toThrow('rejected the credentials');
+    });
+
+    test('should sign in and report the account', async () => {
+        const provider = makeProvider(null);
+        const users = [];
+        provider.onAuthStateChanged(user => users.push(user));
+        await provider.signIn({ url: `${baseUrl}/b.json`, username: 'student', password: 'secret' });
+
+        expect(users[0]).toBeNull();
+        expect(users[1].uid).toBe(`rest:student@${baseUrl}/b.json`);
+    });
+
+    test('should keep the password in memory only', async () => {
+        let saved = { url: `${baseUrl}/b.json`, username: 'student', password: 'secret' };
+        const options = { loadConfig: () => saved, saveConfig: value => { saved = value; } };
+
+        // A password saved by an older version is moved out of storage
+        const provider = createRestSyncProvider(options);
+        expect(saved).toEqual({ url: `${baseUrl}/b.json`, username: 'student' });
+        expect(await provider.load({ uid: 'u' })).toBeNull();
+
+        await provider.signIn({ url: `${baseUrl}/b.json`, username: 'student', password: 'secret' });
+        expect(saved).toEqual({ url: `${baseUrl}/b.json`, username: 'student' });
+
+        // After a reload the account needs the password again
+        const users = [];
+        createRestSyncProvider(options).onAuthStateChanged(user => users.push(user));
+        expect(users).toEqual([null]);
+    });
+
+    test('should return null before anything was saved, then round-trip a record', async () => {
+        const user = { uid: 'u' };
+        const provider = makeProvider({ url: `${baseUrl}/c.json`, username: 'student', password: 'secret' });
+
+        expect(await provider.load(user)).toBeNull();
+        await provider.save(user, record({ a: 'p1', p: [] }));
+        expect((await provider.load(user)).payload).toEqual({ a: 'p1', p: [] });
+    });
+
+    test('should refuse to overwrite a record saved by another device', async () => {
+        const user = { uid: 'u' };
+        const config = { url: `${baseUrl}/d.json`, username: 'student', password: 'secret' };
+        const deviceA = makeProvider(config);
+        const deviceB = makeProvider(config);
+
+        await deviceA.load(user);
+        await deviceB.load(user);
+        await deviceA.save(user, record({ p: [] }, 'from-a'));
+
+        await expect(deviceB.save(user, record({ p: [] }, 'from-b'))).rejects.toMatchObject({ code: 'conflict' });
+
+        // After loading the new version the write goes through; force skips the check
+        await deviceB.load(user);
+        await deviceB.save(user, record({ p: [] }, 'from-b'));
+        await deviceA.save(user, record({ p: [] }, 'forced'), { force: true });
+        expect((await deviceB.load(user)).w).toBe('forced');
+    });
+
+    test('should poll for records written elsewhere', async () => {
+        const user = { uid: 'u' };
+        const config = { url: `${baseUrl}/e.json`, username: 'student', password: 'secret' };
+        const watcher = createRestSyncProvider({ loadConfig: () => config, saveConfig: () => {}, pollInterval: 10 });
+        const writer = makeProvider(config);
+        const received = [];
+
+        await watcher.load(user);
+        const unsubscribe = watcher.subscribe(user, value => received.push(value.w));
+        await writer.save(user, record({ p: [] }, 'remote'));
+
+        for (let i = 0; i < 100 && received.length === 0; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        unsubscribe();
+
+        expect(received).toEqual(['remote']);
+    });
+});
+
+describe('sync server', () => {
+    let server;
+    let dir;
+    let port;
+
+    beforeAll(done => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tollab-sync-'));
+        server = createSyncServer({ dir });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+            done();
+        });
+    });
+
+    test('should reject non-JSON documents', async () => {
+        const res = await fetch(`http://127.0.0.1:${port}/x.json`, { method: 'PUT', body: 'not json' });
+        expect(res.status).toBe(400);
+    });
+
+    test('should answer unchanged documents with 304', async () => {
+        const url = `http://127.0.0.1:${port}/y.json`;
+        const put = await fetch(url, { method: 'PUT', body: '{"ok":true}' });
+        expect(put.status).toBe(201);
+
+        const res = await fetch(url, { headers: { 'If-None-Match': put.headers.get('ETag') } });
+        expect(res.status).toBe(304);
+    });
+
+    test('should let only one of two concurrent writes of the same version through', async () => {
+        const url = `http://127.0.0.1:${port}/z.json`;
+        const put = await fetch(url, { method: 'PUT', body: '{"v":0}' });
+        const headers = { 'If-Match': put.headers.get('ETag') };
+
+        // Both requests reach the server before either body is complete
+        const requests = [1, 2].map(() => {
+            const req = http.request(url, { method: 'PUT', headers });
+            const status = new Promise((resolve, reject) => {
+                req.on('response', res => {
+                    res.resume();
+                    resolve(res.statusCode);
+                });
+                req.on('error', reject);
+            });
+            req.flushHeaders();
+            return { req, status };
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        requests.forEach(({ req }, index) => req.end(`{"v":${index + 1}}`));
+
+        const statuses = await Promise.all(requests.map(r => r.status));
+        expect(statuses.sort()).toEqual([204, 412]);
+        expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    test('should keep documents inside the data directory', async () => {
+        await fetch(`http://127.0.0.1:${port}/..%2F..%2Fescape.json`, { method: 'PUT', body: '{}' });
+        expect(fs.existsSync(path.join(dir, '..', 'escape.json'))).toBe(false);
+    });
+});
+
+describe('SyncProviders registry', () => {
+    test('should default to Firebase and remember the selection', () => {
+        expect(SyncProviders.getSelectedId()).toBe('firebase');
+        SyncProviders.select('rest');
+        expect(SyncProviders.getSelectedId()).toBe('rest');
+        expect(SyncProviders.get('rest').id).toBe('rest');
+        expect(SyncProviders.list().map(p => p.id)).toEqual(['firebase', 'rest']);
+    });
+
+    test('should fall back to Firebase for unknown providers', () => {
+        SyncProviders.saveSettings({ provider: 'ftp' });
+        expect(SyncProviders.getSelectedId()).toBe('firebase');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Unit tests for sync-queue.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_KEYS = { SYNC_QUEUE: 'tollab_sync_queue' };
+global.SYNC_CONFIG = { QUEUE_MAX_ENTRIES: 5 };
+global.escapeHtml = (text) => String(text).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+global.openModal = jest.fn();
+
+eval(fs.readFileSync(path.join(__dirname, '../js/sync-queue.js'), 'utf8'));
+
+const { SyncQueue, renderSyncQueue } = window;
+
+const NOW = new Date(2024, 4, 20, 12, 0, 0).getTime();
+
+describe('SyncQueue.enqueue', () => {
+    test('should persist entries across reads', () => {
+        SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1', profileName: 'Main' }, NOW);
+        expect(JSON.parse(localStorage.getItem('tollab_sync_queue'))).toHaveLength(1);
+        expect(SyncQueue.list()[0]).toMatchObject({ reason: 'Data changed', profileName: 'Main', status: 'pending', count: 1 });
+    });
+
+    test('should fold repeated changes into the newest pending entry', () => {
+        SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW);
+        SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW + 1000);
+        SyncQueue.enqueue({ reason: 'Settings changed', profileId: 'p1' }, NOW + 2000);
+
+        const entries = SyncQueue.list();
+        expect(entries).toHaveLength(2);
+        expect(entries[0]).toMatchObject({ count: 2, createdAt: NOW, updatedAt: NOW + 1000 });
+    });
+
+    test('should not fold changes into a failed entry', () => {
+        const first = SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW);
+        SyncQueue.fail([first.id], new Error('Network error'));
+        SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW + 1000);
+        expect(SyncQueue.counts()).toEqual({ pending: 1, failed: 1 });
+    });
+
+    test('should keep only the newest entries', () => {
+        ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7'].forEach((profileId, i) => {
+            SyncQueue.enqueue({ reason: 'Data changed', profileId }, NOW + i);
+        });
+        expect(SyncQueue.list().map(e => e.profileId)).toEqual(['p3', 'p4', 'p5', 'p6', 'p7']);
+    });
+});
+
+describe('SyncQueue attempts', () => {
+    test('should only complete the entries that were synced', () => {
+        const synced = SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW);
+        SyncQueue.enqueue({ reason: 'Profile renamed', profileId: 'p1' }, NOW + 1000);
+        SyncQueue.complete([synced.id]);
+        expect(SyncQueue.list().map(e => e.reason)).toEqual(['Profile renamed']);
+    });
+
+    test('should count attempts and record the last error', () => {
+        const entry = SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW);
+        SyncQueue.markAttempt([entry.id], NOW + 1);
+        SyncQueue.markAttempt([entry.id], NOW + 2);
+        SyncQueue.fail([entry.id], 'Unable to connect.');
+
+        expect(SyncQueue.list()[0]).toMatchObject({
+            attempts: 2,
+            lastAttemptAt: NOW + 2,
+            status: 'failed',
+            lastError: 'Unable to connect.'
+        });
+    });
+
+    test('should notify listeners and clear the queue', () => {
+        const listener = jest.fn();
+        const unsubscribe = SyncQueue.subscribe(listener);
+        SyncQueue.enqueue({ reason: 'Data changed', profileId: 'p1' }, NOW);
+        SyncQueue.clear();
+        unsubscribe();
+
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenLastCalledWith([]);
+        expect(localStorage.getItem('tollab_sync_queue')).toBeNull();
+    });
+});
+
+describe('renderSyncQueue', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="sync-queue-list"></div><button id="sync-queue-retry-btn"></button>';
+    });
+
+    test('should show an empty state', () => {
+        renderSyncQueue();
+        expect(document.getElementById('sync-queue-list').textContent).toContain('Everything is synced');
+        expect(document.getElementById('sync-queue-retry-btn').disabled).toBe(true);
+    });
+
+    test('should list newest entries first with failures', () => {
+        const failed = SyncQueue.enqueue({ reason: 'Profile renamed', profileId: 'p1', profileName: 'Main' }, NOW);
+        SyncQueue.fail([failed.id], 'Unable to connect.');
+        SyncQueue.enqueue({ reason: '<Data changed>', profileId: 'p1', profileName: 'Main' }, NOW + 1000);
+
+        renderSyncQueue();
+        const items = document.querySelectorAll('.sync-queue-item');
+        expect(items).toHaveLength(2);
+        expect(items[0].innerHTML).toContain('&lt;Data changed&gt;');
+        expect(items[1].classList.contains('failed')).toBe(true);
+        expect(items[1].textContent).toContain('Unable to connect.');
+    });
+});
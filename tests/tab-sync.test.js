@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Unit tests for tab-sync.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IDBFactory } = require('fake-indexeddb');
+
+// Constants that would be loaded by constants.js
+global.STORAGE_DATA_VERSION = 10;
+global.STORAGE_KEYS = {
+    PROFILES: 'tollab_profiles',
+    ACTIVE_PROFILE: 'tollab_active',
+    DATA_PREFIX: 'tollab_',
+    TAB_SYNC: 'tollab_tab_sync',
+    SYNC_BASE: 'tollab_sync_base',
+    BACKUP_PREFIX: 'tollab_backups_'
+};
+global.TIME_UPDATE_INTERVAL = 60000;
+global.COLOR_THEMES = { COLORFUL: 'colorful' };
+global.DEFAULT_THEME_SETTINGS = { theme: 'light', showCompleted: true, showWatchedRecordings: false, colorTheme: 'colorful', baseColorHue: 200 };
+global.DEFAULT_CALENDAR_SETTINGS = { startHour: 8, endHour: 20, visibleDays: [0, 1, 2, 3, 4, 5] };
+global.DEFAULT_RECORDING_TABS = [{ id: 'lectures', name: 'Lectures' }, { id: 'tutorials', name: 'Tutorials' }];
+
+let idCounter = 0;
+global.generateId = () => `id${++idCounter}`;
+global.compareSemesters = () => 0;
+
+// UI modules the sync code calls into
+global.BackupManager = { snapshot: jest.fn() };
+global.renderAll = jest.fn();
+global.renderCurrentTime = jest.fn();
+global.renderProfileUI = jest.fn();
+global.initTheme = jest.fn();
+global.refreshOpenCourseModal = jest.fn();
+global.closeModal = jest.fn();
+
+// State, history and tab sync share top-level bindings, so load them as one script
+const code = ['storage.js', 'state.js', 'history.js', 'sync-merge.js', 'tab-sync.js']
+    .map(file => fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'))
+    .join('\n');
+const storageSource = fs.readFileSync(path.join(__dirname, '../js/storage.js'), 'utf8');
+eval(`${code}
+window.AppStorage = AppStorage;
+window.loadData = loadData;
+Object.defineProperty(window, 'currentAppData', { get: () => appData });
+Object.defineProperty(window, 'currentProfileId', { get: () => activeProfileId });`);
+
+const { TabSync, AppStorage, saveData, loadData } = window;
+
+/**
+ * Builds a v3 payload with one semester containing the given courses.
+ */
+function payload(courses) {
+    return { v: 3, t: '2024-05-20T10:00:00.000Z', d: [{ i: 's1', n: 'Spring 2024', c: courses }] };
+}
+
+/**
+ * Simulates another tab announcing a save (storage event fallback).
+ */
+async function otherTabSaved(profileId, data) {
+    localStorage.setItem(STORAGE_KEYS.DATA_PREFIX + profileId, JSON.stringify(data));
+    window.dispatchEvent(new StorageEvent('storage', {
+        key: STORAGE_KEYS.TAB_SYNC,
+        newValue: JSON.stringify({ type: 'saved', profileId, n: Date.now() })
+    }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+const courseNames = () => window.currentAppData.semesters[0].courses.map(c => c.name);
+
+beforeAll(() => {
+    TabSync.init();
+});
+
+beforeEach(() => {
+    localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify([{ id: 'p1', name: 'Main' }, { id: 'p2', name: 'Other' }]));
+    localStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, 'p1');
+    localStorage.setItem('tollab_p1', JSON.stringify(payload([{ i: 'c1', n: 'Calculus' }])));
+    loadData();
+    jest.clearAllMocks();
+});
+
+describe('TabSync saves from other tabs', () => {
+    test('should re-hydrate the active profile', async () => {
+        await otherTabSaved('p1', payload([{ i: 'c1', n: 'Calculus' }, { i: 'c2', n: 'Physics' }]));
+
+        expect(courseNames()).toEqual(['Calculus', 'Physics']);
+        expect(renderAll).toHaveBeenCalled();
+        expect(BackupManager.snapshot).not.toHaveBeenCalled();
+    });
+
+    test('should merge changes this tab has not saved yet', async () => {
+        window.currentAppData.semesters[0].courses[0].lecturer = 'Dr. Cohen';
+
+        await otherTabSaved('p1', payload([{ i: 'c1', n: 'Calculus' }, { i: 'c2', n: 'Physics' }]));
+
+        expect(courseNames()).toEqual(['Calculus', 'Physics']);
+        expect(window.currentAppData.semesters[0].courses[0].lecturer).toBe('Dr. Cohen');
+        const stored = JSON.parse(localStorage.getItem('tollab_p1'));
+        expect(stored.d[0].c.map(c => c.i)).toEqual(['c1', 'c2']);
+    });
+
+    test('should keep this tab\'s side of a conflicting edit', async () => {
+        window.currentAppData.semesters[0].courses[0].name = 'Calculus 1';
+
+        await otherTabSaved('p1', payload([{ i: 'c1', n: 'Calculus 2' }]));
+
+        expect(courseNames()).toEqual(['Calculus 1']);
+        expect(ToastManager.warning).toHaveBeenCalledWith('This profile was also edited in another tab', expect.any(Object));
+    });
+
+    test('should not touch the active profile when another profile is saved', async () => {
+        await otherTabSaved('p2', payload([{ i: 'c9', n: 'Algebra' }]));
+
+        expect(courseNames()).toEqual(['Calculus']);
+        expect(renderAll).not.toHaveBeenCalled();
+    });
+});
+
+describe('TabSync profile changes', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    /**
+     * Simulates another tab writing a profile key.
+     */
+    function otherTabWrote(key, value) {
+        localStorage.setItem(key, value);
+        window.dispatchEvent(new StorageEvent('storage', { key, newValue: value }));
+    }
+
+    test('should follow a profile switch', async () => {
+        localStorage.setItem('tollab_p2', JSON.stringify(payload([{ i: 'c9', n: 'Algebra' }])));
+        otherTabWrote(STORAGE_KEYS.ACTIVE_PROFILE, 'p2');
+        await jest.runOnlyPendingTimersAsync();
+
+        expect(window.currentProfileId).toBe('p2');
+        expect(courseNames()).toEqual(['Algebra']);
+        expect(ToastManager.info).toHaveBeenCalledWith('Switched to "Other" in another tab');
+    });
+
+    test('should leave a profile deleted in another tab', async () => {
+        otherTabWrote(STORAGE_KEYS.ACTIVE_PROFILE, 'p2');
+        otherTabWrote(STORAGE_KEYS.PROFILES, JSON.stringify([{ id: 'p2', name: 'Other' }]));
+        await jest.runOnlyPendingTimersAsync();
+
+        expect(window.currentProfileId).toBe('p2');
+        expect(ToastManager.info).toHaveBeenCalledTimes(1);
+        expect(ToastManager.info).toHaveBeenCalledWith('Profile "Main" was deleted in another tab', expect.any(Object));
+    });
+
+    test('should only refresh the profile list for other changes', async () => {
+        otherTabWrote(STORAGE_KEYS.PROFILES, JSON.stringify([{ id: 'p1', name: 'Renamed' }, { id: 'p2', name: 'Other' }]));
+        await jest.runOnlyPendingTimersAsync();
+
+        expect(window.currentProfileId).toBe('p1');
+        expect(renderProfileUI).toHaveBeenCalled();
+        expect(renderAll).not.toHaveBeenCalled();
+    });
+});
+
+describe('TabSync.notifySaved', () => {
+    test('should announce saves to other tabs', async () => {
+        saveData();
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const message = JSON.parse(localStorage.getItem(STORAGE_KEYS.TAB_SYNC));
+        expect(message).toMatchObject({ type: 'saved', profileId: 'p1' });
+    });
+});
+
+describe('TabSync on the IndexedDB backend', () => {
+    let otherTab;
+
+    beforeAll(async () => {
+        global.indexedDB = new IDBFactory();
+        await AppStorage.init();
+
+        // Another tab has its own AppStorage with its own cache
+        eval(storageSource);
+        otherTab = window.AppStorage;
+        await otherTab.init();
+    });
+
+    afterAll(() => {
+        delete global.indexedDB;
+    });
+
+    test('should read a profile another tab imported before following the switch', async () => {
+        otherTab.setItem('tollab_p3', JSON.stringify(payload([{ i: 'c7', n: 'Imported' }])));
+        await otherTab.flush();
+        localStorage.setItem(STORAGE_KEYS.PROFILES, JSON.stringify([{ id: 'p1', name: 'Main' }, { id: 'p3', name: 'Import' }]));
+        localStorage.setItem(STORAGE_KEYS.ACTIVE_PROFILE, 'p3');
+        window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEYS.ACTIVE_PROFILE, newValue: 'p3' }));
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(window.currentProfileId).toBe('p3');
+        expect(courseNames()).toEqual(['Imported']);
+
+        saveData();
+        await AppStorage.flush();
+        expect(JSON.parse(await otherTab.refresh('tollab_p3')).d[0].c.map(c => c.n)).toEqual(['Imported']);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Unit tests for catalog.js and timetable.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+['catalog.js', 'timetable.js'].forEach(file => {
+    eval(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'));
+});
+
+const {
+    parseCatalogSchedule, getCatalogGroups, slotsOverlap, findScheduleConflicts,
+    layoutScheduleColumns, suggestConflictFixes, switchScheduleGroup
+} = window;
+
+/**
+ * Builds a schedule slot.
+ */
+function slot(day, start, end, type = '', group = '') {
+    return { day, start, end, type, room: '', group, instructor: '' };
+}
+
+// Catalog entry with one lecture and three tutorial groups (Tuesday, Wednesday and Thursday)
+const calculusEntry = {
+    general: { 'מספר מקצוע': '01040031' },
+    schedule: [
+        { 'קבוצה': 10, 'מס.': 10, 'סוג': 'הרצאה', 'יום': 'ראשון', 'שעה': '8:30 - 10:30', 'בניין': 'אולמן', 'חדר': 1, 'מרצה/מתרגל': 'Dr. Cohen' },
+        { 'קבוצה': 11, 'מס.': 10, 'סוג': 'הרצאה', 'יום': 'ראשון', 'שעה': '8:30 - 10:30', 'בניין': 'אולמן', 'חדר': 1, 'מרצה/מתרגל': 'Dr. Cohen' },
+        { 'קבוצה': 11, 'מס.': 11, 'סוג': 'תרגול', 'יום': 'שלישי', 'שעה': '10:30 - 11:30', 'בניין': 'טאוב', 'חדר': 2 },
+        { 'קבוצה': 12, 'מס.': 12, 'סוג': 'תרגול', 'יום': 'רביעי', 'שעה': '12:30 - 13:30', 'בניין': 'טאוב', 'חדר': 3 },
+        { 'קבוצה': 13, 'מס.': 13, 'סוג': 'תרגול', 'יום': 'חמישי', 'שעה': '14:30 - 15:30', 'בניין': 'טאוב', 'חדר': 4 }
+    ]
+};
+
+/**
+ * Builds a semester where Calculus tutorial 11 clashes with a Physics lecture
+ * and Chemistry fills Wednesday noon.
+ */
+function createSemester() {
+    return {
+        courses: [
+            { id: 'calc', name: 'Calculus', schedule: [slot(0, '08:30', '10:30', 'lecture', '10'), slot(2, '10:30', '11:30', 'tutorial', '11')] },
+            { id: 'phys', name: 'Physics', schedule: [slot(2, '10:30', '12:30', 'lecture', '10')] },
+            { id: 'chem', name: 'Chemistry', schedule: [slot(3, '12:00', '14:00', 'lecture', '10')] }
+        ]
+    };
+}
+
+describe('parseCatalogSchedule and getCatalogGroups', () => {
+    test('should read catalog rows once per group', () => {
+        const slots = parseCatalogSchedule(calculusEntry);
+        expect(slots).toHaveLength(4);
+        expect(slots[0]).toEqual({
+            day: 0, start: '08:30', end: '10:30', type: 'lecture', room: 'אולמן 1', group: '10', instructor: 'Dr. Cohen'
+        });
+    });
+
+    test('should group tutorials by event number', () => {
+        expect(getCatalogGroups(calculusEntry, 'tutorial').map(g => g.group)).toEqual(['11', '12', '13']);
+        expect(getCatalogGroups(null, 'tutorial')).toEqual([]);
+    });
+});
+
+describe('findScheduleConflicts', () => {
+    test('should report overlapping slots with the shared time', () => {
+        const conflicts = findScheduleConflicts(createSemester());
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({ day: 2, start: '10:30', end: '11:30' });
+        expect(conflicts[0].first.course.id).toBe('calc');
+        expect(conflicts[0].second.course.id).toBe('phys');
+    });
+
+    test('should not count back-to-back slots as overlapping', () => {
+        expect(slotsOverlap(slot(1, '10:30', '12:30'), slot(1, '12:30', '14:30'))).toBe(false);
+        expect(slotsOverlap(slot(1, '10:30', '12:30'), slot(2, '10:30', '12:30'))).toBe(false);
+    });
+});
+
+describe('layoutScheduleColumns', () => {
+    test('should split overlapping slots into columns and leave others full width', () => {
+        const a = slot(1, '10:00', '12:00');
+        const b = slot(1, '11:00', '13:00');
+        const c = slot(1, '12:00', '14:00');
+        const d = slot(1, '15:00', '16:00');
+        const layout = layoutScheduleColumns([a, b, c, d]);
+        expect(layout.get(a)).toEqual({ column: 0, columns: 2 });
+        expect(layout.get(b)).toEqual({ column: 1, columns: 2 });
+        expect(layout.get(c)).toEqual({ column: 0, columns: 2 });
+        expect(layout.get(d)).toEqual({ column: 0, columns: 1 });
+    });
+});
+
+describe('suggestConflictFixes and switchScheduleGroup', () => {
+    test('should suggest tutorial groups that fit the rest of the timetable', () => {
+        const semester = createSemester();
+        const [conflict] = findScheduleConflicts(semester);
+        const fixes = suggestConflictFixes(semester, conflict, course => (course.id === 'calc' ? calculusEntry : null));
+
+        expect(fixes).toHaveLength(1);
+        expect(fixes[0].course.id).toBe('calc');
+        expect(fixes[0].options.map(option => option.group)).toEqual(['13']);
+    });
+
+    test('should replace the current group with the chosen one', () => {
+        const [calculus] = createSemester().courses;
+        const [thursday] = getCatalogGroups(calculusEntry, 'tutorial').slice(-1);
+        switchScheduleGroup(calculus, calculus.schedule[1], thursday);
+
+        expect(calculus.schedule.map(s => `${s.type} ${s.group} ${s.day} ${s.start}`)).toEqual([
+            'lecture 10 0 08:30',
+            'tutorial 13 4 14:30'
+        ]);
+        expect(calculus.schedule[1].room).toBe('טאוב 4');
+    });
+});
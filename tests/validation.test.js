@@ -200,6 +200,31 @@ describe('validateNumber', () => {
     });
 });
 
+describe('validateCourseGrade', () => {
+    test('should accept numeric grades', () => {
+        const result = validateCourseGrade(' 87 ');
+        expect(result.valid).toBe(true);
+        expect(result.value).toBe('87');
+    });
+
+    test('should accept pass, fail and exempt keywords', () => {
+        expect(validateCourseGrade('Pass').value).toBe('Pass');
+        expect(validateCourseGrade('fail').valid).toBe(true);
+        expect(validateCourseGrade('פטור').valid).toBe(true);
+    });
+
+    test('should allow an empty grade', () => {
+        expect(validateCourseGrade('')).toEqual({ valid: true, value: '', error: null });
+    });
+
+    test('should reject out of range and unknown grades', () => {
+        expect(validateCourseGrade('101').valid).toBe(false);
+        const result = validateCourseGrade('A+');
+        expect(result.valid).toBe(false);
+        expect(result.error).toBe('Enter a grade from 0 to 100, Pass, Fail or Exempt');
+    });
+});
+
 describe('validateCalendarHour', () => {
     test('should validate valid hour', () => {
         const result = validateCalendarHour(8);
@@ -339,6 +364,34 @@ describe('validateScheduleItem', () => {
     });
 });
 
+describe('validateAssessment', () => {
+    const assessment = (overrides) => ({
+        id: 'a1', type: 'midterm', date: '2025-01-10', startTime: '', endTime: '',
+        location: '', weight: '', notes: '', ...overrides
+    });
+
+    test('should accept an assessment with only a type and date', () => {
+        const result = validateAssessment(assessment());
+        expect(result.valid).toBe(true);
+        expect(result.value).toEqual(assessment());
+    });
+
+    test('should normalize the weight and trim text fields', () => {
+        const result = validateAssessment(assessment({ weight: '30', location: ' Taub 2 ', startTime: '09:00', endTime: '12:00' }));
+        expect(result.value).toMatchObject({ weight: 30, location: 'Taub 2', startTime: '09:00', endTime: '12:00' });
+    });
+
+    test('should reject unknown types, missing dates and bad weights', () => {
+        expect(validateAssessment(assessment({ type: 'final' })).valid).toBe(false);
+        expect(validateAssessment(assessment({ date: '' })).error).toMatch(/date/i);
+        expect(validateAssessment(assessment({ weight: 120 })).error).toMatch(/weight/i);
+    });
+
+    test('should reject end time before start time', () => {
+        expect(validateAssessment(assessment({ startTime: '12:00', endTime: '09:00' })).valid).toBe(false);
+    });
+});
+
 describe('sanitizeString', () => {
     test('should remove control characters', () => {
         const result = sanitizeString('Hello\x00World');
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * @file sync-server.js
+ * @description Minimal sync server for the WebDAV/REST sync provider.
+ *
+ * Stores one JSON document per URL path in a directory, with the subset of
+ * WebDAV/HTTP semantics the provider relies on:
+ *  - GET returns the document with an ETag (304 for a matching If-None-Match).
+ *  - PUT replaces it; If-Match / If-None-Match: * guard against overwriting
+ *    a version the client has not seen (412 Precondition Failed).
+ *  - Optional HTTP Basic auth and permissive CORS for local development.
+ *
+ * Usage:
+ *   node tools/sync-server.js [--port 8787] [--dir ./sync-data] [--user name --password secret]
+ *
+ * Then use e.g. http://localhost:8787/tollab.json as the document URL.
+ * Not meant for production: there is no TLS and a single shared account.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/** @type {number} Largest accepted document in bytes */
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/** @type {number} Makes every temp file name unique within this process */
+let tempCounter = 0;
+
+const CORS_HEADERS = Object.freeze({
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+});
+
+/**
+ * Maps a URL path to a file in the data directory.
+ * @param {string} dir - Data directory
+ * @param {string} pathname - URL path
+ * @returns {string|null} File path, or null for an invalid path
+ */
+function fileForPath(dir, pathname) {
+    const name = decodeURIComponent(pathname).replace(/^\/+/, '').replace(/[^\w.-]+/g, '_');
+    if (!name || name.startsWith('.')) return null;
+    return path.join(dir, name);
+}
+
+/**
+ * @param {Buffer|string} content - Document content
+ * @returns {string} Quoted strong ETag
+ */
+function etagOf(content) {
+    return `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+}
+
+/**
+ * Reads a stored document.
+ * @param {string} file - Document file
+ * @returns {{existing: Buffer|null, currentTag: string|null}} Content and ETag
+ */
+function readDocument(file) {
+    const existing = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    return { existing, currentTag: existing ? etagOf(existing) : null };
+}
+
+/**
+ * Checks the request's Basic auth credentials.
+ * @returns {boolean} True if no auth is configured or the credentials match
+ */
+function isAuthorized(req, user, password) {
+    if (!user) return true;
+    const match = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    if (!match) return false;
+    return Buffer.from(match[1], 'base64').toString('utf8') === `${user}:${password || ''}`;
+}
+
+/**
+ * Reads the request body, up to MAX_BODY_BYTES.
+ * @returns {Promise<Buffer|null>} Body, or null if it is too large
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Creates the sync server (not yet listening).
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.dir='./sync-data'] - Directory for stored documents
+ * @param {string} [options.user] - Basic auth user name (no auth if omitted)
+ * @param {string} [options.password] - Basic auth password
+ * @returns {http.Server} Server
+ */
+function createSyncServer({ dir = './sync-data', user, password } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    return http.createServer(async (req, res) => {
+        const send = (status, headers = {}, body) => {
+            res.writeHead(status, { ...CORS_HEADERS, ...headers });
+            res.end(body);
+        };
+
+        try {
+            if (req.method === 'OPTIONS') return send(204);
+
+            if (!isAuthorized(req, user, password)) {
+                return send(401, { 'WWW-Authenticate': 'Basic realm="Tollab sync"' });
+            }
+
+            const file = fileForPath(dir, new URL(req.url, 'http://localhost').pathname);
+            if (!file) return send(404);
+
+            if (req.method === 'GET') {
+                const { existing, currentTag } = readDocument(file);
+                if (!existing) return send(404);
+                if (req.headers['if-none-match'] === currentTag) return send(304, { ETag: currentTag });
+                return send(200, { 'Content-Type': 'application/json', ETag: currentTag }, existing);
+            }
+
+            if (req.method === 'PUT') {
+                const body = await readBody(req);
+                if (!body) return send(413);
+                try {
+                    JSON.parse(body.toString('utf8'));
+                } catch {
+                    return send(400, { 'Content-Type': 'text/plain' }, 'Body must be JSON');
+                }
+
+                // Check the preconditions against the document as it is now, with
+                // no await before the write, so concurrent PUTs of the same version
+                // cannot both pass
+                const { existing, currentTag } = readDocument(file);
+                const ifMatch = req.headers['if-match'];
+                const ifNoneMatch = req.headers['if-none-match'];
+                if ((ifMatch && ifMatch !== currentTag) || (ifNoneMatch === '*' && existing)) {
+                    return send(412);
+                }
+
+                // Write atomically so readers never see a partial document
+                const temp = `${file}.${process.pid}.${++tempCounter}.tmp`;
+                fs.writeFileSync(temp, body);
+                fs.renameSync(temp, file);
+                return send(existing ? 204 : 201, { ETag: etagOf(body) });
+            }
+
+            return send(405, { Allow: 'GET, PUT, OPTIONS' });
+        } catch (err) {
+            console.error('[sync-server]', err);
+            return send(500);
+        }
+    });
+}
+
+/**
+ * Parses --name value command line options.
+ * @param {string[]} argv - Arguments
+ * @returns {Object<string, string>} Options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--(\w+)$/.exec(argv[i]);
+        if (match) options[match[1]] = argv[++i];
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = Number(args.port) || 8787;
+    const server = createSyncServer({ dir: args.dir, user: args.user, password: args.password });
+    server.listen(port, () => {
+        console.log(`Tollab sync server on http://localhost:${port}/ (data in ${path.resolve(args.dir || './sync-data')})`);
+    });
+}
+
+module.exports = { createSyncServer };